@@ -1,8 +1,67 @@
 "use strict";
 
+import { RESPONSE_SCHEMAS, validateSchema } from "./api-schemas.js";
+
 /**
  * @typedef {Object} APIClientOptions
- * @property {(title: string, message: string) => void} [onError] - Error callback
+ * @property {(title: string, message: string, error?: Error) => void} [onError] - Error callback
+ * @property {number|null} [timeoutMs=30000] - Default timeout (ms) for requests (null = no timeout)
+ * @property {string[]} [idempotentEndpoints] - Endpoints that may be retried (see RetryPolicy)
+ * @property {Record<string, import('./api-schemas.js').Schema>} [responseSchemas] - Schemas to validate responses against, keyed by endpoint
+ * @property {string[]} [journaledEndpoints] - Endpoints that may be queued while disconnected (see APIRequestOptions.journal)
+ * @property {(entries: JournalEntry[]) => void} [onJournalChange] - Called whenever the request journal changes
+ * @property {(info: APIRequestInfo) => void} [onRequestComplete] - Called when a request finished (successfully or not)
+ * @property {import('./session-recording.js').SessionRecorder|null} [recorder] - Records the responses, while recording
+ */
+
+/**
+ * Outcome of a request, e.g. for logging
+ * @typedef {Object} APIRequestInfo
+ * @property {string} method - HTTP method
+ * @property {string} endpoint - API endpoint path
+ * @property {string} context - Context of the request
+ * @property {number|null} status - HTTP status code (null if no response was received)
+ * @property {number} durationMs - Time from sending the request until it finished, including retries
+ * @property {number} attempts - Number of attempts made
+ * @property {string|null} error - Name of the error class, if the request failed (e.g. 'APITimeoutError')
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Total number of attempts, including the first one
+ * @property {number} delayMs - Delay (ms) before the first retry, doubled for each further retry
+ */
+
+/**
+ * @typedef {Object} APIRequestOptions
+ * @property {string} [context='API request'] - Context for error messages
+ * @property {boolean} [showError=true] - Whether to show error UI on failure
+ * @property {number|null} [timeoutMs] - Timeout (ms) for this request, overrides the client default (null = no timeout)
+ * @property {AbortSignal} [signal] - Caller-supplied signal to cancel the request
+ * @property {boolean|Partial<RetryPolicy>} [retry=false] - Retry on timeout, network failure or 502/503/504.
+ *     Only honored for idempotent endpoints.
+ * @property {boolean} [journal=false] - While disconnected or if the server cannot be reached, queue the request and send it after reconnecting
+ *     (the returned promise settles once it has been sent). Only honored for journaled endpoints.
+ */
+
+/**
+ * A request queued while disconnected.
+ * @typedef {Object} JournalEntry
+ * @property {number} id - Identifies the entry, e.g. to discard it
+ * @property {string} endpoint - API endpoint path
+ * @property {string} context - Context of the request (e.g. 'Flush machine config')
+ * @property {number} queuedAt - Timestamp (Date.now() based) of when the request was queued
+ * @property {boolean} sending - Whether the request is currently being replayed
+ */
+
+/**
+ * @typedef {Object} JournaledRequest
+ * @property {JournalEntry} entry
+ * @property {RequestInit} init
+ * @property {APIRequestOptions} options
+ * @property {(data: any) => void} resolve
+ * @property {(error: Error) => void} reject
+ * @property {(() => void)|null} removeAbortListener
  */
 
 /**
@@ -16,11 +75,40 @@
  * @property {ConflictErrorDetail} detail - Conflict error details from server
  */
 
+/**
+ * @typedef {Object} ReconnectPolicy
+ * @property {number} initialDelayMs - Delay (ms) before the first reconnection attempt
+ * @property {number} maxDelayMs - Upper bound (ms) for the delay between attempts
+ * @property {number} multiplier - Factor the delay grows by after each failed attempt
+ * @property {number} jitter - Fraction [0;1] of the delay that is randomized (0 = no jitter)
+ * @property {number|null} maxAttempts - Give up after this many failed attempts (null = retry forever)
+ */
+
+/**
+ * Lifecycle state of a managed connection:
+ * - connecting: socket created, waiting for open
+ * - open: socket is open
+ * - backing-off: socket closed, a reconnection attempt is scheduled
+ * - gave-up: socket closed, maxAttempts reached, no further attempts are made
+ * - closed: socket closed without auto-reconnect
+ * @typedef {'connecting'|'open'|'backing-off'|'gave-up'|'closed'} WebSocketConnectionState
+ */
+
+/**
+ * @typedef {Object} WebSocketConnectionStateInfo
+ * @property {WebSocketConnectionState} state - New connection state
+ * @property {number} reconnectAttempts - Number of consecutive failed connection attempts
+ * @property {number|null} retryInMs - Delay until the next attempt (only set while backing-off)
+ * @property {number|null} nextRetryAt - Timestamp (Date.now() based) of the next attempt (only set while backing-off)
+ */
+
 /**
  * @typedef {Object} WebSocketManagerOptions
- * @property {number} [reconnectDelay=200] - Delay (ms) before reconnecting
+ * @property {number} [reconnectDelay=200] - Delay (ms) before reconnecting (shorthand for reconnectPolicy.initialDelayMs)
+ * @property {Partial<ReconnectPolicy>} [reconnectPolicy] - Default reconnection policy for all connections
  * @property {(message: string) => void} [onError] - Error callback
- * @property {(name: string, isConnected: boolean) => void} [onConnectionStateChange] - Connection state change callback
+ * @property {(name: string, isConnected: boolean, info: WebSocketConnectionStateInfo) => void} [onConnectionStateChange] - Connection state change callback
+ * @property {import('./session-recording.js').SessionRecorder|null} [recorder] - Records the frames of all connections, while recording
  */
 
 /**
@@ -30,6 +118,7 @@
  * @property {() => void} [onClose] - Close handler
  * @property {(event: Event) => void} [onError] - Error handler
  * @property {boolean} [autoReconnect=true] - Whether to auto-reconnect on error/close
+ * @property {Partial<ReconnectPolicy>} [reconnectPolicy] - Per-connection overrides of the manager's reconnection policy
  */
 
 /**
@@ -38,6 +127,9 @@
  * @property {string} endpoint - The WebSocket endpoint path
  * @property {WebSocketConnectionOptions} options - Connection options
  * @property {number} reconnectAttempts - Number of reconnection attempts made
+ * @property {WebSocketConnectionState} state - Current lifecycle state
+ * @property {ReturnType<typeof setTimeout>|null} reconnectTimer - Pending reconnection timer, if any
+ * @property {number|null} nextRetryAt - Timestamp of the pending reconnection attempt, if any
  */
 
 /**
@@ -45,7 +137,355 @@
  * @property {boolean} connected - Whether the connection is OPEN
  * @property {number|null} readyState - WebSocket readyState (0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED)
  * @property {number} reconnectAttempts - Number of reconnection attempts made
+ * @property {WebSocketConnectionState} state - Current lifecycle state
+ * @property {number|null} nextRetryAt - Timestamp of the pending reconnection attempt, if any
+ */
+
+/**
+ * Reconnection policy used when neither the manager nor the connection override a field.
+ * @type {ReconnectPolicy}
+ */
+const DEFAULT_RECONNECT_POLICY = {
+    initialDelayMs: 200,
+    maxDelayMs: 10000,
+    multiplier: 2,
+    jitter: 0.5,
+    maxAttempts: null,
+};
+
+/**
+ * Calculate the delay before a reconnection attempt (exponential backoff with jitter).
+ *
+ * The un-jittered delay is initialDelayMs*multiplier^(attempt-1), capped at maxDelayMs.
+ * jitter then randomly shortens it by up to that fraction, so that many clients that
+ * lost their connection at the same time do not all reconnect at the same time.
+ * @param {ReconnectPolicy} policy
+ * @param {number} attempt - 1-based number of the upcoming attempt
+ * @param {() => number} [random=Math.random] - Random source in [0;1)
+ * @returns {number} - Delay in ms
+ */
+function computeReconnectDelay(policy, attempt, random = Math.random) {
+    const exponent = Math.max(0, attempt - 1);
+    const baseDelay = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.multiplier, exponent));
+    const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+    return Math.round(baseDelay * (1 - jitter * random()));
+}
+
+/**
+ * Endpoints that are safe to send more than once, i.e. which can be retried.
+ */
+const DEFAULT_IDEMPOTENT_ENDPOINTS = [
+    '/api/get_info/current_state',
+    '/api/acquisition/status',
+    '/api/acquisition/config_list',
+];
+
+/**
+ * Configuration-changing endpoints, which may be queued while disconnected and sent late.
+ */
+const DEFAULT_JOURNALED_ENDPOINTS = [
+    '/api/acquisition/config_store',
+    '/api/action/machine_config_flush',
+];
+
+/**
+ * Endpoints that move hardware or start acquisitions. These must happen when the user asks for them,
+ * never late, so they are never journaled.
+ */
+const NEVER_JOURNALED_ENDPOINTS = [
+    '/api/action/move_to',
+    '/api/action/move_by',
+    '/api/action/move_to_well',
+    '/api/action/enter_loading_position',
+    '/api/action/leave_loading_position',
+    '/api/action/snap_channel',
+    '/api/action/snap_selected_channels',
+    '/api/action/stream_channel_begin',
+    '/api/action/laser_autofocus_calibrate',
+    '/api/action/laser_autofocus_move_to_target_offset',
+    '/api/action/snap_reflection_autofocus',
+    '/api/acquisition/start',
+];
+
+/** delay (ms) before replaying the journal again, after the server could not be reached during replay */
+const JOURNAL_REPLAY_RETRY_DELAY_MS = 2000;
+
+/** @type {RetryPolicy} */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    delayMs: 250,
+};
+
+/** HTTP status codes that indicate a transient failure, which may be retried */
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+
+/**
+ * @typedef {Object} APIErrorOptions
+ * @property {string} context - Context of the failed request (e.g. 'Move Stage')
+ * @property {string|null} [endpoint=null] - API endpoint path of the failed request
+ * @property {number|null} [status=null] - HTTP status code (null if no response was received)
+ * @property {*} [body=null] - Parsed response body (or response text, if the body is not JSON)
+ * @property {string} [userMessage] - Message to show to the user (defaults to the error message)
+ */
+
+/**
+ * @typedef {Object} APIValidationFieldError
+ * @property {string} path - Dotted path of the invalid field in the request (e.g. 'config_file.plate_wells.0.row')
+ * @property {string} message - Why the field is invalid
+ * @property {string} type - Error type reported by the server (e.g. 'missing')
+ */
+
+/**
+ * Base class of all errors thrown by APIClient.
+ */
+class APIError extends Error {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     */
+    constructor(message, options) {
+        super(message);
+        this.name = 'APIError';
+        this.context = options.context;
+        this.endpoint = options.endpoint ?? null;
+        this.status = options.status ?? null;
+        this.body = options.body ?? null;
+        this.userMessage = options.userMessage ?? message;
+        /**
+         * send the failed request again (with the same options).
+         * set by APIClient for errors caused by a request.
+         * @type {(() => Promise<*>)|null}
+         */
+        this.resend = null;
+    }
+}
+
+/**
+ * Thrown when the server failed to process a request (HTTP 5xx).
+ */
+class APIServerError extends APIError {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'APIServerError';
+    }
+}
+
+/**
+ * Thrown when the microscope is busy and cannot process a request (HTTP 409).
+ */
+class APIBusyError extends APIError {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     * @param {string} busyMessage - Message from the server, describing the conflict
+     * @param {string[]} busyReasons - List of reasons why the microscope is busy
+     */
+    constructor(message, options, busyMessage, busyReasons) {
+        super(message, options);
+        this.name = 'APIBusyError';
+        this.busyMessage = busyMessage;
+        this.busyReasons = busyReasons;
+    }
+}
+
+/**
+ * Thrown when the server rejected the request body (HTTP 422).
+ */
+class APIValidationError extends APIError {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     * @param {APIValidationFieldError[]} fieldErrors - Invalid fields
+     */
+    constructor(message, options, fieldErrors) {
+        super(message, options);
+        this.name = 'APIValidationError';
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+/**
+ * Thrown when no response was received because of a network failure
+ * (server unreachable, connection reset, CORS etc.).
+ */
+class APINetworkError extends APIError {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'APINetworkError';
+    }
+}
+
+/**
+ * Thrown when a response does not match the schema of its endpoint, e.g. because
+ * the server version is incompatible with this interface.
+ */
+class APISchemaError extends APIError {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     * @param {import('./api-schemas.js').SchemaMismatch} mismatch - First field that diverged from the schema
+     */
+    constructor(message, options, mismatch) {
+        super(message, options);
+        this.name = 'APISchemaError';
+        this.mismatch = mismatch;
+    }
+}
+
+/**
+ * Check a payload against the schema of an endpoint.
+ * @param {Record<string, import('./api-schemas.js').Schema>} schemas - Schemas, keyed by endpoint
+ * @param {string} endpoint - Endpoint the payload was received from
+ * @param {unknown} payload - Parsed payload
+ * @param {string} context - Context for error messages
+ * @throws {APISchemaError} - If the payload does not match the schema
+ */
+function checkResponseSchema(schemas, endpoint, payload, context) {
+    const schema = schemas[endpoint];
+    if (!schema) return;
+
+    const mismatch = validateSchema(schema, payload);
+    if (!mismatch) return;
+
+    const fieldMessage = `field '${mismatch.path}': expected ${mismatch.expected}, got ${mismatch.actual}`;
+    throw new APISchemaError(
+        `${context} failed: response from ${endpoint} does not match the expected format, ${fieldMessage}`,
+        {
+            context,
+            endpoint,
+            body: payload,
+            userMessage: `The server response from ${endpoint} is incompatible with this version of the interface.\n  • ${fieldMessage}`,
+        },
+        mismatch,
+    );
+}
+
+/**
+ * Thrown when a request is aborted before a response has been received,
+ * e.g. because the caller-supplied AbortSignal fired.
+ */
+class APIAbortError extends APIError {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'APIAbortError';
+    }
+}
+
+/**
+ * Thrown when a request did not complete within its timeout.
+ */
+class APITimeoutError extends APIAbortError {
+    /**
+     * @param {string} message
+     * @param {APIErrorOptions} options
+     * @param {number} timeoutMs - Timeout that was exceeded
+     */
+    constructor(message, options, timeoutMs) {
+        super(message, options);
+        this.name = 'APITimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Convert the body of a 422 response into a list of invalid fields.
+ *
+ * The server (FastAPI) reports validation errors as
+ * `{detail: [{loc: ['body', 'config_file', 'plate_wells', 0, 'row'], msg: '...', type: '...'}]}`.
+ * @param {*} body - Parsed response body
+ * @returns {APIValidationFieldError[]}
+ */
+function parseValidationErrors(body) {
+    if (!body || !Array.isArray(body.detail)) {
+        return [];
+    }
+    return body.detail.map((/** @type {*} */ item) => {
+        /** @type {(string|number)[]} */
+        const loc = Array.isArray(item.loc) ? item.loc : [];
+        // the first element is where the field is located in the request, e.g. 'body'
+        const path = (loc[0] === 'body' || loc[0] === 'query' ? loc.slice(1) : loc).join('.');
+        return {
+            path,
+            message: `${item.msg ?? 'invalid'}`,
+            type: `${item.type ?? ''}`,
+        };
+    });
+}
+
+/**
+ * Create the error for a response with a non-2xx status, by the error model of the server
+ * @param {{status: number, statusText: string}} response
+ * @param {string} responseText - Body of the response
+ * @param {string} context - Context for error messages
+ * @param {string|null} endpoint - API endpoint path
+ * @returns {APIError}
  */
+function createResponseError(response, responseText, context, endpoint) {
+    /** @type {*} */
+    let errorBody = responseText;
+    try {
+        errorBody = JSON.parse(responseText);
+    } catch (e) {
+        // Not JSON, keep text
+    }
+
+    /** @type {APIErrorOptions} */
+    const errorOptions = { context, endpoint, status: response.status, body: errorBody };
+
+    /** @type {APIError} */
+    let error;
+    if (response.status === 409 && errorBody?.detail?.busy_reasons) {
+        // Handle conflict errors (e.g., microscope busy)
+        /** @type {ConflictErrorModel} */
+        const conflict = errorBody;
+        const reasons = conflict.detail.busy_reasons.map(r => `  • ${r}`).join('\n');
+        const userMessage = `${conflict.detail.message}:\n${reasons}`;
+
+        error = new APIBusyError(
+            `${context} failed with ${response.statusText} ${response.status} because: ${userMessage}`,
+            { ...errorOptions, userMessage },
+            conflict.detail.message,
+            conflict.detail.busy_reasons,
+        );
+    } else if (response.status === 422) {
+        const fieldErrors = parseValidationErrors(errorBody);
+        const userMessage = fieldErrors.length > 0
+            ? `Invalid request:\n${fieldErrors.map(f => `  • ${f.path}: ${f.message}`).join('\n')}`
+            : `HTTP ${response.status}: ${responseText}`;
+
+        error = new APIValidationError(
+            `${context} failed with ${response.statusText} ${response.status} because: ${userMessage}`,
+            { ...errorOptions, userMessage },
+            fieldErrors,
+        );
+    } else if (response.status >= 500) {
+        // Handle internal server errors
+        const userMessage = typeof errorBody?.detail === 'string' ? errorBody.detail : `HTTP ${response.status}: ${responseText}`;
+
+        error = new APIServerError(
+            `${context} failed with ${response.statusText} ${response.status} because: ${JSON.stringify(errorBody)}`,
+            { ...errorOptions, userMessage },
+        );
+    } else {
+        error = new APIError(
+            `${context} failed: ${response.status} ${responseText}`,
+            { ...errorOptions, userMessage: `HTTP ${response.status}: ${responseText}` },
+        );
+    }
+    return error;
+}
 
 /**
  * Centralized API client for all server communication.
@@ -59,6 +499,165 @@ class APIClient {
     constructor(baseURL, options = {}) {
         this.baseURL = baseURL;
         this.onError = options.onError || (() => {});
+        /** @type {number|null} */
+        this.timeoutMs = options.timeoutMs === undefined ? 30000 : options.timeoutMs;
+        /** @type {Set<string>} */
+        this.idempotentEndpoints = new Set(options.idempotentEndpoints || DEFAULT_IDEMPOTENT_ENDPOINTS);
+        /** @type {Record<string, import('./api-schemas.js').Schema>} */
+        this.responseSchemas = options.responseSchemas || RESPONSE_SCHEMAS;
+
+        const journaledEndpoints = options.journaledEndpoints || DEFAULT_JOURNALED_ENDPOINTS;
+        for (const endpoint of journaledEndpoints) {
+            if (NEVER_JOURNALED_ENDPOINTS.includes(endpoint)) {
+                throw new Error(`${endpoint} must never be journaled, because it must not be sent late`);
+            }
+        }
+        /** @type {Set<string>} */
+        this.journaledEndpoints = new Set(journaledEndpoints);
+        this.onJournalChange = options.onJournalChange || (() => {});
+        this.onRequestComplete = options.onRequestComplete || (() => {});
+        this.recorder = options.recorder ?? null;
+        /** @type {JournaledRequest[]} */
+        this.journal = [];
+        this.nextJournalId = 0;
+        this.replayingJournal = false;
+        /** whether the server is reachable, see setConnected */
+        this.isConnected = true;
+    }
+
+    /**
+     * Tell the client whether the server is reachable (e.g. from the status WebSocket state).
+     * When the connection comes back, journaled requests are sent in order.
+     * @param {boolean} isConnected
+     * @returns {void}
+     */
+    setConnected(isConnected) {
+        this.isConnected = isConnected;
+        if (isConnected) {
+            this.replayJournal();
+        }
+    }
+
+    /**
+     * Requests queued while disconnected
+     * @returns {JournalEntry[]}
+     */
+    getJournal() {
+        return this.journal.map(request => ({ ...request.entry }));
+    }
+
+    /**
+     * Remove a queued request from the journal. Its promise rejects with APIAbortError.
+     * Requests that are already being sent cannot be discarded.
+     * @param {number} id - JournalEntry.id
+     * @returns {boolean} - Whether the request was discarded
+     */
+    discardJournalEntry(id) {
+        const index = this.journal.findIndex(request => request.entry.id === id);
+        if (index < 0 || this.journal[index].entry.sending) return false;
+
+        const [request] = this.journal.splice(index, 1);
+        request.removeAbortListener?.();
+        const { context, endpoint } = request.entry;
+        request.reject(new APIAbortError(`${context} was discarded`, { context, endpoint }));
+        this.notifyJournalChange();
+        return true;
+    }
+
+    /**
+     * @private
+     * @returns {void}
+     */
+    notifyJournalChange() {
+        this.onJournalChange(this.getJournal());
+    }
+
+    /**
+     * Queue a request until the connection is back
+     * @private
+     * @template TResponse
+     * @param {string} endpoint
+     * @param {RequestInit} init
+     * @param {APIRequestOptions} options
+     * @returns {Promise<TResponse>}
+     */
+    enqueue(endpoint, init, options) {
+        const { context = 'API request', signal } = options;
+        if (NEVER_JOURNALED_ENDPOINTS.includes(endpoint)) {
+            throw new Error(`${endpoint} must never be journaled`);
+        }
+
+        return new Promise((resolve, reject) => {
+            /** @type {JournaledRequest} */
+            const request = {
+                entry: {
+                    id: ++this.nextJournalId,
+                    endpoint,
+                    context,
+                    queuedAt: Date.now(),
+                    sending: false,
+                },
+                init,
+                options,
+                resolve,
+                reject,
+                removeAbortListener: null,
+            };
+            if (signal) {
+                const onAbort = () => this.discardJournalEntry(request.entry.id);
+                signal.addEventListener('abort', onAbort, { once: true });
+                request.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            console.log(`${context}: not connected, queued until the connection is back`);
+            this.journal.push(request);
+            this.notifyJournalChange();
+        });
+    }
+
+    /**
+     * Send journaled requests in order, until the journal is empty or the connection is lost again
+     * @private
+     * @returns {Promise<void>}
+     */
+    async replayJournal() {
+        if (this.replayingJournal) return;
+        this.replayingJournal = true;
+
+        try {
+            while (this.isConnected && this.journal.length > 0) {
+                const request = this.journal[0];
+                request.entry.sending = true;
+                this.notifyJournalChange();
+
+                const { context = 'API request', showError = true } = request.options;
+                try {
+                    const data = await this.send(request.entry.endpoint, request.init, { ...request.options, showError: false });
+                    request.resolve(data);
+                } catch (error) {
+                    if (error instanceof APINetworkError || error instanceof APITimeoutError) {
+                        // server not reachable (yet), keep the request and try again later
+                        console.warn(`${context}: replay failed, keeping it queued:`, error.message);
+                        request.entry.sending = false;
+                        setTimeout(() => {
+                            if (this.isConnected) this.replayJournal();
+                        }, JOURNAL_REPLAY_RETRY_DELAY_MS);
+                        break;
+                    }
+                    if (error instanceof APIError && showError) {
+                        this.onError(context + ' Error', error.userMessage, error);
+                    }
+                    request.reject(/** @type {Error} */(error));
+                }
+
+                request.removeAbortListener?.();
+                this.journal.shift();
+                this.notifyJournalChange();
+            }
+        } finally {
+            this.replayingJournal = false;
+            this.notifyJournalChange();
+        }
     }
 
     /**
@@ -78,49 +677,21 @@ class APIClient {
      * @param {Response} response - Fetch Response object
      * @param {string} [context='API request'] - Context for error messages
      * @param {boolean} [showError=true] - Whether to show error UI on failure
+     * @param {string|null} [endpoint=null] - API endpoint path, for error reporting
      * @returns {Promise<TResponse>} - Parsed response data if successful
-     * @throws {Error} - On HTTP errors (500, 409, or other non-2xx responses)
+     * @throws {APIServerError} - On HTTP 5xx
+     * @throws {APIBusyError} - On HTTP 409 (microscope busy)
+     * @throws {APIValidationError} - On HTTP 422 (invalid request)
+     * @throws {APIError} - On other non-2xx responses
      */
-    async handleResponse(response, context = 'API request', showError = true) {
+    async handleResponse(response, context = 'API request', showError = true, endpoint = null) {
         if (!response.ok) {
-            if (response.status === 500) {
-                // Handle internal server errors
-                const errorBody = await response.json();
-                const error = `${context} failed with ${response.statusText} ${response.status} because: ${JSON.stringify(errorBody)}`;
-                console.error(error);
-
-                if (showError) {
-                    this.onError(context + ' Error', errorBody.detail);
-                }
-                throw new Error(error);
-            } else if (response.status === 409) {
-                // Handle conflict errors (e.g., microscope busy)
-                /** @type {ConflictErrorModel} */
-                const errorBody = await response.json();
-                const reasons = errorBody.detail.busy_reasons.map(r => `  • ${r}`).join('\n');
-                const userMessage = `${errorBody.detail.message}:\n${reasons}`;
-
-                const error = `${context} failed with ${response.statusText} ${response.status} because: ${userMessage}`;
-                console.error(error);
-
-                if (showError) {
-                    this.onError(context + ' Error', userMessage);
-                }
-                throw new Error(error);
-            } else {
-                const responseBlob = await response.blob();
-                const responseText = await responseBlob.text();
-                try {
-                    JSON.parse(responseText);
-                } catch (e) {
-                    // Not JSON, ignore
-                }
-                const error = `${context} failed: ${response.status} ${responseText}`;
-                if (showError) {
-                    this.onError(context + ' Error', `HTTP ${response.status}: ${responseText}`);
-                }
-                throw new Error(error);
+            const error = createResponseError(response, await response.text(), context, endpoint);
+            console.error(error.message);
+            if (showError) {
+                this.onError(context + ' Error', error.userMessage, error);
             }
+            throw error;
         }
 
         return await response.json();
@@ -132,49 +703,218 @@ class APIClient {
      * @template TResponse - Type of response data
      * @param {string} endpoint - API endpoint path (e.g., '/api/acquisition/start')
      * @param {TRequest} [body] - Request body object
-     * @param {Object} [options] - Additional options
-     * @param {string} [options.context='API request'] - Context for error messages
-     * @param {boolean} [options.showError=true] - Whether to show error UI on failure
+     * @param {APIRequestOptions} [options] - Additional options
      * @returns {Promise<TResponse>} - Response data from server
+     * @throws {APIError} - On failure, see APIClient.handleResponse and APIClient.request
      */
     async post(endpoint, body, options = {}) {
-        const {
-            context = 'API request',
-            showError = true,
-        } = options;
-
-        const url = this.buildUrl(endpoint);
-        const response = await fetch(url, {
+        return this.request(endpoint, {
             method: 'POST',
             body: JSON.stringify(body),
             headers: [['Content-Type', 'application/json']],
-        });
-
-        return this.handleResponse(response, context, showError);
+        }, options);
     }
 
     /**
      * Make a GET request to the API
      * @template TResponse - Type of response data
      * @param {string} endpoint - API endpoint path (e.g., '/api/get_info/current_state')
-     * @param {Object} [options] - Additional options
-     * @param {string} [options.context='API request'] - Context for error messages
-     * @param {boolean} [options.showError=true] - Whether to show error UI on failure
+     * @param {APIRequestOptions} [options] - Additional options
      * @returns {Promise<TResponse>} - Response data from server
+     * @throws {APIError} - On failure, see APIClient.handleResponse and APIClient.request
      */
     async get(endpoint, options = {}) {
+        return this.request(endpoint, {
+            method: 'GET',
+            headers: [['Content-Type', 'application/json']],
+        }, options);
+    }
+
+    /**
+     * Get the retry policy for a request
+     * @private
+     * @param {string} endpoint - API endpoint path
+     * @param {boolean|Partial<RetryPolicy>|undefined} retry - Retry option of the request
+     * @returns {RetryPolicy} - Policy to use (maxAttempts is 1 if the request must not be retried)
+     */
+    getRetryPolicy(endpoint, retry) {
+        if (!retry) {
+            return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+        }
+        if (!this.idempotentEndpoints.has(endpoint)) {
+            console.warn(`not retrying ${endpoint}, because it is not idempotent`);
+            return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+        }
+        return { ...DEFAULT_RETRY_POLICY, ...(retry === true ? {} : retry) };
+    }
+
+    /**
+     * Send a request, or queue it if it is journaled and the server is not reachable
+     * @private
+     * @template TResponse - Type of response data
+     * @param {string} endpoint - API endpoint path
+     * @param {RequestInit} init - Fetch options (without signal)
+     * @param {APIRequestOptions} options - Request options
+     * @returns {Promise<TResponse>} - Response data from server
+     * @throws {APIError} - On failure, see APIClient.send
+     */
+    async request(endpoint, init, options) {
+        if (!(options.journal && this.journaledEndpoints.has(endpoint))) {
+            return this.send(endpoint, init, options);
+        }
+
+        // queue behind earlier journaled requests as well, to keep their order
+        if (!this.isConnected || this.journal.length > 0) {
+            return this.enqueue(endpoint, init, options);
+        }
+
+        // the connection may be lost before the status WebSocket notices, so queue the request
+        // if the server cannot be reached now. errors are shown here, after that decision.
+        const { context = 'API request', showError = true } = options;
+        try {
+            return await this.send(endpoint, init, { ...options, showError: false });
+        } catch (error) {
+            if (error instanceof APINetworkError) {
+                const queued = this.enqueue(endpoint, init, options);
+                setTimeout(() => {
+                    if (this.isConnected) this.replayJournal();
+                }, JOURNAL_REPLAY_RETRY_DELAY_MS);
+                return queued;
+            }
+            if (error instanceof APIError && showError) {
+                this.onError(context + ' Error', error.userMessage, error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a request, with timeout, cancellation and retry handling
+     * @private
+     * @template TResponse - Type of response data
+     * @param {string} endpoint - API endpoint path
+     * @param {RequestInit} init - Fetch options (without signal)
+     * @param {APIRequestOptions} options - Request options
+     * @returns {Promise<TResponse>} - Response data from server
+     * @throws {APITimeoutError} - If the request timed out
+     * @throws {APIAbortError} - If the request was aborted through options.signal
+     * @throws {APINetworkError} - If the server could not be reached
+     * @throws {APIError} - If the server responded with an error (see handleResponse)
+     * @throws {APISchemaError} - If the response does not match the schema of the endpoint
+     */
+    async send(endpoint, init, options) {
         const {
             context = 'API request',
             showError = true,
+            timeoutMs = this.timeoutMs,
+            signal,
+            retry = false,
         } = options;
 
         const url = this.buildUrl(endpoint);
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: [['Content-Type', 'application/json']],
-        });
+        const retryPolicy = this.getRetryPolicy(endpoint, retry);
+
+        const startedAt = performance.now();
+        let attempt = 1;
+        /**
+         * @param {number|null} status
+         * @param {Error|null} error
+         */
+        const reportComplete = (status, error) => {
+            this.onRequestComplete({
+                method: init.method ?? 'GET',
+                endpoint,
+                context,
+                status,
+                durationMs: performance.now() - startedAt,
+                attempts: attempt,
+                error: error ? error.name : null,
+            });
+        };
+
+        /**
+         * surface errors that did not come from a response through onError, then throw them
+         * @param {APIError} error
+         * @param {string} titleSuffix
+         * @returns {never}
+         */
+        const failWith = (error, titleSuffix) => {
+            console.error(error.message);
+            reportComplete(error.status, error);
+            error.resend = () => this.request(endpoint, init, options);
+            if (showError) {
+                this.onError(context + titleSuffix, error.userMessage, error);
+            }
+            throw error;
+        };
+
+        for (; ; attempt++) {
+            const canRetry = attempt < retryPolicy.maxAttempts;
+
+            if (signal?.aborted) {
+                failWith(new APIAbortError(`${context} was aborted`, { context, endpoint }), ' Aborted');
+            }
+
+            // combine caller signal and timeout into a single signal, while keeping
+            // track of which one fired.
+            const controller = new AbortController();
+            let timedOut = false;
+            const timer = timeoutMs != null ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeoutMs) : null;
+            const onCallerAbort = () => controller.abort();
+            signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+            /** @type {Response|null} */
+            let response = null;
+            try {
+                response = await fetch(url, { ...init, signal: controller.signal });
+                this.recorder?.recordHTTP(init.method ?? 'GET', endpoint, typeof init.body === 'string' ? init.body : null, response)
+                    .catch(error => console.warn(`${context}: failed to record the response:`, error));
+
+                if (!(canRetry && RETRYABLE_STATUS_CODES.includes(response.status))) {
+                    // reading the body is covered by the timeout as well.
+                    // errors are shown below, after resend has been attached to them.
+                    const data = await this.handleResponse(response, context, false, endpoint);
+                    checkResponseSchema(this.responseSchemas, endpoint, data, context);
+                    reportComplete(response.status, null);
+                    return data;
+                }
+                console.warn(`${context} failed with ${response.status}, retrying (attempt ${attempt}/${retryPolicy.maxAttempts})`);
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    const abortError = timedOut
+                        ? new APITimeoutError(`${context} timed out after ${(/** @type {number} */(timeoutMs) / 1000).toFixed(1)} s`, { context, endpoint }, /** @type {number} */(timeoutMs))
+                        : new APIAbortError(`${context} was aborted`, { context, endpoint });
+
+                    if (!(canRetry && timedOut)) {
+                        failWith(abortError, timedOut ? ' Timeout' : ' Aborted');
+                    }
+                    console.warn(`${abortError.message}, retrying (attempt ${attempt}/${retryPolicy.maxAttempts})`);
+                } else if (response == null && error instanceof TypeError) {
+                    // fetch only rejects with TypeError on network failure
+                    if (!canRetry) {
+                        failWith(new APINetworkError(`${context} failed because the server could not be reached: ${error.message}`, { context, endpoint }), ' Error');
+                    }
+                    console.warn(`${context} failed with network error, retrying (attempt ${attempt}/${retryPolicy.maxAttempts}):`, error);
+                } else {
+                    reportComplete(response?.status ?? null, error instanceof Error ? error : null);
+                    if (error instanceof APIError) {
+                        error.resend = () => this.request(endpoint, init, options);
+                        if (showError) {
+                            this.onError(context + ' Error', error.userMessage, error);
+                        }
+                    }
+                    throw error;
+                }
+            } finally {
+                if (timer != null) clearTimeout(timer);
+                signal?.removeEventListener('abort', onCallerAbort);
+            }
 
-        return this.handleResponse(response, context, showError);
+            await new Promise(resolve => setTimeout(resolve, retryPolicy.delayMs * Math.pow(2, attempt - 1)));
+        }
     }
 }
 
@@ -189,9 +929,17 @@ class WebSocketManager {
      */
     constructor(baseURL, options = {}) {
         this.baseURL = baseURL;
-        this.reconnectDelay = options.reconnectDelay || 200;
+        this.reconnectDelay = options.reconnectDelay || DEFAULT_RECONNECT_POLICY.initialDelayMs;
         this.onError = options.onError || (() => {});
         this.onConnectionStateChange = options.onConnectionStateChange || (() => {});
+        this.recorder = options.recorder ?? null;
+
+        /** @type {ReconnectPolicy} */
+        this.reconnectPolicy = {
+            ...DEFAULT_RECONNECT_POLICY,
+            initialDelayMs: this.reconnectDelay,
+            ...options.reconnectPolicy,
+        };
 
         /** @type {Map<string, WebSocketConnectionData>} */
         this.connections = new Map();
@@ -223,73 +971,115 @@ class WebSocketManager {
             onClose = () => {},
             onError = () => {},
             autoReconnect = true,
+            reconnectPolicy = {},
         } = options;
 
         // Close existing connection if present
         const existing = this.connections.get(name);
         if (existing) {
+            this.clearReconnectTimer(existing);
             if (existing.ws && existing.ws.readyState !== WebSocket.CLOSED) {
+                this.recorder?.recordWebSocketClose(existing.ws, 'client');
                 existing.ws.close();
             }
         }
 
+        /** @type {WebSocketConnectionData} */
+        const connectionData = {
+            // assigned in openSocket
+            ws: /** @type {WebSocket} */(/** @type {unknown} */(null)),
+            endpoint,
+            options: {
+                onMessage,
+                onOpen,
+                onClose,
+                onError,
+                autoReconnect,
+                reconnectPolicy,
+            },
+            reconnectAttempts: 0,
+            state: 'connecting',
+            reconnectTimer: null,
+            nextRetryAt: null,
+        };
+
+        this.connections.set(name, connectionData);
+
+        return this.openSocket(name, connectionData);
+    }
+
+    /**
+     * Open the socket for a connection, reusing its options and reconnection state
+     * @private
+     * @param {string} name - Connection name
+     * @param {WebSocketConnectionData} connectionData - Connection to (re)open
+     * @returns {WebSocket|null} - The WebSocket instance, or null if creation failed
+     */
+    openSocket(name, connectionData) {
+        const {
+            onMessage = () => {},
+            onOpen = () => {},
+            onClose = () => {},
+            onError = () => {},
+        } = connectionData.options;
+
+        let ws;
         try {
-            const url = this.buildUrl(endpoint);
-            const ws = new WebSocket(url);
+            const url = this.buildUrl(connectionData.endpoint);
+            ws = new WebSocket(url);
+        } catch (error) {
+            // the constructor only throws for invalid urls, retrying would not help.
+            console.warn(`Failed to create WebSocket '${name}':`, error);
+            this.onError(`Failed to create WebSocket: ${JSON.stringify(error)}`);
+            this.setConnectionState(name, connectionData, 'closed');
+            return null;
+        }
 
-            const connectionData = {
-                ws,
-                endpoint,
-                options: {
-                    onMessage,
-                    onOpen,
-                    onClose,
-                    onError,
-                    autoReconnect,
-                },
-                reconnectAttempts: 0,
-            };
+        connectionData.ws = ws;
+        this.recorder?.recordWebSocketOpen(ws, name, connectionData.endpoint);
+        this.setConnectionState(name, connectionData, 'connecting');
 
-            this.connections.set(name, connectionData);
+        // browsers fire close after error, so both handlers end up here.
+        // only the first one may schedule a reconnect.
+        let disconnected = false;
+        const handleDisconnect = () => {
+            if (disconnected) return;
+            disconnected = true;
 
-            ws.onopen = () => {
-                connectionData.reconnectAttempts = 0;
-                this.onConnectionStateChange(name, true);
-                onOpen(ws);
-            };
+            // ignore sockets that have been replaced or closed on purpose
+            if (this.connections.get(name) !== connectionData || connectionData.ws !== ws) return;
 
-            ws.onmessage = (event) => {
-                onMessage(event);
-            };
+            if (connectionData.options.autoReconnect) {
+                this.scheduleReconnect(name);
+            } else {
+                this.setConnectionState(name, connectionData, 'closed');
+            }
+        };
 
-            ws.onerror = (event) => {
-                this.onConnectionStateChange(name, false);
-                onError(event);
+        ws.onopen = () => {
+            connectionData.reconnectAttempts = 0;
+            this.setConnectionState(name, connectionData, 'open');
+            onOpen(ws);
+        };
 
-                // Only schedule reconnect if this is still the current connection
-                const currentConn = this.connections.get(name);
-                if (autoReconnect && currentConn && currentConn.ws === ws) {
-                    this.scheduleReconnect(name);
-                }
-            };
+        ws.onmessage = (event) => {
+            this.recorder?.recordWebSocketMessage(ws, event.data);
+            onMessage(event);
+        };
 
-            ws.onclose = () => {
-                this.onConnectionStateChange(name, false);
-                onClose();
+        ws.onerror = (event) => {
+            onError(event);
+            handleDisconnect();
+        };
 
-                // Only schedule reconnect if this is still the current connection
-                const currentConn = this.connections.get(name);
-                if (autoReconnect && currentConn && currentConn.ws === ws) {
-                    this.scheduleReconnect(name);
-                }
-            };
+        ws.onclose = () => {
+            // sockets closed on purpose are recorded in closeConnection already
+            this.recorder?.recordWebSocketClose(ws, 'server');
+            onClose();
+            handleDisconnect();
+        };
 
-            return ws;
-        } catch (error) {
-            console.warn(`Failed to create WebSocket '${name}':`, error);
-            this.onError(`Failed to create WebSocket: ${JSON.stringify(error)}`);
-            return null;
-        }
+        return ws;
     }
 
     /**
@@ -302,6 +1092,25 @@ class WebSocketManager {
         return connectionData ? connectionData.ws : null;
     }
 
+    /**
+     * Get the status of a connection, including its reconnection state
+     * @param {string} name - Connection name
+     * @returns {WebSocketConnectionStatus|null} - Connection status, or null if not found
+     */
+    getConnectionStatus(name) {
+        const connectionData = this.connections.get(name);
+        if (!connectionData) return null;
+
+        const ws = connectionData.ws;
+        return {
+            connected: !!ws && ws.readyState === WebSocket.OPEN,
+            readyState: ws ? ws.readyState : null,
+            reconnectAttempts: connectionData.reconnectAttempts,
+            state: connectionData.state,
+            nextRetryAt: connectionData.nextRetryAt,
+        };
+    }
+
     /**
      * Check if a connection is open
      * @param {string} name - Connection name
@@ -339,6 +1148,7 @@ class WebSocketManager {
     send(name, data) {
         const ws = this.getConnection(name);
         if (ws && ws.readyState === WebSocket.OPEN) {
+            this.recorder?.recordWebSocketSend(ws, data);
             ws.send(data);
             return true;
         }
@@ -356,7 +1166,50 @@ class WebSocketManager {
     }
 
     /**
-     * Schedule a reconnection attempt
+     * Get the effective reconnection policy for a connection
+     * @private
+     * @param {WebSocketConnectionData} connectionData
+     * @returns {ReconnectPolicy}
+     */
+    getReconnectPolicy(connectionData) {
+        return { ...this.reconnectPolicy, ...connectionData.options.reconnectPolicy };
+    }
+
+    /**
+     * Update the state of a connection and notify onConnectionStateChange
+     * @private
+     * @param {string} name - Connection name
+     * @param {WebSocketConnectionData} connectionData
+     * @param {WebSocketConnectionState} state - New state
+     * @param {number|null} [retryInMs=null] - Delay until the next attempt, if one is scheduled
+     * @returns {void}
+     */
+    setConnectionState(name, connectionData, state, retryInMs = null) {
+        connectionData.state = state;
+        this.onConnectionStateChange(name, state === 'open', {
+            state,
+            reconnectAttempts: connectionData.reconnectAttempts,
+            retryInMs,
+            nextRetryAt: connectionData.nextRetryAt,
+        });
+    }
+
+    /**
+     * Cancel a pending reconnection attempt, if any
+     * @private
+     * @param {WebSocketConnectionData} connectionData
+     * @returns {void}
+     */
+    clearReconnectTimer(connectionData) {
+        if (connectionData.reconnectTimer != null) {
+            clearTimeout(connectionData.reconnectTimer);
+        }
+        connectionData.reconnectTimer = null;
+        connectionData.nextRetryAt = null;
+    }
+
+    /**
+     * Schedule a reconnection attempt, according to the connection's reconnection policy
      * @private
      * @param {string} name - Connection name to reconnect
      * @returns {void}
@@ -365,17 +1218,52 @@ class WebSocketManager {
         const connectionData = this.connections.get(name);
         if (!connectionData) return;
 
+        // an attempt is already scheduled
+        if (connectionData.reconnectTimer != null) return;
+
+        const policy = this.getReconnectPolicy(connectionData);
+        if (policy.maxAttempts != null && connectionData.reconnectAttempts >= policy.maxAttempts) {
+            console.warn(`WebSocket '${name}' gave up reconnecting after ${connectionData.reconnectAttempts} attempts`);
+            this.setConnectionState(name, connectionData, 'gave-up');
+            return;
+        }
+
         connectionData.reconnectAttempts++;
 
-        setTimeout(() => {
-            if (this.connections.has(name)) {
-                this.createConnection(
-                    name,
-                    connectionData.endpoint,
-                    connectionData.options
-                );
+        const delay = computeReconnectDelay(policy, connectionData.reconnectAttempts);
+        connectionData.nextRetryAt = Date.now() + delay;
+        connectionData.reconnectTimer = setTimeout(() => {
+            connectionData.reconnectTimer = null;
+            connectionData.nextRetryAt = null;
+
+            // connection may have been closed or replaced in the meantime
+            if (this.connections.get(name) === connectionData) {
+                this.openSocket(name, connectionData);
             }
-        }, this.reconnectDelay);
+        }, delay);
+
+        this.setConnectionState(name, connectionData, 'backing-off', delay);
+    }
+
+    /**
+     * Skip the remaining backoff delay and reconnect immediately.
+     *
+     * Also restarts reconnection for connections that gave up.
+     * @param {string} name - Connection name
+     * @returns {boolean} - True if a reconnection attempt was started
+     */
+    retryNow(name) {
+        const connectionData = this.connections.get(name);
+        if (!connectionData) return false;
+        if (connectionData.state !== 'backing-off' && connectionData.state !== 'gave-up') return false;
+
+        this.clearReconnectTimer(connectionData);
+        if (connectionData.state === 'gave-up') {
+            // start over with a fresh attempt budget
+            connectionData.reconnectAttempts = 0;
+        }
+
+        return this.openSocket(name, connectionData) != null;
     }
 
     /**
@@ -387,12 +1275,16 @@ class WebSocketManager {
      */
     closeConnection(name, code = 1000, reason = '') {
         const connectionData = this.connections.get(name);
+        if (connectionData) {
+            this.clearReconnectTimer(connectionData);
+        }
         if (connectionData && connectionData.ws) {
             // Prevent auto-reconnect by temporarily disabling it
             const wasAutoReconnect = connectionData.options.autoReconnect;
             connectionData.options.autoReconnect = false;
 
             if (connectionData.ws.readyState !== WebSocket.CLOSED) {
+                this.recorder?.recordWebSocketClose(connectionData.ws, 'client');
                 connectionData.ws.close(code, reason);
             }
 
@@ -413,4 +1305,17 @@ class WebSocketManager {
     }
 }
 
-export { APIClient, WebSocketManager };
+export {
+    checkResponseSchema,
+    createResponseError,
+    APIClient,
+    WebSocketManager,
+    APIError,
+    APIServerError,
+    APIBusyError,
+    APIValidationError,
+    APISchemaError,
+    APINetworkError,
+    APIAbortError,
+    APITimeoutError,
+};
@@ -0,0 +1,429 @@
+"use strict";
+
+/**
+ * Runtime schemas for server responses, mirroring the types in types/seafront.d.ts.
+ *
+ * Only fields the interface relies on are described. Additional fields in a response
+ * are allowed, so that a newer server does not break an older interface.
+ */
+
+/**
+ * @typedef {Object} SchemaMismatch
+ * @property {string} path - Path of the diverging field (e.g. 'adapter_state.stage_position.x_pos_mm')
+ * @property {string} expected - Description of the expected value (e.g. 'number')
+ * @property {string} actual - Description of the actual value (e.g. 'undefined')
+ */
+
+/**
+ * Checks a value, returns null if it matches, or the first mismatch otherwise.
+ * @typedef {(value: unknown, path: string) => SchemaMismatch|null} Schema
+ */
+
+/**
+ * describe a value for error messages
+ * @param {unknown} value
+ * @returns {string}
+ */
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'string') return `string ${JSON.stringify(value.length > 32 ? value.slice(0, 32) + '…' : value)}`;
+    if (typeof value === 'number' || typeof value === 'boolean') return `${typeof value} ${value}`;
+    return typeof value;
+}
+
+/**
+ * @param {string} typeName - typeof result to check for
+ * @returns {Schema}
+ */
+function primitive(typeName) {
+    return (value, path) => typeof value === typeName ? null : { path, expected: typeName, actual: describeValue(value) };
+}
+
+/** @type {Schema} */
+export const string = primitive('string');
+/** @type {Schema} */
+export const number = (value, path) => (typeof value === 'number' && !Number.isNaN(value))
+    ? null
+    : { path, expected: 'number', actual: describeValue(value) };
+/** @type {Schema} */
+export const boolean = primitive('boolean');
+/** @type {Schema} */
+export const any = () => null;
+
+/**
+ * value may also be null
+ * @param {Schema} schema
+ * @returns {Schema}
+ */
+export function nullable(schema) {
+    return (value, path) => value === null ? null : schema(value, path);
+}
+
+/**
+ * value may also be missing (undefined)
+ * @param {Schema} schema
+ * @returns {Schema}
+ */
+export function optional(schema) {
+    return (value, path) => value === undefined ? null : schema(value, path);
+}
+
+/**
+ * value must be one of the listed literals
+ * @param {...(string|number|boolean)} literals
+ * @returns {Schema}
+ */
+export function literal(...literals) {
+    return (value, path) => literals.includes(/** @type {*} */(value))
+        ? null
+        : { path, expected: literals.map(l => JSON.stringify(l)).join(' | '), actual: describeValue(value) };
+}
+
+/**
+ * value must match at least one of the schemas
+ * @param {...Schema} schemas
+ * @returns {Schema}
+ */
+export function anyOf(...schemas) {
+    return (value, path) => {
+        /** @type {SchemaMismatch[]} */
+        const mismatches = [];
+        for (const schema of schemas) {
+            const mismatch = schema(value, path);
+            if (!mismatch) return null;
+            mismatches.push(mismatch);
+        }
+        return { path, expected: mismatches.map(m => m.expected).join(' | '), actual: describeValue(value) };
+    };
+}
+
+/**
+ * value must be an array, with each element matching schema
+ * @param {Schema} schema
+ * @returns {Schema}
+ */
+export function arrayOf(schema) {
+    return (value, path) => {
+        if (!Array.isArray(value)) {
+            return { path, expected: 'array', actual: describeValue(value) };
+        }
+        for (let i = 0; i < value.length; i++) {
+            const mismatch = schema(value[i], `${path}[${i}]`);
+            if (mismatch) return mismatch;
+        }
+        return null;
+    };
+}
+
+/**
+ * value must be an object (not null, not an array)
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * value must be an object with (at least) the listed fields
+ * @param {Record<string, Schema>} fields
+ * @returns {Schema}
+ */
+export function object(fields) {
+    return (value, path) => {
+        if (!isPlainObject(value)) {
+            return { path, expected: 'object', actual: describeValue(value) };
+        }
+        for (const [key, schema] of Object.entries(fields)) {
+            const mismatch = schema(value[key], path ? `${path}.${key}` : key);
+            if (mismatch) return mismatch;
+        }
+        return null;
+    };
+}
+
+/**
+ * value must be an object with arbitrary keys, where each value matches schema
+ * @param {Schema} schema
+ * @returns {Schema}
+ */
+export function recordOf(schema) {
+    return (value, path) => {
+        if (!isPlainObject(value)) {
+            return { path, expected: 'object', actual: describeValue(value) };
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const mismatch = schema(item, path ? `${path}.${key}` : key);
+            if (mismatch) return mismatch;
+        }
+        return null;
+    };
+}
+
+/**
+ * Check a value against a schema
+ * @param {Schema} schema
+ * @param {unknown} value
+ * @returns {SchemaMismatch|null} - null if the value matches the schema, otherwise the first diverging field
+ */
+export function validateSchema(schema, value) {
+    const mismatch = schema(value, '');
+    if (mismatch && mismatch.path === '') {
+        mismatch.path = '(root)';
+    }
+    return mismatch;
+}
+
+// -- schemas of the types in types/seafront.d.ts
+
+const AdapterPosition = object({
+    x_pos_mm: number,
+    y_pos_mm: number,
+    z_pos_mm: number,
+});
+
+const AcquisitionChannelConfig = object({
+    name: string,
+    handle: string,
+    analog_gain: number,
+    exposure_time_ms: number,
+    illum_perc: number,
+    num_z_planes: number,
+    z_offset_um: number,
+    enabled: boolean,
+    filter_handle: optional(nullable(string)),
+    delta_z_um: optional(number),
+});
+
+const ChannelInfo = object({
+    channel: AcquisitionChannelConfig,
+    height_px: number,
+    width_px: number,
+    storage_path: optional(nullable(string)),
+    position: AdapterPosition,
+    timestamp: number,
+});
+
+const CoreCurrentState = object({
+    adapter_state: object({
+        is_in_loading_position: boolean,
+        stage_position: AdapterPosition,
+    }),
+    latest_imgs: recordOf(ChannelInfo),
+    current_acquisition_id: optional(nullable(string)),
+    is_streaming: boolean,
+    is_busy: boolean,
+    microscope_name: string,
+    last_acquisition_error: optional(nullable(string)),
+    last_acquisition_error_timestamp: optional(nullable(string)),
+});
+
+const Wellplate = object({
+    Manufacturer: string,
+    Model_id: string,
+    Model_name: string,
+    Num_wells_x: number,
+    Num_wells_y: number,
+    Offset_A1_x_mm: number,
+    Offset_A1_y_mm: number,
+    Width_mm: number,
+    Length_mm: number,
+    Well_distance_x_mm: number,
+    Well_distance_y_mm: number,
+    Well_size_x_mm: number,
+    Well_size_y_mm: number,
+    Well_edge_radius_mm: number,
+});
+
+const HardwareLimitValue = object({
+    min: number,
+    max: number,
+    step: number,
+});
+
+const HardwareCapabilities = object({
+    main_camera_imaging_channels: arrayOf(AcquisitionChannelConfig),
+    wellplate_types: arrayOf(Wellplate),
+    hardware_limits: object({
+        imaging_exposure_time_ms: HardwareLimitValue,
+        imaging_analog_gain_db: HardwareLimitValue,
+        imaging_focus_offset_um: HardwareLimitValue,
+        imaging_illum_perc: HardwareLimitValue,
+        imaging_number_z_planes: HardwareLimitValue,
+        imaging_delta_z_um: HardwareLimitValue,
+    }),
+});
+
+const ConfigItem = object({
+    name: string,
+    handle: string,
+    value_kind: literal('int', 'float', 'text', 'option', 'action'),
+    value: anyOf(number, string),
+    frozen: boolean,
+    options: optional(nullable(arrayOf(object({
+        name: string,
+        handle: string,
+    })))),
+});
+
+const SiteLayout = anyOf(
+    object({ kind: literal('grid') }),
+    object({ kind: literal('concentric'), spacing_mm: number, margin_mm: number }),
+    object({ kind: literal('free'), sites: arrayOf(object({ x_mm: number, y_mm: number })) }),
+);
+
+const AcquisitionConfig = object({
+    project_name: string,
+    plate_name: string,
+    cell_line: string,
+    plate_wells: arrayOf(object({
+        row: number,
+        col: number,
+        selected: boolean,
+        site_layout: optional(nullable(SiteLayout)),
+    })),
+    grid: object({
+        num_x: number,
+        delta_x_mm: number,
+        num_y: number,
+        delta_y_mm: number,
+        num_t: number,
+        delta_t: object({
+            h: number,
+            m: number,
+            s: number,
+        }),
+        mask: arrayOf(object({
+            row: number,
+            col: number,
+            selected: boolean,
+        })),
+        layout: optional(nullable(SiteLayout)),
+    }),
+    autofocus_enabled: boolean,
+    comment: nullable(string),
+    machine_config: arrayOf(ConfigItem),
+    wellplate_type: Wellplate,
+    timestamp: nullable(string),
+    channels: arrayOf(AcquisitionChannelConfig),
+});
+
+const ImageStoreInfo = object({
+    channel: AcquisitionChannelConfig,
+    width_px: number,
+    height_px: number,
+    timestamp: number,
+    position: object({
+        well_name: string,
+        site_x: number,
+        site_y: number,
+        site_z: number,
+        position: AdapterPosition,
+    }),
+    storage_path: optional(nullable(string)),
+});
+
+const AcquisitionStatusOut = object({
+    acquisition_id: string,
+    acquisition_status: literal('running', 'cancelled', 'completed', 'crashed', 'scheduled'),
+    acquisition_progress: object({
+        current_num_images: number,
+        time_since_start_s: number,
+        start_time_iso: string,
+        current_storage_usage_GB: number,
+        estimated_remaining_time_s: nullable(number),
+        last_image: nullable(ImageStoreInfo),
+    }),
+    acquisition_meta_information: object({
+        total_num_images: number,
+        max_storage_size_images_GB: number,
+    }),
+    // not used by the interface, only check that it is present
+    acquisition_config: object({}),
+    message: string,
+});
+
+const BasicSuccessResponse = object({});
+
+/**
+ * Response schemas, keyed by endpoint.
+ *
+ * Keys starting with /ws/ describe the messages received on that WebSocket.
+ * Endpoints without entry are not validated.
+ * @type {Record<string, Schema>}
+ */
+export const RESPONSE_SCHEMAS = {
+    '/openapi.json': object({
+        info: object({
+            version: string,
+            'x-seafront-features': optional(arrayOf(string)),
+        }),
+        paths: recordOf(any),
+    }),
+
+    '/api/get_info/current_state': CoreCurrentState,
+    '/ws/get_info/current_state': CoreCurrentState,
+
+    '/api/get_features/hardware_capabilities': HardwareCapabilities,
+    '/api/get_features/machine_defaults': arrayOf(ConfigItem),
+
+    '/api/acquisition/config_list': object({
+        configs: arrayOf(object({
+            filename: string,
+            project_name: string,
+            plate_name: string,
+            comment: string,
+            timestamp: string,
+            cell_line: string,
+            plate_type: Wellplate,
+        })),
+    }),
+    '/api/acquisition/config_store': BasicSuccessResponse,
+    '/api/acquisition/config_fetch': object({
+        file: AcquisitionConfig,
+    }),
+    '/api/acquisition/start': object({
+        acquisition_id: string,
+    }),
+    '/api/acquisition/cancel': BasicSuccessResponse,
+    '/api/acquisition/status': AcquisitionStatusOut,
+    '/ws/acquisition/status': AcquisitionStatusOut,
+
+    '/api/action/move_by': object({
+        axis: string,
+        moved_by_mm: number,
+    }),
+    '/api/action/move_to': BasicSuccessResponse,
+    '/api/action/move_to_well': BasicSuccessResponse,
+    '/api/action/snap_channel': BasicSuccessResponse,
+    '/api/action/snap_selected_channels': object({
+        channel_handles: arrayOf(string),
+    }),
+    '/api/action/enter_loading_position': BasicSuccessResponse,
+    '/api/action/leave_loading_position': BasicSuccessResponse,
+    '/api/action/stream_channel_begin': object({
+        channel: AcquisitionChannelConfig,
+    }),
+    '/api/action/stream_channel_end': BasicSuccessResponse,
+    '/api/action/machine_config_flush': BasicSuccessResponse,
+    '/api/action/laser_autofocus_calibrate': object({
+        calibration_data: object({
+            um_per_px: number,
+            x_reference: number,
+            calibration_position: AdapterPosition,
+        }),
+    }),
+    '/api/action/laser_autofocus_move_to_target_offset': object({
+        num_compensating_moves: number,
+        uncompensated_offset_mm: number,
+        reached_threshold: boolean,
+    }),
+    '/api/action/laser_autofocus_measure_displacement': object({
+        displacement_um: number,
+    }),
+    '/api/action/snap_reflection_autofocus': object({
+        width_px: number,
+        height_px: number,
+    }),
+};
@@ -1,6 +1,7 @@
 "use strict";
 
 import * as THREE from 'three';
+import { PointerGestures } from "./pointer-gestures.js";
 
 /**
  * @typedef {Object} ChannelImageData
@@ -18,6 +19,7 @@ import * as THREE from 'three';
  * @property {(event: MouseEvent) => void} mousedown
  * @property {(event: MouseEvent) => void} mouseup
  * @property {(event: MouseEvent) => void} mousemove
+ * @property {PointerGestures} gestures - touch and pen
  */
 
 /**
@@ -59,6 +61,12 @@ export class ChannelImageView {
 
         this.drag = { active: false, x: 0, y: 0 };
 
+        /**
+         * called on double tap, with the tapped position as fraction of the image size (from the top left corner)
+         * @type {((channelhandle: string, x: number, y: number) => void)|null}
+         */
+        this.onObjectiveMoveTo = null;
+
         // toggle drawing loop based on visibility of the plot container
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
@@ -212,6 +220,7 @@ export class ChannelImageView {
             existing.elem.removeEventListener("mousedown", existing.mousedown);
             existing.elem.removeEventListener("mouseup", existing.mouseup);
             existing.elem.removeEventListener("mousemove", existing.mousemove);
+            existing.gestures.detach();
             sceneInfo.listeners = null;
         } else if (existing && existing.elem === elem) {
             return;
@@ -224,18 +233,10 @@ export class ChannelImageView {
             let delta_zoom = event.deltaY * this.scrollSpeed;
             // apply
             if (delta_zoom > 0) {
-                sceneInfo.range.zoom *= 1 + delta_zoom;
+                this._zoomBy(sceneInfo, 1 / (1 + delta_zoom));
             } else {
-                sceneInfo.range.zoom /= 1 - delta_zoom;
+                this._zoomBy(sceneInfo, 1 - delta_zoom);
             }
-
-            sceneInfo.range.zoom = Math.min(Math.max(sceneInfo.range.zoom, this.zoomLimit.min), this.zoomLimit.max);
-
-            // link zooms across channel views
-            for (const otherscene of this.sceneInfos) {
-                otherscene.range.zoom = sceneInfo.range.zoom;
-            }
-
         });
 
         const mouseDownHandler = /** @type {(event: MouseEvent) => void} */((event) => {
@@ -259,37 +260,23 @@ export class ChannelImageView {
             const deltax = event.clientX - this.drag.x;
             const deltay = event.clientY - this.drag.y;
 
-            // Get element dimensions to calculate pixel-to-image coordinate conversion
-            const elemRect = elem.getBoundingClientRect();
-
-            if (sceneInfo.img && elemRect.width > 0 && elemRect.height > 0) {
-                // Calculate the actual displayed image size accounting for zoom and aspect ratio
-                const displayedImageWidth = sceneInfo.img.width * sceneInfo.range.zoom;
-                const displayedImageHeight = sceneInfo.img.height * sceneInfo.range.zoom;
-
-                // Calculate the scale factor from screen pixels to image coordinates
-                // This accounts for how much of the element is filled by the image
-                const scaleX = displayedImageWidth / elemRect.width;
-                const scaleY = displayedImageHeight / elemRect.height;
-
-                // Apply the drag with proper scaling so mouse stays pinned to same image pixel
-                sceneInfo.range.offsetx -= deltax * scaleX;
-                sceneInfo.range.offsety += deltay * scaleY;
-            } else {
-                // Fallback to old behavior if image not loaded yet
-                sceneInfo.range.offsetx -= deltax * sceneInfo.range.zoom;
-                sceneInfo.range.offsety += deltay * sceneInfo.range.zoom;
-            }
+            this._panBy(sceneInfo, elem, deltax, deltay);
 
             // update current cursor position for later updates
             this.drag.x = event.clientX;
             this.drag.y = event.clientY;
+        });
 
-            // link offsets across channel views
-            for (const otherscene of this.sceneInfos) {
-                otherscene.range.offsetx = sceneInfo.range.offsetx;
-                otherscene.range.offsety = sceneInfo.range.offsety;
-            }
+        // touch and pen: same as the plate view (nothing to select here, so long press does nothing)
+        const gestures = new PointerGestures(elem, {
+            pan: delta => this._panBy(sceneInfo, elem, delta.x, delta.y),
+            zoom: factor => this._zoomBy(sceneInfo, factor),
+            doubleTap: point => {
+                const imagePos = this._elementToImageFraction(sceneInfo, elem, point.x, point.y);
+                if (imagePos && this.onObjectiveMoveTo) {
+                    this.onObjectiveMoveTo(sceneInfo.channelhandle, imagePos.x, imagePos.y);
+                }
+            },
         });
 
         elem.addEventListener("wheel", wheelHandler, { capture: true, passive: false });
@@ -303,9 +290,93 @@ export class ChannelImageView {
             mousedown: mouseDownHandler,
             mouseup: mouseUpHandler,
             mousemove: mouseMoveHandler,
+            gestures,
         };
     }
 
+    /**
+     * Zoom all channel views
+     * @param {SceneInfo} sceneInfo - View that is zoomed
+     * @param {number} factor - > 1 to zoom in
+     */
+    _zoomBy(sceneInfo, factor) {
+        sceneInfo.range.zoom /= factor;
+        sceneInfo.range.zoom = Math.min(Math.max(sceneInfo.range.zoom, this.zoomLimit.min), this.zoomLimit.max);
+
+        // link zooms across channel views
+        for (const otherscene of this.sceneInfos) {
+            otherscene.range.zoom = sceneInfo.range.zoom;
+        }
+    }
+
+    /**
+     * Pan all channel views
+     * @param {SceneInfo} sceneInfo - View that is dragged
+     * @param {HTMLElement} elem - Element of the view
+     * @param {number} deltax - Screen pixels
+     * @param {number} deltay - Screen pixels
+     */
+    _panBy(sceneInfo, elem, deltax, deltay) {
+        // Get element dimensions to calculate pixel-to-image coordinate conversion
+        const elemRect = elem.getBoundingClientRect();
+
+        if (sceneInfo.img && elemRect.width > 0 && elemRect.height > 0) {
+            // Calculate the actual displayed image size accounting for zoom and aspect ratio
+            const displayedImageWidth = sceneInfo.img.width * sceneInfo.range.zoom;
+            const displayedImageHeight = sceneInfo.img.height * sceneInfo.range.zoom;
+
+            // Calculate the scale factor from screen pixels to image coordinates
+            // This accounts for how much of the element is filled by the image
+            const scaleX = displayedImageWidth / elemRect.width;
+            const scaleY = displayedImageHeight / elemRect.height;
+
+            // Apply the drag with proper scaling so mouse stays pinned to same image pixel
+            sceneInfo.range.offsetx -= deltax * scaleX;
+            sceneInfo.range.offsety += deltay * scaleY;
+        } else {
+            // Fallback to old behavior if image not loaded yet
+            sceneInfo.range.offsetx -= deltax * sceneInfo.range.zoom;
+            sceneInfo.range.offsety += deltay * sceneInfo.range.zoom;
+        }
+
+        // link offsets across channel views
+        for (const otherscene of this.sceneInfos) {
+            otherscene.range.offsetx = sceneInfo.range.offsetx;
+            otherscene.range.offsety = sceneInfo.range.offsety;
+        }
+    }
+
+    /**
+     * Position in the image shown at a position in the element of a view
+     * @param {SceneInfo} sceneInfo
+     * @param {HTMLElement} elem - Element of the view
+     * @param {number} x - Screen pixels from the left of the element
+     * @param {number} y - Screen pixels from the top of the element
+     * @returns {{x: number, y: number}|null} - Fraction of the image size from its top left corner, null if outside the image
+     */
+    _elementToImageFraction(sceneInfo, elem, x, y) {
+        const elemRect = elem.getBoundingClientRect();
+        if (!sceneInfo.img || elemRect.width <= 0 || elemRect.height <= 0) return null;
+
+        // camera bounds are in image pixels, with the image centered at the origin (see renderSceneInfo)
+        const camera = sceneInfo.camera;
+        const world_x = camera.left + (x / elemRect.width) * (camera.right - camera.left);
+        const world_y = camera.top - (y / elemRect.height) * (camera.top - camera.bottom);
+
+        const fraction_x = world_x / sceneInfo.img.width + 0.5;
+        const fraction_y = 0.5 - world_y / sceneInfo.img.height;
+        if (fraction_x < 0 || fraction_x > 1 || fraction_y < 0 || fraction_y > 1) return null;
+        return { x: fraction_x, y: fraction_y };
+    }
+
+    /**
+     * Set callback for double taps on an image (to move the objective there)
+     * @param {(channelhandle: string, x: number, y: number) => void} callback - Receives the tapped position as fraction of the image size, from its top left corner
+     */
+    setObjectiveMoveCallback(callback) {
+        this.onObjectiveMoveTo = callback;
+    }
+
     /**
      * 
      * @param {CachedChannelImage} imageinfo 
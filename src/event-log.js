@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * In-app event log, for diagnostics and bug reports.
+ *
+ * Records api calls, websocket state changes, acquisition status transitions and errors
+ * shown to the user. The log is kept in memory (bounded), and can be exported as JSON lines.
+ */
+
+/**
+ * - api: api call finished (or failed)
+ * - websocket: websocket connection state changed
+ * - acquisition: acquisition status changed
+ * - error: error shown to the user
+ * - info: anything else worth keeping (e.g. calibration results)
+ * @typedef {'api'|'websocket'|'acquisition'|'error'|'info'} EventCategory
+ */
+
+/** all event categories, e.g. for filter ui */
+export const EVENT_CATEGORIES = /** @type {EventCategory[]} */ (['api', 'websocket', 'acquisition', 'error', 'info']);
+
+/**
+ * @typedef {Object} LogEvent
+ * @property {number} seq - Sequence number, increasing by one per recorded event
+ * @property {string} timestamp - ISO 8601 time of the event
+ * @property {EventCategory} category
+ * @property {string} message - Short human readable summary
+ * @property {Record<string, unknown>} [details] - Structured data (must be JSON serializable)
+ */
+
+/**
+ * @typedef {Object} LogEventFilter
+ * @property {EventCategory[]} [categories] - Only events of these categories (all, if missing or empty)
+ * @property {string} [text] - Only events whose message or details contain this text (case insensitive)
+ */
+
+/** number of events kept by default, older events are dropped */
+export const DEFAULT_EVENT_LOG_CAPACITY = 5000;
+
+export class EventLog {
+    /**
+     * @param {{capacity?: number}} [options]
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity ?? DEFAULT_EVENT_LOG_CAPACITY;
+        /** @type {LogEvent[]} */
+        this.events = [];
+        this.nextSeq = 1;
+        /** @type {Set<(event: LogEvent) => void>} */
+        this.listeners = new Set();
+    }
+
+    /**
+     * Record an event
+     * @param {EventCategory} category
+     * @param {string} message
+     * @param {Record<string, unknown>} [details]
+     * @returns {LogEvent}
+     */
+    record(category, message, details) {
+        /** @type {LogEvent} */
+        const event = {
+            seq: this.nextSeq++,
+            timestamp: new Date().toISOString(),
+            category,
+            message,
+        };
+        if (details !== undefined) event.details = details;
+
+        this.events.push(event);
+        if (this.events.length > this.capacity) {
+            this.events.splice(0, this.events.length - this.capacity);
+        }
+
+        for (const listener of this.listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.warn('event log listener failed:', error);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Get notified of every recorded event
+     * @param {(event: LogEvent) => void} listener
+     * @returns {() => void} - Removes the listener again
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Events matching a filter, oldest first
+     * @param {LogEventFilter} [filter]
+     * @returns {LogEvent[]}
+     */
+    filter(filter = {}) {
+        const categories = filter.categories?.length ? new Set(filter.categories) : null;
+        const text = filter.text?.trim().toLowerCase() || null;
+
+        return this.events.filter(event => {
+            if (categories && !categories.has(event.category)) return false;
+            if (text) {
+                const haystack = event.details === undefined
+                    ? event.message
+                    : `${event.message} ${JSON.stringify(event.details)}`;
+                if (!haystack.toLowerCase().includes(text)) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Export events as JSON lines (one event per line)
+     * @param {LogEventFilter} [filter]
+     * @returns {string}
+     */
+    toJSONLines(filter) {
+        return this.filter(filter).map(event => JSON.stringify(event)).join('\n') + '\n';
+    }
+
+    /**
+     * Remove all events
+     * @returns {void}
+     */
+    clear() {
+        this.events = [];
+    }
+}
+
+/** event log of this page */
+export const eventLog = new EventLog();
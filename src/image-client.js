@@ -0,0 +1,441 @@
+"use strict";
+
+import { APIAbortError, APITimeoutError } from "./api-client.js";
+// relative import (instead of the "json5" import map entry), so that the module also works in node (tools/)
+import JSON5 from "../vendor/json5/json5-2-2-3.js";
+
+/**
+ * Image fetch protocol, spoken on IMAGE_WS_ENDPOINT.
+ *
+ * Every request carries a client-chosen request_id, which the server echoes in its reply.
+ * Replies may arrive in any order, and several requests (also for the same channel) may be in flight.
+ *
+ * client -> server (text frames, JSON):
+ * - request: `{"request_id": "3", "channel_handle": "fluo405", "downsample_factor": 2}`
+ * - cancel:  `{"request_id": "3", "cancel": true}` (the server may still reply, which is then ignored)
+ *
+ * server -> client:
+ * - image (binary frame): u32 (little endian) header length, header, pixel data.
+ *   header is UTF-8 encoded JSON: `{"request_id", "status": "ok", "width", "height", "bit_depth", "camera_bit_depth"}`
+ * - no image for this channel (text frame): `{"request_id", "status": "no_image"}`
+ * - error (text frame): `{"request_id", "status": "error", "detail": "..."}`
+ *
+ * Servers that do not advertise SERVER_PROTOCOL_FEATURES.image_request_ids speak the legacy protocol,
+ * which answers one request at a time, in order:
+ * - client -> server: channel handle (text frame), then downsample factor (text frame)
+ * - server -> client: metadata (text frame, JSON5: width, height, bit_depth, camera_bit_depth), then pixel data (binary frame)
+ */
+export const IMAGE_WS_ENDPOINT = '/ws/get_info/acquired_image';
+
+/**
+ * @typedef {Object} ImageRequestMessage
+ * @property {string} request_id
+ * @property {string} [channel_handle]
+ * @property {number} [downsample_factor]
+ * @property {boolean} [cancel]
+ */
+
+/**
+ * @typedef {Object} ImageFrameHeader
+ * @property {string} request_id
+ * @property {'ok'} status
+ * @property {number} width
+ * @property {number} height
+ * @property {number} bit_depth
+ * @property {number} camera_bit_depth
+ */
+
+/**
+ * @typedef {Object} ImageFetchOptions
+ * @property {number} [downsampleFactor=1] - Downsample factor requested from the server
+ * @property {number|null} [timeoutMs] - Timeout for this request (null = no timeout), defaults to the client default
+ * @property {AbortSignal} [signal] - Cancel the request
+ */
+
+/**
+ * @typedef {'multiplexed'|'legacy'} ImageProtocol
+ * multiplexed: requests with request ids, legacy (default, until the server advertises request ids): replies are matched to requests in order
+ */
+
+/**
+ * @typedef {Object} PendingImageRequest
+ * @property {(image: CachedChannelImage|null) => void} resolve
+ * @property {(error: Error) => void} reject
+ * @property {ChannelInfo} channelInfo
+ * @property {ReturnType<typeof setTimeout>|null} timer
+ * @property {(() => void)|null} removeAbortListener
+ */
+
+/**
+ * Encode an image reply into a binary frame
+ * @param {ImageFrameHeader} header
+ * @param {ArrayBuffer|ArrayBufferView} pixels
+ * @returns {ArrayBuffer}
+ */
+export function encodeImageFrame(header, pixels) {
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const pixelBytes = ArrayBuffer.isView(pixels)
+        ? new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength)
+        : new Uint8Array(pixels);
+
+    const frame = new ArrayBuffer(4 + headerBytes.byteLength + pixelBytes.byteLength);
+    new DataView(frame).setUint32(0, headerBytes.byteLength, true);
+    new Uint8Array(frame, 4, headerBytes.byteLength).set(headerBytes);
+    new Uint8Array(frame, 4 + headerBytes.byteLength).set(pixelBytes);
+    return frame;
+}
+
+/**
+ * Decode a binary image frame
+ * @param {ArrayBuffer} frame
+ * @returns {{header: ImageFrameHeader, pixels: ArrayBuffer}}
+ */
+export function decodeImageFrame(frame) {
+    if (frame.byteLength < 4) {
+        throw new Error(`image frame too short (${frame.byteLength} bytes)`);
+    }
+    const headerLength = new DataView(frame).getUint32(0, true);
+    if (4 + headerLength > frame.byteLength) {
+        throw new Error(`image frame header length ${headerLength} exceeds frame size ${frame.byteLength}`);
+    }
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(frame, 4, headerLength)));
+    // copy, so that the pixel data is aligned (required for Uint16Array views)
+    const pixels = frame.slice(4 + headerLength);
+    return { header, pixels };
+}
+
+/**
+ * Fetches images from the server through the image WebSocket, see IMAGE_WS_ENDPOINT for the protocol.
+ */
+export class ImageFetchClient {
+    /**
+     * @param {import('./api-client.js').WebSocketManager} wsManager
+     * @param {{connectionName?: string, timeoutMs?: number|null, protocol?: ImageProtocol}} [options]
+     */
+    constructor(wsManager, options = {}) {
+        this.wsManager = wsManager;
+        this.connectionName = options.connectionName ?? 'image';
+        /** default timeout (ms) for image requests */
+        this.timeoutMs = options.timeoutMs === undefined ? 10000 : options.timeoutMs;
+
+        /** @type {Map<string, PendingImageRequest>} */
+        this.pending = new Map();
+        this.nextRequestId = 0;
+
+        /** @type {ImageProtocol} */
+        this.protocol = options.protocol ?? 'legacy';
+        /**
+         * legacy protocol: ids of the requests sent, in order, that have not been answered yet
+         * (requests stay here when they are cancelled, since the server answers them anyway)
+         * @type {string[]}
+         */
+        this.legacyQueue = [];
+        /**
+         * legacy protocol: request whose metadata was received, and whose pixel data is expected next
+         * @type {{requestId: string, metadata: {width: number, height: number, bit_depth: number, camera_bit_depth: number}}|null}
+         */
+        this.legacyCurrent = null;
+    }
+
+    /**
+     * Select the protocol to speak, e.g. after the server handshake (see SERVER_PROTOCOL_FEATURES.image_request_ids).
+     * Takes effect for new requests.
+     * @param {ImageProtocol} protocol
+     * @returns {void}
+     */
+    setProtocol(protocol) {
+        if (protocol === this.protocol) return;
+        this.protocol = protocol;
+        this.legacyQueue = [];
+        this.legacyCurrent = null;
+    }
+
+    /**
+     * Open the image WebSocket, if not already open
+     * @returns {void}
+     */
+    connect() {
+        if (this.wsManager.getConnection(this.connectionName)) {
+            return;
+        }
+
+        this.wsManager.createConnection(this.connectionName, IMAGE_WS_ENDPOINT, {
+            onOpen: (ws) => {
+                console.log('Image WebSocket connected');
+                ws.binaryType = "arraybuffer";
+            },
+            onMessage: (ev) => this.handleMessage(ev),
+            onError: (event) => {
+                console.warn('Image WebSocket error:', event);
+                this.rejectAll(new Error('Image WebSocket error'));
+            },
+            onClose: () => {
+                console.log('Image WebSocket closed');
+                this.rejectAll(new Error('Image WebSocket closed'));
+            },
+            autoReconnect: true,
+        });
+    }
+
+    /**
+     * Fetch the latest image of a channel
+     * @param {ChannelInfo} channelInfo - Channel to fetch the image of
+     * @param {ImageFetchOptions} [options]
+     * @returns {Promise<CachedChannelImage|null>} - The image, or null if the server has no image for this channel
+     * @throws {APITimeoutError} - If the server did not reply in time
+     * @throws {APIAbortError} - If the request was cancelled through options.signal
+     */
+    async fetchImage(channelInfo, options = {}) {
+        const {
+            downsampleFactor = 1,
+            timeoutMs = this.timeoutMs,
+            signal,
+        } = options;
+
+        const context = `Fetch image of ${channelInfo.channel.handle}`;
+        const abortError = () => new APIAbortError(`${context} was aborted`, { context, endpoint: IMAGE_WS_ENDPOINT });
+        if (signal?.aborted) {
+            throw abortError();
+        }
+
+        this.connect();
+        const isReady = await this.wsManager.waitForConnection(this.connectionName, 5000);
+        if (!isReady) {
+            throw new Error('Image WebSocket not available');
+        }
+        // may have been aborted while waiting for the connection
+        if (signal?.aborted) {
+            throw abortError();
+        }
+
+        const requestId = `${++this.nextRequestId}`;
+
+        return new Promise((resolve, reject) => {
+            /** @type {PendingImageRequest} */
+            const request = {
+                resolve,
+                reject,
+                channelInfo,
+                timer: null,
+                removeAbortListener: null,
+            };
+
+            if (timeoutMs != null) {
+                request.timer = setTimeout(() => {
+                    this.cancel(requestId, new APITimeoutError(
+                        `${context} timed out after ${(timeoutMs / 1000).toFixed(1)} s`,
+                        { context, endpoint: IMAGE_WS_ENDPOINT },
+                        timeoutMs,
+                    ));
+                }, timeoutMs);
+            }
+            if (signal) {
+                const onAbort = () => {
+                    this.cancel(requestId, abortError());
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                request.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.pending.set(requestId, request);
+
+            let sent;
+            if (this.protocol === 'legacy') {
+                sent = this.wsManager.send(this.connectionName, channelInfo.channel.handle)
+                    && this.wsManager.send(this.connectionName, `${downsampleFactor}`);
+                if (sent) this.legacyQueue.push(requestId);
+            } else {
+                /** @type {ImageRequestMessage} */
+                const message = {
+                    request_id: requestId,
+                    channel_handle: channelInfo.channel.handle,
+                    downsample_factor: downsampleFactor,
+                };
+                sent = this.wsManager.sendJSON(this.connectionName, message);
+            }
+            if (!sent) {
+                this.settle(requestId);
+                reject(new Error('Image WebSocket not available'));
+            }
+        });
+    }
+
+    /**
+     * Cancel a pending request
+     * @param {string} requestId
+     * @param {Error} reason - Error to reject the request with
+     * @returns {void}
+     */
+    cancel(requestId, reason) {
+        const request = this.settle(requestId);
+        if (!request) return;
+
+        // the legacy protocol cannot cancel, the reply is ignored once it arrives
+        if (this.protocol === 'multiplexed') {
+            /** @type {ImageRequestMessage} */
+            const message = { request_id: requestId, cancel: true };
+            this.wsManager.sendJSON(this.connectionName, message);
+        }
+        request.reject(reason);
+    }
+
+    /**
+     * Remove a request from the pending requests, and clear its timeout and abort listener
+     * @private
+     * @param {string} requestId
+     * @returns {PendingImageRequest|null} - The request, or null if it is not pending (anymore)
+     */
+    settle(requestId) {
+        const request = this.pending.get(requestId);
+        if (!request) return null;
+
+        this.pending.delete(requestId);
+        if (request.timer != null) clearTimeout(request.timer);
+        request.removeAbortListener?.();
+        return request;
+    }
+
+    /**
+     * Reject all pending requests (e.g. because the connection was lost)
+     * @param {Error} reason
+     * @returns {void}
+     */
+    rejectAll(reason) {
+        for (const requestId of [...this.pending.keys()]) {
+            this.settle(requestId)?.reject(reason);
+        }
+        // replies to requests of a lost connection will not arrive
+        this.legacyQueue = [];
+        this.legacyCurrent = null;
+    }
+
+    /**
+     * Handle a message from the image WebSocket
+     * @private
+     * @param {MessageEvent} ev
+     * @returns {void}
+     */
+    handleMessage(ev) {
+        if (typeof ev.data === 'string') {
+            /** @type {{request_id?: string, status?: string, detail?: string, width?: number, height?: number, bit_depth?: number, camera_bit_depth?: number}} */
+            let reply;
+            try {
+                reply = JSON5.parse(ev.data);
+            } catch (error) {
+                console.error('Image WebSocket: ignoring invalid text frame', error);
+                return;
+            }
+            if (reply == null || typeof reply !== 'object') {
+                console.error('Image WebSocket: ignoring unexpected text frame', ev.data);
+                return;
+            }
+
+            if (reply.request_id === undefined) {
+                this.handleLegacyMetadata(reply);
+                return;
+            }
+
+            const request = this.settle(`${reply.request_id}`);
+            // reply to a cancelled or timed out request
+            if (!request) return;
+
+            if (reply.status === 'no_image') {
+                request.resolve(null);
+            } else {
+                request.reject(new Error(`Image request failed: ${reply.detail ?? JSON.stringify(reply)}`));
+            }
+            return;
+        }
+
+        if (!(ev.data instanceof ArrayBuffer)) {
+            console.warn('Image WebSocket: ignoring message of unexpected type', ev.data);
+            return;
+        }
+
+        // pixel data of the legacy protocol has no header
+        if (this.legacyCurrent) {
+            this.handleLegacyPixels(ev.data);
+            return;
+        }
+
+        let frame;
+        try {
+            frame = decodeImageFrame(ev.data);
+        } catch (error) {
+            // without a readable header, the frame cannot be associated with its request
+            console.error('Image WebSocket: invalid image frame', error);
+            return;
+        }
+
+        const { header, pixels } = frame;
+        const request = this.settle(`${header.request_id}`);
+        if (!request) return;
+
+        request.resolve({
+            width: header.width,
+            height: header.height,
+            bit_depth: header.bit_depth,
+            camera_bit_depth: header.camera_bit_depth,
+            data: pixels,
+            info: request.channelInfo,
+        });
+    }
+
+    /**
+     * Handle the metadata of a legacy reply (a text frame without request id)
+     * @private
+     * @param {{status?: string, detail?: string, width?: number, height?: number, bit_depth?: number, camera_bit_depth?: number}} metadata
+     * @returns {void}
+     */
+    handleLegacyMetadata(metadata) {
+        if (this.protocol === 'multiplexed') {
+            // the server does not understand request ids, so the requests in flight were not understood either
+            console.warn('Image WebSocket: server replied without request id, falling back to the legacy image protocol');
+            this.setProtocol('legacy');
+            this.rejectAll(new Error('Image request failed: server speaks the legacy image protocol, retry'));
+            return;
+        }
+
+        const requestId = this.legacyQueue.shift();
+        if (requestId === undefined) {
+            console.warn('Image WebSocket: ignoring reply without request', metadata);
+            return;
+        }
+
+        if (metadata.status === 'no_image') {
+            this.settle(requestId)?.resolve(null);
+            return;
+        }
+        const { width, height, bit_depth, camera_bit_depth } = metadata;
+        if (typeof width !== 'number' || typeof height !== 'number' || typeof bit_depth !== 'number') {
+            // no pixel data follows
+            this.settle(requestId)?.reject(new Error(`Image request failed: ${metadata.detail ?? JSON.stringify(metadata)}`));
+            return;
+        }
+        this.legacyCurrent = {
+            requestId,
+            metadata: { width, height, bit_depth, camera_bit_depth: camera_bit_depth ?? bit_depth },
+        };
+    }
+
+    /**
+     * Handle the pixel data of a legacy reply
+     * @private
+     * @param {ArrayBuffer} pixels
+     * @returns {void}
+     */
+    handleLegacyPixels(pixels) {
+        const current = /** @type {NonNullable<ImageFetchClient['legacyCurrent']>} */ (this.legacyCurrent);
+        this.legacyCurrent = null;
+
+        const request = this.settle(current.requestId);
+        // reply to a cancelled or timed out request
+        if (!request) return;
+
+        request.resolve({
+            ...current.metadata,
+            data: pixels,
+            info: request.channelInfo,
+        });
+    }
+}
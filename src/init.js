@@ -16,11 +16,19 @@ import {
     matSiteColor,
     matFovColor,
     matForbiddenAreaColor,
+    matProgressPendingColor,
+    matProgressRunningColor,
+    matProgressDoneColor,
+    matProgressFailedColor,
     calculateSitePosition,
     calculateSitePositionPython,
+    mosaicDownsampleFactor,
 } from "platenavigator";
 // these colors are used to create a legend in html
-Object.assign(window, { matWellColor, matSiteColor, matFovColor, matForbiddenAreaColor });
+Object.assign(window, {
+    matWellColor, matSiteColor, matFovColor, matForbiddenAreaColor,
+    matProgressPendingColor, matProgressRunningColor, matProgressDoneColor, matProgressFailedColor,
+});
 
 import { registerNumberInput } from "numberinput";
 Object.assign(window, { registerNumberInput });
@@ -38,8 +46,47 @@ import {
     collapseAllNamespaces,
 } from "./namespace-parser.js";
 
-import { APIClient, WebSocketManager } from "./api-client.js";
-import { MockAPIClient, MockWebSocketManager } from "./mock-api-client.js";
+import {
+    APIClient,
+    WebSocketManager,
+    checkResponseSchema,
+    APIError,
+    APIBusyError,
+    APISchemaError,
+    APIAbortError,
+    APITimeoutError,
+} from "./api-client.js";
+import { RESPONSE_SCHEMAS } from "./api-schemas.js";
+import {
+    SERVER_DESCRIPTION_ENDPOINT,
+    SERVER_PROTOCOL_FEATURES,
+    checkServerCompatibility,
+    unknownServerCompatibility,
+} from "./server-compat.js";
+import {
+    MockAPIClient,
+    MockWebSocketManager,
+    getMockScenario,
+    applyMockScenario,
+    MOCK_ACQUISITION_SPEEDUP_PARAM,
+    setMockAcquisitionSpeedup,
+    setMockClockStartTime,
+    getMockAcquisitionSpeedup,
+    setMockHardwareProfile,
+    MOCK_MODE_PARAM,
+    MOCK_SESSION_PARAM,
+    setMockReplaySession,
+} from "./mock-api-client.js";
+import { loadMockHardwareProfiles, mockHardwareProfileIdFromLocation, MOCK_HARDWARE_PROFILE_PARAM } from "./mock-hardware.js";
+import { MockStatePersistence, encodeMockScenario, decodeMockScenario } from "./mock-persistence.js";
+import { sessionRecorder, decodeSession, SessionReplay, RECORD_SESSION_PARAM } from "./session-recording.js";
+import { mockClock, seedMockRandom, mockClockSettingsFromLocation, parseMockClockRate, parseMockSeed } from "./mock-clock.js";
+import { ImageFetchClient } from "./image-client.js";
+import { DEFAULT_SITE_LAYOUT, wellSites, wellCenterMm, wellSiteLayout, layoutSites, hasCustomSiteLayouts } from "./site-layout.js";
+import { STATUS_WS_ENDPOINT, StatusSubscription, statusSubscriptionFor } from "./status-subscription.js";
+import { MicroscopeDashboard, serverUrlFromLocation, controlUrlFor } from "./microscope-dashboard.js";
+import { eventLog, EVENT_CATEGORIES } from "./event-log.js";
+import { mockFaults, mockFaultSpecFromLocation, formatMockFaultRule, MOCK_FAULT_TYPES } from "./mock-faults.js";
 
 Object.assign(window,{toggleNamespaceExpansion});
 
@@ -112,8 +159,10 @@ function cloneObject(o) {
 
 document.addEventListener("alpine:init", () => {
     Alpine.data("microscope_state", () => ({
-        /** url to microscope (hardware) server (default to same origin as gui) */
-        server_url: window.location.origin,
+        /** url to microscope (hardware) server (default to same origin as gui, see SERVER_URL_PARAM) */
+        server_url: serverUrlFromLocation(),
+        /** true if the interface talks to the mock instead of server_url (set in init) @type {boolean} */
+        _useMockAPI: false,
 
         // These will be initialized in the init() method
         /** @type {APIClient?}  */
@@ -149,6 +198,13 @@ document.addEventListener("alpine:init", () => {
         /** @type {string[]} */
         cachedMicroscopes: [],
 
+        // Multi-microscope dashboard
+        dashboardOpen: false,
+        /** @type {import('./microscope-dashboard.js').DashboardEntry[]} */
+        dashboardEntries: [],
+        /** @type {MicroscopeDashboard|null} */
+        _dashboard: null,
+
         /** @type {HardwareLimits|null} */
         limits: null,
 
@@ -156,9 +212,27 @@ document.addEventListener("alpine:init", () => {
 
         /** @type {{x: number, y: number}|null} */
         plateCursorPosition: null,
+        /** acquisition progress of the well under the mouse (set by the plate navigator) */
+        /** @type {import('./platenavigator.js').WellProgressSummary|null} */
+        plateHoverWellProgress: null,
+        /** whether the plate navigator shows the progress of an acquisition (set by the plate navigator) */
+        plateAcquisitionProgressShown: false,
+        /** show thumbnails of the images taken on the plate navigator */
+        plateMosaicEnabled: false,
+        /** @type {string|null} handle of the channel shown in the mosaic */
+        plateMosaicChannel: null,
+        /** mosaic contrast, in % of the value range of the images */
+        plateMosaicContrastMin: 0,
+        plateMosaicContrastMax: 100,
+        /** timestamp of the image of the latest mosaic thumbnail (fetched or being fetched), per channel handle
+         * @type {Map<string, number>} */
+        _mosaic_image_timestamps: new Map(),
         theme: "light", // Will be loaded from microscope-specific cache after init
         
-        /** Selection mode for plate navigator: 'wells' or 'sites' */
+        /**
+         * Selection mode for plate navigator: 'wells', 'sites' or 'place' (sites)
+         * @type {import('./platenavigator.js').PlateNavigatorAlpineComponent['plateSelectionMode']}
+         */
         plateSelectionMode: "wells",
 
         // Busy indicator state
@@ -182,6 +256,7 @@ document.addEventListener("alpine:init", () => {
          */
         showError(title, message) {
             console.log(`showError called: ${title} - ${message}`);
+            eventLog.record('error', title, { message });
             this.centralError.title = title;
             this.centralError.message = message;
             this.centralError.timestamp = new Date();
@@ -192,6 +267,137 @@ document.addEventListener("alpine:init", () => {
             }
         },
 
+        /**
+         * request that failed because the microscope was busy, which the user may send again once the microscope is idle.
+         * @type {{title: string, error: APIBusyError, waitingForIdle: boolean}|null}
+         */
+        busyRetryOffer: null,
+
+        /**
+         * show an api error to the user.
+         *
+         * busy errors are not shown in the error modal, instead the user is offered to
+         * send the request again once the microscope is idle.
+         * @param {string} title
+         * @param {unknown} error
+         */
+        reportAPIError(title, error) {
+            if (error instanceof APIBusyError && error.resend) {
+                this.busyRetryOffer = { title, error, waitingForIdle: false };
+                return;
+            }
+            if (error instanceof APIError) {
+                this.showError(title, error.userMessage);
+                return;
+            }
+            this.showError(title, error instanceof Error ? error.message : String(error));
+        },
+        /**
+         * websocket messages that did not match their schema, as `${endpoint}:${path}`.
+         * used to report each mismatch only once, instead of for every message.
+         * @type {Set<string>}
+         */
+        _reportedSchemaMismatches: new Set(),
+        /**
+         * check a websocket message against the schema of its endpoint, and report a mismatch to the user.
+         * @param {string} endpoint - WebSocket endpoint the message was received from
+         * @param {unknown} payload - parsed message
+         * @returns {boolean} true if the message matches the schema (and may be used)
+         */
+        checkWebSocketPayload(endpoint, payload) {
+            try {
+                checkResponseSchema(RESPONSE_SCHEMAS, endpoint, payload, 'WebSocket message');
+                return true;
+            } catch (error) {
+                if (!(error instanceof APISchemaError)) throw error;
+
+                const key = `${endpoint}:${error.mismatch.path}`;
+                if (!this._reportedSchemaMismatches.has(key)) {
+                    this._reportedSchemaMismatches.add(key);
+                    console.error(error.message);
+                    this.showError('Incompatible Server', error.userMessage);
+                }
+                return false;
+            }
+        },
+        /** send the request from busyRetryOffer again, as soon as the microscope is idle */
+        retryWhenIdle() {
+            if (!this.busyRetryOffer) return;
+            this.busyRetryOffer.waitingForIdle = true;
+            if (!this.state.is_busy) {
+                this.resendBusyRetryOffer();
+            }
+        },
+        dismissBusyRetryOffer() {
+            this.busyRetryOffer = null;
+        },
+        /** @private */
+        async resendBusyRetryOffer() {
+            const offer = this.busyRetryOffer;
+            if (!offer?.error.resend) return;
+            this.busyRetryOffer = null;
+
+            try {
+                await offer.error.resend();
+            } catch (error) {
+                this.reportAPIError(offer.title, error);
+            }
+        },
+
+        /**
+         * result of the version/feature handshake with the server (null until the handshake is done)
+         * @type {import('./server-compat.js').ServerCompatibility|null}
+         */
+        serverCompatibility: null,
+        /** whether the user has hidden the compatibility banner */
+        serverCompatibilityBannerDismissed: false,
+
+        /**
+         * read server version and available endpoints, and compare them against what this interface supports.
+         * @returns {Promise<import('./server-compat.js').ServerCompatibility>}
+         */
+        async negotiateServerCompatibility() {
+            try {
+                const description = await this.api.get(SERVER_DESCRIPTION_ENDPOINT, {
+                    context: 'Server handshake',
+                    showError: false,
+                    timeoutMs: 5000,
+                });
+                return checkServerCompatibility(description);
+            } catch (error) {
+                console.warn('[Seafront] Server handshake failed:', error);
+                if (error instanceof APIError && error.status === 404) {
+                    return unknownServerCompatibility('server does not describe its api');
+                }
+                return unknownServerCompatibility(error instanceof Error ? error.message : String(error));
+            }
+        },
+        /**
+         * check if an interface feature is supported by the server (see SERVER_FEATURES in server-compat.js).
+         * features are assumed to be available until the handshake is done.
+         * @param {string} name
+         * @returns {boolean}
+         */
+        isFeatureAvailable(name) {
+            return !(name in (this.serverCompatibility?.unavailableFeatures ?? {}));
+        },
+        /**
+         * check if the server advertised a protocol feature (see SERVER_PROTOCOL_FEATURES in server-compat.js).
+         * unlike isFeatureAvailable, protocol features are assumed to be missing until the handshake is done.
+         * @param {string} name
+         * @returns {boolean}
+         */
+        supportsProtocolFeature(name) {
+            return this.serverCompatibility?.protocolFeatures.includes(name) ?? false;
+        },
+        /** whether acquisitions may use site layouts other than the grid (older servers only image the grid) */
+        get serverSupportsSiteLayouts() {
+            return this.supportsProtocolFeature(SERVER_PROTOCOL_FEATURES.site_layouts);
+        },
+        get showServerCompatibilityBanner() {
+            return !this.serverCompatibilityBannerDismissed && (this.serverCompatibility?.messages.length ?? 0) > 0;
+        },
+
         /**
          * Show mock mode indicator banner
          */
@@ -405,7 +611,8 @@ document.addEventListener("alpine:init", () => {
 
                 return {
                     interface_settings: cacheData.interface_settings || null,
-                    microscope_config: cacheData.microscope_config || null
+                    microscope_config: cacheData.microscope_config || null,
+                    server_url: cacheData.server_url,
                 };
             } catch (error) {
                 console.warn(`Failed to load cache for microscope ${microscopeName}:`, error);
@@ -440,6 +647,9 @@ document.addEventListener("alpine:init", () => {
                 if (cache.microscope_config !== undefined) {
                     seafrontData[microscopeName].microscope_config = cache.microscope_config;
                 }
+                if (cache.server_url !== undefined) {
+                    seafrontData[microscopeName].server_url = cache.server_url;
+                }
 
                 // Save back to localStorage
                 localStorage.setItem("seafrontdata", JSON.stringify(seafrontData));
@@ -467,6 +677,84 @@ document.addEventListener("alpine:init", () => {
             }
         },
 
+        /**
+         * Cached microscopes, with the server they were last connected through (if known)
+         * @returns {import('./microscope-dashboard.js').DashboardMicroscope[]}
+         */
+        getCachedMicroscopeServers() {
+            try {
+                const seafrontData = localStorage.getItem("seafrontdata");
+                if (!seafrontData) return [];
+
+                /** @type {Record<string, MicroscopeCacheData>} */
+                const parsed = JSON.parse(seafrontData);
+                return Object.entries(parsed)
+                    .map(([name, cacheData]) => ({ name, serverUrl: cacheData.server_url ?? null }))
+                    .sort((a, b) => a.name.localeCompare(b.name));
+            } catch (error) {
+                console.warn("Failed to load cached microscopes:", error);
+                return [];
+            }
+        },
+
+        /**
+         * Open the dashboard, showing live status of all cached microscopes (and the current one).
+         */
+        openDashboard() {
+            const microscopes = this.getCachedMicroscopeServers();
+            const currentName = this.getMicroscopeName();
+            if (currentName && !microscopes.some(microscope => microscope.name === currentName)) {
+                microscopes.unshift({ name: currentName, serverUrl: this.server_url });
+            }
+
+            if (!this._dashboard) {
+                this._dashboard = new MicroscopeDashboard({
+                    connect: (serverUrl, onStatusConnectionStateChange) => {
+                        // the mock only serves the current page
+                        if (this._useMockAPI && serverUrl === this.server_url) {
+                            return /** @type {*} */ ({
+                                api: new MockAPIClient(serverUrl),
+                                wsManager: new MockWebSocketManager(),
+                            });
+                        }
+                        return {
+                            // errors are shown on the dashboard instead
+                            api: new APIClient(serverUrl),
+                            wsManager: new WebSocketManager(serverUrl, {
+                                reconnectPolicy: { maxDelayMs: 30000 },
+                                onConnectionStateChange: (name, isConnected, info) => {
+                                    if (name === 'status') onStatusConnectionStateChange(info);
+                                },
+                            }),
+                        };
+                    },
+                    onChange: (entries) => {
+                        this.dashboardEntries = entries;
+                    },
+                });
+            }
+            this._dashboard.open(microscopes);
+            this.dashboardOpen = true;
+        },
+        closeDashboard() {
+            this._dashboard?.close();
+            this.dashboardEntries = [];
+            this.dashboardOpen = false;
+        },
+        /**
+         * Switch to the full control interface of a microscope on the dashboard.
+         * @param {import('./microscope-dashboard.js').DashboardEntry} entry
+         */
+        openMicroscopeControl(entry) {
+            if (!entry.serverUrl) return;
+            if (entry.serverUrl === this.server_url) {
+                this.closeDashboard();
+                return;
+            }
+            this.closeDashboard();
+            window.location.href = controlUrlFor(entry.serverUrl);
+        },
+
         /**
          * Delete a cached microscope configuration from localStorage
          * @param {string} microscopeName - The name of the microscope to delete
@@ -657,7 +945,8 @@ document.addEventListener("alpine:init", () => {
          */
         async getConfigList() {
             return this.api.post('/api/acquisition/config_list', {}, {
-                context: 'Get config list'
+                context: 'Get config list',
+                retry: true
             });
         },
 
@@ -1006,82 +1295,20 @@ document.addEventListener("alpine:init", () => {
         // keep track of number of open websockets (to limit frontend load)
         _numOpenWebsockets: 0,
         
-        /** @typedef {{resolve: Function, reject: Function, channel_info:ChannelInfo}} PendingImageRequest */
-        /** @type {Map<string, PendingImageRequest>} */
-        pending_image_requests: new Map(),
-        /** @type {{channel_handle:string,request:PendingImageRequest,metadata:any}|null} */
-        _image_current_request: null,
+        /** @type {ImageFetchClient?} */
+        _imageClient: null,
+        /** timestamp of the image currently being fetched, per channel handle
+         * @type {Map<string, number>} */
+        _image_fetches_in_flight: new Map(),
+        /** fetches images through the image websocket (created on first use) */
+        get imageClient(){
+            if(!this._imageClient)this._imageClient = new ImageFetchClient(this.wsManager);
+            return this._imageClient;
+        },
 
         initImageWebSocket() {
-            // Check if already connected via WebSocketManager
-            if (this.wsManager.isConnected('image')) {
-                return;
-            }
-
             try {
-                this.wsManager.createConnection('image', '/ws/get_info/acquired_image', {
-                    onOpen: (ws) => {
-                        console.log('Image WebSocket connected');
-                        // Set initial binary type for metadata (string)
-                        ws.binaryType = "blob";
-                    },
-                    onMessage: (ev) => {
-                        // The protocol sends metadata first (string), then image data (ArrayBuffer)
-                        if (typeof ev.data === 'string') {
-                            // Metadata message
-                            const metadata = json5.parse(ev.data);
-                            // Find the matching request (FIFO queue)
-                            const nextEntry = this.pending_image_requests.entries().next().value;
-                            if (nextEntry) {
-                                const [channel_handle, request] = nextEntry;
-                                if (request) {
-                                    this._image_current_request = { channel_handle, request, metadata };
-                                    // Switch to receive ArrayBuffer for image data
-                                    const ws = this.wsManager.getConnection('image');
-                                    if (ws) ws.binaryType = "arraybuffer";
-                                }
-                            }
-                        } else {
-                            // Image data (ArrayBuffer)
-                            if (this._image_current_request) {
-                                const img_data = ev.data;
-
-                                /** @type {CachedChannelImage} */
-                                const img = Object.assign(this._image_current_request.metadata, {
-                                    data: img_data,
-                                    info: this._image_current_request.request.channel_info,
-                                });
-
-                                this._image_current_request.request.resolve(img);
-                                this.pending_image_requests.delete(this._image_current_request.channel_handle);
-                                this._image_current_request = null;
-
-                                // Switch back to blob for next metadata
-                                const ws = this.wsManager.getConnection('image');
-                                if (ws) ws.binaryType = "blob";
-                            }
-                        }
-                    },
-                    onError: (event) => {
-                        console.warn('Image WebSocket error:', event);
-                        // Reject all pending requests
-                        this.pending_image_requests.forEach(request => {
-                            request.reject(new Error('WebSocket error'));
-                        });
-                        this.pending_image_requests.clear();
-                        this._image_current_request = null;
-                    },
-                    onClose: () => {
-                        console.log('Image WebSocket closed');
-                        // Reject all pending requests
-                        this.pending_image_requests.forEach(request => {
-                            request.reject(new Error('WebSocket closed'));
-                        });
-                        this.pending_image_requests.clear();
-                        this._image_current_request = null;
-                    },
-                    autoReconnect: true,
-                });
+                this.imageClient.connect();
             } catch (error) {
                 console.warn('Failed to create image WebSocket:', error);
             }
@@ -1091,37 +1318,14 @@ document.addEventListener("alpine:init", () => {
          *
          * @param {ChannelInfo} channel_info
          * @param {number} [downsample_factor=1]
-         * @returns
+         * @param {{timeoutMs?: number|null, signal?: AbortSignal}} [options]
+         * @returns {Promise<CachedChannelImage|null>} null if the server has no image for this channel
          */
-        async fetch_image(channel_info, downsample_factor = 1) {
-            // Initialize persistent WebSocket if needed
-            this.initImageWebSocket();
-
-            // Wait for WebSocket to be ready
-            const isReady = await this.wsManager.waitForConnection('image', 5000);
-            if (!isReady) {
-                throw new Error('Image WebSocket not available');
-            }
-
-            const channel_handle = channel_info.channel.handle;
-
-            /**@type {Promise<CachedChannelImage>}*/
-            const finished = new Promise((resolve, reject) => {
-                // Store the request
-                this.pending_image_requests.set(channel_handle, {
-                    resolve,
-                    reject,
-                    channel_info,
-                });
-
-                // Send the request through WebSocketManager
-                this.wsManager.send('image', channel_handle);
-                this.wsManager.send('image', `${downsample_factor}`);
+        async fetch_image(channel_info, downsample_factor = 1, options = {}) {
+            return this.imageClient.fetchImage(channel_info, {
+                downsampleFactor: downsample_factor,
+                ...options,
             });
-
-            const data = await finished;
-            // console.log("fetched image",data.info.channel.name, data);
-            return data;
         },
         /**
          *
@@ -1156,6 +1360,10 @@ document.addEventListener("alpine:init", () => {
             // Handle busy indicator with delay
             this.handleBusyIndicator(data.is_busy);
 
+            if (this.busyRetryOffer?.waitingForIdle && !data.is_busy) {
+                this.resendBusyRetryOffer();
+            }
+
             // Sync streaming state from server
             if (data.is_streaming !== undefined) {
                 this.isStreaming = data.is_streaming;
@@ -1208,8 +1416,27 @@ document.addEventListener("alpine:init", () => {
                         continue;
                     }
 
-                    const img = await this.fetch_image(channel_info, 2);
-                    this.cached_channel_image.set(channel_handle, img);
+                    // an image at least this recent is already on its way
+                    const in_flight_timestamp = this._image_fetches_in_flight.get(channel_handle);
+                    if (in_flight_timestamp != null && in_flight_timestamp >= channel_info.timestamp) {
+                        continue;
+                    }
+
+                    this._image_fetches_in_flight.set(channel_handle, channel_info.timestamp);
+                    try {
+                        const img = await this.fetch_image(channel_info, 2);
+                        // replies may arrive out of order, never replace a newer image with an older one
+                        const current = this.cached_channel_image.get(channel_handle);
+                        if (img && (current == null || img.info.timestamp >= current.info.timestamp)) {
+                            this.cached_channel_image.set(channel_handle, img);
+                        }
+                    } catch (error) {
+                        console.warn(`failed to fetch image of ${channel_handle}:`, error);
+                    } finally {
+                        if (this._image_fetches_in_flight.get(channel_handle) === channel_info.timestamp) {
+                            this._image_fetches_in_flight.delete(channel_handle);
+                        }
+                    }
                 }
             }
 
@@ -1218,6 +1445,67 @@ document.addEventListener("alpine:init", () => {
                 const position = this.state.adapter_state.stage_position;
                 this.plateNavigator.updateObjectivePosition(position.x_pos_mm, position.y_pos_mm);
             }
+
+            // not awaited, status updates should not wait for thumbnails
+            this.updatePlateMosaic();
+        },
+
+        /**
+         * Fetch thumbnails of the images taken since the last status update, for the mosaic on the plate navigator.
+         *
+         * The image websocket only serves the latest image of each channel. A thumbnail is dropped if another image
+         * of its channel was taken while it was fetched, since the server may have sent the newer image then
+         * (and its position would be unknown). During fast acquisitions, the mosaic may thus skip some sites.
+         */
+        async updatePlateMosaic() {
+            if (!this.plateMosaicEnabled || !this.plateNavigator || this.state.latest_imgs == null) return;
+
+            for (const [channel_handle, channel_info] of Object.entries(this.state.latest_imgs)) {
+                if (channel_handle == "laser_autofocus") continue;
+                if (this._mosaic_image_timestamps.get(channel_handle) === channel_info.timestamp) continue;
+                this._mosaic_image_timestamps.set(channel_handle, channel_info.timestamp);
+
+                const position = channel_info.position;
+                const stage_position = "x_pos_mm" in position ? position : position.position;
+
+                this.fetch_image(channel_info, mosaicDownsampleFactor(channel_info.width_px, channel_info.height_px))
+                    .then(img => {
+                        if (!img || this.state.latest_imgs?.[channel_handle]?.timestamp !== channel_info.timestamp) return;
+                        this.plateNavigator?.addMosaicThumbnail(img, stage_position.x_pos_mm, stage_position.y_pos_mm);
+                    })
+                    .catch(error => {
+                        console.warn(`failed to fetch mosaic thumbnail of ${channel_handle}:`, error);
+                    });
+            }
+        },
+
+        /**
+         * @param {boolean} enabled
+         */
+        setPlateMosaicEnabled(enabled) {
+            this.plateMosaicEnabled = enabled;
+            if (enabled && this.plateMosaicChannel == null) {
+                const channel = this.microscope_config.channels.find(c => c.enabled) ?? this.microscope_config.channels[0];
+                this.setPlateMosaicChannel(channel?.handle ?? null);
+            }
+            this.plateNavigator?.setMosaicVisible(enabled);
+            this.updatePlateMosaic();
+        },
+
+        /**
+         * @param {string|null} handle
+         */
+        setPlateMosaicChannel(handle) {
+            this.plateMosaicChannel = handle;
+            this.plateNavigator?.setMosaicChannel(handle);
+        },
+
+        applyPlateMosaicContrast() {
+            this.plateNavigator?.setMosaicContrast(this.plateMosaicContrastMin / 100, this.plateMosaicContrastMax / 100);
+        },
+
+        clearPlateMosaic() {
+            this.plateNavigator?.clearMosaic();
         },
 
         /** @type {PlateNavigator|null} */
@@ -1253,6 +1541,8 @@ document.addEventListener("alpine:init", () => {
                         await this.selectWellsByNames(wellNames, mode);
                     } else if (this.plateSelectionMode === "sites") {
                         await this.selectSitesByWellArea(wellNames, mode, selectionBounds);
+                    } else if (this.plateSelectionMode === "place") {
+                        this.placeSitesInWells(wellNames, mode, selectionBounds);
                     }
                 }
             );
@@ -1289,6 +1579,15 @@ document.addEventListener("alpine:init", () => {
             }
         },
 
+        /**
+         * Remove the acquisition progress overlay from the plate navigator
+         */
+        clearPlateAcquisitionProgress() {
+            if (this.plateNavigator) {
+                this.plateNavigator.clearAcquisitionProgress();
+            }
+        },
+
         /**
          * Select or deselect wells by their names (e.g., ["A01", "A02", "B01"])
          * @param {string[]} wellNames - Array of well names to select/deselect
@@ -1472,6 +1771,77 @@ document.addEventListener("alpine:init", () => {
 
         /** indicate of connection to server is currently established */
         isConnectedToServer: false,
+        /**
+         * reconnection state of the status websocket, as reported by WebSocketManager
+         * @type {import('./api-client.js').WebSocketConnectionStateInfo|null}
+         */
+        statusConnectionInfo: null,
+        /** seconds until the next reconnection attempt of the status websocket (null if none is scheduled) */
+        statusRetryInS: /** @type {number|null} */(null),
+        /** @type {ReturnType<typeof setInterval>|null} */
+        _statusRetryCountdownInterval: null,
+
+        /**
+         * track reconnection state of the status websocket, and keep the countdown
+         * to the next reconnection attempt up to date.
+         * @param {import('./api-client.js').WebSocketConnectionStateInfo} info
+         */
+        onStatusConnectionStateChange(info) {
+            this.statusConnectionInfo = info;
+
+            const updateCountdown = () => {
+                const nextRetryAt = this.statusConnectionInfo?.nextRetryAt;
+                if (this.statusConnectionInfo?.state !== 'backing-off' || nextRetryAt == null) {
+                    this.statusRetryInS = null;
+                    if (this._statusRetryCountdownInterval != null) {
+                        clearInterval(this._statusRetryCountdownInterval);
+                        this._statusRetryCountdownInterval = null;
+                    }
+                    return;
+                }
+                this.statusRetryInS = Math.max(0, Math.ceil((nextRetryAt - Date.now()) / 1000));
+            };
+
+            updateCountdown();
+            if (this.statusRetryInS != null && this._statusRetryCountdownInterval == null) {
+                this._statusRetryCountdownInterval = setInterval(updateCountdown, 1000);
+            }
+        },
+        /** text describing the state of the connection to the server */
+        get serverConnectionText() {
+            if (this.isConnectedToServer) return "Connected";
+            switch (this.statusConnectionInfo?.state) {
+                case 'connecting':
+                    return "Connecting…";
+                case 'backing-off':
+                    return `Reconnecting in ${this.statusRetryInS ?? 0} s…`;
+                case 'gave-up':
+                    return "Disconnected (gave up)";
+                default:
+                    return "Disconnected";
+            }
+        },
+        /** true if a reconnection attempt to the server can be triggered manually */
+        get canRetryServerConnection() {
+            const state = this.statusConnectionInfo?.state;
+            return !this.isConnectedToServer && (state === 'backing-off' || state === 'gave-up');
+        },
+        /** skip the reconnection backoff and reconnect to the server immediately */
+        retryServerConnectionNow() {
+            this.wsManager.retryNow('status');
+        },
+        /**
+         * configuration changes made while disconnected, sent once the connection is back
+         * @type {import('./api-client.js').JournalEntry[]}
+         */
+        pendingRequests: [],
+        /**
+         * drop a queued configuration change, instead of sending it once the connection is back
+         * @param {number} id
+         */
+        discardPendingRequest(id) {
+            this.api.discardJournalEntry(id);
+        },
 
         // acquisition status websocket for monitoring acquisition progress
         /** @type {WebSocket|null} */
@@ -1512,31 +1882,36 @@ document.addEventListener("alpine:init", () => {
             // Create new WebSocket connection using WebSocketManager (with correct protocol)
             // Only create if not already created/connected
             if (!this.wsManager.getConnection('status')) {
-                this.wsManager.createConnection('status', '/ws/get_info/current_state', {
+                this.wsManager.createConnection('status', STATUS_WS_ENDPOINT, {
                     onMessage: async (ev) => {
                         try {
-                            const data = json5.parse(ev.data);
-                            await this.updateMicroscopeStatus(data);
+                            // partial updates are merged into the full status, control messages yield null
+                            const data = this.statusSubscription.handleMessage(json5.parse(ev.data));
+                            if (data == null) return;
+                            if (!this.checkWebSocketPayload(STATUS_WS_ENDPOINT, data)) return;
+                            await this.updateMicroscopeStatus(/** @type {CoreCurrentState} */(data));
 
                             // if we got this far, the connection to the server is established
                             this.isConnectedToServer = true;
+
+                            // e.g. subscribe to stage position only, while the stage is moving
+                            this.updateStatusSubscription();
                         } catch (error) {
                             console.error('Error updating microscope status:', error);
-                            // Continue polling - don't break the loop
+                            // Continue receiving updates - don't break the subscription
                         }
                     },
                     onOpen: (ws) => {
-                        // Send initial message immediately to trigger server response
-                        this.wsManager.send('status', "info");
-                        // Schedule polling loop
-                        requestAnimationFrame(() => this.status_getstate_loop());
+                        this.statusSubscription.start(this.desiredStatusSubscription());
                     },
                     onError: (event) => {
                         this.isConnectedToServer = false;
+                        this.statusSubscription.stop();
                         // Reconnection is handled by WebSocketManager
                     },
                     onClose: () => {
                         this.isConnectedToServer = false;
+                        this.statusSubscription.stop();
                         // Reconnection is handled by WebSocketManager
                     },
                     autoReconnect: true,
@@ -1544,15 +1919,26 @@ document.addEventListener("alpine:init", () => {
             }
         },
 
-        status_getstate_loop() {
-            // Only send if connected; WebSocketManager handles reconnection automatically
-            if (this.wsManager.isConnected('status')) {
-                // send arbitrary message to receive status update
-                this.wsManager.send('status', "info");
-            }
-            // Schedule next poll iteration regardless of connection status
-            // The WebSocketManager will reconnect automatically on errors
-            requestAnimationFrame(() => this.status_getstate_loop());
+        /** @type {StatusSubscription?} */
+        _statusSubscription: null,
+        /** status update subscription on the status websocket (created on first use) */
+        get statusSubscription(){
+            if(!this._statusSubscription)this._statusSubscription = new StatusSubscription(this.wsManager);
+            return this._statusSubscription;
+        },
+        /**
+         * adjust the status update rate (and fields) to what the interface currently needs,
+         * e.g. throttle updates while the tab is hidden.
+         */
+        updateStatusSubscription() {
+            this.statusSubscription.update(this.desiredStatusSubscription());
+        },
+        /** @returns {import('./status-subscription.js').StatusSubscriptionOptions} */
+        desiredStatusSubscription() {
+            return statusSubscriptionFor({
+                hidden: document.visibilityState === 'hidden',
+                state: this.state,
+            });
         },
 
         /**
@@ -1573,11 +1959,23 @@ document.addEventListener("alpine:init", () => {
                         onMessage: (ev) => {
                             const data = JSON.parse(ev.data);
                             if(typeof data != "object")throw new Error(`event data has wrong type ${typeof data}`);
+                            if (!this.checkWebSocketPayload('/ws/acquisition/status', data)) return;
 
                             // Store previous status to detect state changes
                             const previousStatus = this.latest_acquisition_status;
                             this.latest_acquisition_status = data;
 
+                            this.plateNavigator?.updateAcquisitionProgress(data);
+
+                            if (previousStatus?.acquisition_status !== data.acquisition_status) {
+                                eventLog.record('acquisition', `${data.acquisition_id}: ${previousStatus?.acquisition_status ?? 'none'} -> ${data.acquisition_status}`, {
+                                    acquisition_id: data.acquisition_id,
+                                    previous_status: previousStatus?.acquisition_status ?? null,
+                                    status: data.acquisition_status,
+                                    message: data.message,
+                                });
+                            }
+
                             // Handle acquisition status changes
                             if (data && data.acquisition_status) {
                                 // Show acquisition errors when status is CRASHED and there's a message
@@ -1663,10 +2061,56 @@ document.addEventListener("alpine:init", () => {
         // which leads to a whole bunch of errors in the console and breaks
         // some functionalities that depend on fields being initialized on mounting.
         async initSelf() {
+            // refresh the event log view at most a few times per second
+            let eventLogRefreshScheduled = false;
+            eventLog.subscribe(() => {
+                if (eventLogRefreshScheduled) return;
+                eventLogRefreshScheduled = true;
+                setTimeout(() => {
+                    eventLogRefreshScheduled = false;
+                    this.eventLogVersion++;
+                }, 250);
+            });
+
             // Test server connection and fall back to mock mode if unavailable
             let useMockMode = false;
 
+            /** @param {import('./api-client.js').APIRequestInfo} info */
+            const onRequestComplete = (info) => {
+                eventLog.record('api', `${info.method} ${info.endpoint}: ${info.error ?? info.status}`, { ...info });
+            };
+            /** @type {(name: string, isConnected: boolean, info: import('./api-client.js').WebSocketConnectionStateInfo) => void} */
+            const logConnectionState = (name, isConnected, info) => {
+                eventLog.record('websocket', `${name}: ${info.state}`, { name, ...info });
+            };
+
+            /** @type {(title: string, message: string, error?: Error) => void} */
+            const onAPIError = (title, message, error) => {
+                // requests cancelled on purpose do not need to be shown to the user
+                if (error instanceof APIAbortError && !(error instanceof APITimeoutError)) return;
+                if (error instanceof APIBusyError) {
+                    this.reportAPIError(title, error);
+                    return;
+                }
+                this.showError(title, message);
+            };
+
+            const searchParams = new URLSearchParams(window.location.search);
+            // session file to replay, the mock serves it even if the server is available (see MOCK_SESSION_PARAM)
+            const replaySessionUrl = searchParams.get(MOCK_SESSION_PARAM);
+            // mock mode requested, e.g. by end-to-end tests (see MOCK_MODE_PARAM)
+            const forceMockMode = searchParams.has(MOCK_MODE_PARAM) || replaySessionUrl != null;
+            // record from the start, to include the requests made while loading (see RECORD_SESSION_PARAM)
+            sessionRecorder.subscribe(() => this.refreshSessionRecording());
+            if (searchParams.has(RECORD_SESSION_PARAM) && !forceMockMode) {
+                sessionRecorder.start(this.server_url);
+            }
+
             try {
+                if (forceMockMode) {
+                    throw new Error(replaySessionUrl ? `replaying session ${replaySessionUrl}` : 'requested through the url');
+                }
+
                 // Quick health check to see if server is available
                 const testResponse = await fetch(`${this.server_url}/api/get_features/hardware_capabilities`, {
                     method: 'POST',
@@ -1682,28 +2126,114 @@ document.addEventListener("alpine:init", () => {
                 // Server is available, use real API client
                 console.log('[Seafront] Server connection successful');
                 this._api = new APIClient(this.server_url, {
-                    onError: (title, message) => this.showError(title, message),
+                    onError: onAPIError,
+                    onRequestComplete,
+                    onJournalChange: (entries) => {
+                        this.pendingRequests = entries;
+                    },
+                    recorder: sessionRecorder,
                 });
 
                 this._wsManager = new WebSocketManager(this.server_url, {
                     reconnectDelay: 200,
+                    recorder: sessionRecorder,
                     onError: (message) => console.warn(message),
-                    onConnectionStateChange: (name, isConnected) => {
+                    onConnectionStateChange: (name, isConnected, info) => {
+                        logConnectionState(name, isConnected, info);
                         if (name === 'status') {
                             this.isConnectedToServer = isConnected;
+                            this.onStatusConnectionStateChange(info);
+                            // send configuration changes made while disconnected
+                            this.api.setConnected(isConnected);
                         }
                     },
                 });
 
                 useMockMode = false;
             } catch (error) {
-                // Server unavailable, use mock mode
-                console.warn('[Seafront] Server unavailable, using mock mode:', error.message);
+                // Server unavailable (or mock mode requested), use mock mode
+                const reason = error instanceof Error ? error.message : String(error);
+                if (forceMockMode) {
+                    console.log('[Seafront] Using mock mode:', reason);
+                } else {
+                    console.warn('[Seafront] Server unavailable, using mock mode:', reason);
+                }
                 this._api = new MockAPIClient(this.server_url, {
-                    onError: (title, message) => this.showError(title, message),
+                    onError: onAPIError,
+                    onRequestComplete,
+                });
+                this._wsManager = new MockWebSocketManager({
+                    onConnectionStateChange: logConnectionState,
                 });
-                this._wsManager = new MockWebSocketManager();
                 useMockMode = true;
+
+                if (replaySessionUrl) {
+                    try {
+                        const response = await fetch(replaySessionUrl);
+                        if (!response.ok) {
+                            throw new Error(`${response.status} ${response.statusText}`);
+                        }
+                        setMockReplaySession(new SessionReplay(decodeSession(await response.text())));
+                        this.mockReplaySessionUrl = replaySessionUrl;
+                        console.log(`[Seafront] Replaying session ${replaySessionUrl}`);
+                    } catch (error) {
+                        this.showError("Failed to load session", `${replaySessionUrl}: ${error instanceof Error ? error.message : error}`);
+                    }
+                }
+
+                // hardware variant requested through the url (see MOCK_HARDWARE_PROFILE_PARAM)
+                this.mockHardwareProfiles = await loadMockHardwareProfiles();
+                const profileId = mockHardwareProfileIdFromLocation();
+                const profile = this.mockHardwareProfiles.find(p => p.id === profileId);
+                if (profile) {
+                    setMockHardwareProfile(profile);
+                    this.mockHardwareProfileId = profile.id;
+                } else if (profileId) {
+                    console.warn(`[Seafront] Unknown mock hardware profile '${profileId}', using the default profile`);
+                }
+
+                mockFaults.subscribe(() => this.refreshMockFaultRules());
+
+                // continue with the mock state of the last session (protocols, machine config, images, ...)
+                this._mockPersistence = new MockStatePersistence();
+                try {
+                    if (await this._mockPersistence.restore()) {
+                        console.log('[Seafront] Restored mock microscope state');
+                    }
+                } catch (error) {
+                    console.warn('[Seafront] Failed to restore mock microscope state:', error);
+                }
+                this._mockPersistence.start();
+
+                // faults requested through the url, e.g. by test scripts (see MOCK_FAULTS_PARAM),
+                // replace the faults of the last session
+                const faultSpec = mockFaultSpecFromLocation();
+                if (faultSpec) {
+                    mockFaults.clear();
+                    this.mockFaultSpec = faultSpec;
+                    this.addMockFaults();
+                }
+
+                const speedup = new URLSearchParams(window.location.search).get(MOCK_ACQUISITION_SPEEDUP_PARAM);
+                if (speedup) {
+                    this.mockAcquisitionSpeedup = Number(speedup);
+                    this.applyMockAcquisitionSpeedup();
+                }
+
+                // clock settings requested through the url (see MOCK_CLOCK_RATE_PARAM, MOCK_SEED_PARAM, MOCK_START_TIME_PARAM)
+                try {
+                    const { rate, seed, startTime } = mockClockSettingsFromLocation();
+                    if (seed != null) {
+                        seedMockRandom(seed);
+                        this.mockSeed = String(seed);
+                    }
+                    if (startTime != null) setMockClockStartTime(startTime);
+                    if (rate != null) mockClock.setRate(rate);
+                } catch (error) {
+                    console.warn('[Seafront] Ignoring mock clock url parameters:', error);
+                }
+                mockClock.subscribe(() => this.refreshMockClock());
+                this.refreshMockClock();
             }
 
             this._useMockAPI = useMockMode;
@@ -1711,6 +2241,14 @@ document.addEventListener("alpine:init", () => {
                 this.showMockModeIndicator();
             }
 
+            this.serverCompatibility = await this.negotiateServerCompatibility();
+            this.imageClient.setProtocol(
+                this.supportsProtocolFeature(SERVER_PROTOCOL_FEATURES.image_request_ids) ? 'multiplexed' : 'legacy'
+            );
+            for (const message of this.serverCompatibility.messages) {
+                console.warn(`[Seafront] ${message}`);
+            }
+
             this._plateinfo = await this.getPlateTypes();
             this._microscope_config = await this.defaultConfig();
 
@@ -1734,6 +2272,11 @@ document.addEventListener("alpine:init", () => {
                 console.warn("No hardware limits found in capabilities, using defaults");
             }
 
+            // remember how to reach this microscope (e.g. for the dashboard)
+            if (!this._useMockAPI) {
+                this.setMicroscopeCache({ server_url: this.server_url });
+            }
+
             // Now that microscope name is available, try to load saved config from localStorage
             const savedData = this.loadMicroscopeConfigFromStorage();
             if (savedData) {
@@ -1878,13 +2421,16 @@ document.addEventListener("alpine:init", () => {
             // init data - get initial state from server
             const currentStateJson = await this.api.post('/api/get_info/current_state', {}, {
                 context: 'Get initial microscope state',
-                showError: false
+                showError: false,
+                retry: true
             });
             await this.updateMicroscopeStatus(currentStateJson);
 
             // Initialize WebSocket connection for status updates
-            // (onopen handler will start the status_getstate_loop)
+            // (onopen handler will start the status subscription)
             this.status_reconnect();
+            // throttle status updates while the tab is hidden
+            document.addEventListener('visibilitychange', () => this.updateStatusSubscription());
 
             // Initialize persistent image WebSocket
             this.initImageWebSocket();
@@ -1901,6 +2447,25 @@ document.addEventListener("alpine:init", () => {
          */
         initChannelView(el) {
             this.view = new ChannelImageView(el, this.cached_channel_image);
+
+            // double tap on an image moves the objective to the tapped position
+            this.view.setObjectiveMoveCallback(async (channelhandle, x, y) => {
+                const image = this.cached_channel_image.get(channelhandle);
+                if (!image || !this.plateNavigator) return;
+
+                const position = image.info.position;
+                const stage_position = "x_pos_mm" in position ? position : position.position;
+                // images are centered on the stage position, and cover the field of view of the objective
+                const fov = this.plateNavigator.objective;
+                try {
+                    await this.moveObjectiveTo(
+                        stage_position.x_pos_mm + (x - 0.5) * fov.fovx,
+                        stage_position.y_pos_mm + (y - 0.5) * fov.fovy,
+                    );
+                } catch (error) {
+                    // the api client has shown the error already, and the channel view does not wait for the move
+                }
+            });
         },
         /** @type {ChannelImageView|null} */
         view: null,
@@ -1929,22 +2494,24 @@ document.addEventListener("alpine:init", () => {
 
         /** get total number of images acquired with current config */
         get num_images() {
-            const num_sites_xy = this.microscope_config.grid.mask.reduce(
-                (o, n) => o + (n.selected ? 1 : 0),
-                0,
-            );
+            // wells may have different site layouts
+            let num_sites_xy = 0;
+            for (const well of this.microscope_config.plate_wells) {
+                if (!well.selected || well.col < 0 || well.row < 0) continue;
+                try {
+                    num_sites_xy += wellSites(this.microscope_config, well).filter(site => site.selected).length;
+                } catch (error) {
+                    // invalid layout, reported when the acquisition is started
+                }
+            }
             const num_sites_xyt =
                 num_sites_xy * this.microscope_config.grid.num_t;
-            const num_wells = this.microscope_config.plate_wells.reduce(
-                (o, n) => o + (n.selected ? 1 : 0),
-                0,
-            );
             const num_channels = this.microscope_config.channels.reduce(
                 (o, n) => o + (n.enabled ? 1 * n.num_z_planes : 0),
                 0,
             );
 
-            const total_num_images = num_sites_xyt * num_wells * num_channels;
+            const total_num_images = num_sites_xyt * num_channels;
 
             return total_num_images;
         },
@@ -2294,6 +2861,11 @@ document.addEventListener("alpine:init", () => {
                     (w) => w.selected && w.col >= 0 && w.row >= 0,
                 );
 
+                // older servers ignore the site layouts, and would image the grid instead
+                if (hasCustomSiteLayouts(backend_config) && !this.serverSupportsSiteLayouts) {
+                    throw new Error("The server does not support site layouts other than the grid. Apply the grid layout to all wells (and reset the well layouts) to start the acquisition.");
+                }
+
                 /** @type {AcquisitionStartRequest} */
                 const backend_body = {
                     config_file: backend_config
@@ -2303,8 +2875,8 @@ document.addEventListener("alpine:init", () => {
                     context: 'Acquisition start',
                     showError: false
                 }).catch((error) => {
-                    // Show error in central modal
-                    this.showError('Acquisition Start Failed', error.message || error.toString());
+                    // Show error in central modal (or offer retry, if the microscope was busy)
+                    this.reportAPIError('Acquisition Start Failed', error);
                     throw error; // Re-throw so calling code still sees the error
                 });
             } catch (error) {
@@ -2329,8 +2901,8 @@ document.addEventListener("alpine:init", () => {
                     context: 'Acquisition cancel',
                     showError: false
                 }).catch((error) => {
-                    // Show error in central modal
-                    this.showError('Acquisition Cancel Failed', error.message || error.toString());
+                    // Show error in central modal (or offer retry, if the microscope was busy)
+                    this.reportAPIError('Acquisition Cancel Failed', error);
                     throw error; // Re-throw so calling code still sees the error
                 });
             } catch (e) {
@@ -2409,7 +2981,8 @@ document.addEventListener("alpine:init", () => {
          */
         async acquisition_status(body) {
             return this.api.post('/api/acquisition/status', body, {
-                context: 'Get acquisition status'
+                context: 'Get acquisition status',
+                retry: true
             });
         },
 
@@ -2421,6 +2994,8 @@ document.addEventListener("alpine:init", () => {
                  */
                 storeConfig: async (body) => {
                     return this.api.post('/api/acquisition/config_store', body, {
+                        // queue while disconnected, send once the connection is back
+                        journal: true,
                         context: 'Save Configuration'
                     });
                 },
@@ -2554,9 +3129,11 @@ document.addEventListener("alpine:init", () => {
                     await this.machineConfigFlush();
 
                     const response = await this.api.post('/api/action/laser_autofocus_calibrate', body, {
-                        context: 'Laser autofocus calibrate'
+                        context: 'Laser autofocus calibrate',
+                        // calibration scans through z, which takes much longer than other actions
+                        timeoutMs: 120000,
                     });
-                    console.log(response);
+                    eventLog.record('info', 'laser autofocus calibrated', { ...response });
                     return response;
                 },
                 /**
@@ -2709,14 +3286,20 @@ document.addEventListener("alpine:init", () => {
                 await this.getMachineDefaults();
             this.refreshMachineConfigNamespaces();
         },
-        async machineConfigFlush() {
+        /**
+         * @param {{journal?: boolean}} [options] - journal: queue the flush while disconnected (only for
+         *     explicit flushes, never for the flush preceding an action, which would then happen late as well)
+         * @returns {Promise<MachineConfigFlushResponse>}
+         */
+        async machineConfigFlush({ journal = false } = {}) {
             /** @type {MachineConfigFlushRequest} */
             const body = {
                 machine_config: this.microscope_config.machine_config,
             };
 
             return this.api.post('/api/action/machine_config_flush', body, {
-                context: 'Flush machine config'
+                context: 'Flush machine config',
+                journal,
             });
         },
 
@@ -2934,6 +3517,223 @@ document.addEventListener("alpine:init", () => {
             // nop
         },
 
+        // event log view (Advanced tab)
+        eventLogCategories: EVENT_CATEGORIES,
+        /** @type {import('./event-log.js').EventCategory[]} */
+        eventLogFilterCategories: [...EVENT_CATEGORIES],
+        eventLogFilterText: "",
+        /** incremented when events are recorded, so that eventLogView is re-evaluated */
+        eventLogVersion: 0,
+        /** number of events shown in the event log view (the export contains all of them) */
+        eventLogDisplayLimit: 500,
+        /** filtered events, newest first */
+        get eventLogView() {
+            // dependency for alpine, the event log itself is not reactive
+            this.eventLogVersion;
+            return eventLog.filter({
+                categories: this.eventLogFilterCategories,
+                text: this.eventLogFilterText,
+            }).slice(-this.eventLogDisplayLimit).reverse();
+        },
+        /**
+         * download the (filtered) event log as JSON lines, e.g. to attach it to a bug report
+         */
+        exportEventLog() {
+            const jsonl = eventLog.toJSONLines({
+                categories: this.eventLogFilterCategories,
+                text: this.eventLogFilterText,
+            });
+            const url = URL.createObjectURL(new Blob([jsonl], { type: "application/jsonl" }));
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `seafront-events-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`;
+            link.click();
+            URL.revokeObjectURL(url);
+        },
+        clearEventLog() {
+            eventLog.clear();
+            this.eventLogVersion++;
+        },
+
+        // session recording (Settings tab, see session-recording.js)
+        sessionRecording: false,
+        sessionRecordingEntries: 0,
+        /** size of the recording (bytes), recording stops at sessionRecordingMaxBytes */
+        sessionRecordingBytes: 0,
+        sessionRecordingMaxBytes: sessionRecorder.maxBytes,
+        /** whether recording stopped because the recording reached sessionRecordingMaxBytes */
+        sessionRecordingReachedMaxBytes: false,
+        /** url of the session file replayed by the mock, if any (see MOCK_SESSION_PARAM) */
+        mockReplaySessionUrl: "",
+        refreshSessionRecording() {
+            this.sessionRecording = sessionRecorder.isRecording;
+            this.sessionRecordingEntries = sessionRecorder.entries.length;
+            this.sessionRecordingBytes = sessionRecorder.bytes;
+            this.sessionRecordingMaxBytes = sessionRecorder.maxBytes;
+            this.sessionRecordingReachedMaxBytes = sessionRecorder.reachedMaxBytes;
+        },
+        startSessionRecording() {
+            sessionRecorder.start(this.server_url);
+        },
+        stopSessionRecording() {
+            sessionRecorder.stop();
+        },
+        /**
+         * download the recorded session, to replay it in mock mode (e.g. to debug a problem offline)
+         */
+        exportSessionRecording() {
+            const url = URL.createObjectURL(new Blob([sessionRecorder.encode()], { type: "application/json" }));
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `seafront-session-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        },
+
+        // mock fault injection (Settings tab, mock mode only)
+        mockFaultTypes: MOCK_FAULT_TYPES,
+        /** fault rules in text form, to be added (see MOCK_FAULTS_PARAM) */
+        mockFaultSpec: "",
+        /** @type {(import('./mock-faults.js').MockFaultRule & {text: string})[]} */
+        mockFaultRules: [],
+        refreshMockFaultRules() {
+            this.mockFaultRules = mockFaults.rules.map(rule => ({ ...rule, text: formatMockFaultRule(rule) }));
+        },
+        addMockFaults() {
+            try {
+                mockFaults.addFromSpec(this.mockFaultSpec);
+                this.mockFaultSpec = "";
+            } catch (error) {
+                this.showError("Invalid mock fault rule", error instanceof Error ? error.message : String(error));
+            }
+        },
+        /** @param {number} id */
+        removeMockFault(id) {
+            mockFaults.remove(id);
+        },
+        clearMockFaults() {
+            mockFaults.clear();
+        },
+
+        // mock hardware profile (Settings tab, mock mode only)
+        /** @type {import('./mock-hardware.js').MockHardwareProfile[]} */
+        mockHardwareProfiles: [],
+        mockHardwareProfileId: "default",
+        /**
+         * switch the hardware of the mock microscope, by reloading with the profile in the url
+         * (the interface loads the hardware capabilities and machine config at startup)
+         */
+        selectMockHardwareProfile() {
+            const url = new URL(window.location.href);
+            url.searchParams.set(MOCK_HARDWARE_PROFILE_PARAM, this.mockHardwareProfileId);
+            window.location.assign(url);
+        },
+
+        // mock acquisition speed (Settings tab, mock mode only)
+        mockAcquisitionSpeedup: getMockAcquisitionSpeedup(),
+        applyMockAcquisitionSpeedup() {
+            try {
+                setMockAcquisitionSpeedup(this.mockAcquisitionSpeedup);
+            } catch (error) {
+                this.showError("Invalid mock acquisition speedup", error instanceof Error ? error.message : String(error));
+                this.mockAcquisitionSpeedup = getMockAcquisitionSpeedup();
+            }
+        },
+
+        // mock clock (Settings tab, mock mode only)
+        /** @type {"realtime"|"fast_forward"|"manual"} */
+        mockClockMode: "realtime",
+        /** clock rate in fast forward mode */
+        mockClockFastForward: 10,
+        /** time (ms) a manual step lets pass */
+        mockClockStepMs: 1000,
+        /** current time of the mock clock (updated when the clock is changed or stepped) */
+        mockClockTime: "",
+        /** seed of the mock random numbers, empty for unseeded */
+        mockSeed: "",
+        refreshMockClock() {
+            this.mockClockMode = mockClock.rate === 0 ? "manual" : mockClock.rate === 1 ? "realtime" : "fast_forward";
+            if (this.mockClockMode === "fast_forward") this.mockClockFastForward = mockClock.rate;
+            this.mockClockTime = mockClock.date().toISOString();
+        },
+        applyMockClock() {
+            try {
+                mockClock.setRate({
+                    realtime: 1,
+                    fast_forward: parseMockClockRate(String(this.mockClockFastForward)),
+                    manual: 0,
+                }[this.mockClockMode]);
+            } catch (error) {
+                this.showError("Invalid mock clock rate", error instanceof Error ? error.message : String(error));
+                this.refreshMockClock();
+            }
+        },
+        /**
+         * let time pass on the mock clock, running everything due meanwhile (e.g. acquisition steps, status updates)
+         * @param {number} ms
+         */
+        stepMockClock(ms) {
+            if (!(ms > 0)) {
+                this.showError("Invalid mock clock step", `step must be a positive number of ms, got ${ms}`);
+                return;
+            }
+            mockClock.advance(ms);
+        },
+        applyMockSeed() {
+            try {
+                seedMockRandom(this.mockSeed.trim() === "" ? null : parseMockSeed(this.mockSeed));
+            } catch (error) {
+                this.showError("Invalid mock random seed", error instanceof Error ? error.message : String(error));
+            }
+        },
+
+        // mock scenario (Settings tab, mock mode only)
+        /** @type {MockStatePersistence|null} */
+        _mockPersistence: null,
+        /**
+         * download the state of the mock microscope, e.g. to reproduce a bug elsewhere
+         */
+        exportMockScenario() {
+            const url = URL.createObjectURL(new Blob([encodeMockScenario(getMockScenario())], { type: "application/json" }));
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `seafront-mock-scenario-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        },
+        /**
+         * replace the state of the mock microscope with a scenario file, then reload the interface
+         * @param {Event} event - change event of the file input
+         */
+        async importMockScenario(event) {
+            const input = /** @type {HTMLInputElement} */ (event.target);
+            const file = input.files?.[0];
+            input.value = "";
+            if (!file) return;
+
+            try {
+                applyMockScenario(decodeMockScenario(await file.text()));
+                await this._mockPersistence?.save();
+            } catch (error) {
+                this.showError("Failed to import mock scenario", error instanceof Error ? error.message : String(error));
+                return;
+            }
+            // the interface state (machine config, protocols, images) is loaded from the mock at startup
+            window.location.reload();
+        },
+        /**
+         * forget the state of the mock microscope, then reload the interface
+         */
+        async resetMockState() {
+            try {
+                await this._mockPersistence?.reset();
+            } catch (error) {
+                this.showError("Failed to reset mock state", error instanceof Error ? error.message : String(error));
+                return;
+            }
+            window.location.reload();
+        },
+
         /** @type {HTMLCanvasElement|null} */
         latestLaserAutofocusImageCanvas: null,
         async button_laserAutofocusGetLatestImage() {
@@ -2967,6 +3767,10 @@ document.addEventListener("alpine:init", () => {
                 position: { x_pos_mm: 0, y_pos_mm: 0, z_pos_mm: 0 },
                 timestamp: 0,
             });
+            if (!img) {
+                this.showError('Laser Autofocus', 'The server has no laser autofocus image.');
+                return;
+            }
             const imgdata = new ImageData(img.width, img.height);
             const rawimgdata = new Uint8ClampedArray(img.data);
             for (let i = 0; i < img.width * img.height; i++) {
@@ -3346,6 +4150,139 @@ document.addEventListener("alpine:init", () => {
             }
         },
 
+        /** site layout edited in the site configuration, applied to all wells or to the selected wells */
+        siteLayoutEditor: {
+            /** @type {SiteLayout['kind']} */
+            kind: 'grid',
+            spacing_mm: 1.0,
+            margin_mm: 0.5,
+        },
+
+        /**
+         * layout set up in the site layout editor
+         * @param {SiteLayout} currentLayout - Layout that is replaced, a free layout starts with its (selected) sites
+         * @returns {SiteLayout}
+         */
+        editedSiteLayout(currentLayout) {
+            const editor = this.siteLayoutEditor;
+            switch (editor.kind) {
+                case 'concentric':
+                    return { kind: 'concentric', spacing_mm: editor.spacing_mm, margin_mm: editor.margin_mm };
+                case 'free': {
+                    /** @type {import('./site-layout.js').LayoutSite[]} */
+                    let sites;
+                    try {
+                        sites = layoutSites(currentLayout, this.microscope_config.grid, this.microscope_config.wellplate_type);
+                    } catch (error) {
+                        sites = [];
+                    }
+                    return { kind: 'free', sites: sites.filter(site => site.selected).map(site => ({ x_mm: site.x_mm, y_mm: site.y_mm })) };
+                }
+                default:
+                    return { kind: 'grid' };
+            }
+        },
+
+        /**
+         * use the layout of the site layout editor for all wells (without own layout)
+         */
+        applySiteLayoutToAllWells() {
+            const layout = this.editedSiteLayout(this.microscope_config.grid.layout ?? DEFAULT_SITE_LAYOUT);
+            this.microscope_config.grid.layout = layout.kind === 'grid' ? null : layout;
+            this.siteLayoutsChanged();
+        },
+
+        /**
+         * use the layout of the site layout editor for the selected wells only
+         */
+        applySiteLayoutToSelectedWells() {
+            for (const well of this.microscope_config.plate_wells) {
+                if (!well.selected || well.col < 0 || well.row < 0) continue;
+                // copy, so that the wells can be edited independently (e.g. when placing sites)
+                well.site_layout = this.editedSiteLayout(wellSiteLayout(this.microscope_config, well));
+            }
+            this.siteLayoutsChanged();
+        },
+
+        /**
+         * remove the own layouts of all wells, so that they use the common layout again
+         */
+        resetWellSiteLayouts() {
+            for (const well of this.microscope_config.plate_wells) {
+                delete well.site_layout;
+            }
+            this.siteLayoutsChanged();
+        },
+
+        /** number of wells with their own site layout */
+        get numWellsWithOwnSiteLayout() {
+            return this.microscope_config.plate_wells.filter(well => well.site_layout != null).length;
+        },
+
+        siteLayoutsChanged() {
+            if (this.plateNavigator) {
+                this.plateNavigator.refreshWellColors(this.microscope_config);
+            }
+            this.saveCurrentConfig();
+        },
+
+        /**
+         * Place sites in wells by clicking on the plate (selection mode 'place'):
+         * adds a site at the center of the selection to the well it is in, or removes the sites in the selection.
+         * Wells get a free layout of their own, starting with the sites of their previous layout.
+         * @param {string[]} wellNames - Wells touched by the selection
+         * @param {string} mode - 'select' to add a site, 'deselect' to remove sites
+         * @param {{minX: number, maxX: number, minY: number, maxY: number}} selectionBounds - Backend coordinates
+         */
+        placeSitesInWells(wellNames, mode, selectionBounds) {
+            const plate = this.microscope_config.wellplate_type;
+            const wellNamesSet = new Set(wellNames);
+            const fov = this.plateNavigator?.objective ?? { fovx: 0, fovy: 0 };
+            // a click removes the sites under the cursor
+            const marginX = fov.fovx / 2;
+            const marginY = fov.fovy / 2;
+
+            let changed = false;
+            for (const well of this.microscope_config.plate_wells) {
+                if (well.col < 0 || well.row < 0 || !wellNamesSet.has(makeWellName(well.col, well.row))) continue;
+
+                const center = wellCenterMm(plate, well.col, well.row);
+                /** @type {import('./site-layout.js').LayoutSite[]} */
+                let sites;
+                try {
+                    sites = wellSites(this.microscope_config, well).filter(site => site.selected);
+                } catch (error) {
+                    sites = [];
+                }
+                /** @type {FreeSiteLayout} */
+                const layout = { kind: 'free', sites: sites.map(site => ({ x_mm: site.x_mm, y_mm: site.y_mm })) };
+
+                if (mode === 'select') {
+                    const x_mm = (selectionBounds.minX + selectionBounds.maxX) / 2 - center.x_mm;
+                    const y_mm = (selectionBounds.minY + selectionBounds.maxY) / 2 - center.y_mm;
+                    // only place sites inside the well
+                    if (Math.abs(x_mm) > plate.Well_size_x_mm / 2 || Math.abs(y_mm) > plate.Well_size_y_mm / 2) continue;
+                    layout.sites.push({ x_mm: Math.round(x_mm * 1000) / 1000, y_mm: Math.round(y_mm * 1000) / 1000 });
+                } else {
+                    const numSites = layout.sites.length;
+                    layout.sites = layout.sites.filter(site => {
+                        const x = center.x_mm + site.x_mm;
+                        const y = center.y_mm + site.y_mm;
+                        return x < selectionBounds.minX - marginX || x > selectionBounds.maxX + marginX
+                            || y < selectionBounds.minY - marginY || y > selectionBounds.maxY + marginY;
+                    });
+                    if (layout.sites.length === numSites) continue;
+                }
+
+                well.site_layout = layout;
+                changed = true;
+            }
+
+            if (changed) {
+                this.siteLayoutsChanged();
+            }
+        },
+
         // Channel drag-and-drop functionality
         draggedChannelIndex: null,
 
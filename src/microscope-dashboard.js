@@ -0,0 +1,391 @@
+"use strict";
+
+import { STATUS_WS_ENDPOINT, StatusSubscription } from "./status-subscription.js";
+import { ImageFetchClient } from "./image-client.js";
+import { SERVER_DESCRIPTION_ENDPOINT, SERVER_PROTOCOL_FEATURES, checkServerCompatibility } from "./server-compat.js";
+
+/**
+ * Dashboard showing several microscopes at once.
+ *
+ * Each microscope gets its own (lightweight) connections: a slow status subscription,
+ * an acquisition status poll while an acquisition is running, and a heavily downsampled
+ * image of the most recently acquired channel.
+ * The connections only exist while the dashboard is open.
+ */
+
+/** query parameter selecting the server the control interface connects to */
+export const SERVER_URL_PARAM = 'server';
+
+/** status update rate (Hz) per microscope on the dashboard */
+export const DASHBOARD_STATUS_RATE_HZ = 2;
+/** downsample factor of the thumbnails */
+export const DASHBOARD_THUMBNAIL_DOWNSAMPLE = 8;
+/** interval (ms) of acquisition status requests while an acquisition is running */
+export const DASHBOARD_ACQUISITION_POLL_MS = 2000;
+
+/**
+ * Server the control interface connects to: the server query parameter, or the origin of the page.
+ * @param {Location} [location]
+ * @returns {string}
+ */
+export function serverUrlFromLocation(location = window.location) {
+    const serverUrl = new URLSearchParams(location.search).get(SERVER_URL_PARAM);
+    return serverUrl || location.origin;
+}
+
+/**
+ * Url of the control interface connected to serverUrl.
+ * @param {string} serverUrl
+ * @param {Location} [location]
+ * @returns {string}
+ */
+export function controlUrlFor(serverUrl, location = window.location) {
+    const url = new URL(location.href);
+    if (serverUrl === location.origin) {
+        url.searchParams.delete(SERVER_URL_PARAM);
+    } else {
+        url.searchParams.set(SERVER_URL_PARAM, serverUrl);
+    }
+    return url.toString();
+}
+
+/**
+ * @typedef {Object} DashboardMicroscope
+ * @property {string} name - Microscope name, as used for the microscope cache
+ * @property {string|null} serverUrl - Server of the microscope (null if not known)
+ */
+
+/**
+ * @typedef {Object} DashboardClients
+ * @property {import('./api-client.js').APIClient} api
+ * @property {import('./api-client.js').WebSocketManager} wsManager
+ */
+
+/**
+ * Creates the clients to talk to one microscope server.
+ * @callback DashboardConnect
+ * @param {string} serverUrl
+ * @param {(info: import('./api-client.js').WebSocketConnectionStateInfo) => void} onStatusConnectionStateChange
+ * @returns {DashboardClients}
+ */
+
+/**
+ * What the dashboard shows for one microscope (plain data, safe to keep in reactive ui state).
+ * @typedef {Object} DashboardEntry
+ * @property {string} name
+ * @property {string|null} serverUrl
+ * @property {boolean} isConnected
+ * @property {string} connectionText
+ * @property {string|null} reportedName - Microscope name reported by the server (may differ from the cached name)
+ * @property {boolean} isBusy
+ * @property {boolean} isStreaming
+ * @property {string|null} acquisitionId
+ * @property {string|null} acquisitionStatus
+ * @property {number|null} acquisitionProgressPercent
+ * @property {{message: string, timestamp: string|null}|null} lastError
+ * @property {string|null} thumbnailUrl - Data url of the latest image
+ * @property {string|null} thumbnailChannel - Channel name of the latest image
+ */
+
+/**
+ * @typedef {Object} DashboardConnection
+ * @property {DashboardEntry} entry
+ * @property {DashboardClients|null} clients
+ * @property {StatusSubscription|null} statusSubscription
+ * @property {ImageFetchClient|null} imageClient
+ * @property {number|null} thumbnailTimestamp - Timestamp of the image shown (or being fetched)
+ * @property {ReturnType<typeof setTimeout>|null} acquisitionTimer
+ */
+
+/**
+ * Convert an image to a (grayscale, contrast stretched) data url.
+ * @param {CachedChannelImage} image
+ * @returns {string}
+ */
+export function imageToDataUrl(image) {
+    const pixels = image.bit_depth > 8 ? new Uint16Array(image.data) : new Uint8Array(image.data);
+    const numPixels = image.width * image.height;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < numPixels; i++) {
+        if (pixels[i] < min) min = pixels[i];
+        if (pixels[i] > max) max = pixels[i];
+    }
+    const scale = max > min ? 255 / (max - min) : 0;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext("2d");
+    if (!ctx) throw new Error(`could not get 2d canvas context`);
+
+    const imgdata = ctx.createImageData(image.width, image.height);
+    for (let i = 0; i < numPixels; i++) {
+        const px = (pixels[i] - min) * scale;
+        imgdata.data[i * 4 + 0] = px;
+        imgdata.data[i * 4 + 1] = px;
+        imgdata.data[i * 4 + 2] = px;
+        imgdata.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imgdata, 0, 0);
+    return canvas.toDataURL();
+}
+
+/**
+ * Keeps live status of several microscopes.
+ */
+export class MicroscopeDashboard {
+    /**
+     * @param {{connect: DashboardConnect, onChange: (entries: DashboardEntry[]) => void}} options
+     */
+    constructor({ connect, onChange }) {
+        this.connect = connect;
+        this.onChange = onChange;
+
+        /** @type {DashboardConnection[]} */
+        this.connections = [];
+    }
+
+    /**
+     * Start watching microscopes (replaces the microscopes watched so far).
+     * @param {DashboardMicroscope[]} microscopes
+     * @returns {void}
+     */
+    open(microscopes) {
+        this.close();
+
+        this.connections = microscopes.map(microscope => {
+            /** @type {DashboardConnection} */
+            const connection = {
+                entry: {
+                    name: microscope.name,
+                    serverUrl: microscope.serverUrl,
+                    isConnected: false,
+                    connectionText: microscope.serverUrl ? "Connecting…" : "Server unknown",
+                    reportedName: null,
+                    isBusy: false,
+                    isStreaming: false,
+                    acquisitionId: null,
+                    acquisitionStatus: null,
+                    acquisitionProgressPercent: null,
+                    lastError: null,
+                    thumbnailUrl: null,
+                    thumbnailChannel: null,
+                },
+                clients: null,
+                statusSubscription: null,
+                imageClient: null,
+                thumbnailTimestamp: null,
+                acquisitionTimer: null,
+            };
+            if (microscope.serverUrl) {
+                this.openConnection(connection, microscope.serverUrl);
+            }
+            return connection;
+        });
+
+        this.notify();
+    }
+
+    /**
+     * Stop watching all microscopes, and close their connections.
+     * @returns {void}
+     */
+    close() {
+        for (const connection of this.connections) {
+            if (connection.acquisitionTimer != null) {
+                clearTimeout(connection.acquisitionTimer);
+                connection.acquisitionTimer = null;
+            }
+            connection.statusSubscription?.stop();
+            connection.imageClient?.rejectAll(new Error('dashboard closed'));
+            connection.clients?.wsManager.closeAll();
+        }
+        this.connections = [];
+    }
+
+    /**
+     * @private
+     * @param {DashboardConnection} connection
+     * @param {string} serverUrl
+     * @returns {void}
+     */
+    openConnection(connection, serverUrl) {
+        const { entry } = connection;
+
+        let clients;
+        try {
+            clients = this.connect(serverUrl, (info) => {
+                entry.isConnected = info.state === 'open';
+                entry.connectionText = {
+                    'connecting': "Connecting…",
+                    'open': "Connected",
+                    'backing-off': "Reconnecting…",
+                    'gave-up': "Unreachable",
+                    'closed': "Disconnected",
+                }[info.state];
+                this.notify();
+            });
+        } catch (error) {
+            entry.connectionText = `Cannot connect: ${error instanceof Error ? error.message : error}`;
+            return;
+        }
+        connection.clients = clients;
+
+        const statusSubscription = new StatusSubscription(clients.wsManager);
+        connection.statusSubscription = statusSubscription;
+        const imageClient = new ImageFetchClient(clients.wsManager, { timeoutMs: 5000 });
+        connection.imageClient = imageClient;
+        // newer servers take several image requests at once (the legacy protocol is used until then)
+        clients.api.get(SERVER_DESCRIPTION_ENDPOINT, { context: 'Dashboard server handshake', showError: false, timeoutMs: 5000 })
+            .then(description => {
+                const { protocolFeatures } = checkServerCompatibility(description);
+                if (protocolFeatures.includes(SERVER_PROTOCOL_FEATURES.image_request_ids)) {
+                    imageClient.setProtocol('multiplexed');
+                }
+            })
+            .catch(error => console.warn(`dashboard: server handshake with ${serverUrl} failed:`, error));
+
+        clients.wsManager.createConnection('status', STATUS_WS_ENDPOINT, {
+            onMessage: (ev) => {
+                try {
+                    const state = statusSubscription.handleMessage(JSON.parse(ev.data));
+                    if (state == null) return;
+                    this.updateStatus(connection, /** @type {CoreCurrentState} */(state));
+                } catch (error) {
+                    console.warn(`dashboard: invalid status from ${serverUrl}:`, error);
+                }
+            },
+            onOpen: () => {
+                statusSubscription.start({ rateHz: DASHBOARD_STATUS_RATE_HZ, fields: null });
+            },
+            onClose: () => {
+                statusSubscription.stop();
+                entry.isConnected = false;
+                this.notify();
+            },
+            onError: () => {
+                statusSubscription.stop();
+            },
+            autoReconnect: true,
+        });
+    }
+
+    /**
+     * @private
+     * @param {DashboardConnection} connection
+     * @param {CoreCurrentState} state
+     * @returns {void}
+     */
+    updateStatus(connection, state) {
+        const { entry } = connection;
+
+        // mock connections do not report connection state changes
+        if (!entry.isConnected) {
+            entry.isConnected = true;
+            entry.connectionText = "Connected";
+        }
+        entry.reportedName = state.microscope_name;
+        entry.isBusy = state.is_busy;
+        entry.isStreaming = state.is_streaming;
+        if (state.last_acquisition_error) {
+            entry.lastError = {
+                message: state.last_acquisition_error,
+                timestamp: state.last_acquisition_error_timestamp ?? null,
+            };
+        }
+
+        const acquisitionId = state.current_acquisition_id ?? null;
+        if (acquisitionId !== entry.acquisitionId) {
+            entry.acquisitionId = acquisitionId;
+            if (acquisitionId != null) {
+                this.pollAcquisitionStatus(connection);
+            }
+        }
+
+        this.updateThumbnail(connection, state);
+        this.notify();
+    }
+
+    /**
+     * Request the status of the running acquisition, until it is no longer running.
+     * @private
+     * @param {DashboardConnection} connection
+     * @returns {Promise<void>}
+     */
+    async pollAcquisitionStatus(connection) {
+        const { entry, clients } = connection;
+        if (connection.acquisitionTimer != null) {
+            clearTimeout(connection.acquisitionTimer);
+            connection.acquisitionTimer = null;
+        }
+        if (!clients || entry.acquisitionId == null) return;
+
+        try {
+            /** @type {AcquisitionStatusOut} */
+            const status = await clients.api.post('/api/acquisition/status', { acquisition_id: entry.acquisitionId }, {
+                context: `Get acquisition status of ${entry.name}`,
+                showError: false,
+                timeoutMs: 5000,
+            });
+            entry.acquisitionStatus = status.acquisition_status;
+            const total = status.acquisition_meta_information.total_num_images;
+            entry.acquisitionProgressPercent = total > 0
+                ? (status.acquisition_progress.current_num_images / total) * 100
+                : null;
+            if (status.acquisition_status === 'crashed' && status.message) {
+                entry.lastError = { message: status.message, timestamp: null };
+            }
+            this.notify();
+        } catch (error) {
+            console.warn(`dashboard: failed to get acquisition status of ${entry.name}:`, error);
+        }
+
+        // connection may have been closed meanwhile
+        if (!this.connections.includes(connection) || entry.acquisitionId == null) return;
+        connection.acquisitionTimer = setTimeout(() => this.pollAcquisitionStatus(connection), DASHBOARD_ACQUISITION_POLL_MS);
+    }
+
+    /**
+     * Fetch the most recently acquired image, if it is newer than the one shown.
+     * @private
+     * @param {DashboardConnection} connection
+     * @param {CoreCurrentState} state
+     * @returns {Promise<void>}
+     */
+    async updateThumbnail(connection, state) {
+        /** @type {ChannelInfo|null} */
+        let latest = null;
+        for (const [handle, channelInfo] of Object.entries(state.latest_imgs ?? {})) {
+            // laser autofocus image is not useful as a preview
+            if (handle === "laser_autofocus") continue;
+            if (latest == null || channelInfo.timestamp > latest.timestamp) {
+                latest = channelInfo;
+            }
+        }
+        if (latest == null || !connection.imageClient) return;
+        if (connection.thumbnailTimestamp != null && connection.thumbnailTimestamp >= latest.timestamp) return;
+
+        connection.thumbnailTimestamp = latest.timestamp;
+        try {
+            const image = await connection.imageClient.fetchImage(latest, { downsampleFactor: DASHBOARD_THUMBNAIL_DOWNSAMPLE });
+            if (!image || !this.connections.includes(connection)) return;
+            connection.entry.thumbnailUrl = imageToDataUrl(image);
+            connection.entry.thumbnailChannel = latest.channel.name;
+            this.notify();
+        } catch (error) {
+            // try again with the next status update
+            connection.thumbnailTimestamp = null;
+            console.warn(`dashboard: failed to fetch image from ${connection.entry.name}:`, error);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {void}
+     */
+    notify() {
+        this.onChange(this.connections.map(connection => ({ ...connection.entry })));
+    }
+}
@@ -1,14 +1,168 @@
 "use strict";
 
+import { APIError, APIServerError, APIBusyError, APIAbortError, APITimeoutError, createResponseError } from "./api-client.js";
+import { IMAGE_WS_ENDPOINT, encodeImageFrame, decodeImageFrame } from "./image-client.js";
+import { STATUS_WS_ENDPOINT } from "./status-subscription.js";
+import { SERVER_PROTOCOL_FEATURES } from "./server-compat.js";
+import { renderSpecimenImage } from "./mock-specimen.js";
+import { mockFaults } from "./mock-faults.js";
+import { DEFAULT_MOCK_HARDWARE_PROFILE } from "./mock-hardware.js";
+import { mockClock, mockRandom } from "./mock-clock.js";
+import { wellSites, wellCenterMm, hasCustomSiteLayouts } from "./site-layout.js";
+
 /**
  * Standard positions for the mock microscope
  */
-const LOADING_POSITION = { x_pos_mm: 0, y_pos_mm: 0, z_pos_mm: 0 };
+// next to the plate clamp in the corner (see MOCK_FORBIDDEN_AREAS)
+const LOADING_POSITION = { x_pos_mm: 0, y_pos_mm: 43, z_pos_mm: 0 };
 const BOOTUP_POSITION = { x_pos_mm: 50, y_pos_mm: 30, z_pos_mm: 0 };
 
+/**
+ * Endpoints implemented by MockAPIClient, reported in the mock server description
+ */
+const MOCK_API_ENDPOINTS = [
+    '/api/get_info/current_state',
+    '/api/get_features/hardware_capabilities',
+    '/api/get_features/machine_defaults',
+    '/api/acquisition/config_list',
+    '/api/acquisition/config_store',
+    '/api/acquisition/config_fetch',
+    '/api/acquisition/start',
+    '/api/acquisition/cancel',
+    '/api/acquisition/status',
+    '/api/action/move_to',
+    '/api/action/move_by',
+    '/api/action/move_to_well',
+    '/api/action/enter_loading_position',
+    '/api/action/leave_loading_position',
+    '/api/action/snap_channel',
+    '/api/action/snap_selected_channels',
+    '/api/action/stream_channel_begin',
+    '/api/action/stream_channel_end',
+    '/api/action/laser_autofocus_calibrate',
+    '/api/action/laser_autofocus_move_to_target_offset',
+    '/api/action/laser_autofocus_measure_displacement',
+    '/api/action/snap_reflection_autofocus',
+    '/api/action/machine_config_flush',
+];
+
+/** protocol loaded as default acquisition config by the interface */
+const DEFAULT_PROTOCOL_FILENAME = 'default.json';
+
+/** handle of the machine config item with the forbidden areas (JSON, see PlateNavigator.fetchForbiddenAreas) */
+const FORBIDDEN_AREAS_HANDLE = 'protocol.forbidden_areas';
+
+/**
+ * @typedef {Object} MockForbiddenArea
+ * @property {string} name
+ * @property {number} min_x_mm
+ * @property {number} max_x_mm
+ * @property {number} min_y_mm
+ * @property {number} max_y_mm
+ */
+
+/**
+ * Default forbidden areas of the mock microscope, where the plate holder clamps are
+ * @type {MockForbiddenArea[]}
+ */
+const MOCK_FORBIDDEN_AREAS = [
+    { name: "plate clamp top left", min_x_mm: 0, max_x_mm: 10, min_y_mm: 0, max_y_mm: 7 },
+    { name: "plate clamp bottom right", min_x_mm: 118, max_x_mm: 128, min_y_mm: 79, max_y_mm: 86 },
+];
+
+/**
+ * Machine config items of the mock microscope, in addition to those of the hardware profile (values changed
+ * through machine_config_flush are kept in sharedMockState.machineConfig)
+ * @type {MachineConfigItem[]}
+ */
+const MOCK_MACHINE_DEFAULTS = [
+    {
+        name: "Microscope Name",
+        handle: "microscope_name",
+        value_kind: "text",
+        value: "Mock Microscope (Offline)",
+        frozen: true,
+    },
+    {
+        name: "Laser autofocus is calibrated",
+        handle: "laser.autofocus.calibration.is_calibrated",
+        value_kind: "option",
+        value: "no",
+        frozen: false,
+        options: [
+            { name: "yes", handle: "yes", info: null },
+            { name: "no", handle: "no", info: null },
+        ],
+    },
+    {
+        name: "Laser autofocus calibration reference z (mm)",
+        handle: "laser.autofocus.calibration.ref_z_mm",
+        value_kind: "float",
+        value: 0.0,
+        frozen: false,
+    },
+    {
+        name: "Laser autofocus calibration um per px",
+        handle: "laser.autofocus.calibration.um_per_px",
+        value_kind: "float",
+        value: 0.0,
+        frozen: false,
+    },
+    {
+        name: "Laser autofocus calibration x peak position (px)",
+        handle: "laser.autofocus.calibration.x_peak_pos",
+        value_kind: "float",
+        value: 0.0,
+        frozen: false,
+    },
+    {
+        name: "Forbidden areas",
+        handle: FORBIDDEN_AREAS_HANDLE,
+        value_kind: "text",
+        value: JSON.stringify(MOCK_FORBIDDEN_AREAS),
+        frozen: false,
+    },
+];
+
+/** delay (ms) before a dropped mock WebSocket connection reconnects */
+const MOCK_RECONNECT_DELAY_MS = 1000;
+
+/**
+ * @typedef {Object} MockState
+ * @property {AdapterPosition} position - Current actual position (animated)
+ * @property {AdapterPosition} targetPosition - Target position for movement interpolation
+ * @property {boolean} isMoving
+ * @property {number|null} movementStartTime - Mock time (ms) the current movement started at
+ * @property {number|null} lastUpdateTime - Mock time (ms) the position was last interpolated at
+ * @property {number} movementSpeed - mm/s, for all axes
+ * @property {number} focalPlaneZMm - Z position at which the synthetic specimen is in focus (and which the laser
+ *     autofocus of acquisitions moves to)
+ * @property {import('./mock-hardware.js').MockHardwareProfile} hardwareProfile - Camera, objective, channels etc.
+ *     (see setMockHardwareProfile)
+ * @property {boolean} is_busy
+ * @property {boolean} is_streaming
+ * @property {boolean} is_in_loading_position
+ * @property {string|null|undefined} current_acquisition_id
+ * @property {string|null} last_acquisition_error
+ * @property {string|null} last_acquisition_error_timestamp
+ * @property {Record<string, ImageStoreInfo>} latest_imgs - Image metadata, by channel handle
+ * @property {Record<string, Omit<MockStoredImage, 'info'>>} imageStore - Raw image data, by channel handle
+ * @property {AcquisitionChannelConfig|null} streamingChannel
+ * @property {number|null} streamingInterval - mockClock interval id
+ * @property {MockAcquisition|null} acquisition
+ * @property {number} acquisitionSpeedup - How much faster than the real microscope acquisitions run
+ *     (see setMockAcquisitionSpeedup)
+ * @property {import('./session-recording.js').SessionReplay|null} replaySession - Recorded session served instead
+ *     of the simulation (see setMockReplaySession)
+ * @property {Record<string, MockProtocol>} protocols - Stored protocols, by filename
+ * @property {Record<string, MachineConfigItem['value']>} machineConfig - Flushed machine config values, by handle
+ * @property {LaserAutofocusCalibrateResponse['calibration_data']|null} laserAutofocusCalibration - of the last
+ *     laser autofocus calibration
+ */
+
 /**
  * Shared mock state for all mock components
- * @type {Object}
+ * @type {MockState}
  */
 const sharedMockState = {
     // Current actual position (animated) - start at bootup position
@@ -20,12 +174,18 @@ const sharedMockState = {
     movementStartTime: null,
     lastUpdateTime: null,
     movementSpeed: 20.0, // mm/s - constant speed for all axes
+    // Z position at which the synthetic specimen is in focus
+    focalPlaneZMm: BOOTUP_POSITION.z_pos_mm,
+    // Camera, objective, channels etc. (see setMockHardwareProfile)
+    hardwareProfile: DEFAULT_MOCK_HARDWARE_PROFILE,
 
     // Microscope state
     is_busy: false,
     is_streaming: false,
     is_in_loading_position: false,
     current_acquisition_id: undefined,
+    last_acquisition_error: null,
+    last_acquisition_error_timestamp: null,
     latest_imgs: {}, // Metadata only (ChannelInfo)
 
     // Image storage (raw image data + metadata)
@@ -36,9 +196,53 @@ const sharedMockState = {
     streamingInterval: null,
 
     // Acquisition state
-    acquisition: null, // { id, config, status, progress, meta, startTime, interval }
+    acquisition: null, // see startAcquisitionSimulation
+    acquisitionSpeedup: 1, // see setMockAcquisitionSpeedup
+
+    // Recorded session served instead of the simulation (see setMockReplaySession)
+    replaySession: null,
+
+    // Persistent state (see getMockScenario)
+    protocols: {}, // Map of filename -> { config_file, comment, timestamp }
+    machineConfig: {}, // Map of machine config item handle -> value (flushed values)
+    laserAutofocusCalibration: null, // calibration_data of the last laser autofocus calibration
 };
 
+/**
+ * Listeners notified when the persistent part of the mock state may have changed
+ * @type {Set<() => void>}
+ */
+const mockStateListeners = new Set();
+
+/**
+ * Mock time the clock was started at, null if it started at the real time (see setMockClockStartTime)
+ * @type {number|null}
+ */
+let mockClockStartTime = null;
+
+/**
+ * Notify listeners that the persistent part of the mock state may have changed
+ */
+function notifyMockStateChange() {
+    for (const listener of mockStateListeners) {
+        try {
+            listener();
+        } catch (error) {
+            console.warn('mock state listener failed:', error);
+        }
+    }
+}
+
+/**
+ * Copy a request or response body, like sending it over the network would
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+function copyJSON(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
 /**
  * Start movement animation to a target position
  * @param {number} x_mm - Target X position
@@ -50,7 +254,7 @@ function startMovement(x_mm, y_mm, z_mm) {
     sharedMockState.targetPosition.y_pos_mm = y_mm;
     sharedMockState.targetPosition.z_pos_mm = z_mm;
 
-    const now = performance.now();
+    const now = mockClock.now();
     sharedMockState.movementStartTime = now;
     sharedMockState.lastUpdateTime = now;
     sharedMockState.isMoving = true;
@@ -63,8 +267,8 @@ function startMovement(x_mm, y_mm, z_mm) {
 function updateAnimatedPosition() {
     if (!sharedMockState.isMoving) return;
 
-    const now = performance.now();
-    const deltaTime = (now - sharedMockState.lastUpdateTime) / 1000; // seconds since last update
+    const now = mockClock.now();
+    const deltaTime = (now - (sharedMockState.lastUpdateTime ?? now)) / 1000; // seconds since last update
     sharedMockState.lastUpdateTime = now;
 
     const current = sharedMockState.position;
@@ -83,6 +287,7 @@ function updateAnimatedPosition() {
         current.y_pos_mm = target.y_pos_mm;
         current.z_pos_mm = target.z_pos_mm;
         sharedMockState.isMoving = false;
+        notifyMockStateChange();
         return;
     }
 
@@ -95,6 +300,7 @@ function updateAnimatedPosition() {
         current.y_pos_mm = target.y_pos_mm;
         current.z_pos_mm = target.z_pos_mm;
         sharedMockState.isMoving = false;
+        notifyMockStateChange();
     } else {
         // Move towards target by stepDistance
         const ratio = stepDistance / distance;
@@ -104,77 +310,203 @@ function updateAnimatedPosition() {
     }
 }
 
+/**
+ * Machine config items of the hardware profile, with the values flushed before
+ * @returns {MachineConfigItem[]}
+ */
+function getMachineDefaults() {
+    const profileItems = sharedMockState.hardwareProfile.machine_defaults;
+    const profileHandles = new Set(profileItems.map(item => item.handle));
+    return [
+        ...MOCK_MACHINE_DEFAULTS.filter(item => !profileHandles.has(item.handle)),
+        ...profileItems,
+    ].map(item => {
+        const value = sharedMockState.machineConfig[item.handle];
+        return value === undefined ? copyJSON(item) : /** @type {MachineConfigItem} */ ({ ...copyJSON(item), value });
+    });
+}
+
+/**
+ * Forbidden areas currently configured (see FORBIDDEN_AREAS_HANDLE)
+ * @returns {MockForbiddenArea[]}
+ */
+function getForbiddenAreas() {
+    const item = getMachineDefaults().find(item => item.handle === FORBIDDEN_AREAS_HANDLE);
+    if (!item || typeof item.value !== 'string' || !item.value) return [];
+    try {
+        const areas = JSON.parse(item.value);
+        return Array.isArray(areas) ? areas : [];
+    } catch (error) {
+        console.warn('[MockAPI] Invalid forbidden areas configuration:', error);
+        return [];
+    }
+}
+
+/**
+ * Check that the stage can move to a position, like the real server does before moving
+ * @param {number} x_mm
+ * @param {number} y_mm
+ * @param {number} z_mm
+ * @throws {Error} - If the position is outside of the travel range of an axis, or in a forbidden area
+ */
+function checkStagePosition(x_mm, y_mm, z_mm) {
+    /** @type {import('./mock-hardware.js').MockStageProfile} */
+    const stage = sharedMockState.hardwareProfile.stage;
+    for (const [axis, value] of /** @type {const} */ ([['x', x_mm], ['y', y_mm], ['z', z_mm]])) {
+        const { min_mm, max_mm } = stage[axis];
+        if (!(value >= min_mm && value <= max_mm)) {
+            throw new Error(`cannot move to ${axis}=${value.toFixed(3)} mm: outside of the stage travel range [${min_mm}, ${max_mm}] mm`);
+        }
+    }
+
+    const area = getForbiddenAreas().find(area => isInForbiddenArea(x_mm, y_mm, area));
+    if (area) {
+        throw new Error(`cannot move to (x=${x_mm.toFixed(3)} mm, y=${y_mm.toFixed(3)} mm): position is in forbidden area '${area.name ?? 'unnamed'}'`);
+    }
+}
+
+/**
+ * @param {number} x_mm
+ * @param {number} y_mm
+ * @param {MockForbiddenArea} area
+ * @returns {boolean}
+ */
+function isInForbiddenArea(x_mm, y_mm, area) {
+    return x_mm >= area.min_x_mm && x_mm <= area.max_x_mm && y_mm >= area.min_y_mm && y_mm <= area.max_y_mm;
+}
+
+/**
+ * Whether the straight path between two positions crosses a forbidden area (Liang-Barsky clipping of the path)
+ * @param {number} x0_mm
+ * @param {number} y0_mm
+ * @param {number} x1_mm
+ * @param {number} y1_mm
+ * @param {MockForbiddenArea} area
+ * @returns {boolean}
+ */
+function pathCrossesForbiddenArea(x0_mm, y0_mm, x1_mm, y1_mm, area) {
+    const dx = x1_mm - x0_mm;
+    const dy = y1_mm - y0_mm;
+    // fraction of the path inside the area, narrowed down by each edge
+    let tMin = 0;
+    let tMax = 1;
+    for (const [p, q] of [
+        [-dx, x0_mm - area.min_x_mm],
+        [dx, area.max_x_mm - x0_mm],
+        [-dy, y0_mm - area.min_y_mm],
+        [dy, area.max_y_mm - y0_mm],
+    ]) {
+        if (p === 0) {
+            // parallel to the edge
+            if (q < 0) return false;
+            continue;
+        }
+        const t = q / p;
+        if (p < 0) tMin = Math.max(tMin, t);
+        else tMax = Math.min(tMax, t);
+        if (tMin > tMax) return false;
+    }
+    return true;
+}
+
+/**
+ * Check that the stage can move to a position, on the straight path the stage takes
+ * @param {number} x_mm
+ * @param {number} y_mm
+ * @param {number} z_mm
+ * @param {{x_pos_mm: number, y_pos_mm: number}} [from] - Start of the movement, the current position by default
+ * @throws {Error} - If the target cannot be reached (see checkStagePosition), or the path crosses a forbidden area
+ */
+function checkStageMovement(x_mm, y_mm, z_mm, from = sharedMockState.position) {
+    checkStagePosition(x_mm, y_mm, z_mm);
+
+    // the stage may leave an area it is in (e.g. after the areas were changed)
+    const area = getForbiddenAreas().find(area => !isInForbiddenArea(from.x_pos_mm, from.y_pos_mm, area)
+        && pathCrossesForbiddenArea(from.x_pos_mm, from.y_pos_mm, x_mm, y_mm, area));
+    if (area) {
+        throw new Error(`cannot move from (x=${from.x_pos_mm.toFixed(3)} mm, y=${from.y_pos_mm.toFixed(3)} mm) to (x=${x_mm.toFixed(3)} mm, y=${y_mm.toFixed(3)} mm): path crosses forbidden area '${area.name ?? 'unnamed'}'`);
+    }
+}
+
+/**
+ * Create the error for a 409 Conflict (microscope busy) response, see toAPIError
+ * @param {string[]} busyReasons
+ * @returns {Error}
+ */
+function createBusyError(busyReasons) {
+    const error = new Error('Microscope is busy');
+    error.status = 409;
+    error.detail = {
+        message: 'Cannot execute command: microscope is busy',
+        busy_reasons: busyReasons,
+    };
+    return error;
+}
+
 /**
  * Check if microscope is busy and throw 409 error if so
  * @throws {Error} 409 Conflict error if busy
  */
 function checkBusyState() {
+    // the position is only animated while status updates are sent, catch up in case there are none
+    updateAnimatedPosition();
     if (sharedMockState.is_busy || sharedMockState.isMoving) {
-        const error = new Error('Microscope is busy');
-        error.status = 409;
-        error.detail = {
-            message: 'Cannot execute command: microscope is busy',
-            busy_reasons: sharedMockState.isMoving ? ['Stage is moving'] : ['Microscope is busy'],
-        };
-        throw error;
+        throw createBusyError(sharedMockState.isMoving ? ['Stage is moving'] : ['Microscope is busy']);
     }
 }
 
 /**
- * Generate random noise image
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {number} bitDepth - Bit depth (8 or 16)
- * @returns {Uint8Array|Uint16Array} - Random noise image data
+ * Bit depth of the transmitted image data (8 or 16) for a camera bit depth
+ * @param {number} cameraBitDepth
+ * @returns {8|16}
  */
-function generateNoiseImage(width, height, bitDepth) {
-    const pixelCount = width * height;
-
-    if (bitDepth === 8) {
-        const imageData = new Uint8Array(pixelCount);
-        for (let i = 0; i < pixelCount; i++) {
-            imageData[i] = Math.floor(Math.random() * 256);
-        }
-        return imageData;
-    } else {
-        // 16-bit
-        const maxValue = Math.pow(2, bitDepth) - 1;
-        const imageData = new Uint16Array(pixelCount);
-        for (let i = 0; i < pixelCount; i++) {
-            imageData[i] = Math.floor(Math.random() * (maxValue + 1));
-        }
-        return imageData;
-    }
+function imageBitDepth(cameraBitDepth) {
+    return cameraBitDepth <= 8 ? 8 : 16;
 }
 
 /**
- * Store image for a channel
- * @param {Object} channel - Channel configuration
- * @param {number} width - Image width
- * @param {number} height - Image height
- * @param {number} bitDepth - Bit depth
+ * Store image of the synthetic specimen at the current position for a channel
+ * @param {AcquisitionChannelConfig} channel - Channel configuration
+ * @param {SitePosition|null} [sitePosition] - Site the image belongs to (acquisitions only)
+ * @param {string|null} [storagePath] - Path the image is stored at (acquisitions only)
+ * @returns {ImageStoreInfo} - Metadata of the image
  */
-function storeChannelImage(channel, width = 640, height = 640, bitDepth = 16) {
-    const timestamp = Date.now() / 1000; // Unix timestamp in seconds
-    const imageData = generateNoiseImage(width, height, bitDepth);
+function storeChannelImage(channel, sitePosition = null, storagePath = null) {
+    /** @type {import('./mock-hardware.js').MockHardwareProfile} */
+    const profile = sharedMockState.hardwareProfile;
+    const width = profile.camera.width_px;
+    const height = profile.camera.height_px;
+    const cameraBitDepth = profile.camera.bit_depth;
+    const timestamp = mockClock.now() / 1000; // Unix timestamp in seconds
+    const imageData = renderSpecimenImage({
+        channel,
+        position: sharedMockState.position,
+        focalPlaneZMm: sharedMockState.focalPlaneZMm,
+        width,
+        height,
+        bitDepth: cameraBitDepth,
+        umPerPx: profile.objective.um_per_px,
+        random: mockRandom,
+    });
 
     // Store raw image data
     sharedMockState.imageStore[channel.handle] = {
         imageData: imageData,
         width: width,
         height: height,
-        bitDepth: bitDepth,
-        cameraBitDepth: bitDepth,
+        bitDepth: imageBitDepth(cameraBitDepth),
+        cameraBitDepth: cameraBitDepth,
         timestamp: timestamp,
     };
 
     // Store metadata in latest_imgs (matching ImageStoreInfo structure)
-    sharedMockState.latest_imgs[channel.handle] = {
+    /** @type {ImageStoreInfo} */
+    const info = {
         channel: channel,
         width_px: width,
         height_px: height,
-        storage_path: undefined,
-        position: {
+        storage_path: storagePath,
+        position: sitePosition ?? {
             well_name: "A1",
             site_x: 0,
             site_y: 0,
@@ -186,83 +518,278 @@ function storeChannelImage(channel, width = 640, height = 640, bitDepth = 16) {
         },
         timestamp: timestamp,
     };
+    sharedMockState.latest_imgs[channel.handle] = info;
+
+    notifyMockStateChange();
+    return info;
+}
+
+/**
+ * Simulated duration of the mock acquisition steps (ms of microscope time, see acquisitionSpeedup)
+ */
+const MOCK_AUTOFOCUS_DURATION_MS = 300;
+const MOCK_IMAGE_OVERHEAD_MS = 50; // settling and camera readout
+const MOCK_BYTES_PER_GB = 1e9;
+
+/**
+ * Z position of a plane of a z-stack, planes are centered around the reference plane.
+ * The channel z offset is not included, it is applied when imaging (see renderSpecimenImage), as for snaps.
+ * @param {number} baseZMm - Z position of the site (reference plane)
+ * @param {AcquisitionChannelConfig} channel
+ * @param {number} zIdx - Index of the plane
+ * @returns {number}
+ */
+function zStackPlaneMm(baseZMm, channel, zIdx) {
+    const numZPlanes = channel.num_z_planes || 1;
+    const planeOffsetUm = (zIdx - (numZPlanes - 1) / 2) * (channel.delta_z_um ?? 0);
+    return baseZMm + planeOffsetUm / 1000;
+}
+
+/**
+ * Position of a site (center of the field of view)
+ * @param {AcquisitionConfig} config
+ * @param {PlateWellConfig} well
+ * @param {import('./site-layout.js').LayoutSite} site
+ * @returns {{x_mm: number, y_mm: number}|null} - null if the config lacks the plate type
+ */
+function sitePositionMm(config, well, site) {
+    if (!config.wellplate_type) return null;
+
+    // site positions are relative to the well center
+    const wellCenter = wellCenterMm(config.wellplate_type, well.col, well.row);
+    return {
+        x_mm: wellCenter.x_mm + site.x_mm,
+        y_mm: wellCenter.y_mm + site.y_mm,
+    };
+}
+
+/**
+ * Sites imaged in a well (see site-layout.js)
+ * @param {AcquisitionConfig} config
+ * @param {PlateWellConfig} well
+ * @returns {import('./site-layout.js').LayoutSite[]}
+ */
+function imagedWellSites(config, well) {
+    if (!config.grid) return [];
+    return wellSites(config, well).filter(site => site.selected);
 }
 
 /**
- * Calculate total number of images for an acquisition
- * @param {*} config - Acquisition config
- * @returns {number} Total number of images
+ * Time between the starts of two time points of an acquisition
+ * @param {AcquisitionConfig} config
+ * @returns {number} - ms
  */
-function calculateTotalImages(config) {
+function timePointIntervalMs(config) {
+    const deltaT = config.grid?.delta_t;
+    if (!deltaT) return 0;
+    return ((Number(deltaT.h) || 0) * 3600 + (Number(deltaT.m) || 0) * 60 + (Number(deltaT.s) || 0)) * 1000;
+}
+
+/**
+ * Calculate number of images per time point of an acquisition
+ * @param {AcquisitionConfig} config - Acquisition config
+ * @returns {number}
+ */
+function calculateImagesPerTimePoint(config) {
     const selectedWells = config.plate_wells.filter(w => w.selected);
     const enabledChannels = config.channels.filter(ch => ch.enabled);
 
-    // Global grid configuration (not per-well)
-    const gridMask = config.grid?.mask || [];
-    const numSitesPerWell = gridMask.filter(s => s.selected).length;
-
-    let totalImages = 0;
+    let numImages = 0;
     for (const well of selectedWells) {
+        // wells may have different site layouts
+        const numSitesPerWell = imagedWellSites(config, well).length;
         for (const channel of enabledChannels) {
             const numZPlanes = channel.num_z_planes || 1;
-            totalImages += numSitesPerWell * numZPlanes;
+            numImages += numSitesPerWell * numZPlanes;
         }
     }
-    return totalImages;
+    return numImages;
 }
 
 /**
- * Start an acquisition simulation
- * @param {string} acquisitionId - Unique acquisition ID
- * @param {*} config - Acquisition config
+ * @typedef {Object} MockAcquisitionTask
+ * @property {'wait'|'autofocus'|'image'} kind
+ * @property {number} timePoint
+ * @property {PlateWellConfig} [well]
+ * @property {string} [wellName]
+ * @property {import('./site-layout.js').LayoutSite} [site]
+ * @property {number} [siteIdx]
+ * @property {AcquisitionChannelConfig} [channel]
+ * @property {number} [zIdx]
  */
-function startAcquisitionSimulation(acquisitionId, config) {
-    const totalImages = calculateTotalImages(config);
-    const startTime = Date.now();
-
-    console.log(`[MockAcquisition] Starting acquisition ${acquisitionId} with ${totalImages} total images`);
 
-    // Calculate timing
+/**
+ * Steps of an acquisition, in the order the microscope executes them: per time point (waiting for its start),
+ * per well, per site: laser autofocus (if enabled), then the z-stack of every channel
+ * @param {AcquisitionConfig} config
+ * @returns {MockAcquisitionTask[]}
+ */
+function buildAcquisitionTasks(config) {
     const selectedWells = config.plate_wells.filter(w => w.selected);
     const enabledChannels = config.channels.filter(ch => ch.enabled);
-    const gridMask = config.grid?.mask || [];
-    const numSites = gridMask.filter(s => s.selected).length;
+    const numTimePoints = Math.max(1, config.grid?.num_t || 1);
 
-    // Build list of all imaging tasks (well, site, channel combinations)
+    /** @type {MockAcquisitionTask[]} */
     const tasks = [];
-    for (const well of selectedWells) {
-        // Create well name from row/col (e.g., A1, B2, D6)
-        const wellName = String.fromCharCode(65 + well.row) + (well.col + 1);
-
-        for (let siteIdx = 0; siteIdx < numSites; siteIdx++) {
-            for (const channel of enabledChannels) {
-                const numZPlanes = channel.num_z_planes || 1;
-                for (let zIdx = 0; zIdx < numZPlanes; zIdx++) {
-                    tasks.push({
-                        well: well,
-                        wellName: wellName,
-                        siteIdx: siteIdx,
-                        channel: channel,
-                        zIdx: zIdx,
-                    });
+    for (let timePoint = 0; timePoint < numTimePoints; timePoint++) {
+        if (timePoint > 0) {
+            tasks.push({ kind: 'wait', timePoint });
+        }
+        for (const well of selectedWells) {
+            // Create well name from row/col (e.g., A1, B2, D6)
+            const wellName = String.fromCharCode(65 + well.row) + (well.col + 1);
+
+            imagedWellSites(config, well).forEach((site, siteIdx) => {
+                if (config.autofocus_enabled) {
+                    tasks.push({ kind: 'autofocus', timePoint, well, wellName, site, siteIdx });
                 }
-            }
+                for (const channel of enabledChannels) {
+                    const numZPlanes = channel.num_z_planes || 1;
+                    for (let zIdx = 0; zIdx < numZPlanes; zIdx++) {
+                        tasks.push({ kind: 'image', timePoint, well, wellName, site, siteIdx, channel, zIdx });
+                    }
+                }
+            });
         }
     }
+    return tasks;
+}
+
+/**
+ * Acquisition run by the mock (see startAcquisitionSimulation)
+ * @typedef {Object} MockAcquisition
+ * @property {string} id
+ * @property {AcquisitionConfig} config
+ * @property {AcquisitionStatusStage} status
+ * @property {number} startTime - Mock time (ms)
+ * @property {number} speedup - see setMockAcquisitionSpeedup
+ * @property {number} currentImages
+ * @property {number} totalImages
+ * @property {number} imagesPerTimePoint
+ * @property {number} numTimePoints
+ * @property {number} timePointIntervalMs
+ * @property {MockAcquisitionTask[]} tasks
+ * @property {number} currentTaskIdx
+ * @property {number} elapsedMs - Simulated microscope time at the start of the current step
+ * @property {number} stepStartedAt - Mock time (ms) the current step started at
+ * @property {number} stepDurationMs - Simulated duration of the current step
+ * @property {number} imagingTimeMs - Simulated time spent imaging (i.e. not waiting for a time point)
+ * @property {number} timePoint
+ * @property {number} timePointStartMs - Simulated time the current time point started at
+ * @property {number} siteZMm - Z position of the current site (reference plane for z-stacks)
+ * @property {number} storageBytes
+ * @property {number} bytesPerImage
+ * @property {ImageStoreInfo|null} lastImage
+ * @property {number|null} timeout - mockClock timer id of the current step
+ * @property {string|null} error
+ */
+
+/**
+ * Simulated time (ms of microscope time) since the start of an acquisition
+ * @param {MockAcquisition} acq
+ * @returns {number}
+ */
+function acquisitionElapsedMs(acq) {
+    if (acq.status !== 'running') return acq.elapsedMs;
+    // interpolate within the current step
+    const stepElapsedMs = (mockClock.now() - acq.stepStartedAt) * acq.speedup;
+    return acq.elapsedMs + Math.min(stepElapsedMs, acq.stepDurationMs);
+}
+
+/**
+ * Estimate the remaining time of an acquisition, based on the imaging time per image so far
+ * @param {MockAcquisition} acq
+ * @param {number} elapsedMs - see acquisitionElapsedMs
+ * @returns {number|null} - s, null if there is nothing to base the estimate on yet
+ */
+function estimateRemainingAcquisitionTimeS(acq, elapsedMs) {
+    if (acq.status !== 'running' || acq.currentImages === 0) return null;
+
+    const msPerImage = acq.imagingTimeMs / acq.currentImages;
+    const timePointDurationMs = acq.imagesPerTimePoint * msPerImage;
+    // time points start every timePointIntervalMs, or as soon as the previous one is done if imaging takes longer
+    const timePointPeriodMs = Math.max(acq.timePointIntervalMs, timePointDurationMs);
+    const endMs = acq.timePointStartMs
+        + (acq.numTimePoints - 1 - acq.timePoint) * timePointPeriodMs
+        + timePointDurationMs;
+    return Math.max(0, endMs - elapsedMs) / 1000;
+}
+
+/**
+ * Status of an acquisition, as reported by the real server
+ * @param {MockAcquisition} acq
+ * @returns {AcquisitionStatusOut}
+ */
+function buildAcquisitionStatus(acq) {
+    const elapsedMs = acquisitionElapsedMs(acq);
+    return {
+        acquisition_id: acq.id,
+        acquisition_status: acq.status,
+        acquisition_progress: {
+            current_num_images: acq.currentImages,
+            time_since_start_s: elapsedMs / 1000,
+            start_time_iso: new Date(acq.startTime).toISOString(),
+            current_storage_usage_GB: acq.storageBytes / MOCK_BYTES_PER_GB,
+            estimated_remaining_time_s: estimateRemainingAcquisitionTimeS(acq, elapsedMs),
+            last_image: acq.lastImage,
+        },
+        acquisition_meta_information: {
+            total_num_images: acq.totalImages,
+            max_storage_size_images_GB: acq.totalImages * acq.bytesPerImage / MOCK_BYTES_PER_GB,
+        },
+        acquisition_config: acq.config,
+        message: acq.error ?? '',
+    };
+}
+
+/**
+ * Start an acquisition simulation.
+ *
+ * Runs sharedMockState.acquisitionSpeedup times faster than the real microscope would. Times reported in the
+ * acquisition status are microscope times, i.e. a time series with 1h between time points reports 1h between them,
+ * regardless of the speedup.
+ * @param {string} acquisitionId - Unique acquisition ID
+ * @param {AcquisitionConfig} config - Acquisition config
+ */
+function startAcquisitionSimulation(acquisitionId, config) {
+    const tasks = buildAcquisitionTasks(config);
+    const imagesPerTimePoint = calculateImagesPerTimePoint(config);
+    const numTimePoints = Math.max(1, config.grid?.num_t || 1);
+    const totalImages = imagesPerTimePoint * numTimePoints;
+    const speedup = sharedMockState.acquisitionSpeedup;
+    const camera = sharedMockState.hardwareProfile.camera;
 
-    console.log(`[MockAcquisition] ${tasks.length} total tasks across ${selectedWells.length} wells, ${numSites} sites/well, ${enabledChannels.length} channels`);
+    console.log(`[MockAcquisition] Starting acquisition ${acquisitionId} with ${totalImages} total images`);
+    console.log(`[MockAcquisition] ${tasks.length} total tasks across ${numTimePoints} time points, ${imagesPerTimePoint} images/time point, ${speedup}x speed`);
 
     sharedMockState.acquisition = {
         id: acquisitionId,
         config: config,
         status: 'running',
-        startTime: startTime,
+        startTime: mockClock.now(),
+        speedup: speedup,
         currentImages: 0,
         totalImages: totalImages,
+        imagesPerTimePoint: imagesPerTimePoint,
+        numTimePoints: numTimePoints,
+        timePointIntervalMs: timePointIntervalMs(config),
         tasks: tasks,
         currentTaskIdx: 0,
-        lastWellName: null,
-        interval: null,
+        // simulated microscope time (ms) at the start of the current step, and the duration of the step
+        elapsedMs: 0,
+        stepStartedAt: mockClock.now(),
+        stepDurationMs: 0,
+        // simulated time spent imaging (i.e. not waiting for a time point)
+        imagingTimeMs: 0,
+        timePoint: 0,
+        timePointStartMs: 0,
+        // z position of the current site (reference plane for z-stacks)
+        siteZMm: sharedMockState.position.z_pos_mm,
+        storageBytes: 0,
+        bytesPerImage: camera.width_px * camera.height_px * imageBitDepth(camera.bit_depth) / 8, // see storeChannelImage
+        lastImage: null,
+        timeout: null,
+        error: null,
     };
 
     sharedMockState.current_acquisition_id = acquisitionId;
@@ -273,15 +800,18 @@ function startAcquisitionSimulation(acquisitionId, config) {
         const acq = sharedMockState.acquisition;
         if (!acq || acq.status !== 'running') return;
 
+        // simulated time of the step just finished
+        acq.elapsedMs += acq.stepDurationMs;
+
         if (acq.currentTaskIdx >= acq.tasks.length) {
             // All tasks complete
-            const elapsed = (Date.now() - acq.startTime) / 1000;
-            console.log(`[MockAcquisition] Completed! ${acq.totalImages} images in ${elapsed.toFixed(1)}s`);
+            const elapsed = (mockClock.now() - acq.startTime) / 1000;
+            console.log(`[MockAcquisition] Completed! ${acq.totalImages} images in ${elapsed.toFixed(1)}s (${(acq.elapsedMs / 1000).toFixed(1)}s microscope time)`);
             acq.status = 'completed';
             sharedMockState.is_busy = false;
 
             // Clear acquisition after brief delay to let final status updates be sent
-            setTimeout(() => {
+            mockClock.setTimeout(() => {
                 sharedMockState.current_acquisition_id = null;
                 sharedMockState.acquisition = null;
             }, 2000);
@@ -289,97 +819,224 @@ function startAcquisitionSimulation(acquisitionId, config) {
         }
 
         const task = acq.tasks[acq.currentTaskIdx];
-        let taskDelay = 0;
+        const site = task.site && task.well ? sitePositionMm(acq.config, task.well, task.site) : null;
+
+        /** duration of the movement to a position, at constant speed (see updateAnimatedPosition) */
+        const moveTo = (/** @type {number} */ x_mm, /** @type {number} */ y_mm, /** @type {number} */ z_mm) => {
+            const current = sharedMockState.isMoving ? sharedMockState.targetPosition : sharedMockState.position;
+            const distance = Math.hypot(x_mm - current.x_pos_mm, y_mm - current.y_pos_mm, z_mm - current.z_pos_mm);
+            if (distance < 0.0001) return 0;
+            startMovement(x_mm, y_mm, z_mm);
+            return distance / sharedMockState.movementSpeed * 1000;
+        };
 
-        // Calculate site position within the well
-        const wellPlateType = acq.config.wellplate_type;
-        const grid = acq.config.grid;
-
-        if (wellPlateType && grid) {
-            // Get well base position (top-left corner)
-            const row = task.well.row;
-            const col = task.well.col;
-            const wellX = wellPlateType.Offset_A1_x_mm + col * wellPlateType.Well_distance_x_mm;
-            const wellY = wellPlateType.Offset_A1_y_mm + row * wellPlateType.Well_distance_y_mm;
-
-            // Calculate well center position
-            const wellCenterX = wellX + wellPlateType.Well_size_x_mm / 2;
-            const wellCenterY = wellY + wellPlateType.Well_size_y_mm / 2;
-
-            // Get site from mask
-            const selectedSites = grid.mask.filter(s => s.selected);
-            const site = selectedSites[task.siteIdx];
-
-            if (site) {
-                // Calculate site offset from well center based on grid configuration
-                // Sites are arranged in a grid, centered in the well
-                const centerX = (grid.num_x - 1) / 2;
-                const centerY = (grid.num_y - 1) / 2;
-                const siteOffsetX = (site.col - centerX) * grid.delta_x_mm;
-                const siteOffsetY = (site.row - centerY) * grid.delta_y_mm;
-
-                const siteX = wellCenterX + siteOffsetX;
-                const siteY = wellCenterY + siteOffsetY;
-
-                // Calculate movement time if position changed
-                const deltaX = siteX - sharedMockState.position.x_pos_mm;
-                const deltaY = siteY - sharedMockState.position.y_pos_mm;
-                const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
-                const moveTime = (distance / sharedMockState.movementSpeed) * 1000; // ms
-
-                if (distance > 0.01) { // Only move if distance is significant
-                    taskDelay += moveTime;
-                    console.log(`[MockAcquisition] Moving to well ${task.wellName} site ${task.siteIdx + 1}/${selectedSites.length} at (${siteX.toFixed(2)}, ${siteY.toFixed(2)})`);
-                    startMovement(siteX, siteY, sharedMockState.position.z_pos_mm);
-                }
-            }
+        let taskDelay = 0;
+        if (task.kind === 'wait') {
+            // next time point starts timePointIntervalMs after the previous one, or right away if imaging took longer
+            const startMs = Math.max(acq.elapsedMs, acq.timePointStartMs + acq.timePointIntervalMs);
+            taskDelay = startMs - acq.elapsedMs;
+            acq.timePoint = task.timePoint;
+            acq.timePointStartMs = startMs;
+            console.log(`[MockAcquisition] Waiting ${(taskDelay / 1000).toFixed(1)}s for time point ${task.timePoint + 1}/${acq.numTimePoints}`);
+        } else if (task.kind === 'autofocus') {
+            // laser autofocus finds the focal plane of the specimen
+            if (site) taskDelay += moveTo(site.x_mm, site.y_mm, sharedMockState.position.z_pos_mm);
+            taskDelay += MOCK_AUTOFOCUS_DURATION_MS;
+            acq.siteZMm = sharedMockState.focalPlaneZMm;
+        } else if (task.kind === 'image' && task.channel) {
+            const z_mm = zStackPlaneMm(acq.siteZMm, task.channel, task.zIdx ?? 0);
+            const x_mm = site?.x_mm ?? sharedMockState.position.x_pos_mm;
+            const y_mm = site?.y_mm ?? sharedMockState.position.y_pos_mm;
+            taskDelay += moveTo(x_mm, y_mm, z_mm);
+            taskDelay += task.channel.exposure_time_ms || 50;
+            taskDelay += MOCK_IMAGE_OVERHEAD_MS;
+        }
+        if (task.kind !== 'wait') {
+            acq.imagingTimeMs += taskDelay;
         }
 
-        // Add exposure time for this image
-        taskDelay += task.channel.exposure_time_ms || 50;
+        acq.stepStartedAt = mockClock.now();
+        acq.stepDurationMs = taskDelay;
 
-        // Add overhead (autofocus, settling, etc.)
-        taskDelay += 50;
+        // Schedule the end of the task and the next task
+        acq.timeout = mockClock.setTimeout(() => {
+            if (sharedMockState.acquisition !== acq || acq.status !== 'running') return;
+            acq.currentTaskIdx++;
 
-        // Schedule image capture and next task
-        setTimeout(() => {
-            if (sharedMockState.acquisition && sharedMockState.acquisition.status === 'running') {
-                // Actually capture the image for this channel
-                storeChannelImage(task.channel);
+            if (task.kind !== 'image' || !task.channel || !task.site) {
+                executeNextTask();
+                return;
+            }
 
-                sharedMockState.acquisition.currentImages++;
-                sharedMockState.acquisition.currentTaskIdx++;
+            // Image at the target position, the animation may lag behind when sped up
+            const target = sharedMockState.targetPosition;
+            updateAnimatedPosition();
+            if (sharedMockState.isMoving) {
+                sharedMockState.position = { ...target };
+                sharedMockState.isMoving = false;
+            }
 
-                // Log progress periodically
-                const progress = sharedMockState.acquisition.currentImages;
-                if (progress % 10 === 0 || progress === sharedMockState.acquisition.totalImages) {
-                    const elapsed = (Date.now() - sharedMockState.acquisition.startTime) / 1000;
-                    console.log(`[MockAcquisition] Progress: ${progress}/${sharedMockState.acquisition.totalImages} images (${elapsed.toFixed(1)}s elapsed)`);
-                }
+            // Actually capture the image for this channel
+            const project = acq.config.project_name || 'project';
+            const plate = acq.config.plate_name || 'plate';
+            const storagePath = `${project}/${plate}/${acq.id}/t${task.timePoint}/${task.wellName}_s${task.site.col}_${task.site.row}_z${task.zIdx}_${task.channel.handle}.tiff`;
+            acq.lastImage = storeChannelImage(task.channel, {
+                well_name: task.wellName ?? '',
+                site_x: task.site.col,
+                site_y: task.site.row,
+                site_z: task.zIdx ?? 0,
+                x_offset_mm: 0,
+                y_offset_mm: 0,
+                z_offset_mm: sharedMockState.position.z_pos_mm - acq.siteZMm,
+                position: { ...sharedMockState.position },
+            }, storagePath);
+
+            acq.currentImages++;
+            acq.storageBytes += acq.bytesPerImage;
+
+            // Simulated crash (see mockFaults)
+            const crash = mockFaults.trigger('acquisition_crash', task.wellName ?? '');
+            if (crash) {
+                acq.elapsedMs += acq.stepDurationMs;
+                acq.stepDurationMs = 0;
+                crashAcquisitionSimulation(crash.detail ?? `Simulated crash while imaging well ${task.wellName}`);
+                return;
+            }
 
-                executeNextTask();
+            // Log progress periodically
+            const progress = acq.currentImages;
+            if (progress % 10 === 0 || progress === acq.totalImages) {
+                const elapsed = (mockClock.now() - acq.startTime) / 1000;
+                console.log(`[MockAcquisition] Progress: ${progress}/${acq.totalImages} images (${elapsed.toFixed(1)}s elapsed)`);
             }
-        }, taskDelay);
+
+            executeNextTask();
+        }, taskDelay / acq.speedup);
     }
 
     // Start executing tasks
     executeNextTask();
 }
 
+/**
+ * End the current acquisition early
+ * @param {'cancelled'|'crashed'} status
+ */
+function endAcquisitionSimulation(status) {
+    const acq = sharedMockState.acquisition;
+    if (!acq) return;
+
+    mockClock.clearTimeout(acq.timeout);
+    // microscope time stops with the acquisition
+    acq.elapsedMs = acquisitionElapsedMs(acq);
+    acq.stepDurationMs = 0;
+    acq.status = status;
+    sharedMockState.is_busy = false;
+
+    // Clear after delay to let final status be sent
+    mockClock.setTimeout(() => {
+        if (sharedMockState.acquisition !== acq) return;
+        sharedMockState.current_acquisition_id = null;
+        sharedMockState.acquisition = null;
+    }, 2000);
+}
+
 /**
  * Stop the current acquisition
  */
 function stopAcquisitionSimulation() {
     if (sharedMockState.acquisition) {
         console.log(`[MockAcquisition] Cancelled at ${sharedMockState.acquisition.currentImages}/${sharedMockState.acquisition.totalImages} images`);
-        sharedMockState.acquisition.status = 'cancelled';
-        sharedMockState.is_busy = false;
+        endAcquisitionSimulation('cancelled');
+    }
+}
+
+/**
+ * Let the current acquisition crash
+ * @param {string} message - Error message, reported as last_acquisition_error
+ */
+function crashAcquisitionSimulation(message) {
+    const acq = sharedMockState.acquisition;
+    if (!acq) return;
+
+    console.log(`[MockAcquisition] Crashed at ${acq.currentImages}/${acq.totalImages} images: ${message}`);
+    acq.error = message;
+    sharedMockState.last_acquisition_error = message;
+    sharedMockState.last_acquisition_error_timestamp = mockClock.date().toISOString();
+    endAcquisitionSimulation('crashed');
+}
+
+/**
+ * Convert an error thrown while simulating a request into the error the real
+ * APIClient would throw for the equivalent server response.
+ * @param {*} error
+ * @param {string} endpoint
+ * @param {string} context
+ * @returns {APIError}
+ */
+function toAPIError(error, endpoint, context) {
+    if (error instanceof APIError) {
+        return error;
+    }
+
+    // 409 Conflict errors (microscope busy), see checkBusyState
+    if (error.status === 409 && error.detail?.busy_reasons) {
+        /** @type {string[]} */
+        const busyReasons = error.detail.busy_reasons;
+        const reasons = busyReasons.map(r => `  • ${r}`).join('\n');
+        const userMessage = `${error.detail.message}:\n${reasons}`;
+        return new APIBusyError(
+            `${context} failed with Conflict 409 because: ${userMessage}`,
+            { context, endpoint, status: 409, body: { detail: error.detail }, userMessage },
+            error.detail.message,
+            busyReasons,
+        );
+    }
+
+    // anything else is reported as internal server error by the server
+    const detail = error.message || 'Unknown error';
+    return new APIServerError(
+        `${context} failed with Internal Server Error 500 because: ${JSON.stringify({ detail })}`,
+        { context, endpoint, status: 500, body: { detail }, userMessage: detail },
+    );
+}
+
+/**
+ * Corrupt a binary image frame (see IMAGE_WS_ENDPOINT)
+ * @param {ArrayBuffer} frame
+ * @param {'header'|'truncated'} corruption - Make the header unreadable, or cut the pixel data short
+ * @returns {ArrayBuffer}
+ */
+function corruptImageFrame(frame, corruption) {
+    if (corruption === 'truncated') {
+        const headerLength = new DataView(frame).getUint32(0, true);
+        const pixelLength = frame.byteLength - 4 - headerLength;
+        return frame.slice(0, 4 + headerLength + Math.floor(pixelLength / 2));
+    }
 
-        // Clear after delay to let final status be sent
-        setTimeout(() => {
-            sharedMockState.current_acquisition_id = null;
-            sharedMockState.acquisition = null;
-        }, 2000);
+    const corrupted = frame.slice(0);
+    // the header starts with '{', which makes it invalid JSON
+    new Uint8Array(corrupted, 4, 1)[0] = 0xff;
+    return corrupted;
+}
+
+/**
+ * Convert an image reply to the frames of the legacy image protocol (see IMAGE_WS_ENDPOINT)
+ * @param {string|ArrayBuffer} reply - Text or binary frame of the request id protocol
+ * @returns {(string|ArrayBuffer)[]}
+ */
+function legacyImageReply(reply) {
+    if (typeof reply === 'string') {
+        // no image, or error: metadata without pixel data
+        const { request_id, ...metadata } = JSON.parse(reply);
+        return [JSON.stringify(metadata)];
+    }
+    try {
+        const { header, pixels } = decodeImageFrame(reply);
+        const { request_id, status, ...metadata } = header;
+        return [JSON.stringify(metadata), pixels];
+    } catch (error) {
+        return [JSON.stringify({ status: 'error', detail: `${error}` })];
     }
 }
 
@@ -388,10 +1045,110 @@ function stopAcquisitionSimulation() {
  * Simulates server responses when the backend is unavailable.
  */
 class MockAPIClient {
+    /**
+     * @param {string} baseURL
+     * @param {import('./api-client.js').APIClientOptions} [options]
+     */
     constructor(baseURL, options = {}) {
         this.mockState = sharedMockState;
         this.baseURL = baseURL || '';
         this.onError = options.onError || (() => {});
+        this.onRequestComplete = options.onRequestComplete || (() => {});
+        this.timeoutMs = options.timeoutMs === undefined ? 30000 : options.timeoutMs;
+        /** fault rules applied to requests, shared with MockWebSocketManager */
+        this.faults = mockFaults;
+    }
+
+    /**
+     * Apply the injected faults for a request (see mock-faults.js): delay the response, or fail it
+     * @private
+     * @param {string} endpoint
+     * @param {{context: string, signal?: AbortSignal, timeoutMs: number|null}} request
+     * @returns {Promise<void>}
+     * @throws {APIAbortError} - If the request is aborted or times out while delayed
+     */
+    async injectFaults(endpoint, { context, signal, timeoutMs }) {
+        const slow = this.faults.trigger('slow', endpoint);
+        if (slow) {
+            const delayMs = slow.delayMs ?? 5000;
+            await new Promise((resolve, reject) => {
+                const timedOut = timeoutMs != null && timeoutMs < delayMs;
+                const timer = mockClock.setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    if (timedOut) {
+                        reject(new APITimeoutError(
+                            `${context} timed out after ${(/** @type {number} */ (timeoutMs) / 1000).toFixed(1)} s`,
+                            { context, endpoint },
+                            /** @type {number} */ (timeoutMs),
+                        ));
+                    } else {
+                        resolve(undefined);
+                    }
+                }, timedOut ? timeoutMs : delayMs);
+                const onAbort = () => {
+                    mockClock.clearTimeout(timer);
+                    reject(new APIAbortError(`${context} was aborted`, { context, endpoint }));
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+
+        const busy = this.faults.trigger('busy', endpoint);
+        if (busy) {
+            throw createBusyError(busy.busyReasons ?? ['Simulated busy microscope']);
+        }
+
+        const serverError = this.faults.trigger('server_error', endpoint);
+        if (serverError) {
+            throw new Error(serverError.detail ?? 'Simulated server error');
+        }
+    }
+
+    /**
+     * Response to a request: the recorded one in replay mode (see setMockReplaySession), simulated otherwise
+     * @private
+     * @param {'GET'|'POST'} method
+     * @param {string} endpoint
+     * @param {*} body
+     * @param {string} context
+     * @returns {Promise<*>}
+     * @throws {APIError} - The recorded error response
+     */
+    async respond(method, endpoint, body, context) {
+        const replay = this.mockState.replaySession;
+        if (!replay) {
+            return this.getMockResponse(endpoint, body);
+        }
+
+        const recorded = replay.nextResponse(method, endpoint, body == null ? null : JSON.stringify(body));
+        if (!recorded) {
+            throw new Error(`no response to ${method} ${endpoint} was recorded in the replayed session`);
+        }
+        if (recorded.status < 200 || recorded.status >= 300) {
+            throw createResponseError({ status: recorded.status, statusText: recorded.status_text }, recorded.response_body, context, endpoint);
+        }
+        return JSON.parse(recorded.response_body);
+    }
+
+    /**
+     * Report a finished request (see APIClientOptions.onRequestComplete)
+     * @private
+     * @param {string} method
+     * @param {string} endpoint
+     * @param {string} context
+     * @param {number} startedAt - mockClock.now() when the request was made
+     * @param {APIError|null} error
+     */
+    reportComplete(method, endpoint, context, startedAt, error) {
+        this.onRequestComplete({
+            method,
+            endpoint,
+            context,
+            status: error ? error.status : 200,
+            durationMs: mockClock.now() - startedAt,
+            attempts: 1,
+            error: error ? error.name : null,
+        });
     }
 
     /**
@@ -411,47 +1168,22 @@ class MockAPIClient {
      * @returns {Promise<*>} - Mock response data
      */
     async getMockResponse(endpoint, body) {
+        // Server description, used for version negotiation
+        if (endpoint === '/openapi.json') {
+            return {
+                info: {
+                    title: 'Seafront (mock)',
+                    version: 'mock',
+                    'x-seafront-features': Object.values(SERVER_PROTOCOL_FEATURES),
+                },
+                paths: Object.fromEntries(MOCK_API_ENDPOINTS.map(path => [path, {}])),
+            };
+        }
+
         // Hardware capabilities
         if (endpoint === '/api/get_features/hardware_capabilities') {
             return {
-                main_camera_imaging_channels: [
-                    {
-                        name: "Brightfield",
-                        handle: "bfled",
-                        analog_gain: 0.0,
-                        exposure_time_ms: 10.0,
-                        illum_perc: 50.0,
-                        num_z_planes: 1,
-                        z_offset_um: 0.0,
-                        enabled: true,
-                        filter_handle: null,
-                        delta_z_um: 3.0,
-                    },
-                    {
-                        name: "GFP (488nm)",
-                        handle: "fluo488",
-                        analog_gain: 0.0,
-                        exposure_time_ms: 50.0,
-                        illum_perc: 50.0,
-                        num_z_planes: 1,
-                        z_offset_um: 0.0,
-                        enabled: true,
-                        filter_handle: "GFP_filter",
-                        delta_z_um: 3.0,
-                    },
-                    {
-                        name: "DAPI (405nm)",
-                        handle: "fluo405",
-                        analog_gain: 0.0,
-                        exposure_time_ms: 100.0,
-                        illum_perc: 50.0,
-                        num_z_planes: 1,
-                        z_offset_um: 0.0,
-                        enabled: true,
-                        filter_handle: "DAPI_filter",
-                        delta_z_um: 3.0,
-                    },
-                ],
+                main_camera_imaging_channels: copyJSON(this.mockState.hardwareProfile.main_camera_imaging_channels),
                 wellplate_types: [
                     // Revvity PhenoPlate 96-well
                     {
@@ -492,34 +1224,26 @@ class MockAPIClient {
                         Offset_bottom_mm: 0.328, // 0.118 + 0.210
                     },
                 ],
-                hardware_limits: {
-                    imaging_exposure_time_ms: { min: 0.1, max: 1000.0, step: 0.1 },
-                    imaging_analog_gain_db: { min: 0.0, max: 24.0, step: 0.1 },
-                    imaging_focus_offset_um: { min: -100.0, max: 100.0, step: 0.1 },
-                    imaging_illum_perc: { min: 0.0, max: 100.0, step: 0.1 },
-                    imaging_illum_perc_fluorescence: { min: 0.0, max: 100.0, step: 0.1 },
-                    imaging_illum_perc_brightfield: { min: 0.0, max: 100.0, step: 0.1 },
-                    imaging_number_z_planes: { min: 1, max: 100, step: 1 },
-                    imaging_delta_z_um: { min: 0.1, max: 100.0, step: 0.1 },
-                },
+                hardware_limits: copyJSON(this.mockState.hardwareProfile.hardware_limits),
             };
         }
 
-        // Machine defaults (config items)
+        // Machine defaults (config items) of the hardware profile, with the values flushed before
         if (endpoint === '/api/get_features/machine_defaults') {
-            return [
-                {
-                    name: "Microscope Name",
-                    handle: "microscope_name",
-                    value_kind: "text",
-                    value: "Mock Microscope (Offline)",
-                    frozen: true,
-                },
-            ];
+            return getMachineDefaults();
         }
 
-        // Default acquisition config
+        // Stored acquisition config, or the default config
         if (endpoint === '/api/acquisition/config_fetch') {
+            const filename = body?.config_file;
+            const protocol = this.mockState.protocols[filename];
+            if (protocol) {
+                return { file: copyJSON(protocol.config_file) };
+            }
+            if (filename !== DEFAULT_PROTOCOL_FILENAME) {
+                throw new Error(`config file ${filename} not found`);
+            }
+
             const capabilities = await this.getMockResponse('/api/get_features/hardware_capabilities');
             return {
                 file: {
@@ -540,7 +1264,7 @@ class MockAPIClient {
                     comment: "Mock configuration for offline mode",
                     machine_config: [],
                     wellplate_type: capabilities.wellplate_types[0],
-                    timestamp: new Date().toISOString(),
+                    timestamp: mockClock.date().toISOString(),
                     channels: capabilities.main_camera_imaging_channels,
                     spec_version: { major: 1, minor: 0, patch: 0 },
                 },
@@ -549,6 +1273,7 @@ class MockAPIClient {
 
         // Current microscope state
         if (endpoint === '/api/get_info/current_state') {
+            updateAnimatedPosition();
             return {
                 adapter_state: {
                     is_in_loading_position: this.mockState.is_in_loading_position,
@@ -559,49 +1284,55 @@ class MockAPIClient {
                 is_streaming: this.mockState.is_streaming,
                 is_busy: this.mockState.is_busy,
                 microscope_name: "Mock Microscope (Offline)",
-                last_acquisition_error: null,
-                last_acquisition_error_timestamp: null,
+                last_acquisition_error: this.mockState.last_acquisition_error,
+                last_acquisition_error_timestamp: this.mockState.last_acquisition_error_timestamp,
             };
         }
 
         // === ACQUISITION ===
 
         if (endpoint === '/api/acquisition/config_list') {
-            return { configs: [] };
+            /** @type {ConfigListResponse} */
+            const response = {
+                configs: Object.entries(this.mockState.protocols).map(([filename, protocol]) => ({
+                    filename,
+                    project_name: protocol.config_file.project_name,
+                    plate_name: protocol.config_file.plate_name,
+                    comment: protocol.comment ?? protocol.config_file.comment ?? '',
+                    timestamp: protocol.timestamp,
+                    cell_line: protocol.config_file.cell_line,
+                    plate_type: protocol.config_file.wellplate_type,
+                })),
+            };
+            return response;
         }
 
         if (endpoint === '/api/acquisition/config_store') {
-            return {};
-        }
-
-        if (endpoint === '/api/acquisition/status') {
-            return {
-                acquisition_id: this.mockState.current_acquisition_id || 'mock_acq_none',
-                acquisition_status: 'completed',
-                acquisition_progress: {
-                    current_num_images: 0,
-                    time_since_start_s: 0,
-                    start_time_iso: new Date().toISOString(),
-                    current_storage_usage_GB: 0,
-                    estimated_remaining_time_s: null,
-                    last_image: null,
-                },
-                acquisition_meta_information: {
-                    total_num_images: 0,
-                    max_storage_size_images_GB: 0,
-                },
-                acquisition_config: body?.config_file || {},
-                message: 'Mock acquisition complete',
+            /** @type {StoreConfigRequest} */
+            const request = body;
+            if (!request?.filename) {
+                throw new Error('No filename provided');
+            }
+            if (this.mockState.protocols[request.filename] && !request.overwrite_on_conflict) {
+                throw new Error(`config file ${request.filename} already exists`);
+            }
+            this.mockState.protocols[request.filename] = {
+                config_file: copyJSON(request.config_file),
+                comment: request.comment,
+                timestamp: mockClock.date().toISOString(),
             };
+            return {};
         }
 
         // === ACTION - Stage Movement ===
 
         if (endpoint === '/api/action/move_to') {
             checkBusyState(); // Block if microscope is busy
-            const x = body?.x_mm !== undefined ? body.x_mm : this.mockState.position.x_pos_mm;
-            const y = body?.y_mm !== undefined ? body.y_mm : this.mockState.position.y_pos_mm;
-            const z = body?.z_mm !== undefined ? body.z_mm : this.mockState.position.z_pos_mm;
+            const current = this.mockState.position;
+            const x = body?.x_mm !== undefined ? body.x_mm : current.x_pos_mm;
+            const y = body?.y_mm !== undefined ? body.y_mm : current.y_pos_mm;
+            const z = body?.z_mm !== undefined ? body.z_mm : current.z_pos_mm;
+            checkStageMovement(x, y, z);
             startMovement(x, y, z);
             return {};
         }
@@ -617,6 +1348,7 @@ class MockAPIClient {
             const y = axis === 'y' ? current.y_pos_mm + distance : current.y_pos_mm;
             const z = axis === 'z' ? current.z_pos_mm + distance : current.z_pos_mm;
 
+            checkStageMovement(x, y, z, current);
             startMovement(x, y, z);
             return { axis, moved_by_mm: distance };
         }
@@ -630,16 +1362,22 @@ class MockAPIClient {
 
             const plateType = body?.plate_type;
             if (plateType) {
-                const x = plateType.Offset_A1_x_mm + col * plateType.Well_distance_x_mm;
-                const y = plateType.Offset_A1_y_mm + row * plateType.Well_distance_y_mm;
+                // Well center
+                const x = plateType.Offset_A1_x_mm + col * plateType.Well_distance_x_mm + plateType.Well_size_x_mm / 2;
+                const y = plateType.Offset_A1_y_mm + row * plateType.Well_distance_y_mm + plateType.Well_size_y_mm / 2;
                 const z = this.mockState.position.z_pos_mm; // Keep current Z
+                checkStageMovement(x, y, z);
                 startMovement(x, y, z);
             }
             return {};
         }
 
         if (endpoint === '/api/action/machine_config_flush') {
-            // Machine config flush - just acknowledge in mock mode
+            // Remember the values, they are reported as machine defaults from now on
+            for (const item of body?.machine_config ?? []) {
+                if (item.frozen || item.value_kind === 'action') continue;
+                this.mockState.machineConfig[item.handle] = item.value;
+            }
             return {};
         }
 
@@ -651,7 +1389,7 @@ class MockAPIClient {
             if (channel) {
                 // Stop any existing streaming
                 if (this.mockState.streamingInterval) {
-                    clearInterval(this.mockState.streamingInterval);
+                    mockClock.clearInterval(this.mockState.streamingInterval);
                 }
 
                 // Start streaming
@@ -660,7 +1398,7 @@ class MockAPIClient {
 
                 // Generate images at the rate determined by exposure time
                 const exposureTimeMs = channel.exposure_time_ms || 33;
-                this.mockState.streamingInterval = setInterval(() => {
+                this.mockState.streamingInterval = mockClock.setInterval(() => {
                     if (this.mockState.is_streaming) {
                         storeChannelImage(channel);
                     }
@@ -672,7 +1410,7 @@ class MockAPIClient {
         if (endpoint === '/api/action/stream_channel_end') {
             // Stop streaming
             if (this.mockState.streamingInterval) {
-                clearInterval(this.mockState.streamingInterval);
+                mockClock.clearInterval(this.mockState.streamingInterval);
                 this.mockState.streamingInterval = null;
             }
             this.mockState.is_streaming = false;
@@ -689,7 +1427,7 @@ class MockAPIClient {
                 // Simulate exposure time
                 this.mockState.is_busy = true;
                 const exposureTimeMs = channel.exposure_time_ms || 0;
-                await new Promise(resolve => setTimeout(resolve, exposureTimeMs));
+                await mockClock.sleep(exposureTimeMs);
                 storeChannelImage(channel);
                 this.mockState.is_busy = false;
             }
@@ -708,7 +1446,7 @@ class MockAPIClient {
                 this.mockState.is_busy = true;
                 for (const channel of enabledChannels) {
                     const exposureTimeMs = channel.exposure_time_ms || 0;
-                    await new Promise(resolve => setTimeout(resolve, exposureTimeMs));
+                    await mockClock.sleep(exposureTimeMs);
                     storeChannelImage(channel);
                 }
                 this.mockState.is_busy = false;
@@ -723,6 +1461,7 @@ class MockAPIClient {
 
         if (endpoint === '/api/action/enter_loading_position') {
             checkBusyState(); // Block if microscope is busy
+            checkStageMovement(LOADING_POSITION.x_pos_mm, LOADING_POSITION.y_pos_mm, LOADING_POSITION.z_pos_mm);
             this.mockState.is_in_loading_position = true;
             startMovement(LOADING_POSITION.x_pos_mm, LOADING_POSITION.y_pos_mm, LOADING_POSITION.z_pos_mm);
             return {};
@@ -730,6 +1469,7 @@ class MockAPIClient {
 
         if (endpoint === '/api/action/leave_loading_position') {
             checkBusyState(); // Block if microscope is busy
+            checkStageMovement(BOOTUP_POSITION.x_pos_mm, BOOTUP_POSITION.y_pos_mm, BOOTUP_POSITION.z_pos_mm);
             this.mockState.is_in_loading_position = false;
             startMovement(BOOTUP_POSITION.x_pos_mm, BOOTUP_POSITION.y_pos_mm, BOOTUP_POSITION.z_pos_mm);
             return {};
@@ -738,13 +1478,13 @@ class MockAPIClient {
         // === ACTION - Laser Autofocus ===
 
         if (endpoint === '/api/action/laser_autofocus_calibrate') {
-            return {
-                calibration_data: {
-                    um_per_px: 0.5,
-                    x_reference: 320.0,
-                    calibration_position: { ...this.mockState.position },
-                },
+            const calibration_data = {
+                um_per_px: 0.5,
+                x_reference: 320.0,
+                calibration_position: { ...this.mockState.position },
             };
+            this.mockState.laserAutofocusCalibration = calibration_data;
+            return { calibration_data };
         }
 
         if (endpoint === '/api/action/laser_autofocus_move_to_target_offset') {
@@ -768,12 +1508,6 @@ class MockAPIClient {
             };
         }
 
-        // === ACTION - Configuration ===
-
-        if (endpoint === '/api/action/machine_config_flush') {
-            return {};
-        }
-
         // === ACQUISITION ===
 
         if (endpoint === '/api/acquisition/start') {
@@ -802,12 +1536,45 @@ class MockAPIClient {
             const gridMask = config.grid?.mask || [];
             const selectedSites = gridMask.filter(s => s.selected).length;
 
-            if (selectedSites === 0 && gridMask.length > 0) {
+            if (selectedSites === 0 && gridMask.length > 0 && !hasCustomSiteLayouts(config)) {
                 throw new Error('No sites selected in grid. Enable sites in the imaging grid.');
             }
+            if (hasCustomSiteLayouts(config) && selectedWells.every((/** @type {PlateWellConfig} */ well) => imagedWellSites(config, well).length === 0)) {
+                throw new Error('No sites to image in the selected wells. Check the site layouts.');
+            }
+
+            // Check that every site can be reached, in the order they are imaged (also checks that the site layouts are valid)
+            if (config.wellplate_type && config.grid) {
+                let from = { ...this.mockState.position };
+                const z = from.z_pos_mm;
+                /** @type {{x_pos_mm: number, y_pos_mm: number}|null} */
+                let firstSite = null;
+                for (const well of selectedWells) {
+                    for (const site of imagedWellSites(config, well)) {
+                        const position = sitePositionMm(config, well, site);
+                        if (!position) continue;
+                        const wellName = String.fromCharCode(65 + well.row) + (well.col + 1);
+                        try {
+                            checkStageMovement(position.x_mm, position.y_mm, z, from);
+                        } catch (error) {
+                            throw new Error(`well ${wellName} site (${site.col}, ${site.row}): ${error instanceof Error ? error.message : error}`);
+                        }
+                        from = { x_pos_mm: position.x_mm, y_pos_mm: position.y_mm, z_pos_mm: z };
+                        firstSite ??= from;
+                    }
+                }
+                // from the last site back to the first one, for the next time point
+                if (firstSite && (config.grid.num_t ?? 1) > 1) {
+                    try {
+                        checkStageMovement(firstSite.x_pos_mm, firstSite.y_pos_mm, z, from);
+                    } catch (error) {
+                        throw new Error(`next time point: ${error instanceof Error ? error.message : error}`);
+                    }
+                }
+            }
 
             // Generate unique acquisition ID
-            const acquisitionId = `mock_acq_${Date.now()}`;
+            const acquisitionId = `mock_acq_${Math.floor(mockClock.now())}`;
 
             // Start acquisition simulation
             startAcquisitionSimulation(acquisitionId, config);
@@ -831,53 +1598,7 @@ class MockAPIClient {
                 throw new Error('Acquisition not found');
             }
 
-            const acq = sharedMockState.acquisition;
-            const elapsed = (Date.now() - acq.startTime) / 1000;
-            const remainingImages = acq.totalImages - acq.currentImages;
-
-            // Estimate remaining time based on current rate
-            let estimatedRemaining = null;
-            if (acq.status === 'running' && acq.currentImages > 0) {
-                const avgTimePerImage = elapsed / acq.currentImages;
-                estimatedRemaining = remainingImages * avgTimePerImage;
-            }
-
-            return {
-                acquisition_id: acq.id,
-                acquisition_status: acq.status,
-                acquisition_progress: {
-                    current_num_images: acq.currentImages,
-                    time_since_start_s: elapsed,
-                    start_time_iso: new Date(acq.startTime).toISOString(),
-                    current_storage_usage_GB: (acq.currentImages * 0.001), // Mock: 1MB per image
-                    estimated_remaining_time_s: estimatedRemaining,
-                    last_image: null,
-                },
-                acquisition_meta_information: {
-                    total_num_images: acq.totalImages,
-                    max_storage_size_images_GB: (acq.totalImages * 0.001),
-                },
-                acquisition_config: acq.config,
-                message: '',
-            };
-        }
-
-        if (endpoint === '/api/acquisition/config_store') {
-            // Store configuration (mock: just acknowledge)
-            return { success: true };
-        }
-
-        if (endpoint === '/api/acquisition/config_fetch') {
-            // Load configuration (mock: return a minimal config)
-            return {
-                file: {
-                    channels: [],
-                    plate_wells: [],
-                    grid: { mask: [] },
-                    wellplate_type: null,
-                    machine_config: [],
-                }
-            };
+            return buildAcquisitionStatus(sharedMockState.acquisition);
         }
 
         // === ACTION - Dynamic machine config actions ===
@@ -896,63 +1617,71 @@ class MockAPIClient {
      * Make a POST request (simulated)
      * @param {string} endpoint
      * @param {*} body
-     * @param {Object} [options]
+     * @param {import('./api-client.js').APIRequestOptions} [options]
      * @returns {Promise<*>}
      */
     async post(endpoint, body, options = {}) {
         const {
             context = 'API request',
             showError = true,
+            signal,
+            timeoutMs = this.timeoutMs,
         } = options;
 
+        const startedAt = mockClock.now();
         try {
-            // Instant response (<1ms) - no artificial delay
-            return await this.getMockResponse(endpoint, body);
+            if (signal?.aborted) {
+                throw new APIAbortError(`${context} was aborted`, { context, endpoint });
+            }
+            await this.injectFaults(endpoint, { context, signal, timeoutMs });
+            // Instant response (<1ms) - no artificial delay unless injected
+            const data = await this.respond('POST', endpoint, body, context);
+            notifyMockStateChange();
+            this.reportComplete('POST', endpoint, context, startedAt, null);
+            return data;
         } catch (error) {
-            // Handle 409 Conflict errors (microscope busy)
-            if (error.status === 409 && showError) {
-                if (error.detail && error.detail.busy_reasons) {
-                    const reasons = error.detail.busy_reasons.map(r => `  • ${r}`).join('\n');
-                    const userMessage = `${error.detail.message}:\n${reasons}`;
-                    this.onError(context + ' Error', userMessage);
-                } else {
-                    this.onError(context + ' Error', error.message || 'Microscope is busy');
-                }
-            } else if (showError) {
-                this.onError(context + ' Error', error.message || 'Unknown error');
+            const apiError = toAPIError(error, endpoint, context);
+            this.reportComplete('POST', endpoint, context, startedAt, apiError);
+            apiError.resend = () => this.post(endpoint, body, options);
+            if (showError) {
+                this.onError(context + (apiError instanceof APIAbortError ? ' Aborted' : ' Error'), apiError.userMessage, apiError);
             }
-            throw error;
+            throw apiError;
         }
     }
 
     /**
      * Make a GET request (simulated)
      * @param {string} endpoint
-     * @param {Object} [options]
+     * @param {import('./api-client.js').APIRequestOptions} [options]
      * @returns {Promise<*>}
      */
     async get(endpoint, options = {}) {
         const {
             context = 'API request',
             showError = true,
+            signal,
+            timeoutMs = this.timeoutMs,
         } = options;
 
+        const startedAt = mockClock.now();
         try {
-            // Instant response (<1ms) - no artificial delay
-            return await this.getMockResponse(endpoint, null);
+            if (signal?.aborted) {
+                throw new APIAbortError(`${context} was aborted`, { context, endpoint });
+            }
+            await this.injectFaults(endpoint, { context, signal, timeoutMs });
+            // Instant response (<1ms) - no artificial delay unless injected
+            const data = await this.respond('GET', endpoint, null, context);
+            this.reportComplete('GET', endpoint, context, startedAt, null);
+            return data;
         } catch (error) {
-            if (error.status === 409 && showError) {
-                if (error.detail && error.detail.busy_reasons) {
-                    const reasons = error.detail.busy_reasons.map(r => `  • ${r}`).join('\n');
-                    const userMessage = `${error.detail.message}:\n${reasons}`;
-                    this.onError(context + ' Error', userMessage);
-                } else {
-                    this.onError(context + ' Error', error.message || 'Microscope is busy');
-                }
-            } else if (showError) {
-                this.onError(context + ' Error', error.message);
+            const apiError = toAPIError(error, endpoint, context);
+            this.reportComplete('GET', endpoint, context, startedAt, apiError);
+            apiError.resend = () => this.get(endpoint, options);
+            if (showError) {
+                this.onError(context + (apiError instanceof APIAbortError ? ' Aborted' : ' Error'), apiError.userMessage, apiError);
             }
-            throw error;
+            throw apiError;
         }
     }
 }
@@ -962,9 +1691,34 @@ class MockAPIClient {
  * Simulates WebSocket connections with periodic updates.
  */
 class MockWebSocketManager {
-    constructor() {
+    /**
+     * @param {Pick<import('./api-client.js').WebSocketManagerOptions, 'onConnectionStateChange'>} [options]
+     */
+    constructor(options = {}) {
         this.connections = new Map();
         this.mockState = sharedMockState;
+        this.onConnectionStateChange = options.onConnectionStateChange || (() => {});
+        /** fault rules applied to connections, shared with MockAPIClient */
+        this.faults = mockFaults;
+        /** @type {Set<(name: string, state: import('./api-client.js').WebSocketConnectionState) => void>} see waitForConnection */
+        this.connectionStateWaiters = new Set();
+    }
+
+    /**
+     * Report a connection state change (mock connections only back off after an injected connection drop)
+     * @private
+     * @param {string} name
+     * @param {'open'|'closed'|'backing-off'} state
+     */
+    reportConnectionState(name, state) {
+        const backingOff = state === 'backing-off';
+        this.onConnectionStateChange(name, state === 'open', {
+            state,
+            reconnectAttempts: backingOff ? 1 : 0,
+            retryInMs: backingOff ? MOCK_RECONNECT_DELAY_MS : null,
+            nextRetryAt: backingOff ? Date.now() + MOCK_RECONNECT_DELAY_MS : null,
+        });
+        for (const waiter of [...this.connectionStateWaiters]) waiter(name, state);
     }
 
     /**
@@ -985,83 +1739,128 @@ class MockWebSocketManager {
      */
     createConnection(name, endpoint, options = {}) {
         const {
-            onMessage = () => {},
+            onMessage: receive = () => {},
             onOpen = () => {},
             onClose = () => {},
             onError = () => {},
         } = options;
 
-        // Protocol state for image WebSocket
+        // Deliver a message from the mock server, unless the connection drops instead (see mockFaults)
+        /** @param {{data: string|ArrayBuffer}} message */
+        const onMessage = (message) => {
+            if (mockWs.readyState !== 1) return;
+            if (this.faults.trigger('drop_connection', endpoint)) {
+                this.dropConnection(name);
+                return;
+            }
+            receive(message);
+        };
+
+        // Protocol state for image WebSocket: replies not yet sent, by request_id
         const protocolState = {
-            waitingFor: 'channel_handle', // or 'downsample_factor'
-            currentChannel: null,
+            /** @type {Map<string, number>} mock clock timers */
+            pendingReplies: new Map(),
+            /** legacy protocol: channel handle of the request whose downsample factor is expected next */
+            legacyChannelHandle: /** @type {string|null} */ (null),
+            /** legacy protocol: requests are numbered here (for pendingReplies), since they have no id */
+            legacyRequestCount: 0,
+        };
+
+        /**
+         * Reply to an image request, recorded in replay mode
+         * @param {import('./image-client.js').ImageRequestMessage} request
+         * @returns {string|ArrayBuffer}
+         */
+        const imageReply = (request) => {
+            const replay = this.mockState.replaySession;
+            return replay ? replay.nextImageReply(request) : this.buildImageReply(request);
         };
 
         // Create mock WebSocket object
         const mockWs = {
             readyState: 1, // OPEN
             send: (data) => {
-                // Handle image WebSocket protocol
-                if (endpoint === '/ws/get_info/acquired_image') {
-                    if (protocolState.waitingFor === 'channel_handle') {
-                        const channelHandle = data;
-                        protocolState.currentChannel = channelHandle;
-
-                        // Check if we have an image for this channel
-                        const imageEntry = this.mockState.imageStore[channelHandle];
-
-                        if (!imageEntry) {
-                            // No image available, send empty JSON
-                            onMessage({ data: JSON.stringify({}) });
-                            protocolState.waitingFor = 'channel_handle';
-                        } else {
-                            // Send metadata
-                            const metadata = {
-                                width: imageEntry.width,
-                                height: imageEntry.height,
-                                camera_bit_depth: imageEntry.cameraBitDepth,
-                                bit_depth: imageEntry.bitDepth,
-                            };
-                            onMessage({ data: JSON.stringify(metadata) });
-                            protocolState.waitingFor = 'downsample_factor';
-                        }
-                    } else if (protocolState.waitingFor === 'downsample_factor') {
-                        const downsampleFactor = parseInt(data, 10) || 1;
-                        const channelHandle = protocolState.currentChannel;
-                        const imageEntry = this.mockState.imageStore[channelHandle];
-
-                        if (imageEntry) {
-                            // Downsample the image
-                            const origWidth = imageEntry.width;
-                            const origHeight = imageEntry.height;
-                            const newWidth = Math.floor(origWidth / downsampleFactor);
-                            const newHeight = Math.floor(origHeight / downsampleFactor);
-
-                            const origData = imageEntry.imageData;
-                            const bytesPerPixel = imageEntry.bitDepth === 8 ? 1 : 2;
-                            const downsampledData = new (imageEntry.bitDepth === 8 ? Uint8Array : Uint16Array)(newWidth * newHeight);
-
-                            // Simple downsampling: take every Nth pixel
-                            for (let y = 0; y < newHeight; y++) {
-                                for (let x = 0; x < newWidth; x++) {
-                                    const origX = x * downsampleFactor;
-                                    const origY = y * downsampleFactor;
-                                    const origIndex = origY * origWidth + origX;
-                                    const newIndex = y * newWidth + x;
-                                    downsampledData[newIndex] = origData[origIndex];
-                                }
-                            }
-
-                            // Send binary data
-                            onMessage({ data: downsampledData.buffer });
+                // replay mode: the recorded server frames answer (see setMockReplaySession), except for images
+                if (this.mockState.replaySession && endpoint !== IMAGE_WS_ENDPOINT) {
+                    this.playRecordedFrames(name, onMessage, 'send');
+                    return;
+                }
+
+                // Handle image WebSocket protocol (see IMAGE_WS_ENDPOINT)
+                if (endpoint === IMAGE_WS_ENDPOINT) {
+                    /** @type {import('./image-client.js').ImageRequestMessage|null} */
+                    let request = null;
+                    try {
+                        const message = JSON.parse(data);
+                        if (message?.request_id != null) request = message;
+                    } catch (e) {
+                        // not json: legacy protocol
+                    }
+
+                    if (!request) {
+                        // legacy protocol: channel handle, then downsample factor
+                        if (protocolState.legacyChannelHandle == null) {
+                            protocolState.legacyChannelHandle = `${data}`;
+                            return;
                         }
+                        /** @type {import('./image-client.js').ImageRequestMessage} */
+                        const legacyRequest = {
+                            request_id: `legacy-${++protocolState.legacyRequestCount}`,
+                            channel_handle: protocolState.legacyChannelHandle,
+                            downsample_factor: parseInt(`${data}`) || 1,
+                        };
+                        protocolState.legacyChannelHandle = null;
+
+                        protocolState.pendingReplies.set(legacyRequest.request_id, mockClock.setTimeout(() => {
+                            protocolState.pendingReplies.delete(legacyRequest.request_id);
+                            if (mockWs.readyState !== 1) return;
+                            for (const frame of legacyImageReply(imageReply(legacyRequest))) onMessage({ data: frame });
+                        }, 0));
+                        return;
+                    }
+
+                    const requestId = request.request_id;
+
+                    if (request.cancel) {
+                        mockClock.clearTimeout(protocolState.pendingReplies.get(requestId));
+                        protocolState.pendingReplies.delete(requestId);
+                        return;
+                    }
 
-                        protocolState.waitingFor = 'channel_handle';
+                    // reply asynchronously, like a real server
+                    protocolState.pendingReplies.set(requestId, mockClock.setTimeout(() => {
+                        protocolState.pendingReplies.delete(requestId);
+                        if (mockWs.readyState !== 1) return;
+                        onMessage({ data: imageReply(request) });
+                    }, 0));
+                }
+
+                // Handle status subscription protocol (see STATUS_WS_ENDPOINT)
+                if (endpoint === STATUS_WS_ENDPOINT) {
+                    /** @type {import('./status-subscription.js').StatusSubscribeMessage|null} */
+                    let subscription = null;
+                    try {
+                        const message = JSON.parse(data);
+                        if (message?.type === 'subscribe') subscription = message;
+                    } catch (e) {
+                        // not json, e.g. "info"
+                    }
+
+                    if (subscription) {
+                        onMessage({ data: JSON.stringify({ type: 'subscribed', rate_hz: subscription.rate_hz, fields: subscription.fields }) });
+                        this.startStatusUpdates(name, onMessage, subscription);
+                    } else {
+                        // any other message requests a single full status update
+                        updateAnimatedPosition();
+                        onMessage({ data: JSON.stringify(this.buildStatusUpdate()) });
                     }
                 }
             },
             close: () => {
+                if (mockWs.readyState !== 3) this.reportConnectionState(name, 'closed');
                 mockWs.readyState = 3; // CLOSED
+                protocolState.pendingReplies.forEach(timer => mockClock.clearTimeout(timer));
+                protocolState.pendingReplies.clear();
                 this.stopPeriodicUpdates(name);
             },
         };
@@ -1071,70 +1870,219 @@ class MockWebSocketManager {
             endpoint,
             options,
             protocolState,
+            /** @type {{events: import('./session-recording.js').ReplayEvent[], position: number, timers: Set<number>}|null} */
+            replay: null,
         });
 
-        // Call onOpen immediately
-        setTimeout(() => onOpen(mockWs), 10);
+        // Call onOpen right away, but asynchronously like a real WebSocket
+        // (zero delay timers also run while the mock clock is stopped, see MockClock)
+        mockClock.setTimeout(() => {
+            if (mockWs.readyState !== 1) return;
+            this.reportConnectionState(name, 'open');
+            onOpen(mockWs);
+            if (this.connections.get(name)?.replay) this.playRecordedFrames(name, onMessage, 'open');
+        }, 0);
+
+        const replay = this.mockState.replaySession;
+        if (replay && endpoint !== IMAGE_WS_ENDPOINT) {
+            const conn = this.connections.get(name);
+            conn.replay = { events: replay.openConnection(endpoint) ?? [], position: 0, timers: new Set() };
+        } else if (endpoint === '/ws/acquisition/status') {
+            this.startAcquisitionStatusUpdates(name, onMessage);
+        }
+
+        // Status updates start once the client subscribes, image WebSocket is request-response based
+
+        return mockWs;
+    }
+
+    /**
+     * Drop a connection, like a lost network connection would, and reconnect after a delay
+     * @private
+     * @param {string} name
+     */
+    dropConnection(name) {
+        const conn = this.connections.get(name);
+        if (!conn || conn.ws.readyState !== 1) return;
+
+        console.log(`[MockWebSocket] Dropping connection '${name}'`);
+        conn.ws.readyState = 3; // CLOSED
+        for (const timer of conn.protocolState.pendingReplies.values()) mockClock.clearTimeout(timer);
+        conn.protocolState.pendingReplies.clear();
+        this.stopPeriodicUpdates(name);
+
+        const { onClose = () => {}, autoReconnect = true } = conn.options;
+        onClose();
+        if (!autoReconnect) {
+            this.reportConnectionState(name, 'closed');
+            return;
+        }
+
+        this.reportConnectionState(name, 'backing-off');
+        mockClock.setTimeout(() => {
+            // closed on purpose meanwhile
+            if (this.connections.get(name) !== conn) return;
+            this.createConnection(name, conn.endpoint, conn.options);
+        }, MOCK_RECONNECT_DELAY_MS);
+    }
 
-        // Start periodic updates for status connection only
-        if (endpoint === '/ws/get_info/current_state') {
-            this.startStatusUpdates(name, onMessage);
+    /**
+     * Send the recorded server frames of a connection in replay mode (see setMockReplaySession), with their
+     * recorded timing: those before the first client frame once the connection opens, those after the n-th client
+     * frame once the client sent its n-th frame
+     * @private
+     * @param {string} name
+     * @param {(message: {data: string|ArrayBuffer}) => void} onMessage
+     * @param {'open'|'send'} trigger
+     */
+    playRecordedFrames(name, onMessage, trigger) {
+        const conn = this.connections.get(name);
+        const replay = conn?.replay;
+        if (!replay) return;
+
+        const { events } = replay;
+        let startT = 0;
+        if (trigger === 'send') {
+            // more client frames than recorded ones
+            if (events[replay.position]?.type !== 'send') return;
+            startT = events[replay.position].t;
+            replay.position++;
         }
 
-        if (endpoint === '/ws/acquisition/status') {
-            this.startAcquisitionStatusUpdates(name, onMessage);
+        for (; replay.position < events.length; replay.position++) {
+            const event = events[replay.position];
+            if (event.type === 'send') break;
+
+            const timer = mockClock.setTimeout(() => {
+                replay.timers.delete(timer);
+                if (this.connections.get(name) !== conn) return;
+                if (event.type === 'close') {
+                    this.dropConnection(name);
+                } else {
+                    onMessage({ data: event.data });
+                }
+            }, event.t - startT);
+            replay.timers.add(timer);
         }
+    }
 
-        // Image WebSocket is request-response based, no periodic updates needed
+    /**
+     * Build the reply to an image request
+     * @private
+     * @param {import('./image-client.js').ImageRequestMessage} request
+     * @returns {string|ArrayBuffer} - Text frame if there is no image, binary image frame otherwise
+     */
+    buildImageReply(request) {
+        const requestId = request.request_id;
+        const imageEntry = this.mockState.imageStore[request.channel_handle ?? ''];
+        if (!imageEntry) {
+            return JSON.stringify({ request_id: requestId, status: 'no_image' });
+        }
 
-        return mockWs;
+        const downsampleFactor = Math.max(1, Math.floor(request.downsample_factor ?? 1));
+
+        // Downsample the image
+        const origWidth = imageEntry.width;
+        const origHeight = imageEntry.height;
+        const newWidth = Math.floor(origWidth / downsampleFactor);
+        const newHeight = Math.floor(origHeight / downsampleFactor);
+
+        const origData = imageEntry.imageData;
+        const downsampledData = new (imageEntry.bitDepth === 8 ? Uint8Array : Uint16Array)(newWidth * newHeight);
+
+        // Simple downsampling: take every Nth pixel
+        for (let y = 0; y < newHeight; y++) {
+            for (let x = 0; x < newWidth; x++) {
+                const origX = x * downsampleFactor;
+                const origY = y * downsampleFactor;
+                const origIndex = origY * origWidth + origX;
+                const newIndex = y * newWidth + x;
+                downsampledData[newIndex] = origData[origIndex];
+            }
+        }
+
+        const frame = encodeImageFrame({
+            request_id: requestId,
+            status: 'ok',
+            width: newWidth,
+            height: newHeight,
+            bit_depth: imageEntry.bitDepth,
+            camera_bit_depth: imageEntry.cameraBitDepth,
+        }, downsampledData);
+
+        const corrupt = this.faults.trigger('corrupt_image', request.channel_handle ?? '');
+        return corrupt ? corruptImageFrame(frame, corrupt.corruption ?? 'header') : frame;
     }
 
     /**
-     * Start sending periodic status updates
+     * Build a (full) status update from the mock state
+     * @private
+     * @returns {CoreCurrentState}
+     */
+    buildStatusUpdate() {
+        return {
+            adapter_state: {
+                is_in_loading_position: this.mockState.is_in_loading_position,
+                stage_position: {
+                    x_pos_mm: this.mockState.position.x_pos_mm,
+                    y_pos_mm: this.mockState.position.y_pos_mm,
+                    z_pos_mm: this.mockState.position.z_pos_mm,
+                },
+            },
+            latest_imgs: this.mockState.latest_imgs,
+            current_acquisition_id: this.mockState.current_acquisition_id,
+            is_streaming: this.mockState.is_streaming,
+            is_busy: this.mockState.is_busy || this.mockState.isMoving,
+            microscope_name: "Mock Microscope (Offline)",
+            last_acquisition_error: this.mockState.last_acquisition_error,
+            last_acquisition_error_timestamp: this.mockState.last_acquisition_error_timestamp,
+        };
+    }
+
+    /**
+     * Start sending periodic status updates, according to a subscription.
+     * Replaces a previous subscription on the same connection.
      * @private
      * @param {string} name
      * @param {Function} onMessage
+     * @param {import('./status-subscription.js').StatusSubscribeMessage} subscription
      */
-    startStatusUpdates(name, onMessage) {
-        // Update at 16ms intervals (60 FPS) for smooth movement animation
-        const interval = setInterval(() => {
-            const conn = this.connections.get(name);
-            if (!conn) {
-                clearInterval(interval);
-                return;
-            }
+    startStatusUpdates(name, onMessage, subscription) {
+        this.stopPeriodicUpdates(name);
 
+        /** @param {boolean} full - send all fields, instead of only the subscribed ones */
+        const sendUpdate = (full) => {
             // Update animated position for smooth movement
             updateAnimatedPosition();
 
-            const statusUpdate = {
-                adapter_state: {
-                    is_in_loading_position: this.mockState.is_in_loading_position,
-                    stage_position: {
-                        x_pos_mm: this.mockState.position.x_pos_mm,
-                        y_pos_mm: this.mockState.position.y_pos_mm,
-                        z_pos_mm: this.mockState.position.z_pos_mm,
-                    },
-                },
-                latest_imgs: this.mockState.latest_imgs,
-                current_acquisition_id: this.mockState.current_acquisition_id,
-                is_streaming: this.mockState.is_streaming,
-                is_busy: this.mockState.is_busy || this.mockState.isMoving,
-                microscope_name: "Mock Microscope (Offline)",
-                last_acquisition_error: null,
-                last_acquisition_error_timestamp: null,
-            };
-
-            const statusJson = JSON.stringify(statusUpdate);
+            const statusUpdate = this.buildStatusUpdate();
+            const fields = full ? null : subscription.fields;
+            const message = fields
+                ? Object.fromEntries(fields.map(field => [field, statusUpdate[field]]))
+                : statusUpdate;
 
             onMessage({
-                data: statusJson,
+                data: JSON.stringify(message),
             });
-        }, 16);
+        };
+
+        // first update after subscribing contains all fields
+        sendUpdate(true);
+
+        // rate 0 pauses updates, and the connection may have dropped while sending (see mockFaults)
+        const conn = this.connections.get(name);
+        if (!(subscription.rate_hz > 0) || !conn || conn.ws.readyState !== 1) return;
+
+        const interval = mockClock.setInterval(() => {
+            if (this.connections.get(name) !== conn || conn.ws.readyState !== 1) {
+                mockClock.clearInterval(interval);
+                return;
+            }
+            sendUpdate(false);
+        }, 1000 / subscription.rate_hz);
 
         // Store interval for cleanup
-        this.connections.get(name).interval = interval;
+        conn.interval = interval;
     }
 
     /**
@@ -1145,44 +2093,17 @@ class MockWebSocketManager {
      */
     startAcquisitionStatusUpdates(name, onMessage) {
         let stopScheduled = false;
+        const conn = this.connections.get(name);
 
         // Update at 200ms intervals for acquisition progress
-        const interval = setInterval(() => {
-            const conn = this.connections.get(name);
-            if (!conn || !this.mockState.acquisition) {
-                clearInterval(interval);
+        const interval = mockClock.setInterval(() => {
+            if (this.connections.get(name) !== conn || conn.ws.readyState !== 1 || !this.mockState.acquisition) {
+                mockClock.clearInterval(interval);
                 return;
             }
 
             const acq = this.mockState.acquisition;
-            const elapsed = (Date.now() - acq.startTime) / 1000;
-            const remainingImages = acq.totalImages - acq.currentImages;
-
-            // Estimate remaining time based on current rate
-            let estimatedRemaining = null;
-            if (acq.status === 'running' && acq.currentImages > 0) {
-                const avgTimePerImage = elapsed / acq.currentImages;
-                estimatedRemaining = remainingImages * avgTimePerImage;
-            }
-
-            const statusUpdate = {
-                acquisition_id: acq.id,
-                acquisition_status: acq.status,
-                acquisition_progress: {
-                    current_num_images: acq.currentImages,
-                    time_since_start_s: elapsed,
-                    start_time_iso: new Date(acq.startTime).toISOString(),
-                    current_storage_usage_GB: (acq.currentImages * 0.001), // Mock: 1MB per image
-                    estimated_remaining_time_s: estimatedRemaining,
-                    last_image: null,
-                },
-                acquisition_meta_information: {
-                    total_num_images: acq.totalImages,
-                    max_storage_size_images_GB: (acq.totalImages * 0.001),
-                },
-                acquisition_config: acq.config,
-                message: '',
-            };
+            const statusUpdate = buildAcquisitionStatus(acq);
 
             onMessage({
                 data: JSON.stringify(statusUpdate),
@@ -1192,15 +2113,15 @@ class MockWebSocketManager {
             // Schedule stop only once when status first changes
             if (acq.status !== 'running' && !stopScheduled) {
                 stopScheduled = true;
-                setTimeout(() => {
-                    clearInterval(interval);
+                mockClock.setTimeout(() => {
+                    mockClock.clearInterval(interval);
                     console.log('[MockAcquisition] Stopped sending acquisition status updates');
                 }, 2500);
             }
         }, 200);
 
         // Store interval for cleanup
-        this.connections.get(name).interval = interval;
+        conn.interval = interval;
     }
 
     /**
@@ -1211,7 +2132,12 @@ class MockWebSocketManager {
     stopPeriodicUpdates(name) {
         const conn = this.connections.get(name);
         if (conn?.interval) {
-            clearInterval(conn.interval);
+            mockClock.clearInterval(conn.interval);
+            conn.interval = null;
+        }
+        if (conn?.replay) {
+            for (const timer of conn.replay.timers) mockClock.clearTimeout(timer);
+            conn.replay.timers.clear();
         }
     }
 
@@ -1236,13 +2162,55 @@ class MockWebSocketManager {
     }
 
     /**
-     * Wait for a connection to be ready (always resolves immediately for mock)
+     * Get the status of a connection (mock connections never back off)
      * @param {string} name
-     * @param {number} [timeout=5000]
+     * @returns {import('./api-client.js').WebSocketConnectionStatus|null}
+     */
+    getConnectionStatus(name) {
+        const conn = this.connections.get(name);
+        if (!conn) return null;
+        const ws = conn.ws;
+        return {
+            connected: ws.readyState === 1,
+            readyState: ws.readyState,
+            reconnectAttempts: 0,
+            state: ws.readyState === 1 ? 'open' : 'closed',
+            nextRetryAt: null,
+        };
+    }
+
+    /**
+     * Skip the reconnection backoff (no-op for mock, dropped connections reconnect after a fixed delay)
+     * @param {string} name
+     * @returns {boolean}
+     */
+    retryNow(name) {
+        return false;
+    }
+
+    /**
+     * Wait for a connection to be ready (e.g. to reconnect after an injected connection drop)
+     * @param {string} name
+     * @param {number} [timeout=5000] - in mock time, like the reconnection delay
      * @returns {Promise<boolean>}
      */
     async waitForConnection(name, timeout = 5000) {
-        return this.isConnected(name);
+        if (!this.connections.has(name) || this.isConnected(name)) {
+            return this.isConnected(name);
+        }
+        return new Promise(resolve => {
+            const done = () => {
+                mockClock.clearTimeout(timer);
+                this.connectionStateWaiters.delete(waiter);
+                resolve(this.isConnected(name));
+            };
+            /** @type {(connectionName: string, state: import('./api-client.js').WebSocketConnectionState) => void} */
+            const waiter = (connectionName, state) => {
+                if (connectionName === name && (state === 'open' || state === 'closed')) done();
+            };
+            const timer = mockClock.setTimeout(done, timeout);
+            this.connectionStateWaiters.add(waiter);
+        });
     }
 
     /**
@@ -1295,4 +2263,234 @@ class MockWebSocketManager {
     }
 }
 
-export { MockAPIClient, MockWebSocketManager };
+/**
+ * @typedef {Object} MockStoredImage
+ * @property {Uint8Array|Uint16Array} imageData
+ * @property {number} width
+ * @property {number} height
+ * @property {number} bitDepth
+ * @property {number} cameraBitDepth
+ * @property {number} timestamp
+ * @property {ImageStoreInfo} info - Metadata reported in latest_imgs
+ */
+
+/**
+ * @typedef {Object} MockProtocol
+ * @property {AcquisitionConfig} config_file
+ * @property {string|null} comment
+ * @property {string} timestamp
+ */
+
+/**
+ * Everything needed to reproduce the state of the mock microscope (but not running actions,
+ * like stage movement, streaming or acquisitions).
+ * @typedef {Object} MockScenario
+ * @property {{x_pos_mm: number, y_pos_mm: number, z_pos_mm: number}} position
+ * @property {boolean} is_in_loading_position
+ * @property {number} focalPlaneZMm
+ * @property {Record<string, MockProtocol>} protocols - Stored protocols, by filename
+ * @property {Record<string, MachineConfigItem['value']>} machineConfig - Flushed machine config values, by handle
+ * @property {LaserAutofocusCalibrateResponse['calibration_data']|null} laserAutofocusCalibration
+ * @property {string|null} last_acquisition_error
+ * @property {string|null} last_acquisition_error_timestamp
+ * @property {Record<string, MockStoredImage>} images - Latest image, by channel handle
+ * @property {(import('./mock-faults.js').MockFaultRuleInit & {triggered: number})[]} faults - Injected faults
+ * @property {number|null} clockStartTime - Mock time the clock was started at (see setMockClockStartTime)
+ */
+
+/**
+ * Current state of the mock microscope
+ * @returns {MockScenario}
+ */
+function getMockScenario() {
+    /** @type {Record<string, MockStoredImage>} */
+    const images = {};
+    for (const [handle, entry] of Object.entries(sharedMockState.imageStore)) {
+        images[handle] = {
+            imageData: entry.imageData,
+            width: entry.width,
+            height: entry.height,
+            bitDepth: entry.bitDepth,
+            cameraBitDepth: entry.cameraBitDepth,
+            timestamp: entry.timestamp,
+            info: copyJSON(sharedMockState.latest_imgs[handle]),
+        };
+    }
+
+    return {
+        position: { ...sharedMockState.position },
+        is_in_loading_position: sharedMockState.is_in_loading_position,
+        focalPlaneZMm: sharedMockState.focalPlaneZMm,
+        protocols: copyJSON(sharedMockState.protocols),
+        machineConfig: copyJSON(sharedMockState.machineConfig),
+        laserAutofocusCalibration: copyJSON(sharedMockState.laserAutofocusCalibration),
+        last_acquisition_error: sharedMockState.last_acquisition_error,
+        last_acquisition_error_timestamp: sharedMockState.last_acquisition_error_timestamp,
+        images,
+        faults: mockFaults.rules.map(({ id, ...rule }) => ({ ...rule })),
+        clockStartTime: mockClockStartTime,
+    };
+}
+
+/**
+ * Restore the state of the mock microscope (stops streaming and acquisitions)
+ * @param {MockScenario} scenario
+ */
+function applyMockScenario(scenario) {
+    if (sharedMockState.streamingInterval) {
+        mockClock.clearInterval(sharedMockState.streamingInterval);
+        sharedMockState.streamingInterval = null;
+    }
+    sharedMockState.is_streaming = false;
+    sharedMockState.streamingChannel = null;
+    if (sharedMockState.acquisition) {
+        mockClock.clearTimeout(sharedMockState.acquisition.timeout);
+        sharedMockState.acquisition.status = 'cancelled';
+        sharedMockState.acquisition = null;
+    }
+    sharedMockState.current_acquisition_id = null;
+    sharedMockState.is_busy = false;
+
+    sharedMockState.position = { ...scenario.position };
+    sharedMockState.targetPosition = { ...scenario.position };
+    sharedMockState.isMoving = false;
+    sharedMockState.is_in_loading_position = scenario.is_in_loading_position;
+    sharedMockState.focalPlaneZMm = scenario.focalPlaneZMm;
+    sharedMockState.protocols = copyJSON(scenario.protocols);
+    sharedMockState.machineConfig = copyJSON(scenario.machineConfig);
+    sharedMockState.laserAutofocusCalibration = copyJSON(scenario.laserAutofocusCalibration);
+    sharedMockState.last_acquisition_error = scenario.last_acquisition_error;
+    sharedMockState.last_acquisition_error_timestamp = scenario.last_acquisition_error_timestamp;
+
+    sharedMockState.imageStore = {};
+    sharedMockState.latest_imgs = {};
+    for (const [handle, image] of Object.entries(scenario.images)) {
+        sharedMockState.imageStore[handle] = {
+            imageData: image.imageData,
+            width: image.width,
+            height: image.height,
+            bitDepth: image.bitDepth,
+            cameraBitDepth: image.cameraBitDepth,
+            timestamp: image.timestamp,
+        };
+        sharedMockState.latest_imgs[handle] = copyJSON(image.info);
+    }
+
+    mockFaults.clear();
+    for (const { triggered, ...rule } of scenario.faults) {
+        mockFaults.add(rule).triggered = triggered;
+    }
+
+    if (scenario.clockStartTime != null) {
+        setMockClockStartTime(scenario.clockStartTime);
+    }
+
+    notifyMockStateChange();
+}
+
+/**
+ * Get notified when the state of the mock microscope may have changed (see getMockScenario)
+ * @param {() => void} listener
+ * @returns {() => void} - Removes the listener again
+ */
+function subscribeMockState(listener) {
+    mockStateListeners.add(listener);
+    return () => mockStateListeners.delete(listener);
+}
+
+/**
+ * Replace the hardware of the mock microscope. The interface has to reload the hardware capabilities and
+ * machine defaults afterwards.
+ * @param {import('./mock-hardware.js').MockHardwareProfile} profile
+ */
+function setMockHardwareProfile(profile) {
+    sharedMockState.hardwareProfile = profile;
+}
+
+/**
+ * @returns {import('./mock-hardware.js').MockHardwareProfile}
+ */
+function getMockHardwareProfile() {
+    return sharedMockState.hardwareProfile;
+}
+
+/**
+ * url parameter that makes the interface use the mock even if the server is available (any value, e.g. `?mock`),
+ * so that automated tests of the interface do not depend on a server
+ */
+const MOCK_MODE_PARAM = 'mock';
+
+/** url parameter with the url of a session file, to replay it instead of simulating (see setMockReplaySession) */
+const MOCK_SESSION_PARAM = 'mock_session';
+
+/**
+ * Serve a recorded session (see session-recording.js) instead of simulating the microscope. Connections opened
+ * afterwards replay the session, fault injection still applies.
+ * @param {import('./session-recording.js').SessionReplay|null} replay - null to simulate again
+ */
+function setMockReplaySession(replay) {
+    sharedMockState.replaySession = replay;
+}
+
+/**
+ * @returns {import('./session-recording.js').SessionReplay|null}
+ */
+function getMockReplaySession() {
+    return sharedMockState.replaySession;
+}
+
+/**
+ * Restart the mock clock at a fixed time, so that runs report the same times (see MOCK_START_TIME_PARAM).
+ * The start time is kept in the scenario, applying the scenario restarts the clock at it again.
+ * @param {number} time - ms since epoch
+ */
+function setMockClockStartTime(time) {
+    mockClockStartTime = time;
+    mockClock.setTime(time);
+}
+
+/** url parameter with the acquisition speedup of the mock microscope (see setMockAcquisitionSpeedup) */
+const MOCK_ACQUISITION_SPEEDUP_PARAM = 'mock_speedup';
+
+/**
+ * Let mock acquisitions run faster than on the real microscope (waits between time points, stage movement,
+ * autofocus, exposure), e.g. to go through a long time series in minutes. Reported acquisition times are not
+ * affected. Applies to acquisitions started afterwards.
+ *
+ * Applies on top of the rate of the mock clock (see mock-clock.js), which speeds up everything else as well: with
+ * clock rate 10 and speedup 6, an acquisition that takes an hour on the real microscope takes one minute, reports
+ * an hour of elapsed time, and its images are timestamped 6 minutes apart (mock clock time).
+ * @param {number} factor - e.g. 60 to simulate an hour per minute
+ * @throws {Error} - If the factor is not a positive number
+ */
+function setMockAcquisitionSpeedup(factor) {
+    if (!Number.isFinite(factor) || factor <= 0) {
+        throw new Error(`invalid acquisition speedup '${factor}' (must be a positive number)`);
+    }
+    sharedMockState.acquisitionSpeedup = factor;
+}
+
+/**
+ * @returns {number} - see setMockAcquisitionSpeedup
+ */
+function getMockAcquisitionSpeedup() {
+    return sharedMockState.acquisitionSpeedup;
+}
+
+export {
+    MockAPIClient,
+    MockWebSocketManager,
+    getMockScenario,
+    applyMockScenario,
+    subscribeMockState,
+    MOCK_ACQUISITION_SPEEDUP_PARAM,
+    setMockAcquisitionSpeedup,
+    getMockAcquisitionSpeedup,
+    setMockClockStartTime,
+    setMockHardwareProfile,
+    getMockHardwareProfile,
+    MOCK_MODE_PARAM,
+    MOCK_SESSION_PARAM,
+    setMockReplaySession,
+    getMockReplaySession,
+};
@@ -0,0 +1,410 @@
+"use strict";
+
+/**
+ * Clock and random numbers of the mock microscope.
+ *
+ * All timing of the mock (stage movement, exposure, acquisitions, status updates, faults) goes through mockClock,
+ * and all randomness (image noise, fault probabilities) through mockRandom, so that the mock can
+ * - run in real time (rate 1, the default)
+ * - fast-forward (rate N: a 6 hour time series takes 6h / N)
+ * - be stepped manually (rate 0: time only passes through MockClock.advance, timers that are already due still run)
+ * and a run can be reproduced exactly, given the same seed, start time and the same requests at the same (mock) times.
+ *
+ * The acquisition speedup of the mock (see setMockAcquisitionSpeedup) applies on top of the clock rate: with rate R
+ * and speedup S, acquisitions run R * S times faster than on the real microscope (S times faster in mock time),
+ * everything else R times.
+ *
+ * Timers are scheduled in mock time. Intervals that fall behind (fast-forward, large manual steps) skip the ticks
+ * they missed instead of running once per missed tick, like browsers do for background tabs.
+ */
+
+/** url parameter with the clock rate of the mock microscope (a number, or 'manual' for rate 0) */
+export const MOCK_CLOCK_RATE_PARAM = 'mock_clock';
+/** url parameter with the seed of the mock random numbers */
+export const MOCK_SEED_PARAM = 'mock_seed';
+/** url parameter with the mock time at startup (ISO 8601, or ms since epoch) */
+export const MOCK_START_TIME_PARAM = 'mock_start_time';
+
+/**
+ * shortest real time (ms) between two wake-ups of the clock, limits the rate of status updates when fast-forwarding
+ */
+const MIN_REAL_DELAY_MS = 16;
+/** timers run per wake-up at most, before yielding to the event loop (e.g. for zero delay timer chains) */
+const MAX_TIMERS_PER_WAKEUP = 10000;
+
+/**
+ * @typedef {Object} MockTimer
+ * @property {number} id
+ * @property {number} due - Mock time the timer runs at
+ * @property {number} seq - Order of creation, timers due at the same time run in this order
+ * @property {() => void} callback
+ * @property {number|null} periodMs - Interval period, null for a one-shot timer
+ */
+
+/**
+ * Create a seeded pseudo random number generator (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} - Returns numbers in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Clock with a configurable rate relative to real time
+ */
+export class MockClock {
+    /**
+     * @param {{rate?: number, startTime?: number}} [options]
+     *     rate: mock ms per real ms (0 = manual stepping), startTime: mock time at creation (ms since epoch)
+     */
+    constructor(options = {}) {
+        this.rate = options.rate ?? 1;
+        /** mock time at baseRealTime */
+        this.baseTime = options.startTime ?? Date.now();
+        this.baseRealTime = performance.now();
+
+        /** @type {MockTimer[]} */
+        this.timers = [];
+        this.nextId = 1;
+        this.nextSeq = 0;
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this.wakeupTimer = null;
+        /** set while timers run, time does not advance meanwhile */
+        this.frozenTime = /** @type {number|null} */ (null);
+
+        /** @type {Set<() => void>} */
+        this.listeners = new Set();
+    }
+
+    /**
+     * Current mock time
+     * @returns {number} - ms since epoch, like Date.now
+     */
+    now() {
+        if (this.frozenTime != null) return this.frozenTime;
+        return this.baseTime + (performance.now() - this.baseRealTime) * this.rate;
+    }
+
+    /**
+     * Current mock time as Date
+     * @returns {Date}
+     */
+    date() {
+        return new Date(this.now());
+    }
+
+    /**
+     * Change the rate, time continues from the current mock time
+     * @param {number} rate - mock ms per real ms, 0 for manual stepping
+     * @throws {Error} - If the rate is negative or not a number
+     */
+    setRate(rate) {
+        if (!Number.isFinite(rate) || rate < 0) {
+            throw new Error(`invalid clock rate '${rate}' (must be a number >= 0)`);
+        }
+        this.baseTime = this.now();
+        this.baseRealTime = performance.now();
+        this.rate = rate;
+        this.scheduleWakeup();
+        this.notify();
+    }
+
+    /**
+     * Reset to a mock time, e.g. to reproduce a run (timers keep their remaining delay)
+     * @param {number} time - ms since epoch
+     */
+    setTime(time) {
+        const shift = time - this.now();
+        for (const timer of this.timers) timer.due += shift;
+        this.baseTime = time;
+        this.baseRealTime = performance.now();
+        this.scheduleWakeup();
+        this.notify();
+    }
+
+    /**
+     * Run a callback after a delay (in mock time)
+     * @param {() => void} callback
+     * @param {number} [delayMs=0]
+     * @returns {number} - Timer id, for clearTimeout
+     */
+    setTimeout(callback, delayMs = 0) {
+        return this.addTimer(callback, delayMs, null);
+    }
+
+    /**
+     * Run a callback repeatedly (in mock time)
+     * @param {() => void} callback
+     * @param {number} periodMs
+     * @returns {number} - Timer id, for clearInterval
+     */
+    setInterval(callback, periodMs) {
+        return this.addTimer(callback, periodMs, Math.max(1, periodMs));
+    }
+
+    /**
+     * @param {number|null|undefined} id
+     */
+    clearTimeout(id) {
+        if (id == null) return;
+        const index = this.timers.findIndex(timer => timer.id === id);
+        if (index < 0) return;
+        this.timers.splice(index, 1);
+        if (index === 0) this.scheduleWakeup();
+    }
+
+    /**
+     * @param {number|null|undefined} id
+     */
+    clearInterval(id) {
+        this.clearTimeout(id);
+    }
+
+    /**
+     * Wait (in mock time)
+     * @param {number} delayMs
+     * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted
+     * @returns {Promise<void>}
+     */
+    sleep(delayMs, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => {
+                this.clearTimeout(timer);
+                reject(signal?.reason);
+            };
+            const timer = this.setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delayMs);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Let mock time pass, running the timers due meanwhile in order (mainly for manual stepping)
+     * @param {number} ms
+     * @returns {void}
+     */
+    advance(ms) {
+        const target = this.now() + Math.max(0, ms);
+        this.runTimers(target, Infinity);
+        this.baseTime = target;
+        this.baseRealTime = performance.now();
+        this.scheduleWakeup();
+        this.notify();
+    }
+
+    /**
+     * Get notified when the rate or time is changed
+     * @param {() => void} listener
+     * @returns {() => void} - Removes the listener again
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     * @param {() => void} callback
+     * @param {number} delayMs
+     * @param {number|null} periodMs
+     * @returns {number}
+     */
+    addTimer(callback, delayMs, periodMs) {
+        /** @type {MockTimer} */
+        const timer = {
+            id: this.nextId++,
+            due: this.now() + Math.max(0, delayMs || 0),
+            seq: this.nextSeq++,
+            callback,
+            periodMs,
+        };
+        this.insertTimer(timer);
+        if (this.timers[0] === timer) this.scheduleWakeup();
+        return timer.id;
+    }
+
+    /**
+     * @private
+     * @param {MockTimer} timer
+     */
+    insertTimer(timer) {
+        // sorted by due time, then creation
+        let index = this.timers.length;
+        while (index > 0) {
+            const other = this.timers[index - 1];
+            if (other.due < timer.due || (other.due === timer.due && other.seq < timer.seq)) break;
+            index--;
+        }
+        this.timers.splice(index, 0, timer);
+    }
+
+    /**
+     * Run the timers due until a mock time
+     * @private
+     * @param {number} target
+     * @param {number} maxTimers
+     * @returns {boolean} - Whether all timers due were run
+     */
+    runTimers(target, maxTimers) {
+        /** @type {Set<number>} intervals that already ran (they run at most once per call) */
+        const ranIntervals = new Set();
+        let count = 0;
+        try {
+            while (this.timers.length > 0 && this.timers[0].due <= target) {
+                if (count++ >= maxTimers) return false;
+
+                const timer = /** @type {MockTimer} */ (this.timers.shift());
+                this.frozenTime = Math.max(timer.due, this.frozenTime ?? -Infinity);
+                if (timer.periodMs != null) {
+                    // skip the ticks missed
+                    timer.due += timer.periodMs;
+                    if (ranIntervals.has(timer.id) || timer.due <= target) {
+                        timer.due = Math.max(timer.due, target + timer.periodMs);
+                    }
+                    ranIntervals.add(timer.id);
+                    timer.seq = this.nextSeq++;
+                    this.insertTimer(timer);
+                }
+                try {
+                    timer.callback();
+                } catch (error) {
+                    console.error('[MockClock] timer failed:', error);
+                }
+            }
+            return true;
+        } finally {
+            this.frozenTime = null;
+        }
+    }
+
+    /**
+     * (Re)schedule the real timer that runs the mock timers when they are due
+     * @private
+     */
+    scheduleWakeup() {
+        if (this.wakeupTimer != null) {
+            clearTimeout(this.wakeupTimer);
+            this.wakeupTimer = null;
+        }
+        if (this.timers.length === 0) return;
+        // time does not pass by itself, but timers already due (e.g. zero delay) run
+        if (this.rate === 0 && this.timers[0].due > this.now()) return;
+
+        const delayMs = this.rate === 0 ? 0 : Math.max(MIN_REAL_DELAY_MS, (this.timers[0].due - this.now()) / this.rate);
+        this.wakeupTimer = setTimeout(() => {
+            this.wakeupTimer = null;
+            this.runTimers(this.now(), MAX_TIMERS_PER_WAKEUP);
+            this.scheduleWakeup();
+        }, delayMs);
+    }
+
+    /**
+     * @private
+     */
+    notify() {
+        for (const listener of this.listeners) {
+            try {
+                listener();
+            } catch (error) {
+                console.warn('mock clock listener failed:', error);
+            }
+        }
+    }
+}
+
+/** clock of the mock microscope */
+export const mockClock = new MockClock();
+
+let randomSource = Math.random;
+
+/**
+ * Random number in [0, 1) for the mock microscope, seeded with seedMockRandom (Math.random until then)
+ * @returns {number}
+ */
+export function mockRandom() {
+    return randomSource();
+}
+
+/**
+ * Make the random numbers of the mock microscope reproducible
+ * @param {number|null} seed - null to go back to Math.random
+ * @returns {void}
+ */
+export function seedMockRandom(seed) {
+    randomSource = seed == null ? Math.random : createSeededRandom(seed);
+}
+
+/**
+ * Parse a clock rate, as given in MOCK_CLOCK_RATE_PARAM
+ * @param {string} text - A number >= 0, or 'manual' (same as 0)
+ * @returns {number}
+ * @throws {Error} - If the text is not a valid rate
+ */
+export function parseMockClockRate(text) {
+    if (text.trim() === 'manual') return 0;
+    const rate = Number(text);
+    if (text.trim() === '' || !Number.isFinite(rate) || rate < 0) {
+        throw new Error(`invalid mock clock rate '${text}' (must be a number >= 0, or 'manual')`);
+    }
+    return rate;
+}
+
+/**
+ * Parse a random seed, as given in MOCK_SEED_PARAM
+ * @param {string} text - An integer
+ * @returns {number}
+ * @throws {Error} - If the text is not an integer
+ */
+export function parseMockSeed(text) {
+    const seed = Number(text);
+    if (text.trim() === '' || !Number.isInteger(seed)) {
+        throw new Error(`invalid mock random seed '${text}' (must be an integer)`);
+    }
+    return seed;
+}
+
+/**
+ * Parse a start time, as given in MOCK_START_TIME_PARAM
+ * @param {string} text - ISO 8601 date and time (e.g. 2024-01-01T08:00:00Z), or ms since epoch
+ * @returns {number} - ms since epoch
+ * @throws {Error} - If the text is not a valid time
+ */
+export function parseMockStartTime(text) {
+    const time = /^\s*-?\d+\s*$/.test(text) ? Number(text) : Date.parse(text);
+    if (!Number.isFinite(time)) {
+        throw new Error(`invalid mock start time '${text}' (must be an ISO 8601 time, or ms since epoch)`);
+    }
+    return time;
+}
+
+/**
+ * Clock settings requested in the url of the page (see MOCK_CLOCK_RATE_PARAM, MOCK_SEED_PARAM and MOCK_START_TIME_PARAM)
+ * @param {Location} [location]
+ * @returns {{rate: number|null, seed: number|null, startTime: number|null}}
+ * @throws {Error} - If a parameter is invalid
+ */
+export function mockClockSettingsFromLocation(location = window.location) {
+    const params = new URLSearchParams(location.search);
+    const rate = params.get(MOCK_CLOCK_RATE_PARAM);
+    const seed = params.get(MOCK_SEED_PARAM);
+    const startTime = params.get(MOCK_START_TIME_PARAM);
+    return {
+        rate: rate ? parseMockClockRate(rate) : null,
+        seed: seed ? parseMockSeed(seed) : null,
+        startTime: startTime ? parseMockStartTime(startTime) : null,
+    };
+}
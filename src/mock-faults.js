@@ -0,0 +1,289 @@
+"use strict";
+
+import { mockRandom } from "./mock-clock.js";
+
+/**
+ * Fault injection for the mock microscope, to exercise the error handling of the interface.
+ *
+ * Faults are described by rules. Each rule has a type, a target it applies to, and triggers with a probability,
+ * optionally only a limited number of times. What the target is matched against depends on the type:
+ * - server_error: api endpoint, the request fails with 500 Internal Server Error
+ * - busy: api endpoint, the request fails with 409 Conflict (microscope busy)
+ * - slow: api endpoint, the response is delayed
+ * - drop_connection: websocket endpoint, the connection drops (checked whenever the server sends a message)
+ * - acquisition_crash: well name (e.g. "B3"), the acquisition crashes (checked after every image)
+ * - corrupt_image: channel handle, the image frame sent through the image websocket is corrupt
+ *
+ * Targets match exactly, or by prefix if they end with '*' ('*' alone matches everything).
+ *
+ * Rules can be written as text, e.g. in the MOCK_FAULTS_PARAM url parameter. Rules are separated by ';',
+ * each rule is `type[:target][,key=value]...`, e.g.
+ * `server_error:/api/action/move_to,probability=0.5;slow:*,delay_ms=3000,count=2`
+ *
+ * keys:
+ * - probability: chance of triggering (0 to 1, default 1)
+ * - count: number of times the fault triggers (default: unlimited)
+ * - detail: error message (server_error, acquisition_crash)
+ * - reasons: busy reasons, separated by '|' (busy)
+ * - delay_ms: delay of the response (slow)
+ * - corruption: 'header' (unreadable header) or 'truncated' (pixel data cut short) (corrupt_image)
+ */
+export const MOCK_FAULTS_PARAM = 'mock_faults';
+
+/**
+ * @typedef {'server_error'|'busy'|'slow'|'drop_connection'|'acquisition_crash'|'corrupt_image'} MockFaultType
+ */
+
+/** all fault types, e.g. for ui */
+export const MOCK_FAULT_TYPES = /** @type {MockFaultType[]} */ ([
+    'server_error',
+    'busy',
+    'slow',
+    'drop_connection',
+    'acquisition_crash',
+    'corrupt_image',
+]);
+
+/**
+ * @typedef {Object} MockFaultRule
+ * @property {number} id - Unique id, e.g. to remove the rule
+ * @property {MockFaultType} type
+ * @property {string} target - What the fault applies to (see MOCK_FAULTS_PARAM)
+ * @property {number} probability - Chance of triggering when the target matches (0 to 1)
+ * @property {number|null} count - Number of times the fault triggers (null = unlimited)
+ * @property {number} triggered - Number of times the fault has triggered so far
+ * @property {string} [detail] - Error message (server_error, acquisition_crash)
+ * @property {string[]} [busyReasons] - Busy reasons (busy)
+ * @property {number} [delayMs] - Response delay (slow)
+ * @property {'header'|'truncated'} [corruption] - Kind of corruption (corrupt_image)
+ */
+
+/**
+ * @typedef {Omit<MockFaultRule, 'id'|'triggered'|'target'|'probability'|'count'>
+ *     & Partial<Pick<MockFaultRule, 'target'|'probability'|'count'>>} MockFaultRuleInit
+ */
+
+/**
+ * Whether a rule target matches a value
+ * @param {string} target
+ * @param {string} value
+ * @returns {boolean}
+ */
+function targetMatches(target, value) {
+    if (target.endsWith('*')) {
+        return value.startsWith(target.slice(0, -1));
+    }
+    return target === value;
+}
+
+/**
+ * Parse a number from a rule text
+ * @param {string} key
+ * @param {string} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function parseNumber(key, value, min, max) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`invalid ${key} '${value}' (must be a number from ${min} to ${max})`);
+    }
+    return number;
+}
+
+/**
+ * Parse rules from their text form (see MOCK_FAULTS_PARAM)
+ * @param {string} spec
+ * @returns {MockFaultRuleInit[]}
+ * @throws {Error} - If the text is not valid
+ */
+export function parseMockFaultSpec(spec) {
+    /** @type {MockFaultRuleInit[]} */
+    const rules = [];
+    for (const ruleSpec of spec.split(';').map(s => s.trim()).filter(s => s.length > 0)) {
+        const [head, ...options] = ruleSpec.split(',').map(s => s.trim());
+        const separatorIndex = head.indexOf(':');
+        const type = /** @type {MockFaultType} */ (separatorIndex < 0 ? head : head.slice(0, separatorIndex));
+        if (!MOCK_FAULT_TYPES.includes(type)) {
+            throw new Error(`unknown fault type '${type}' in '${ruleSpec}' (known types: ${MOCK_FAULT_TYPES.join(', ')})`);
+        }
+
+        /** @type {MockFaultRuleInit} */
+        const rule = { type };
+        if (separatorIndex >= 0) {
+            rule.target = head.slice(separatorIndex + 1) || '*';
+        }
+
+        for (const option of options) {
+            const equalsIndex = option.indexOf('=');
+            if (equalsIndex < 0) {
+                throw new Error(`expected key=value instead of '${option}' in '${ruleSpec}'`);
+            }
+            const key = option.slice(0, equalsIndex).trim();
+            const value = option.slice(equalsIndex + 1).trim();
+            switch (key) {
+                case 'probability':
+                    rule.probability = parseNumber(key, value, 0, 1);
+                    break;
+                case 'count':
+                    rule.count = Math.floor(parseNumber(key, value, 1, Infinity));
+                    break;
+                case 'detail':
+                    rule.detail = value;
+                    break;
+                case 'reasons':
+                    rule.busyReasons = value.split('|').map(s => s.trim()).filter(s => s.length > 0);
+                    break;
+                case 'delay_ms':
+                    rule.delayMs = parseNumber(key, value, 0, Infinity);
+                    break;
+                case 'corruption':
+                    if (value !== 'header' && value !== 'truncated') {
+                        throw new Error(`invalid corruption '${value}' in '${ruleSpec}' (must be header or truncated)`);
+                    }
+                    rule.corruption = value;
+                    break;
+                default:
+                    throw new Error(`unknown key '${key}' in '${ruleSpec}'`);
+            }
+        }
+        rules.push(rule);
+    }
+    return rules;
+}
+
+/**
+ * Text form of a rule (see MOCK_FAULTS_PARAM)
+ * @param {MockFaultRule} rule
+ * @returns {string}
+ */
+export function formatMockFaultRule(rule) {
+    const parts = [`${rule.type}:${rule.target}`];
+    if (rule.probability !== 1) parts.push(`probability=${rule.probability}`);
+    if (rule.count != null) parts.push(`count=${rule.count}`);
+    if (rule.detail != null) parts.push(`detail=${rule.detail}`);
+    if (rule.busyReasons != null) parts.push(`reasons=${rule.busyReasons.join('|')}`);
+    if (rule.delayMs != null) parts.push(`delay_ms=${rule.delayMs}`);
+    if (rule.corruption != null) parts.push(`corruption=${rule.corruption}`);
+    return parts.join(',');
+}
+
+/**
+ * Fault rules from the url of the page (see MOCK_FAULTS_PARAM)
+ * @param {Location} [location]
+ * @returns {string|null}
+ */
+export function mockFaultSpecFromLocation(location = window.location) {
+    return new URLSearchParams(location.search).get(MOCK_FAULTS_PARAM);
+}
+
+/**
+ * Set of fault rules, consulted by the mock api client and websocket manager.
+ */
+export class MockFaultInjector {
+    constructor() {
+        /** @type {MockFaultRule[]} */
+        this.rules = [];
+        this.nextId = 1;
+        /** source of randomness for the trigger probability */
+        this.random = mockRandom;
+        /** @type {Set<() => void>} */
+        this.listeners = new Set();
+    }
+
+    /**
+     * Add a rule
+     * @param {MockFaultRuleInit} init
+     * @returns {MockFaultRule}
+     */
+    add(init) {
+        /** @type {MockFaultRule} */
+        const rule = {
+            ...init,
+            id: this.nextId++,
+            target: init.target ?? '*',
+            probability: init.probability ?? 1,
+            count: init.count ?? null,
+            triggered: 0,
+        };
+        this.rules.push(rule);
+        this.notify();
+        return rule;
+    }
+
+    /**
+     * Add rules from their text form (see MOCK_FAULTS_PARAM)
+     * @param {string} spec
+     * @returns {MockFaultRule[]}
+     * @throws {Error} - If the text is not valid (no rule is added then)
+     */
+    addFromSpec(spec) {
+        return parseMockFaultSpec(spec).map(init => this.add(init));
+    }
+
+    /**
+     * Remove a rule
+     * @param {number} id
+     * @returns {void}
+     */
+    remove(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.notify();
+    }
+
+    /**
+     * Remove all rules
+     * @returns {void}
+     */
+    clear() {
+        this.rules = [];
+        this.notify();
+    }
+
+    /**
+     * Check whether a fault triggers, and count it if it does.
+     * Only the first matching rule of the type is considered.
+     * @param {MockFaultType} type
+     * @param {string} value - Value to match the rule target against (see MOCK_FAULTS_PARAM)
+     * @returns {MockFaultRule|null} - The rule of the triggered fault, or null if no fault triggers
+     */
+    trigger(type, value) {
+        const rule = this.rules.find(rule => rule.type === type
+            && (rule.count == null || rule.triggered < rule.count)
+            && targetMatches(rule.target, value));
+        if (!rule) return null;
+        if (rule.probability < 1 && this.random() >= rule.probability) return null;
+
+        rule.triggered++;
+        this.notify();
+        return rule;
+    }
+
+    /**
+     * Get notified when rules are added, removed or triggered
+     * @param {() => void} listener
+     * @returns {() => void} - Removes the listener again
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     * @returns {void}
+     */
+    notify() {
+        for (const listener of this.listeners) {
+            try {
+                listener();
+            } catch (error) {
+                console.warn('mock fault listener failed:', error);
+            }
+        }
+    }
+}
+
+/** fault rules of the mock microscope */
+export const mockFaults = new MockFaultInjector();
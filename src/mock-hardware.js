@@ -0,0 +1,250 @@
+"use strict";
+
+/**
+ * Hardware profiles of the mock microscope, matching the variants of the real microscope (with or without filter
+ * wheel, different cameras and objectives).
+ *
+ * A profile determines the imaging channels and hardware limits (/api/get_features/hardware_capabilities), the
+ * machine config items (/api/get_features/machine_defaults), the size, bit depth and pixel size of the images,
+ * and the travel range of the stage.
+ *
+ * DEFAULT_MOCK_HARDWARE_PROFILE is always available. More profiles are loaded from JSON5 files in
+ * MOCK_HARDWARE_PROFILES_URL, listed in its index.json5 (an array of file names). The id of a profile is its
+ * file name without extension. A profile is selected with the MOCK_HARDWARE_PROFILE_PARAM url parameter.
+ */
+
+// relative import (instead of the "json5" import map entry), so that the module also works in node (tools/)
+import JSON5 from "../vendor/json5/json5-2-2-3.js";
+import { SPECIMEN_UM_PER_PX } from "./mock-specimen.js";
+
+/** url parameter with the id of the hardware profile of the mock microscope */
+export const MOCK_HARDWARE_PROFILE_PARAM = 'mock_profile';
+
+/** directory containing the hardware profile files */
+export const MOCK_HARDWARE_PROFILES_URL = new URL('../resources/mock-hardware-profiles/', import.meta.url);
+
+/**
+ * @typedef {Object} MockCameraProfile
+ * @property {number} width_px - Image width
+ * @property {number} height_px - Image height
+ * @property {8|12|16} bit_depth - Bit depth of the camera (images with more than 8 bits are sent as 16 bit)
+ */
+
+/**
+ * @typedef {Object} MockObjectiveProfile
+ * @property {string} name
+ * @property {number} magnification
+ * @property {number} um_per_px - Size of an image pixel in the sample plane
+ */
+
+/**
+ * @typedef {Object} MockAxisLimits
+ * @property {number} min_mm
+ * @property {number} max_mm
+ */
+
+/**
+ * @typedef {Object} MockStageProfile
+ * @property {MockAxisLimits} x - Travel range of the x axis
+ * @property {MockAxisLimits} y - Travel range of the y axis
+ * @property {MockAxisLimits} z - Travel range of the z axis
+ */
+
+/**
+ * @typedef {Object} MockHardwareProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {MockCameraProfile} camera
+ * @property {MockObjectiveProfile} objective
+ * @property {MockStageProfile} stage
+ * @property {AcquisitionChannelConfig[]} main_camera_imaging_channels
+ * @property {HardwareLimits} hardware_limits
+ * @property {MachineConfigItem[]} machine_defaults - Added to the machine config items every profile has
+ *     (microscope name, laser autofocus calibration), replacing those with the same handle
+ */
+
+/** @type {MockHardwareProfile} */
+export const DEFAULT_MOCK_HARDWARE_PROFILE = {
+    id: 'default',
+    name: "Default (16 bit camera, 20x objective, filter wheel not configured)",
+    camera: { width_px: 640, height_px: 640, bit_depth: 16 },
+    objective: { name: "20x", magnification: 20, um_per_px: SPECIMEN_UM_PER_PX },
+    stage: {
+        x: { min_mm: 0, max_mm: 128 },
+        y: { min_mm: 0, max_mm: 86 },
+        z: { min_mm: -2, max_mm: 8 },
+    },
+    main_camera_imaging_channels: [
+        {
+            name: "Brightfield",
+            handle: "bfled",
+            analog_gain: 0.0,
+            exposure_time_ms: 10.0,
+            illum_perc: 50.0,
+            num_z_planes: 1,
+            z_offset_um: 0.0,
+            enabled: true,
+            filter_handle: null,
+            delta_z_um: 3.0,
+        },
+        {
+            name: "GFP (488nm)",
+            handle: "fluo488",
+            analog_gain: 0.0,
+            exposure_time_ms: 50.0,
+            illum_perc: 50.0,
+            num_z_planes: 1,
+            z_offset_um: 0.0,
+            enabled: true,
+            filter_handle: "GFP_filter",
+            delta_z_um: 3.0,
+        },
+        {
+            name: "DAPI (405nm)",
+            handle: "fluo405",
+            analog_gain: 0.0,
+            exposure_time_ms: 100.0,
+            illum_perc: 50.0,
+            num_z_planes: 1,
+            z_offset_um: 0.0,
+            enabled: true,
+            filter_handle: "DAPI_filter",
+            delta_z_um: 3.0,
+        },
+    ],
+    hardware_limits: {
+        imaging_exposure_time_ms: { min: 0.1, max: 1000.0, step: 0.1 },
+        imaging_analog_gain_db: { min: 0.0, max: 24.0, step: 0.1 },
+        imaging_focus_offset_um: { min: -100.0, max: 100.0, step: 0.1 },
+        imaging_illum_perc: { min: 0.0, max: 100.0, step: 0.1 },
+        imaging_illum_perc_fluorescence: { min: 0.0, max: 100.0, step: 0.1 },
+        imaging_illum_perc_brightfield: { min: 0.0, max: 100.0, step: 0.1 },
+        imaging_number_z_planes: { min: 1, max: 100, step: 1 },
+        imaging_delta_z_um: { min: 0.1, max: 100.0, step: 0.1 },
+    },
+    machine_defaults: [],
+};
+
+/**
+ * Check the value of a profile field
+ * @param {boolean} condition
+ * @param {string} id - Profile id
+ * @param {string} message
+ */
+function check(condition, id, message) {
+    if (!condition) {
+        throw new Error(`invalid mock hardware profile '${id}': ${message}`);
+    }
+}
+
+/**
+ * Parse a hardware profile file
+ * @param {string} text - JSON5
+ * @param {string} id - Profile id
+ * @returns {MockHardwareProfile}
+ * @throws {Error} - If the text is not a valid profile
+ */
+export function parseMockHardwareProfile(text, id) {
+    /** @type {any} */
+    let profile;
+    try {
+        profile = JSON5.parse(text);
+    } catch (error) {
+        throw new Error(`invalid mock hardware profile '${id}': ${error instanceof Error ? error.message : error}`);
+    }
+
+    check(typeof profile === 'object' && profile !== null, id, 'not an object');
+    check(typeof profile.name === 'string', id, 'name must be text');
+
+    const camera = profile.camera;
+    check(typeof camera === 'object' && camera !== null, id, 'camera is missing');
+    check(Number.isInteger(camera.width_px) && camera.width_px > 0
+        && Number.isInteger(camera.height_px) && camera.height_px > 0, id, 'camera width_px and height_px must be positive integers');
+    check([8, 12, 16].includes(camera.bit_depth), id, 'camera bit_depth must be 8, 12 or 16');
+
+    const objective = profile.objective;
+    check(typeof objective === 'object' && objective !== null, id, 'objective is missing');
+    check(typeof objective.um_per_px === 'number' && objective.um_per_px > 0, id, 'objective um_per_px must be a positive number');
+
+    check(Array.isArray(profile.main_camera_imaging_channels) && profile.main_camera_imaging_channels.length > 0,
+        id, 'main_camera_imaging_channels must be a non-empty list');
+    for (const channel of profile.main_camera_imaging_channels) {
+        check(typeof channel.handle === 'string' && typeof channel.name === 'string', id, 'every channel needs a name and handle');
+    }
+
+    for (const axis of /** @type {const} */ (['x', 'y', 'z'])) {
+        const limits = profile.stage?.[axis];
+        check(limits === undefined || (typeof limits.min_mm === 'number' && typeof limits.max_mm === 'number'
+            && limits.min_mm <= limits.max_mm), id, `stage ${axis} needs min_mm <= max_mm`);
+    }
+
+    // limits and machine config items not given are those of the default profile
+    return {
+        ...profile,
+        id,
+        stage: { ...DEFAULT_MOCK_HARDWARE_PROFILE.stage, ...profile.stage },
+        hardware_limits: { ...DEFAULT_MOCK_HARDWARE_PROFILE.hardware_limits, ...profile.hardware_limits },
+        machine_defaults: profile.machine_defaults ?? [],
+    };
+}
+
+/**
+ * Read a text file, e.g. with fetch in the browser, or from disk in node
+ * @callback ReadTextFile
+ * @param {URL} url
+ * @returns {Promise<string>}
+ */
+
+/** @type {ReadTextFile} */
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+}
+
+/**
+ * Load all hardware profiles. Profiles that fail to load are skipped (with a warning).
+ * @param {{baseUrl?: URL, readText?: ReadTextFile}} [options]
+ * @returns {Promise<MockHardwareProfile[]>} - The default profile, followed by the profiles loaded from files
+ */
+export async function loadMockHardwareProfiles(options = {}) {
+    const { baseUrl = MOCK_HARDWARE_PROFILES_URL, readText = fetchText } = options;
+
+    /** @type {MockHardwareProfile[]} */
+    const profiles = [DEFAULT_MOCK_HARDWARE_PROFILE];
+
+    /** @type {unknown} */
+    let filenames;
+    try {
+        filenames = JSON5.parse(await readText(new URL('index.json5', baseUrl)));
+    } catch (error) {
+        console.warn('[MockHardware] Failed to load the list of hardware profiles:', error);
+        return profiles;
+    }
+    if (!Array.isArray(filenames)) {
+        console.warn('[MockHardware] The list of hardware profiles is not an array');
+        return profiles;
+    }
+
+    for (const filename of filenames) {
+        const id = String(filename).replace(/\.json5?$/, '');
+        try {
+            profiles.push(parseMockHardwareProfile(await readText(new URL(filename, baseUrl)), id));
+        } catch (error) {
+            console.warn(`[MockHardware] Failed to load hardware profile ${filename}:`, error);
+        }
+    }
+    return profiles;
+}
+
+/**
+ * Hardware profile requested in the url of the page (see MOCK_HARDWARE_PROFILE_PARAM)
+ * @param {Location} [location]
+ * @returns {string|null}
+ */
+export function mockHardwareProfileIdFromLocation(location = window.location) {
+    return new URLSearchParams(location.search).get(MOCK_HARDWARE_PROFILE_PARAM);
+}
@@ -0,0 +1,259 @@
+"use strict";
+
+/**
+ * Persistence of the mock microscope state (see getMockScenario):
+ * - in IndexedDB, so that protocols, machine config, calibration and images survive page reloads
+ * - as scenario files, to share the exact state with someone else (e.g. to reproduce a bug)
+ */
+
+import { getMockScenario, applyMockScenario, subscribeMockState } from "./mock-api-client.js";
+import { mockFaults } from "./mock-faults.js";
+
+/** format marker of scenario files */
+export const MOCK_SCENARIO_FORMAT = 'seafront-mock-scenario';
+/** version of the scenario file format, increased on incompatible changes */
+export const MOCK_SCENARIO_VERSION = 1;
+
+const DB_NAME = 'seafront-mock';
+const DB_STORE_NAME = 'state';
+const DB_SCENARIO_KEY = 'scenario';
+
+/** minimum time (ms) between two saves of the mock state */
+export const MOCK_STATE_SAVE_INTERVAL_MS = 2000;
+
+/**
+ * @typedef {Object} EncodedImageData
+ * @property {'uint8'|'uint16'} dtype
+ * @property {string} base64 - Pixel data, little endian
+ */
+
+/**
+ * @typedef {Object} MockScenarioFile
+ * @property {typeof MOCK_SCENARIO_FORMAT} format
+ * @property {number} version
+ * @property {string} saved_at - ISO 8601 time the file was written
+ * @property {Omit<import('./mock-api-client.js').MockScenario, 'images'>
+ *     & {images: Record<string, Omit<import('./mock-api-client.js').MockStoredImage, 'imageData'> & {imageData: EncodedImageData}>}} scenario
+ */
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DB_STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request on the state store
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} makeRequest
+ * @returns {Promise<T>}
+ */
+async function withStore(mode, makeRequest) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(DB_STORE_NAME, mode).objectStore(DB_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    // String.fromCharCode takes its arguments on the stack, so convert in chunks
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Serialize a scenario into the scenario file format
+ * @param {import('./mock-api-client.js').MockScenario} scenario
+ * @returns {string}
+ */
+export function encodeMockScenario(scenario) {
+    /** @type {MockScenarioFile['scenario']['images']} */
+    const images = {};
+    for (const [handle, image] of Object.entries(scenario.images)) {
+        const data = image.imageData;
+        images[handle] = {
+            ...image,
+            imageData: {
+                dtype: data instanceof Uint16Array ? 'uint16' : 'uint8',
+                base64: bytesToBase64(new Uint8Array(data.buffer, data.byteOffset, data.byteLength)),
+            },
+        };
+    }
+
+    /** @type {MockScenarioFile} */
+    const file = {
+        format: MOCK_SCENARIO_FORMAT,
+        version: MOCK_SCENARIO_VERSION,
+        saved_at: new Date().toISOString(),
+        scenario: { ...scenario, images },
+    };
+    return JSON.stringify(file);
+}
+
+/**
+ * Parse a scenario file
+ * @param {string} text
+ * @returns {import('./mock-api-client.js').MockScenario}
+ * @throws {Error} - If the file is not a (supported) scenario file
+ */
+export function decodeMockScenario(text) {
+    /** @type {MockScenarioFile} */
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`not a mock scenario file (invalid JSON: ${error instanceof Error ? error.message : error})`);
+    }
+    if (file?.format !== MOCK_SCENARIO_FORMAT || typeof file.scenario !== 'object') {
+        throw new Error('not a mock scenario file');
+    }
+    if (file.version > MOCK_SCENARIO_VERSION) {
+        throw new Error(`mock scenario file version ${file.version} is not supported (newest supported version is ${MOCK_SCENARIO_VERSION})`);
+    }
+
+    /** @type {import('./mock-api-client.js').MockScenario['images']} */
+    const images = {};
+    for (const [handle, image] of Object.entries(file.scenario.images ?? {})) {
+        const bytes = base64ToBytes(image.imageData.base64);
+        const imageData = image.imageData.dtype === 'uint16'
+            ? new Uint16Array(bytes.buffer, 0, bytes.byteLength / 2)
+            : bytes;
+        if (imageData.length !== image.width * image.height) {
+            throw new Error(`image of channel ${handle} has ${imageData.length} pixels, expected ${image.width}x${image.height}`);
+        }
+        images[handle] = { ...image, imageData };
+    }
+
+    return {
+        ...file.scenario,
+        protocols: file.scenario.protocols ?? {},
+        machineConfig: file.scenario.machineConfig ?? {},
+        laserAutofocusCalibration: file.scenario.laserAutofocusCalibration ?? null,
+        faults: file.scenario.faults ?? [],
+        clockStartTime: file.scenario.clockStartTime ?? null,
+        images,
+    };
+}
+
+/**
+ * Keeps the mock microscope state in IndexedDB
+ */
+export class MockStatePersistence {
+    /**
+     * @param {{saveIntervalMs?: number}} [options]
+     */
+    constructor(options = {}) {
+        this.saveIntervalMs = options.saveIntervalMs ?? MOCK_STATE_SAVE_INTERVAL_MS;
+
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this.saveTimer = null;
+        this.lastSaveAt = 0;
+        /** @type {(() => void)[]} */
+        this.unsubscribe = [];
+    }
+
+    /**
+     * Restore the mock state saved before (if any)
+     * @returns {Promise<boolean>} - Whether a saved state was restored
+     */
+    async restore() {
+        /** @type {import('./mock-api-client.js').MockScenario|undefined} */
+        const scenario = await withStore('readonly', store => store.get(DB_SCENARIO_KEY));
+        if (!scenario) return false;
+
+        applyMockScenario(scenario);
+        return true;
+    }
+
+    /**
+     * Save the mock state whenever it changes (at most once per saveIntervalMs)
+     * @returns {void}
+     */
+    start() {
+        this.stop();
+        const scheduleSave = () => this.scheduleSave();
+        this.unsubscribe = [subscribeMockState(scheduleSave), mockFaults.subscribe(scheduleSave)];
+    }
+
+    /**
+     * Stop saving the mock state (changes not saved yet are lost)
+     * @returns {void}
+     */
+    stop() {
+        for (const unsubscribe of this.unsubscribe) unsubscribe();
+        this.unsubscribe = [];
+        if (this.saveTimer != null) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+
+    /**
+     * Save the mock state now
+     * @returns {Promise<void>}
+     */
+    async save() {
+        this.lastSaveAt = Date.now();
+        const scenario = getMockScenario();
+        await withStore('readwrite', store => store.put(scenario, DB_SCENARIO_KEY));
+    }
+
+    /**
+     * Stop saving, and remove the saved mock state
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        this.stop();
+        await withStore('readwrite', store => store.delete(DB_SCENARIO_KEY));
+    }
+
+    /**
+     * @private
+     * @returns {void}
+     */
+    scheduleSave() {
+        if (this.saveTimer != null) return;
+
+        const delayMs = Math.max(0, this.lastSaveAt + this.saveIntervalMs - Date.now());
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.warn('failed to save mock state:', error));
+        }, delayMs);
+    }
+}
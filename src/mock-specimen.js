@@ -0,0 +1,306 @@
+"use strict";
+
+/**
+ * Synthetic specimen for the mock microscope.
+ *
+ * The specimen is a layer of cells on the plate, defined in stage coordinates: the same stage position
+ * always shows the same cells, in every channel. Each channel images a different part of the cells:
+ * - nuclei: DAPI-like channels (405nm, DAPI, Hoechst)
+ * - cytoplasm: all other fluorescence channels, with a fine texture
+ * - brightfield: bright background, cells slightly darker
+ *
+ * Defocus (distance of the imaging plane from the focal plane) blurs the cell outlines and reduces the contrast
+ * of fine texture. Brightness scales with exposure time, analog gain and illumination, and includes shot noise.
+ */
+
+/** default size of an image pixel in the sample plane (µm), see SpecimenImageOptions.umPerPx */
+export const SPECIMEN_UM_PER_PX = 0.33;
+/** the specimen is divided into a grid of squares of this size (µm), each containing at most one cell */
+const CELL_GRID_UM = 24;
+/** fraction of grid squares containing a cell */
+const CELL_DENSITY = 0.75;
+/** depth of field (µm), i.e. defocus at which fine texture has lost half its contrast */
+const DEPTH_OF_FIELD_UM = 2;
+/** edge blur (µm) per µm of defocus */
+const DEFOCUS_BLUR_PER_UM = 0.4;
+/** largest cell radius (µm) */
+const MAX_CELL_RADIUS_UM = CELL_GRID_UM * 0.55;
+/**
+ * edge blur (µm) beyond which the cells are not rendered individually: the cost of rendering grows steeply with
+ * the blur, while the cells have (almost) lost their contrast. Images are flat beyond this blur.
+ */
+const MAX_BLUR_UM = 2 * MAX_CELL_RADIUS_UM;
+/** number of pixels (across the width) the mean signal of a flat (far out of focus) image is computed from */
+const FLAT_IMAGE_SAMPLES = 32;
+/** full well capacity of the simulated camera (electrons), determines the shot noise */
+const FULL_WELL_ELECTRONS = 20000;
+/** read noise of the simulated camera (electrons) */
+const READ_NOISE_ELECTRONS = 5;
+/** black level of the simulated camera (fraction of full scale) */
+const BLACK_LEVEL = 0.004;
+
+/**
+ * @typedef {'nuclei'|'cytoplasm'|'brightfield'} SpecimenChannelKind
+ */
+
+/**
+ * Signal (fraction of full scale) per ms of exposure, at 100% illumination and 0 dB gain.
+ * Chosen so that the default channel settings of the mock microscope fill about half of the range.
+ * @type {Record<SpecimenChannelKind, number>}
+ */
+const SIGNAL_PER_MS = {
+    nuclei: 0.009,
+    cytoplasm: 0.012,
+    brightfield: 0.11,
+};
+
+/**
+ * @typedef {Object} SpecimenImageOptions
+ * @property {AcquisitionChannelConfig} channel - Channel the image is taken with
+ * @property {{x_pos_mm: number, y_pos_mm: number, z_pos_mm: number}} position - Stage position (image center)
+ * @property {number} focalPlaneZMm - Z position at which the specimen is in focus
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {number} bitDepth - Bit depth (8 or up to 16)
+ * @property {number} [umPerPx=SPECIMEN_UM_PER_PX] - Size of an image pixel in the sample plane (µm)
+ * @property {() => number} [random=Math.random] - Source of randomness for the image noise
+ */
+
+/**
+ * Which part of the specimen a channel shows
+ * @param {AcquisitionChannelConfig} channel
+ * @returns {SpecimenChannelKind}
+ */
+export function specimenChannelKind(channel) {
+    const description = `${channel.handle} ${channel.name ?? ''} ${channel.filter_handle ?? ''}`.toLowerCase();
+    if (/\bbf|brightfield/.test(description)) return 'brightfield';
+    if (/405|dapi|hoechst/.test(description)) return 'nuclei';
+    return 'cytoplasm';
+}
+
+/**
+ * Deterministic hash of two integers (and a salt), in [0, 1)
+ * @param {number} x
+ * @param {number} y
+ * @param {number} salt
+ * @returns {number}
+ */
+function hash2(x, y, salt) {
+    let h = Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1) ^ Math.imul(salt, 0x9e3779b9);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Smooth value noise in [0, 1), with features of about 1 unit size
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function valueNoise(x, y) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    let fx = x - x0;
+    let fy = y - y0;
+    fx = fx * fx * (3 - 2 * fx);
+    fy = fy * fy * (3 - 2 * fy);
+
+    const top = hash2(x0, y0, 7) * (1 - fx) + hash2(x0 + 1, y0, 7) * fx;
+    const bottom = hash2(x0, y0 + 1, 7) * (1 - fx) + hash2(x0 + 1, y0 + 1, 7) * fx;
+    return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Soft inside/outside transition: 1 well inside, 0 well outside, with a transition of width `edge` around 1
+ * @param {number} r - Normalized radius (1 = on the outline)
+ * @param {number} edge - Transition width (in normalized radius)
+ * @returns {number}
+ */
+function softDisc(r, edge) {
+    const t = (1 + edge - r) / (2 * edge);
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    return t * t * (3 - 2 * t);
+}
+
+/** number of precomputed normal distributed values (power of two) */
+const NOISE_TABLE_SIZE = 1 << 16;
+/** @type {Float32Array|null} */
+let noiseTable = null;
+
+/**
+ * Precomputed normal distributed values (mean 0, standard deviation 1), since generating them per pixel is too slow
+ * @returns {Float32Array}
+ */
+function getNoiseTable() {
+    if (!noiseTable) {
+        noiseTable = new Float32Array(NOISE_TABLE_SIZE);
+        for (let i = 0; i < NOISE_TABLE_SIZE; i++) {
+            // Box-Muller transform
+            const u = 1 - hash2(i, 0, 12);
+            const v = hash2(i, 1, 12);
+            noiseTable[i] = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+    }
+    return noiseTable;
+}
+
+/**
+ * @typedef {Object} SpecimenArea
+ * @property {number} left - Stage x (µm) of the left edge
+ * @property {number} top - Stage y (µm) of the top edge
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {number} umPerPx - Size of a pixel (µm)
+ * @property {number} blurUm - Edge blur (µm)
+ * @property {number} sharpness - Fraction of fine structure contrast remaining
+ */
+
+/**
+ * Render the signal of the specimen, cell by cell
+ * @param {SpecimenChannelKind} kind
+ * @param {SpecimenArea} area
+ * @returns {Float32Array} - Relative signal per pixel (1 = brightest structure)
+ */
+function renderSpecimenSignal(kind, area) {
+    const { left, top, width, height, umPerPx, blurUm, sharpness } = area;
+
+    const signal = new Float32Array(width * height);
+    if (kind === 'brightfield') signal.fill(1);
+
+    const marginUm = MAX_CELL_RADIUS_UM + 2 * blurUm + 1;
+    const firstGridX = Math.floor((left - marginUm) / CELL_GRID_UM);
+    const lastGridX = Math.floor((left + width * umPerPx + marginUm) / CELL_GRID_UM);
+    const firstGridY = Math.floor((top - marginUm) / CELL_GRID_UM);
+    const lastGridY = Math.floor((top + height * umPerPx + marginUm) / CELL_GRID_UM);
+
+    for (let gy = firstGridY; gy <= lastGridY; gy++) {
+        for (let gx = firstGridX; gx <= lastGridX; gx++) {
+            if (hash2(gx, gy, 1) >= CELL_DENSITY) continue;
+
+            // cell shape: rotated ellipse, with the nucleus slightly off center
+            const cellX = (gx + 0.2 + 0.6 * hash2(gx, gy, 2)) * CELL_GRID_UM;
+            const cellY = (gy + 0.2 + 0.6 * hash2(gx, gy, 3)) * CELL_GRID_UM;
+            const cellRadius = CELL_GRID_UM * (0.35 + 0.2 * hash2(gx, gy, 4));
+            const aspect = 0.7 + 0.3 * hash2(gx, gy, 5);
+            const angle = Math.PI * hash2(gx, gy, 6);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const nucleusRadius = cellRadius * (0.35 + 0.15 * hash2(gx, gy, 8));
+            const nucleusX = cellX + (hash2(gx, gy, 9) - 0.5) * 0.4 * (cellRadius - nucleusRadius);
+            const nucleusY = cellY + (hash2(gx, gy, 10) - 0.5) * 0.4 * (cellRadius - nucleusRadius);
+            const brightness = 0.6 + 0.4 * hash2(gx, gy, 11);
+
+            // outline transition width (µm): sharp in focus, blurred out of focus
+            const edgeUm = Math.sqrt(0.4 ** 2 + blurUm ** 2);
+            const cellEdge = edgeUm / (cellRadius * aspect);
+            const nucleusEdge = edgeUm / nucleusRadius;
+            // blurring spreads the light of small structures over a larger area
+            const nucleusPeak = nucleusRadius ** 2 / (nucleusRadius ** 2 + blurUm ** 2);
+            const cellPeak = cellRadius ** 2 / (cellRadius ** 2 + blurUm ** 2);
+
+            const extentUm = cellRadius + 2 * edgeUm;
+            const x0 = Math.max(0, Math.floor((cellX - extentUm - left) / umPerPx));
+            const x1 = Math.min(width - 1, Math.ceil((cellX + extentUm - left) / umPerPx));
+            const y0 = Math.max(0, Math.floor((cellY - extentUm - top) / umPerPx));
+            const y1 = Math.min(height - 1, Math.ceil((cellY + extentUm - top) / umPerPx));
+
+            for (let py = y0; py <= y1; py++) {
+                const yUm = top + py * umPerPx;
+                for (let px = x0; px <= x1; px++) {
+                    const xUm = left + px * umPerPx;
+
+                    const dx = xUm - cellX;
+                    const dy = yUm - cellY;
+                    const u = (dx * cos + dy * sin) / cellRadius;
+                    const v = (dy * cos - dx * sin) / (cellRadius * aspect);
+                    const cell = softDisc(Math.sqrt(u * u + v * v), cellEdge);
+                    if (cell === 0) continue;
+
+                    const nx = xUm - nucleusX;
+                    const ny = yUm - nucleusY;
+                    const nucleus = softDisc(Math.sqrt(nx * nx + ny * ny) / nucleusRadius, nucleusEdge);
+
+                    const i = py * width + px;
+                    if (kind === 'nuclei') {
+                        if (nucleus === 0) continue;
+                        const chromatin = 1 + 0.3 * sharpness * (valueNoise(xUm, yUm) - 0.5);
+                        signal[i] += brightness * nucleusPeak * nucleus * chromatin;
+                    } else if (kind === 'cytoplasm') {
+                        const texture = 1 + 0.8 * sharpness * (valueNoise(xUm / 1.5, yUm / 1.5) - 0.5);
+                        signal[i] += brightness * cellPeak * cell * (1 - 0.7 * nucleus) * texture;
+                    } else {
+                        signal[i] -= cellPeak * (0.12 * cell + 0.1 * nucleus * nucleusPeak);
+                    }
+                }
+            }
+        }
+    }
+    return signal;
+}
+
+/**
+ * Render an image of the synthetic specimen
+ * @param {SpecimenImageOptions} options
+ * @returns {Uint8Array|Uint16Array}
+ */
+export function renderSpecimenImage(options) {
+    const { channel, position, focalPlaneZMm, width, height, bitDepth, umPerPx = SPECIMEN_UM_PER_PX, random = Math.random } = options;
+    const kind = specimenChannelKind(channel);
+
+    // -- optics
+
+    const imagingZMm = position.z_pos_mm + (channel.z_offset_um ?? 0) / 1000;
+    const defocusUm = Math.abs(imagingZMm - focalPlaneZMm) * 1000;
+    const blurUm = defocusUm * DEFOCUS_BLUR_PER_UM;
+    // fraction of fine structure contrast remaining
+    const sharpness = 1 / (1 + (defocusUm / DEPTH_OF_FIELD_UM) ** 2);
+
+    // -- specimen (relative signal, 1 = brightest structure)
+
+    // image center and top left corner in stage coordinates (µm)
+    const left = position.x_pos_mm * 1000 - width / 2 * umPerPx;
+    const top = position.y_pos_mm * 1000 - height / 2 * umPerPx;
+
+    let signal;
+    if (blurUm <= MAX_BLUR_UM) {
+        signal = renderSpecimenSignal(kind, { left, top, width, height, umPerPx, blurUm, sharpness });
+    } else {
+        // too far out of focus to make out cells: the mean of the image at MAX_BLUR_UM, from a coarse rendering
+        const samples = renderSpecimenSignal(kind, {
+            left,
+            top,
+            width: FLAT_IMAGE_SAMPLES,
+            height: Math.max(1, Math.round(FLAT_IMAGE_SAMPLES * height / width)),
+            umPerPx: width * umPerPx / FLAT_IMAGE_SAMPLES,
+            blurUm: MAX_BLUR_UM,
+            sharpness,
+        });
+        signal = new Float32Array(width * height).fill(samples.reduce((sum, value) => sum + value, 0) / samples.length);
+    }
+
+    // -- camera
+
+    const gain = 10 ** ((channel.analog_gain ?? 0) / 20);
+    const exposure = SIGNAL_PER_MS[kind] * (channel.exposure_time_ms ?? 0) * (channel.illum_perc ?? 0) / 100;
+    // autofluorescence of plate and medium
+    const background = kind === 'brightfield' ? 0 : 0.04;
+
+    // walk through the noise table from a random start, with a random (odd, so all entries are visited) stride
+    const noise = getNoiseTable();
+    let noiseIndex = Math.floor(random() * NOISE_TABLE_SIZE);
+    const noiseStride = 2 * Math.floor(random() * 1024) + 1;
+
+    const maxValue = 2 ** bitDepth - 1;
+    const imageData = bitDepth <= 8 ? new Uint8Array(width * height) : new Uint16Array(width * height);
+    for (let i = 0; i < imageData.length; i++) {
+        const electrons = Math.max(0, (signal[i] + background) * exposure) * FULL_WELL_ELECTRONS;
+        const noisyElectrons = electrons + Math.sqrt(electrons + READ_NOISE_ELECTRONS ** 2) * noise[noiseIndex];
+        noiseIndex = (noiseIndex + noiseStride) & (NOISE_TABLE_SIZE - 1);
+        const value = (BLACK_LEVEL + gain * noisyElectrons / FULL_WELL_ELECTRONS) * maxValue;
+        imageData[i] = Math.max(0, Math.min(maxValue, Math.round(value)));
+    }
+    return imageData;
+}
@@ -8,6 +8,9 @@ import { FontLoader } from 'three/addons/loaders/FontLoader';
 // to merge buffer geometries to draw all well text in a single common call
 import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils';
 
+import { wellSiteLayout, layoutSites } from "./site-layout.js";
+import { PointerGestures } from "./pointer-gestures.js";
+
 /**
  * Calculate the physical position of a site within a well
  * @param {number} wellX_mm - Well X position in mm
@@ -130,6 +133,45 @@ export function makeWellName(x, y) {
     return ret;
 }
 
+/**
+ * parse a well name (inverse of makeWellName, also accepts names without zero padding, like "B2")
+ * @param {string} name
+ * @returns {{x: number, y: number}|null} - Column and row index, null if the name is not a well name
+ */
+export function parseWellName(name) {
+    const match = /^([A-Za-z])(\d+)$/.exec(name);
+    if (!match) return null;
+
+    const letter = match[1];
+    const y = letter >= "a"
+        ? 26 + letter.charCodeAt(0) - "a".charCodeAt(0)
+        : letter.charCodeAt(0) - "A".charCodeAt(0);
+    const x = parseInt(match[2], 10) - 1;
+    if (x < 0) return null;
+
+    return { x, y };
+}
+
+/**
+ * key of a well in the acquisition progress (well names differ in zero padding between server versions)
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function wellKey(x, y) {
+    return `${x},${y}`;
+}
+
+/**
+ * key of a site within a well in the acquisition progress
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function siteKey(x, y) {
+    return `${x},${y}`;
+}
+
 /**
  * 
  * @param {AABB} aabb 
@@ -255,6 +297,10 @@ let objectNameText = "wellLabels";
 let objectNameForbiddenAreas = "forbiddenAreas";
 let objectNameOuterOutline = "outerOutline";
 let objectNameInnerOutline = "innerOutline";
+let objectNameProgressWells = "progressWells";
+let objectNameProgressSites = "progressSites";
+let objectNameMosaic = "mosaic";
+let objectNameKeyboardCursor = "keyboardCursor";
 export let matTextColor = 0xFFFFFF;
 export let matWellColor = 0x006699;
 let matWellSelectedColor = 0x0099FF; // Brighter blue for selected wells
@@ -262,6 +308,41 @@ export let matSiteColor = 0xFF8800;
 export let matPlateColor = 0x222222;
 export let matFovColor = 0x00CC00; // Strong green for objective/FOV
 export let matForbiddenAreaColor = 0xCC4444; // Muted red for forbidden areas
+// acquisition progress overlay
+export let matProgressPendingColor = 0x777777;
+export let matProgressRunningColor = 0xFFDD00;
+export let matProgressDoneColor = 0x33CC66;
+export let matProgressFailedColor = 0xFF2222;
+let matKeyboardCursorColor = 0xFFFFFF; // outline of the well focused with the keyboard
+
+/** @type {Record<AcquisitionProgressState, number>} */
+const progressStateColors = {
+    pending: matProgressPendingColor,
+    running: matProgressRunningColor,
+    done: matProgressDoneColor,
+    failed: matProgressFailedColor,
+};
+
+/** size (px) of the longer side of the image thumbnails shown in the mosaic, at least */
+export const MOSAIC_THUMBNAIL_SIZE_PX = 64;
+
+/**
+ * Downsample factor to fetch the thumbnail of an image for the mosaic with
+ * @param {number} width_px - Image width
+ * @param {number} height_px - Image height
+ * @returns {number}
+ */
+export function mosaicDownsampleFactor(width_px, height_px) {
+    return Math.max(1, Math.floor(Math.max(width_px, height_px) / MOSAIC_THUMBNAIL_SIZE_PX));
+}
+
+/**
+ * @typedef {Object} MosaicThumbnail
+ * @property {number} x_mm - Stage position the image was taken at (backend coordinates)
+ * @property {number} y_mm
+ * @property {CachedChannelImage} image - Downsampled image
+ * @property {THREE.Mesh|null} mesh - Only while the channel of the image is shown
+ */
 
 /**
  * @typedef {Object} SelectionState
@@ -282,11 +363,56 @@ export let matForbiddenAreaColor = 0xCC4444; // Muted red for forbidden areas
  * @typedef {{minX:number,maxX:number,minY:number,maxY:number}} WellSelectionBounds
  */
 
+/**
+ * @typedef {'pending'|'running'|'done'|'failed'} AcquisitionProgressState
+ */
+
+/**
+ * @typedef {Object} WellProgress
+ * @property {string} well_name - Well name, as shown on the plate (e.g. "B03")
+ * @property {number} col
+ * @property {number} row
+ * @property {Map<string, AcquisitionProgressState>} sites - State of each site of the well, by site key (see siteKey)
+ * @property {number} images - Number of images taken in this well
+ * @property {number} instance - Index of the well in the progress overlay mesh
+ */
+
+/**
+ * @typedef {Object} AcquisitionProgress
+ * @property {string} acquisition_id
+ * @property {AcquisitionConfig} config - Config of the acquisition (determines which wells and sites are imaged)
+ * @property {Map<string, WellProgress>} wells - Wells imaged by the acquisition, by well key (see wellKey)
+ * @property {Map<string, number>} siteInstances - Index of each site in the progress overlay mesh, by well key + site key
+ * @property {{well: string, site: string}|null} current - Well and site key of the site being imaged
+ * @property {number} num_images - Number of images taken, as of the last status update
+ * @property {boolean} finished - Set once the acquisition has completed, crashed or was cancelled
+ */
+
+/**
+ * Summary of the acquisition progress of a well, shown when hovering over the well
+ * @typedef {Object} WellProgressSummary
+ * @property {string} well_name
+ * @property {AcquisitionProgressState} state
+ * @property {number} images
+ * @property {number} sites_done
+ * @property {number} sites_total
+ */
+
+/**
+ * Part of the Alpine.js component of the interface the plate navigator uses
+ * @typedef {Object} PlateNavigatorAlpineComponent
+ * @property {import('./api-client.js').APIClient} api
+ * @property {'wells'|'sites'|'place'} plateSelectionMode - Read: what selecting on the plate changes
+ * @property {{x: number, y: number}|null} plateCursorPosition - Written: position under the cursor (mm, backend coordinates)
+ * @property {WellProgressSummary|null} plateHoverWellProgress - Written: acquisition progress of the well under the cursor
+ * @property {boolean} plateAcquisitionProgressShown - Written: whether the progress of an acquisition is shown
+ */
+
 export class PlateNavigator {
     /**
      *
      * @param {HTMLElement} containerel
-     * @param {object} alpineComponent - Alpine.js component for updating reactive data
+     * @param {PlateNavigatorAlpineComponent} alpineComponent - Alpine.js component for updating reactive data
      * @returns
      */
     constructor(containerel, alpineComponent) {
@@ -392,6 +518,8 @@ export class PlateNavigator {
         
         // Add double-click handler for objective movement
         el.addEventListener("dblclick", event => {
+            // a double tap is handled by the touch gestures already
+            if (this.gestures.isEmulatedMouseEvent(event)) return;
             this.handleDoubleClick(event);
         });
         el.addEventListener("mousemove", event => {
@@ -399,6 +527,7 @@ export class PlateNavigator {
             const plateCoords = this.mouseToPlateCoordinates(event);
             if (plateCoords && this.alpineComponent) {
                 this.alpineComponent.plateCursorPosition = plateCoords;
+                this.alpineComponent.plateHoverWellProgress = this.wellProgressAt(plateCoords.x, plateCoords.y);
             }
 
             if (selection.active) {
@@ -427,6 +556,7 @@ export class PlateNavigator {
         el.addEventListener("mouseleave", event => {
             if (this.alpineComponent) {
                 this.alpineComponent.plateCursorPosition = null;
+                this.alpineComponent.plateHoverWellProgress = null;
             }
         });
 
@@ -438,6 +568,51 @@ export class PlateNavigator {
             }
         });
 
+        // touch and pen: same as the mouse, but long press instead of shift+drag to select
+        this.gestures = new PointerGestures(el, {
+            pan: delta => {
+                this.cameraApplyDeltaPos(delta);
+            },
+            zoom: (factor, center) => {
+                const rect = el.getBoundingClientRect();
+                if (rect.width <= 0 || rect.height <= 0) return;
+                this.cameraApplyDeltaZoom(1 / factor - 1, {
+                    x: center.x / rect.width,
+                    y: center.y / rect.height,
+                });
+            },
+            doubleTap: point => {
+                this.handleDoubleClick({ offsetX: point.x, offsetY: point.y });
+            },
+            selectionStart: (point, secondary) => {
+                const plateCoords = this.mouseToPlateCoordinates({ offsetX: point.x, offsetY: point.y });
+                selection.active = true;
+                selection.mode = (secondary || (plateCoords && this.touchSelectionMode(plateCoords.x, plateCoords.y) === 'deselect'))
+                    ? 'deselect' : 'select';
+                selection.start.x = point.x;
+                selection.start.y = point.y;
+                selection.current.x = point.x;
+                selection.current.y = point.y;
+                this.createSelectionBox(selection);
+            },
+            selectionMove: point => {
+                selection.current.x = point.x;
+                selection.current.y = point.y;
+                this.updateSelectionBox(selection);
+            },
+            selectionEnd: point => {
+                selection.current.x = point.x;
+                selection.current.y = point.y;
+                selection.active = false;
+                this.performWellSelection(selection);
+                this.clearSelectionBox(selection);
+            },
+            selectionCancel: () => {
+                selection.active = false;
+                this.clearSelectionBox(selection);
+            },
+        });
+
         containerel.addEventListener("wheel", event => {
             event.preventDefault();
 
@@ -458,8 +633,48 @@ export class PlateNavigator {
         el.addEventListener("keydown", event => {
             if (event.key == "f") {
                 this.display_time = true;
+                return;
+            }
+            // failed requests were reported to the user already
+            this.handleKeyDown(event).catch(error => console.warn('plate view: key press failed:', error));
+        });
+
+        // keyboard navigation: the canvas is focusable, a well cursor is moved with the arrow keys
+        el.tabIndex = 0;
+        el.setAttribute("role", "application");
+        el.setAttribute("aria-roledescription", "well plate");
+        el.setAttribute("aria-label",
+            "Plate view. Arrow keys move between wells, shift+arrow keys select a range of wells, "
+            + "space or enter toggles the selection of the well, plus and minus zoom, 0 shows the whole plate, "
+            + "m moves the objective to the well, escape hides the well cursor.");
+        el.addEventListener("focus", event => {
+            // a click focuses the canvas as well, but the cursor is only useful when navigating with the keyboard
+            if (el.matches(":focus-visible")) {
+                this.showKeyboardCursor();
             }
         });
+        el.addEventListener("blur", event => {
+            this.setKeyboardCursorVisible(false);
+        });
+
+        // screen readers announce the focused well through this (visually hidden) live region
+        /** @type {HTMLElement} */
+        this.ariaLiveRegion = document.createElement("div");
+        this.ariaLiveRegion.setAttribute("role", "status");
+        this.ariaLiveRegion.setAttribute("aria-live", "polite");
+        this.ariaLiveRegion.setAttribute("aria-atomic", "true");
+        this.ariaLiveRegion.style.cssText = "position: absolute; width: 1px; height: 1px; overflow: hidden; clip-path: inset(50%); white-space: nowrap;";
+        containerel.appendChild(this.ariaLiveRegion);
+
+        /** @type {{col: number, row: number}|null} well focused with the keyboard */
+        this.keyboardCursor = null;
+        /** @type {{col: number, row: number}|null} other corner of the range selected with shift+arrow keys */
+        this.keyboardAnchor = null;
+        /** @type {THREE.MeshBasicMaterial} */
+        this.matKeyboardCursor = new THREE.MeshBasicMaterial({
+            color: matKeyboardCursorColor,
+            side: THREE.DoubleSide,
+        });
 
         /**
          * set up object and add to scene
@@ -555,6 +770,32 @@ export class PlateNavigator {
         this.objectiveFov.position.y = -this.objective.fovy / 2;
         this.objectiveFovGroup.add(this.objectiveFov);
 
+        /** @type {THREE.MeshBasicMaterial} color comes from the instances (see progressStateColors) */
+        this.matProgress = new THREE.MeshBasicMaterial({
+            color: 0xFFFFFF,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.7,
+        });
+        /** @type {AcquisitionProgress|null} */
+        this.acquisitionProgress = null;
+
+        // mosaic of image thumbnails, above wells and sites, below well names and the objective
+        this.mosaicGroup = new THREE.Group();
+        this.mosaicGroup.name = objectNameMosaic;
+        this.mosaicGroup.position.z = 0.3;
+        this.mosaicGroup.visible = false;
+        this.scene.add(this.mosaicGroup);
+        /** @type {Map<string, MosaicThumbnail[]>} thumbnails by channel handle */
+        this.mosaicThumbnails = new Map();
+        /** @type {string|null} handle of the channel shown in the mosaic */
+        this.mosaicChannel = null;
+        /** contrast of the mosaic, as fraction of the value range of the images (uniforms shared by all thumbnails) */
+        this.mosaicContrast = {
+            min: { value: 0 },
+            max: { value: 1 },
+        };
+
         // Animation state for objective FOV pulse
         this.fovPulseActive = false;
         this.fovPulseStartTime = 0;
@@ -679,6 +920,7 @@ export class PlateNavigator {
         this.cam.zoom = 1;
         // register plate as new state
         this.plate = plate;
+        this.microscopeConfig = microscope_config;
 
         let plate_z = -0.1;
         let forbidden_area_z = -0.05;
@@ -873,8 +1115,7 @@ export class PlateNavigator {
         /**@type {THREE.InstancedMesh|null} */
         let site_quads_selected = null;
         let site_quads_unselected = null;
-        let num_sites_selected = valid_wells.length * microscope_config.grid.mask.filter(s => s.selected).length;
-        let num_sites_unselected = valid_wells.length * microscope_config.grid.mask.filter(s => !s.selected).length;
+        let { num_sites_selected, num_sites_unselected } = this.countSites(microscope_config, valid_wells);
         
         if (!this.scene.getObjectByName(objectNameSites + "_selected")) {
             if (num_sites_selected > 0) {
@@ -961,18 +1202,9 @@ export class PlateNavigator {
             if (site_quads_selected != null || site_quads_unselected != null) {
                 // add well to display, but skip sites, if well is not selected
                 if (well.selected) {
-                    for (let site of microscope_config.grid.mask) {
-                        let sitex = site.col;
-                        let sitey = site.row;
-
-                        const sitePos = calculateSitePosition(
-                            well_x, well_y, plate.Well_size_x_mm, plate.Well_size_y_mm,
-                            sitex, sitey, microscope_config.grid.num_x, microscope_config.grid.num_y,
-                            microscope_config.grid.delta_x_mm, microscope_config.grid.delta_y_mm,
-                            this.objective.fovx, this.objective.fovy
-                        );
-                        let site_plate_x_offset = sitePos.x;
-                        let site_plate_y_offset = sitePos.y;
+                    for (let site of this.siteDisplayPositions(microscope_config, well, well_x, well_y)) {
+                        let site_plate_x_offset = site.x;
+                        let site_plate_y_offset = site.y;
 
                         let translatematrix = new THREE.Vector3(
                             site_plate_x_offset,
@@ -1106,6 +1338,16 @@ export class PlateNavigator {
             // do nothing
             // (if same plate is used, assume only site settings have changed, so no need to regenerate everything else)
         } else {
+            // progress overlay positions are only valid for the plate they were made for
+            this.clearAcquisitionProgress();
+            // images of another plate
+            this.clearMosaic();
+            // the focused well may not exist on the new plate
+            this.keyboardCursor = null;
+            this.keyboardAnchor = null;
+            const keyboardCursorMesh = this.scene.getObjectByName(objectNameKeyboardCursor);
+            if (keyboardCursorMesh) this.scene.remove(keyboardCursorMesh);
+
             objectNamesToRemove.push(...[
                 // plate likely unchanged, but very cheap to regenerate
                 objectNamePlate,
@@ -1145,8 +1387,8 @@ export class PlateNavigator {
     }
 
     /**
-     * Handle double-click events to move objective to clicked position
-     * @param {MouseEvent} event
+     * Handle double-click events (and double taps) to move objective to clicked position
+     * @param {MouseCoordinates} event
      */
     async handleDoubleClick(event) {
         if (!this.plate) {
@@ -1267,7 +1509,7 @@ export class PlateNavigator {
 
     /**
      * Set callback function for well selection requests
-     * @param {function(string[], string, WellSelectionBounds): void} callback - Callback function that receives array of well names and mode ('select' or 'deselect')
+     * @param {function(string[], string, WellSelectionBounds): (void|Promise<void>)} callback - Callback function that receives array of well names and mode ('select' or 'deselect')
      */
     setWellSelectionCallback(callback) {
         this.onWellSelection = callback;
@@ -1280,6 +1522,7 @@ export class PlateNavigator {
     async fetchForbiddenAreas() {
         try {
             // Use the API client from the parent (Alpine component)
+            /** @type {MachineConfigItem[]} */
             const configItems = await this.alpineComponent.api.post('/api/get_features/machine_defaults', {}, {
                 context: 'Fetch machine defaults for forbidden areas',
                 showError: false
@@ -1288,7 +1531,7 @@ export class PlateNavigator {
             // Find the forbidden areas config item
             const forbiddenAreasItem = configItems.find(item => item.handle === 'protocol.forbidden_areas');
 
-            if (!forbiddenAreasItem || !forbiddenAreasItem.value) {
+            if (!forbiddenAreasItem || typeof forbiddenAreasItem.value !== 'string' || !forbiddenAreasItem.value) {
                 console.log('No forbidden areas configuration found');
                 return [];
             }
@@ -1402,6 +1645,445 @@ export class PlateNavigator {
         this.fovPulseStartTime = performance.now();
     }
 
+    /**
+     * Update the acquisition progress overlay from an acquisition status update.
+     *
+     * The site of the last image is in progress, sites imaged before are done. When the acquisition
+     * crashes or is cancelled, the site being imaged is failed. The overlay stays after the acquisition
+     * has finished, until the next acquisition starts, the plate changes, or clearAcquisitionProgress is called.
+     *
+     * Image counts per well are approximate: images taken between two status updates are
+     * counted for the well of the last image.
+     * @param {AcquisitionStatusOut} status
+     */
+    updateAcquisitionProgress(status) {
+        if (!this.plate) return;
+
+        if (this.acquisitionProgress?.acquisition_id !== status.acquisition_id) {
+            this.initAcquisitionProgress(status);
+        }
+        const progress = this.acquisitionProgress;
+        // status updates keep coming after the end of an acquisition, but do not change anything anymore
+        if (!progress || progress.finished) return;
+
+        /** @type {Set<string>} keys of the wells whose state changed */
+        const changedWells = new Set();
+
+        const num_images = status.acquisition_progress?.current_num_images ?? progress.num_images;
+        const last_image = status.acquisition_progress?.last_image;
+        const wellpos = last_image ? parseWellName(last_image.position.well_name) : null;
+        if (last_image && wellpos) {
+            const current = {
+                well: wellKey(wellpos.x, wellpos.y),
+                site: siteKey(last_image.position.site_x, last_image.position.site_y),
+            };
+            if (progress.current && (progress.current.well !== current.well || progress.current.site !== current.site)) {
+                this.setSiteProgress(progress.current.well, progress.current.site, 'done', changedWells);
+            }
+            progress.current = current;
+            this.setSiteProgress(current.well, current.site, 'running', changedWells);
+
+            const well = progress.wells.get(current.well);
+            if (well && num_images > progress.num_images) {
+                well.images += num_images - progress.num_images;
+                changedWells.add(current.well);
+            }
+        }
+        progress.num_images = num_images;
+
+        switch (status.acquisition_status) {
+            case 'completed':
+                for (const [key, well] of progress.wells) {
+                    for (const site of well.sites.keys()) {
+                        this.setSiteProgress(key, site, 'done', changedWells);
+                    }
+                }
+                progress.current = null;
+                progress.finished = true;
+                break;
+            case 'crashed':
+            case 'cancelled':
+                if (progress.current) {
+                    this.setSiteProgress(progress.current.well, progress.current.site, 'failed', changedWells);
+                    progress.current = null;
+                }
+                progress.finished = true;
+                break;
+        }
+
+        if (changedWells.size > 0) {
+            this.refreshAcquisitionProgressColors(changedWells);
+        }
+    }
+
+    /**
+     * Remove the acquisition progress overlay
+     */
+    clearAcquisitionProgress() {
+        this.acquisitionProgress = null;
+        for (const objectname of [objectNameProgressWells, objectNameProgressSites]) {
+            const object = /** @type {THREE.InstancedMesh|undefined} */ (this.scene.getObjectByName(objectname));
+            if (object) {
+                this.scene.remove(object);
+                object.dispose();
+            }
+        }
+        if (this.alpineComponent) {
+            this.alpineComponent.plateAcquisitionProgressShown = false;
+            this.alpineComponent.plateHoverWellProgress = null;
+        }
+    }
+
+    /**
+     * Acquisition progress of the well at a position
+     * @param {number} x_mm - X coordinate in mm (backend coordinates)
+     * @param {number} y_mm - Y coordinate in mm (backend coordinates)
+     * @returns {WellProgressSummary|null} null if there is no progress for a well at this position
+     */
+    wellProgressAt(x_mm, y_mm) {
+        if (!this.plate || !this.acquisitionProgress) return null;
+
+        const display = transformBackendToDisplayCoordinates(x_mm, y_mm, this.plate);
+        for (const [key, well] of this.acquisitionProgress.wells) {
+            const wellPos = calculateWellPosition(this.plate, well.col, well.row);
+            if (display.x >= wellPos.x && display.x <= wellPos.x + this.plate.Well_size_x_mm
+                && display.y >= wellPos.y && display.y <= wellPos.y + this.plate.Well_size_y_mm) {
+                const states = [...well.sites.values()];
+                return {
+                    well_name: well.well_name,
+                    state: this.wellProgressState(key),
+                    images: well.images,
+                    sites_done: states.filter(state => state === 'done').length,
+                    sites_total: states.length,
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start tracking the progress of a (new) acquisition, all its sites pending
+     * @private
+     * @param {AcquisitionStatusOut} status
+     */
+    initAcquisitionProgress(status) {
+        this.clearAcquisitionProgress();
+        if (!this.plate) return;
+
+        const plate = this.plate;
+        const config = status.acquisition_config;
+        const wells = config.plate_wells.filter(w => w.selected && w.col >= 0 && w.row >= 0);
+        /** @type {Map<PlateWellConfig, {x: number, y: number, col: number, row: number}[]>} sites imaged per well */
+        const well_sites = new Map();
+        let num_sites = 0;
+        for (const well of wells) {
+            const wellPos = calculateWellPosition(plate, well.col, well.row);
+            const sites = this.siteDisplayPositions(config, well, wellPos.x, wellPos.y).filter(site => site.selected);
+            well_sites.set(well, sites);
+            num_sites += sites.length;
+        }
+
+        /** @type {AcquisitionProgress} */
+        const progress = {
+            acquisition_id: status.acquisition_id,
+            config,
+            wells: new Map(),
+            siteInstances: new Map(),
+            current: null,
+            num_images: 0,
+            finished: false,
+        };
+
+        const well_geometry = makeRoundedQuad({
+            ax: 0,
+            ay: 0,
+            bx: plate.Well_size_x_mm,
+            by: plate.Well_size_y_mm,
+        }, this.matProgress, { border_radius: plate.Well_edge_radius_mm, segments: 8 }).geometry;
+        const site_geometry = makeQuad({
+            ax: 0,
+            ay: 0,
+            bx: this.objective.fovx,
+            by: this.objective.fovy,
+        }, this.matProgress).geometry;
+
+        const well_quads = new THREE.InstancedMesh(well_geometry, this.matProgress, Math.max(1, wells.length));
+        const site_quads = new THREE.InstancedMesh(site_geometry, this.matProgress, Math.max(1, num_sites));
+        well_quads.count = wells.length;
+        site_quads.count = num_sites;
+
+        // above wells and sites, below the objective
+        const well_z = 0.05;
+        const site_z = 0.15;
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color(progressStateColors.pending);
+
+        let site_index = 0;
+        for (const [well_index, well] of wells.entries()) {
+            const wellPos = calculateWellPosition(plate, well.col, well.row);
+            matrix.makeTranslation(wellPos.x, wellPos.y, well_z);
+            well_quads.setMatrixAt(well_index, matrix);
+            well_quads.setColorAt(well_index, color);
+
+            /** @type {WellProgress} */
+            const wellProgress = {
+                well_name: makeWellName(well.col, well.row),
+                col: well.col,
+                row: well.row,
+                sites: new Map(),
+                images: 0,
+                instance: well_index,
+            };
+            const key = wellKey(well.col, well.row);
+            progress.wells.set(key, wellProgress);
+
+            for (const site of well_sites.get(well) ?? []) {
+                matrix.makeTranslation(site.x, site.y, site_z);
+                site_quads.setMatrixAt(site_index, matrix);
+                site_quads.setColorAt(site_index, color);
+
+                wellProgress.sites.set(siteKey(site.col, site.row), 'pending');
+                progress.siteInstances.set(`${key}:${siteKey(site.col, site.row)}`, site_index);
+                site_index++;
+            }
+        }
+
+        well_quads.name = objectNameProgressWells;
+        site_quads.name = objectNameProgressSites;
+        this.scene.add(well_quads);
+        this.scene.add(site_quads);
+
+        this.acquisitionProgress = progress;
+        if (this.alpineComponent) {
+            this.alpineComponent.plateAcquisitionProgressShown = true;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} well - Well key
+     * @param {string} site - Site key
+     * @param {AcquisitionProgressState} state
+     * @param {Set<string>} changedWells - Well key is added if the state changed
+     */
+    setSiteProgress(well, site, state, changedWells) {
+        const sites = this.acquisitionProgress?.wells.get(well)?.sites;
+        // ignore sites not part of the acquisition config (e.g. config changed on the server)
+        if (!sites || !sites.has(site)) return;
+        // a failed site stays failed
+        if (sites.get(site) === state || sites.get(site) === 'failed') return;
+
+        sites.set(site, state);
+        changedWells.add(well);
+    }
+
+    /**
+     * State of a well, derived from the state of its sites
+     * @private
+     * @param {string} well - Well key
+     * @returns {AcquisitionProgressState}
+     */
+    wellProgressState(well) {
+        const states = [...(this.acquisitionProgress?.wells.get(well)?.sites.values() ?? [])];
+        if (states.includes('failed')) return 'failed';
+        if (states.length > 0 && states.every(state => state === 'done')) return 'done';
+        if (states.some(state => state !== 'pending')) return 'running';
+        return 'pending';
+    }
+
+    /**
+     * Apply the progress state of wells (and their sites) to the overlay colors
+     * @private
+     * @param {Set<string>} wells - Well keys
+     */
+    refreshAcquisitionProgressColors(wells) {
+        const progress = this.acquisitionProgress;
+        const well_quads = /** @type {THREE.InstancedMesh|undefined} */ (this.scene.getObjectByName(objectNameProgressWells));
+        const site_quads = /** @type {THREE.InstancedMesh|undefined} */ (this.scene.getObjectByName(objectNameProgressSites));
+        if (!progress || !well_quads || !site_quads) return;
+
+        const color = new THREE.Color();
+        for (const key of wells) {
+            const well = progress.wells.get(key);
+            if (!well) continue;
+
+            well_quads.setColorAt(well.instance, color.setHex(progressStateColors[this.wellProgressState(key)]));
+            for (const [site, state] of well.sites) {
+                const instance = progress.siteInstances.get(`${key}:${site}`);
+                if (instance == null) continue;
+                site_quads.setColorAt(instance, color.setHex(progressStateColors[state]));
+            }
+        }
+        if (well_quads.instanceColor) well_quads.instanceColor.needsUpdate = true;
+        if (site_quads.instanceColor) site_quads.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Add the (downsampled) image of a site to the mosaic. Replaces the thumbnail of the same channel
+     * at the same position (within a quarter of the field of view), e.g. from an earlier time point.
+     * @param {CachedChannelImage} image
+     * @param {number} x_mm - Stage position the image was taken at (backend coordinates)
+     * @param {number} y_mm
+     */
+    addMosaicThumbnail(image, x_mm, y_mm) {
+        const handle = image.info.channel.handle;
+        let thumbnails = this.mosaicThumbnails.get(handle);
+        if (!thumbnails) {
+            thumbnails = [];
+            this.mosaicThumbnails.set(handle, thumbnails);
+        }
+
+        const tolerance_x = this.objective.fovx / 4;
+        const tolerance_y = this.objective.fovy / 4;
+        const index = thumbnails.findIndex(t => Math.abs(t.x_mm - x_mm) < tolerance_x && Math.abs(t.y_mm - y_mm) < tolerance_y);
+        if (index >= 0) {
+            this.removeMosaicMesh(thumbnails[index]);
+            thumbnails.splice(index, 1);
+        }
+
+        /** @type {MosaicThumbnail} */
+        const thumbnail = { x_mm, y_mm, image, mesh: null };
+        thumbnails.push(thumbnail);
+        if (handle === this.mosaicChannel) {
+            this.addMosaicMesh(thumbnail);
+        }
+    }
+
+    /**
+     * Show or hide the mosaic
+     * @param {boolean} visible
+     */
+    setMosaicVisible(visible) {
+        this.mosaicGroup.visible = visible;
+    }
+
+    /**
+     * Select the channel shown in the mosaic
+     * @param {string|null} handle
+     */
+    setMosaicChannel(handle) {
+        if (handle === this.mosaicChannel) return;
+
+        for (const thumbnail of this.mosaicThumbnails.get(this.mosaicChannel ?? '') ?? []) {
+            this.removeMosaicMesh(thumbnail);
+        }
+        this.mosaicChannel = handle;
+        for (const thumbnail of this.mosaicThumbnails.get(handle ?? '') ?? []) {
+            this.addMosaicMesh(thumbnail);
+        }
+    }
+
+    /**
+     * Set the contrast of the mosaic: values at or below min are black, values at or above max are white
+     * @param {number} min - Fraction of the value range of the images, in [0;1]
+     * @param {number} max - Fraction of the value range of the images, in [0;1]
+     */
+    setMosaicContrast(min, max) {
+        this.mosaicContrast.min.value = Math.max(0, Math.min(1, min));
+        this.mosaicContrast.max.value = Math.max(this.mosaicContrast.min.value, Math.min(1, max));
+    }
+
+    /**
+     * Handles of the channels the mosaic has thumbnails of
+     * @returns {string[]}
+     */
+    mosaicChannelHandles() {
+        return [...this.mosaicThumbnails.keys()];
+    }
+
+    /**
+     * Remove all thumbnails from the mosaic
+     */
+    clearMosaic() {
+        for (const thumbnails of this.mosaicThumbnails.values()) {
+            for (const thumbnail of thumbnails) {
+                this.removeMosaicMesh(thumbnail);
+            }
+        }
+        this.mosaicThumbnails.clear();
+    }
+
+    /**
+     * Create the textured quad of a thumbnail, and add it to the mosaic
+     * @private
+     * @param {MosaicThumbnail} thumbnail
+     */
+    addMosaicMesh(thumbnail) {
+        if (!this.plate || thumbnail.mesh) return;
+
+        const { image } = thumbnail;
+        const imgdata = image.bit_depth === 8 ? new Uint8Array(image.data) : new Uint16Array(image.data);
+        const texture = new THREE.DataTexture(
+            imgdata,
+            image.width,
+            image.height,
+            THREE.RedIntegerFormat,
+            image.bit_depth === 8 ? THREE.UnsignedByteType : THREE.UnsignedShortType
+        );
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+
+        // same as the channel views (see ChannelImageView._makeImage), with adjustable contrast
+        const vertexShader = `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `;
+        const fragmentShader = `
+            uniform usampler2D uTexture;
+            uniform float uMin;
+            uniform float uMax;
+
+            varying vec2 vUv;
+            void main() {
+                // image rows go from top to bottom
+                float lum = float(texture2D(uTexture, vec2(vUv.x, 1.0 - vUv.y)).r);
+                lum /= float(1<<(${image.bit_depth}));
+                lum = clamp((lum - uMin) / max(uMax - uMin, 1e-6), 0.0, 1.0);
+
+                gl_FragColor = vec4(vec3(lum), 1.0);
+            }
+        `;
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: texture },
+                uMin: this.mosaicContrast.min,
+                uMax: this.mosaicContrast.max,
+            },
+            vertexShader,
+            fragmentShader,
+        });
+
+        // the image is centered on the stage position, like the objective marker
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(this.objective.fovx, this.objective.fovy), material);
+        const display = transformBackendToDisplayCoordinates(thumbnail.x_mm, thumbnail.y_mm, this.plate);
+        mesh.position.x = display.x;
+        mesh.position.y = display.y;
+
+        thumbnail.mesh = mesh;
+        this.mosaicGroup.add(mesh);
+    }
+
+    /**
+     * Remove the textured quad of a thumbnail from the mosaic, and free its memory
+     * @private
+     * @param {MosaicThumbnail} thumbnail
+     */
+    removeMosaicMesh(thumbnail) {
+        const mesh = thumbnail.mesh;
+        if (!mesh) return;
+
+        this.mosaicGroup.remove(mesh);
+        const material = /** @type {THREE.ShaderMaterial} */ (mesh.material);
+        /** @type {THREE.Texture} */ (material.uniforms.uTexture.value).dispose();
+        material.dispose();
+        mesh.geometry.dispose();
+        thumbnail.mesh = null;
+    }
+
     /**
      * Refresh well colors and sites after selection changes without full plate reload
      * @param {AcquisitionConfig} microscope_config
@@ -1522,8 +2204,7 @@ export class PlateNavigator {
         
         // Only count sites in selected wells
         let selected_wells = microscope_config.plate_wells.filter(w => w.selected && w.row >= 0 && w.col >= 0);
-        let num_sites_selected = selected_wells.length * microscope_config.grid.mask.filter(s => s.selected).length;
-        let num_sites_unselected = selected_wells.length * microscope_config.grid.mask.filter(s => !s.selected).length;
+        let { num_sites_selected, num_sites_unselected } = this.countSites(microscope_config, selected_wells);
         let site_quads_selected = null;
         let site_quads_unselected = null;
         
@@ -1557,18 +2238,9 @@ export class PlateNavigator {
             let well_x = wellPos.x;
             let well_y = wellPos.y;
 
-            for (let site of microscope_config.grid.mask) {
-                let sitex = site.col;
-                let sitey = site.row;
-
-                const sitePos = calculateSitePosition(
-                    well_x, well_y, plate.Well_size_x_mm, plate.Well_size_y_mm,
-                    sitex, sitey, microscope_config.grid.num_x, microscope_config.grid.num_y,
-                    microscope_config.grid.delta_x_mm, microscope_config.grid.delta_y_mm,
-                    this.objective.fovx, this.objective.fovy
-                );
-                let site_plate_x_offset = sitePos.x;
-                let site_plate_y_offset = sitePos.y;
+            for (let site of this.siteDisplayPositions(microscope_config, well, well_x, well_y)) {
+                let site_plate_x_offset = site.x;
+                let site_plate_y_offset = site.y;
 
                 let translatematrix = new THREE.Vector3(
                     site_plate_x_offset,
@@ -1606,6 +2278,75 @@ export class PlateNavigator {
         }
     }
 
+    /**
+     * Display positions (lower left corner) of the sites of a well, see site-layout.js
+     * @param {AcquisitionConfig} microscope_config
+     * @param {PlateWellConfig} well
+     * @param {number} well_x - Well position in display coordinates (see calculateWellPosition)
+     * @param {number} well_y
+     * @returns {{x: number, y: number, col: number, row: number, selected: boolean}[]}
+     */
+    siteDisplayPositions(microscope_config, well, well_x, well_y) {
+        if (!this.plate) return [];
+        const plate = this.plate;
+        const grid = microscope_config.grid;
+
+        const layout = wellSiteLayout(microscope_config, well);
+        if (layout.kind === 'grid') {
+            return grid.mask.map(site => ({
+                ...calculateSitePosition(
+                    well_x, well_y, plate.Well_size_x_mm, plate.Well_size_y_mm,
+                    site.col, site.row, grid.num_x, grid.num_y,
+                    grid.delta_x_mm, grid.delta_y_mm,
+                    this.objective.fovx, this.objective.fovy
+                ),
+                col: site.col,
+                row: site.row,
+                selected: site.selected,
+            }));
+        }
+
+        let sites;
+        try {
+            sites = layoutSites(layout, grid, plate);
+        } catch (error) {
+            console.warn(`Cannot display sites of well ${makeWellName(well.col, well.row)}:`, error);
+            return [];
+        }
+        // site offsets are relative to the well center, with y pointing down (backend coordinates)
+        const center_x = well_x + plate.Well_size_x_mm / 2;
+        const center_y = well_y + plate.Well_size_y_mm / 2;
+        return sites.map(site => ({
+            x: center_x + site.x_mm - this.objective.fovx / 2,
+            y: center_y - site.y_mm - this.objective.fovy / 2,
+            col: site.col,
+            row: site.row,
+            selected: site.selected,
+        }));
+    }
+
+    /**
+     * Number of sites of wells, to size the site meshes
+     * @private
+     * @param {AcquisitionConfig} microscope_config
+     * @param {PlateWellConfig[]} wells
+     * @returns {{num_sites_selected: number, num_sites_unselected: number}}
+     */
+    countSites(microscope_config, wells) {
+        let num_sites_selected = 0;
+        let num_sites_unselected = 0;
+        for (const well of wells) {
+            for (const site of this.siteDisplayPositions(microscope_config, well, 0, 0)) {
+                if (site.selected) {
+                    num_sites_selected++;
+                } else {
+                    num_sites_unselected++;
+                }
+            }
+        }
+        return { num_sites_selected, num_sites_unselected };
+    }
+
     /**
      * Perform well selection based on selection box
      * @param {SelectionState} selection - Selection state object
@@ -1685,4 +2426,351 @@ export class PlateNavigator {
         this.onWellSelection(selectedWells, selection.mode, selectionBounds);
     }
 
+    /**
+     * Whether a long press at a position starts selecting or deselecting:
+     * deselect when pressing on something selected (the well in well selection mode, a site otherwise)
+     * @param {number} x_mm - X coordinate in mm (backend coordinates)
+     * @param {number} y_mm - Y coordinate in mm (backend coordinates)
+     * @returns {'select'|'deselect'}
+     */
+    touchSelectionMode(x_mm, y_mm) {
+        const config = this.microscopeConfig;
+        if (!this.plate || !config) return 'select';
+        const selectionMode = this.alpineComponent.plateSelectionMode;
+
+        const display = transformBackendToDisplayCoordinates(x_mm, y_mm, this.plate);
+        for (const well of config.plate_wells) {
+            if (well.col < 0 || well.row < 0) continue;
+            const wellPos = calculateWellPosition(this.plate, well.col, well.row);
+            if (display.x < wellPos.x || display.x > wellPos.x + this.plate.Well_size_x_mm
+                || display.y < wellPos.y || display.y > wellPos.y + this.plate.Well_size_y_mm) continue;
+
+            if (selectionMode === 'wells') {
+                return well.selected ? 'deselect' : 'select';
+            }
+            // sites are only shown in selected wells
+            if (!well.selected) return 'select';
+            for (const site of this.siteDisplayPositions(config, well, wellPos.x, wellPos.y)) {
+                if (display.x >= site.x && display.x <= site.x + this.objective.fovx
+                    && display.y >= site.y && display.y <= site.y + this.objective.fovy) {
+                    return site.selected ? 'deselect' : 'select';
+                }
+            }
+            return 'select';
+        }
+        return 'select';
+    }
+
+    /**
+     * Handle key presses on the plate view (keyboard navigation)
+     * @param {KeyboardEvent} event
+     */
+    async handleKeyDown(event) {
+        if (!this.plate) return;
+        // leave shortcuts of the browser alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        switch (event.key) {
+            case "ArrowLeft":
+                event.preventDefault();
+                await this.moveKeyboardCursor(-1, 0, event.shiftKey);
+                break;
+            case "ArrowRight":
+                event.preventDefault();
+                await this.moveKeyboardCursor(1, 0, event.shiftKey);
+                break;
+            case "ArrowUp":
+                event.preventDefault();
+                await this.moveKeyboardCursor(0, -1, event.shiftKey);
+                break;
+            case "ArrowDown":
+                event.preventDefault();
+                await this.moveKeyboardCursor(0, 1, event.shiftKey);
+                break;
+            case " ":
+            case "Enter":
+                event.preventDefault();
+                await this.toggleKeyboardCursorWell();
+                break;
+            case "+":
+            case "=":
+                event.preventDefault();
+                this.zoomOnKeyboardCursor(-0.2);
+                break;
+            case "-":
+            case "_":
+                event.preventDefault();
+                this.zoomOnKeyboardCursor(0.25);
+                break;
+            case "0":
+                event.preventDefault();
+                this.cameraFit({ ax: 0, ay: 0, bx: this.plate.Length_mm, by: this.plate.Width_mm });
+                this.announce("Showing the whole plate");
+                break;
+            case "m":
+                event.preventDefault();
+                await this.moveObjectiveToKeyboardCursor();
+                break;
+            case "Escape":
+                this.setKeyboardCursorVisible(false);
+                break;
+        }
+    }
+
+    /**
+     * Show the well cursor (at the first well, if no well was focused yet) and announce the focused well
+     */
+    showKeyboardCursor() {
+        if (!this.plate) return;
+        if (!this.keyboardCursor) {
+            this.keyboardCursor = { col: 0, row: 0 };
+            this.keyboardAnchor = { col: 0, row: 0 };
+        }
+        this.updateKeyboardCursor();
+        this.announce(this.describeWell(this.keyboardCursor.col, this.keyboardCursor.row));
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    setKeyboardCursorVisible(visible) {
+        const mesh = this.scene.getObjectByName(objectNameKeyboardCursor);
+        if (mesh) mesh.visible = visible;
+    }
+
+    /**
+     * Move the well cursor by some wells (clamped to the plate)
+     * @param {number} dx - Columns to move by
+     * @param {number} dy - Rows to move by (positive is down, towards higher rows)
+     * @param {boolean} extend - Select the wells from the anchor to the new well (shift+arrow keys)
+     */
+    async moveKeyboardCursor(dx, dy, extend) {
+        if (!this.plate) return;
+        if (!this.keyboardCursor || !this.keyboardAnchor) {
+            // first key press only shows where the cursor is
+            this.showKeyboardCursor();
+            return;
+        }
+
+        this.keyboardCursor = {
+            col: Math.max(0, Math.min(this.plate.Num_wells_x - 1, this.keyboardCursor.col + dx)),
+            row: Math.max(0, Math.min(this.plate.Num_wells_y - 1, this.keyboardCursor.row + dy)),
+        };
+        this.updateKeyboardCursor();
+
+        const { col, row } = this.keyboardCursor;
+        if (!extend) {
+            this.keyboardAnchor = { col, row };
+            this.announce(this.describeWell(col, row));
+            return;
+        }
+
+        /** @type {string[]} */
+        const wellNames = [];
+        const minCol = Math.min(col, this.keyboardAnchor.col);
+        const maxCol = Math.max(col, this.keyboardAnchor.col);
+        const minRow = Math.min(row, this.keyboardAnchor.row);
+        const maxRow = Math.max(row, this.keyboardAnchor.row);
+        for (let y = minRow; y <= maxRow; y++) {
+            for (let x = minCol; x <= maxCol; x++) {
+                wellNames.push(makeWellName(x, y));
+            }
+        }
+        const minBounds = this.wellBoundsBackend(minCol, minRow);
+        const maxBounds = this.wellBoundsBackend(maxCol, maxRow);
+        if (this.onWellSelection) {
+            await this.onWellSelection(wellNames, 'select', {
+                minX: minBounds.minX,
+                maxX: maxBounds.maxX,
+                minY: minBounds.minY,
+                maxY: maxBounds.maxY,
+            });
+        }
+        this.announce(`${wellNames.length} wells selected, ${makeWellName(this.keyboardAnchor.col, this.keyboardAnchor.row)} to ${this.describeWell(col, row)}`);
+    }
+
+    /**
+     * Toggle the selection at the focused well, depending on the plate selection mode:
+     * the well itself in well selection mode, the site at the center of the well otherwise (like a click there)
+     */
+    async toggleKeyboardCursorWell() {
+        if (!this.keyboardCursor) {
+            this.showKeyboardCursor();
+            return;
+        }
+
+        const { col, row } = this.keyboardCursor;
+        this.keyboardAnchor = { col, row };
+        const well = this.microscopeConfig?.plate_wells.find(well => well.col === col && well.row === row);
+        const selectionMode = this.alpineComponent.plateSelectionMode;
+
+        if (selectionMode === 'wells') {
+            if (this.onWellSelection) {
+                await this.onWellSelection([makeWellName(col, row)], well?.selected ? 'deselect' : 'select', this.wellBoundsBackend(col, row));
+            }
+            this.announce(this.describeWell(col, row));
+            return;
+        }
+
+        // sites are only shown (and can only be changed) in selected wells
+        if (!well?.selected) {
+            this.announce(`${this.describeWell(col, row)}, select the well to change its sites`);
+            return;
+        }
+
+        const bounds = this.wellBoundsBackend(col, row);
+        const x_mm = (bounds.minX + bounds.maxX) / 2;
+        const y_mm = (bounds.minY + bounds.maxY) / 2;
+        const mode = this.touchSelectionMode(x_mm, y_mm);
+        if (this.onWellSelection) {
+            await this.onWellSelection([makeWellName(col, row)], mode, { minX: x_mm, maxX: x_mm, minY: y_mm, maxY: y_mm });
+        }
+
+        let change;
+        if (this.touchSelectionMode(x_mm, y_mm) === mode) {
+            change = "no site changed";
+        } else if (selectionMode === 'place') {
+            change = mode === 'select' ? "site placed" : "site removed";
+        } else {
+            change = mode === 'select' ? "site selected" : "site deselected";
+        }
+        this.announce(`${change} at the center of ${this.describeWell(col, row)}`);
+    }
+
+    /**
+     * Zoom in or out, keeping the focused well (or the center of the view) in place
+     * @param {number} delta - Relative change of the zoom factor (negative zooms in), see cameraApplyDeltaZoom
+     */
+    zoomOnKeyboardCursor(delta) {
+        if (this.plate && this.keyboardCursor) {
+            const center = this.wellCenterDisplay(this.keyboardCursor.col, this.keyboardCursor.row);
+            this.cameraSetCenter(center);
+        }
+        this.cameraApplyDeltaZoom(delta);
+    }
+
+    /**
+     * Move the objective to the center of the focused well
+     */
+    async moveObjectiveToKeyboardCursor() {
+        if (!this.plate || !this.keyboardCursor) return;
+
+        const bounds = this.wellBoundsBackend(this.keyboardCursor.col, this.keyboardCursor.row);
+        const x_mm = (bounds.minX + bounds.maxX) / 2;
+        const y_mm = (bounds.minY + bounds.maxY) / 2;
+        if (!this.isPositionValid(x_mm, y_mm)) {
+            this.showForbiddenAreaWarning(x_mm, y_mm);
+            return;
+        }
+        this.announce(`Moving objective to ${makeWellName(this.keyboardCursor.col, this.keyboardCursor.row)}`);
+        if (this.onObjectiveMoveTo) {
+            await this.onObjectiveMoveTo(x_mm, y_mm);
+        }
+    }
+
+    /**
+     * Draw the well cursor at the focused well, and pan the view if the well is not (fully) visible
+     * @private
+     */
+    updateKeyboardCursor() {
+        if (!this.plate || !this.keyboardCursor) return;
+        const plate = this.plate;
+
+        // the cursor is an outline around the well, i.e. a slightly larger quad behind it
+        let mesh = this.scene.getObjectByName(objectNameKeyboardCursor);
+        if (!mesh) {
+            const border = Math.min(plate.Well_size_x_mm, plate.Well_size_y_mm) / 8;
+            const width = plate.Well_size_x_mm + 2 * border;
+            const height = plate.Well_size_y_mm + 2 * border;
+            mesh = makeRoundedQuad({
+                ax: -border,
+                ay: -border,
+                bx: plate.Well_size_x_mm + border,
+                by: plate.Well_size_y_mm + border,
+            }, this.matKeyboardCursor, {
+                border_radius: Math.min(plate.Well_edge_radius_mm + border, width / 2, height / 2),
+                segments: 8,
+            });
+            mesh.name = objectNameKeyboardCursor;
+            // between forbidden areas and wells
+            mesh.position.z = -0.02;
+            this.scene.add(mesh);
+        }
+        const wellPos = calculateWellPosition(plate, this.keyboardCursor.col, this.keyboardCursor.row);
+        mesh.position.x = wellPos.x;
+        mesh.position.y = wellPos.y;
+        mesh.visible = true;
+
+        const visible = wellPos.x >= this.camera.left && wellPos.x + plate.Well_size_x_mm <= this.camera.right
+            && wellPos.y >= this.camera.bottom && wellPos.y + plate.Well_size_y_mm <= this.camera.top;
+        if (!visible) {
+            this.cameraSetCenter(this.wellCenterDisplay(this.keyboardCursor.col, this.keyboardCursor.row));
+        }
+
+        // show the well like when hovering over it with the mouse
+        if (this.alpineComponent) {
+            const bounds = this.wellBoundsBackend(this.keyboardCursor.col, this.keyboardCursor.row);
+            const x = (bounds.minX + bounds.maxX) / 2;
+            const y = (bounds.minY + bounds.maxY) / 2;
+            this.alpineComponent.plateCursorPosition = { x, y };
+            this.alpineComponent.plateHoverWellProgress = this.wellProgressAt(x, y);
+        }
+    }
+
+    /**
+     * Extent of a well
+     * @private
+     * @param {number} col
+     * @param {number} row
+     * @returns {WellSelectionBounds} - Backend coordinates
+     */
+    wellBoundsBackend(col, row) {
+        const plate = /** @type {Wellplate} */ (this.plate);
+        const minX = plate.Offset_A1_x_mm + col * plate.Well_distance_x_mm;
+        const minY = plate.Offset_A1_y_mm + row * plate.Well_distance_y_mm;
+        return { minX, maxX: minX + plate.Well_size_x_mm, minY, maxY: minY + plate.Well_size_y_mm };
+    }
+
+    /**
+     * Center of a well
+     * @private
+     * @param {number} col
+     * @param {number} row
+     * @returns {Pos2} - Display coordinates
+     */
+    wellCenterDisplay(col, row) {
+        const plate = /** @type {Wellplate} */ (this.plate);
+        const wellPos = calculateWellPosition(plate, col, row);
+        return { x: wellPos.x + plate.Well_size_x_mm / 2, y: wellPos.y + plate.Well_size_y_mm / 2 };
+    }
+
+    /**
+     * Description of a well for screen readers: name, selection state and acquisition progress
+     * @private
+     * @param {number} col
+     * @param {number} row
+     * @returns {string}
+     */
+    describeWell(col, row) {
+        const well = this.microscopeConfig?.plate_wells.find(well => well.col === col && well.row === row);
+        let description = `${makeWellName(col, row)}, ${well?.selected ? "selected" : "not selected"}`;
+
+        const bounds = this.wellBoundsBackend(col, row);
+        const progress = this.wellProgressAt((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2);
+        if (progress) {
+            description += `, acquisition ${progress.state}, ${progress.sites_done} of ${progress.sites_total} sites done`;
+        }
+        return description;
+    }
+
+    /**
+     * Announce a message to screen readers
+     * @private
+     * @param {string} message
+     */
+    announce(message) {
+        if (!this.ariaLiveRegion) return;
+        this.ariaLiveRegion.textContent = message;
+    }
+
 }
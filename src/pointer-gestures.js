@@ -0,0 +1,272 @@
+"use strict";
+
+/**
+ * Touch and pen gestures for the plate view and the channel views.
+ *
+ * Mouse input is left to the mouse event handlers of the views, this only handles pointers of type touch and pen:
+ * - one finger drag: pan
+ * - two finger drag: pan, pinch: zoom
+ * - long press (then drag): select an area (like shift+drag with the mouse)
+ * - double tap: move the objective there (like double-click with the mouse)
+ *
+ * Positions are in px, relative to the top left corner of the element.
+ */
+
+/** time (ms) a finger has to rest on the screen to start a selection */
+export const LONG_PRESS_MS = 500;
+/** distance (px) a finger may move without the touch turning into a drag */
+export const TAP_SLOP_PX = 10;
+/** max time (ms) between the taps of a double tap */
+export const DOUBLE_TAP_MS = 300;
+/** max distance (px) between the taps of a double tap */
+export const DOUBLE_TAP_SLOP_PX = 30;
+/** mouse events that arrive this long (ms) after a touch are assumed to be emulated by the browser */
+const EMULATED_MOUSE_EVENT_MS = 800;
+
+/**
+ * @typedef {{x: number, y: number}} GesturePoint
+ */
+
+/**
+ * Gesture handlers, gestures without a handler are ignored
+ * @typedef {Object} PointerGestureHandlers
+ * @property {(delta: GesturePoint) => void} [pan] - Drag by delta (px)
+ * @property {(factor: number, center: GesturePoint) => void} [zoom] - Pinch, factor > 1 when the fingers move apart (zoom in)
+ * @property {(point: GesturePoint) => void} [doubleTap]
+ * @property {(point: GesturePoint, secondary: boolean) => void} [selectionStart] - Long press, secondary if the barrel button or eraser of a pen is used (like the right mouse button)
+ * @property {(point: GesturePoint) => void} [selectionMove]
+ * @property {(point: GesturePoint) => void} [selectionEnd]
+ * @property {() => void} [selectionCancel] - Selection was interrupted, e.g. by a second finger
+ */
+
+/**
+ * @typedef {'idle'|'pending'|'pan'|'selecting'|'pinch'} GestureState
+ * pending: single finger down, not moved (yet) - may become a tap, a long press or a pan
+ */
+
+export class PointerGestures {
+    /**
+     * Start recognizing gestures on an element
+     * @param {HTMLElement} elem
+     * @param {PointerGestureHandlers} handlers
+     */
+    constructor(elem, handlers) {
+        this.elem = elem;
+        this.handlers = handlers;
+
+        /** @type {Map<number, {start: GesturePoint, last: GesturePoint}>} active touch/pen pointers, by pointer id */
+        this.pointers = new Map();
+        /** @type {GestureState} */
+        this.state = 'idle';
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this.longPressTimer = null;
+        /** @type {{time: number, point: GesturePoint}|null} first tap of a (potential) double tap */
+        this.lastTap = null;
+        /** @type {{distance: number, center: GesturePoint}|null} */
+        this.pinch = null;
+        /** time of the last touch/pen event */
+        this.lastTouchTime = -Infinity;
+
+        // the browser should not scroll or zoom the page instead
+        this.previousTouchAction = elem.style.touchAction;
+        elem.style.touchAction = "none";
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+        elem.addEventListener("pointerdown", this.onPointerDown);
+        elem.addEventListener("pointermove", this.onPointerMove);
+        elem.addEventListener("pointerup", this.onPointerUp);
+        elem.addEventListener("pointercancel", this.onPointerCancel);
+    }
+
+    /**
+     * Stop recognizing gestures on the element
+     */
+    detach() {
+        this.clearLongPressTimer();
+        this.elem.removeEventListener("pointerdown", this.onPointerDown);
+        this.elem.removeEventListener("pointermove", this.onPointerMove);
+        this.elem.removeEventListener("pointerup", this.onPointerUp);
+        this.elem.removeEventListener("pointercancel", this.onPointerCancel);
+        this.elem.style.touchAction = this.previousTouchAction;
+    }
+
+    /**
+     * Whether a mouse event was likely emulated by the browser for a touch (e.g. dblclick after a double tap),
+     * so that it is not handled twice
+     * @param {MouseEvent} event
+     * @returns {boolean}
+     */
+    isEmulatedMouseEvent(event) {
+        return event.timeStamp - this.lastTouchTime < EMULATED_MOUSE_EVENT_MS;
+    }
+
+    /**
+     * @param {PointerEvent} event
+     * @returns {GesturePoint}
+     */
+    eventPoint(event) {
+        const rect = this.elem.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    clearLongPressTimer() {
+        if (this.longPressTimer != null) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    /**
+     * Distance and center of the first two pointers
+     * @returns {{distance: number, center: GesturePoint}}
+     */
+    pinchGeometry() {
+        const [a, b] = [...this.pointers.values()];
+        return {
+            distance: Math.hypot(a.last.x - b.last.x, a.last.y - b.last.y),
+            center: { x: (a.last.x + b.last.x) / 2, y: (a.last.y + b.last.y) / 2 },
+        };
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerDown(event) {
+        if (event.pointerType === "mouse") return;
+        this.lastTouchTime = event.timeStamp;
+        // also prevents the emulated mouse events
+        event.preventDefault();
+
+        // more than two fingers are ignored
+        if (this.pointers.size >= 2) return;
+
+        this.elem.setPointerCapture(event.pointerId);
+        const point = this.eventPoint(event);
+        this.pointers.set(event.pointerId, { start: point, last: point });
+
+        if (this.pointers.size === 1) {
+            this.state = 'pending';
+            // barrel button or eraser of a pen
+            const secondary = event.pointerType === "pen" && (event.button === 2 || event.button === 5);
+            this.clearLongPressTimer();
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                if (this.state !== 'pending' || !this.handlers.selectionStart) return;
+
+                this.state = 'selecting';
+                const pointer = [...this.pointers.values()][0];
+                this.handlers.selectionStart(pointer.last, secondary);
+            }, LONG_PRESS_MS);
+        } else {
+            // second finger: pinch (and pan) instead
+            this.clearLongPressTimer();
+            if (this.state === 'selecting') {
+                this.handlers.selectionCancel?.();
+            }
+            this.state = 'pinch';
+            this.lastTap = null;
+            this.pinch = this.pinchGeometry();
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        this.lastTouchTime = event.timeStamp;
+        event.preventDefault();
+
+        const point = this.eventPoint(event);
+        const last = pointer.last;
+        pointer.last = point;
+
+        switch (this.state) {
+            case 'pending': {
+                if (Math.hypot(point.x - pointer.start.x, point.y - pointer.start.y) <= TAP_SLOP_PX) break;
+                this.clearLongPressTimer();
+                this.state = 'pan';
+                // pan from where the finger went down, so that the content stays under the finger
+                this.handlers.pan?.({ x: point.x - pointer.start.x, y: point.y - pointer.start.y });
+                break;
+            }
+            case 'pan':
+                this.handlers.pan?.({ x: point.x - last.x, y: point.y - last.y });
+                break;
+            case 'selecting':
+                this.handlers.selectionMove?.(point);
+                break;
+            case 'pinch': {
+                if (!this.pinch) break;
+                const pinch = this.pinchGeometry();
+                if (this.pinch.distance > 0 && pinch.distance > 0) {
+                    this.handlers.zoom?.(pinch.distance / this.pinch.distance, pinch.center);
+                }
+                this.handlers.pan?.({ x: pinch.center.x - this.pinch.center.x, y: pinch.center.y - this.pinch.center.y });
+                this.pinch = pinch;
+                break;
+            }
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        this.lastTouchTime = event.timeStamp;
+        event.preventDefault();
+
+        const point = this.eventPoint(event);
+        this.pointers.delete(event.pointerId);
+
+        switch (this.state) {
+            case 'pending': {
+                // tap
+                this.clearLongPressTimer();
+                const lastTap = this.lastTap;
+                if (lastTap && event.timeStamp - lastTap.time <= DOUBLE_TAP_MS
+                    && Math.hypot(point.x - lastTap.point.x, point.y - lastTap.point.y) <= DOUBLE_TAP_SLOP_PX) {
+                    this.lastTap = null;
+                    this.handlers.doubleTap?.(point);
+                } else {
+                    this.lastTap = { time: event.timeStamp, point };
+                }
+                break;
+            }
+            case 'selecting':
+                this.handlers.selectionEnd?.(point);
+                break;
+            case 'pinch':
+                // the remaining finger continues panning (without turning into a tap or long press)
+                this.pinch = null;
+                this.state = 'pan';
+                break;
+        }
+
+        if (this.pointers.size === 0) {
+            this.state = 'idle';
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerCancel(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.delete(event.pointerId);
+
+        this.clearLongPressTimer();
+        if (this.state === 'selecting') {
+            this.handlers.selectionCancel?.();
+        }
+        this.pinch = null;
+        this.lastTap = null;
+        this.state = this.pointers.size > 0 ? 'pan' : 'idle';
+    }
+}
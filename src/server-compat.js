@@ -0,0 +1,227 @@
+"use strict";
+
+/**
+ * Server version and feature negotiation.
+ *
+ * The server is a FastAPI application, which describes itself in /openapi.json:
+ * `info.version` is the server version, `paths` lists all (http) endpoints.
+ * WebSocket endpoints are not listed there, so only /api endpoints can be checked.
+ * Changes that do not add endpoints (message formats, config fields) are advertised as protocol features instead,
+ * see SERVER_PROTOCOL_FEATURES.
+ */
+
+/** endpoint that describes the server api */
+export const SERVER_DESCRIPTION_ENDPOINT = '/openapi.json';
+
+/**
+ * Server versions this interface has been built against.
+ * Servers outside this range may work, but are reported in the compatibility banner.
+ */
+export const SUPPORTED_SERVER_VERSIONS = {
+    /** @type {Version} */
+    min: { major: 0, minor: 1, patch: 0 },
+    /** first unsupported major version */
+    belowMajor: 1,
+};
+
+/** endpoints without which the interface cannot work at all */
+export const CORE_ENDPOINTS = [
+    '/api/get_info/current_state',
+    '/api/get_features/hardware_capabilities',
+    '/api/get_features/machine_defaults',
+];
+
+/**
+ * @typedef {Object} ServerFeature
+ * @property {string} label - Human readable name of the feature
+ * @property {string[]} endpoints - Endpoints the feature depends on
+ */
+
+/**
+ * Optional interface features, and the endpoints they require.
+ * @type {Record<string, ServerFeature>}
+ */
+export const SERVER_FEATURES = {
+    protocols: {
+        label: 'Protocol storage',
+        endpoints: [
+            '/api/acquisition/config_list',
+            '/api/acquisition/config_store',
+            '/api/acquisition/config_fetch',
+        ],
+    },
+    acquisition: {
+        label: 'Acquisition',
+        endpoints: [
+            '/api/acquisition/start',
+            '/api/acquisition/cancel',
+            '/api/acquisition/status',
+        ],
+    },
+    stage_control: {
+        label: 'Stage control',
+        endpoints: [
+            '/api/action/move_to',
+            '/api/action/move_by',
+            '/api/action/move_to_well',
+            '/api/action/enter_loading_position',
+            '/api/action/leave_loading_position',
+        ],
+    },
+    snapshots: {
+        label: 'Snapshots',
+        endpoints: [
+            '/api/action/snap_channel',
+            '/api/action/snap_selected_channels',
+        ],
+    },
+    streaming: {
+        label: 'Live acquisition',
+        endpoints: [
+            '/api/action/stream_channel_begin',
+            '/api/action/stream_channel_end',
+        ],
+    },
+    laser_autofocus: {
+        label: 'Laser autofocus',
+        endpoints: [
+            '/api/action/laser_autofocus_calibrate',
+            '/api/action/laser_autofocus_move_to_target_offset',
+            '/api/action/laser_autofocus_measure_displacement',
+            '/api/action/snap_reflection_autofocus',
+        ],
+    },
+    machine_config: {
+        label: 'Machine config',
+        endpoints: [
+            '/api/action/machine_config_flush',
+        ],
+    },
+};
+
+/**
+ * Protocol features, advertised by the server in `info["x-seafront-features"]` of its description.
+ * Servers that do not advertise a feature are spoken to the old way.
+ */
+export const SERVER_PROTOCOL_FEATURES = {
+    /** image requests carry a request id, and images are sent as binary frames with a header (see IMAGE_WS_ENDPOINT) */
+    image_request_ids: 'image_request_ids',
+    /** acquisition configs may image wells with site layouts other than the grid (grid.layout, site_layout of wells) */
+    site_layouts: 'site_layouts',
+};
+
+/**
+ * @typedef {Object} ServerCompatibility
+ * @property {boolean} checked - Whether the server described itself (if false, all features are assumed to be available)
+ * @property {string|null} serverVersion - Version reported by the server
+ * @property {boolean} versionSupported - Whether the server version is in SUPPORTED_SERVER_VERSIONS (true if unknown)
+ * @property {string[]} missingCoreEndpoints - Core endpoints the server does not provide
+ * @property {Record<string, string[]>} unavailableFeatures - Unavailable features, with the endpoints they miss
+ * @property {string[]} protocolFeatures - Protocol features advertised by the server (see SERVER_PROTOCOL_FEATURES)
+ * @property {string[]} messages - Problems to show to the user (empty if fully compatible)
+ */
+
+/**
+ * parse a version string like '1.2.3' (or 'v1.2.3-dev')
+ * @param {string} versionString
+ * @returns {Version|null}
+ */
+export function parseVersion(versionString) {
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(versionString.trim());
+    if (!match) return null;
+    return {
+        major: parseInt(match[1]),
+        minor: parseInt(match[2] ?? '0'),
+        patch: parseInt(match[3] ?? '0'),
+    };
+}
+
+/**
+ * @param {Version} a
+ * @param {Version} b
+ * @returns {number} negative if a<b, 0 if equal, positive if a>b
+ */
+export function compareVersions(a, b) {
+    return (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch);
+}
+
+/**
+ * @param {Version} version
+ * @returns {string}
+ */
+function formatVersion(version) {
+    return `${version.major}.${version.minor}.${version.patch}`;
+}
+
+/**
+ * Compatibility report used when the server did not describe itself.
+ * @param {string} reason - Why the server description is not available
+ * @returns {ServerCompatibility}
+ */
+export function unknownServerCompatibility(reason) {
+    return {
+        checked: false,
+        serverVersion: null,
+        versionSupported: true,
+        missingCoreEndpoints: [],
+        unavailableFeatures: {},
+        protocolFeatures: [],
+        messages: [`Could not determine server version (${reason}), compatibility is not guaranteed.`],
+    };
+}
+
+/**
+ * Compare a server description against what this interface supports.
+ * @param {{info: {version: string, 'x-seafront-features'?: unknown}, paths: Record<string, unknown>}} description - Contents of SERVER_DESCRIPTION_ENDPOINT
+ * @returns {ServerCompatibility}
+ */
+export function checkServerCompatibility(description) {
+    const serverVersion = description.info.version;
+    const availableEndpoints = new Set(Object.keys(description.paths));
+
+    /** @type {string[]} */
+    const messages = [];
+
+    const version = parseVersion(serverVersion);
+    let versionSupported = true;
+    if (version) {
+        const { min, belowMajor } = SUPPORTED_SERVER_VERSIONS;
+        versionSupported = compareVersions(version, min) >= 0 && version.major < belowMajor;
+        if (!versionSupported) {
+            messages.push(`Server version ${serverVersion} is not supported by this interface (supported: ${formatVersion(min)} up to, not including, ${belowMajor}.0.0).`);
+        }
+    }
+
+    const missingCoreEndpoints = CORE_ENDPOINTS.filter(endpoint => !availableEndpoints.has(endpoint));
+    if (missingCoreEndpoints.length > 0) {
+        messages.push(`Server is missing required endpoints: ${missingCoreEndpoints.join(', ')}.`);
+    }
+
+    /** @type {Record<string, string[]>} */
+    const unavailableFeatures = {};
+    for (const [name, feature] of Object.entries(SERVER_FEATURES)) {
+        const missing = feature.endpoints.filter(endpoint => !availableEndpoints.has(endpoint));
+        if (missing.length > 0) {
+            unavailableFeatures[name] = missing;
+        }
+    }
+    const unavailableLabels = Object.keys(unavailableFeatures).map(name => SERVER_FEATURES[name].label);
+    if (unavailableLabels.length > 0) {
+        messages.push(`Not supported by this server, and therefore disabled: ${unavailableLabels.join(', ')}.`);
+    }
+
+    const advertised = description.info['x-seafront-features'];
+    const protocolFeatures = Array.isArray(advertised)
+        ? advertised.filter(feature => typeof feature === 'string')
+        : [];
+
+    return {
+        checked: true,
+        serverVersion,
+        versionSupported,
+        missingCoreEndpoints,
+        unavailableFeatures,
+        protocolFeatures,
+        messages,
+    };
+}
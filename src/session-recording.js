@@ -0,0 +1,556 @@
+"use strict";
+
+/**
+ * Recording of real server sessions, to debug the interface offline against exactly what a microscope sent.
+ *
+ * SessionRecorder captures the requests and responses of an APIClient and the frames of the connections of a
+ * WebSocketManager (including binary image frames), see APIClientOptions.recorder and
+ * WebSocketManagerOptions.recorder. The recording is saved as a session file (JSON), which MockAPIClient and
+ * MockWebSocketManager serve back in replay mode (see setMockReplaySession in mock-api-client.js):
+ * - requests get the recorded response for the same method and endpoint, preferring one with the same body,
+ *   in recorded order (the last one is repeated once all have been served)
+ * - image requests (see IMAGE_WS_ENDPOINT) get the recorded images of the same channel, in recorded order
+ * - on other connections, the server frames are sent with their recorded timing (on the mock clock), those
+ *   recorded after the n-th client frame once the client sent its n-th frame. Connections dropped by the
+ *   server are dropped again, the reconnect replays the next recorded connection to the same endpoint.
+ */
+
+import { IMAGE_WS_ENDPOINT, decodeImageFrame, encodeImageFrame } from "./image-client.js";
+
+/** format marker of session files */
+export const SESSION_FORMAT = 'seafront-session';
+/** version of the session file format, increased on incompatible changes */
+export const SESSION_VERSION = 1;
+
+/** url parameter that starts recording when the interface is loaded (to include the requests made at startup) */
+export const RECORD_SESSION_PARAM = 'record_session';
+
+/**
+ * default size limit (bytes) of a recording, recording stops once reached (streaming fills it in a few minutes,
+ * the recording is kept in memory until saved)
+ */
+export const DEFAULT_SESSION_MAX_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Frame data: text frames as text, binary frames base64 encoded
+ * @typedef {{text: string}|{base64: string}} SessionFrameData
+ */
+
+/**
+ * @typedef {Object} SessionHTTPEntry
+ * @property {'http'} type
+ * @property {number} t - Time (ms) since the start of the recording when the response was received
+ * @property {string} method
+ * @property {string} endpoint
+ * @property {string|null} request_body
+ * @property {number} status
+ * @property {string} status_text
+ * @property {string} response_body
+ */
+
+/**
+ * @typedef {Object} SessionWebSocketOpenEntry
+ * @property {'ws_open'} type
+ * @property {number} t
+ * @property {number} connection - Identifies the socket within the recording
+ * @property {string} name - Connection name (see WebSocketManager.createConnection)
+ * @property {string} endpoint
+ */
+
+/**
+ * @typedef {Object} SessionWebSocketFrameEntry
+ * @property {'ws_send'|'ws_message'} type - Sent by the client, or received from the server
+ * @property {number} t
+ * @property {number} connection
+ * @property {SessionFrameData} data
+ */
+
+/**
+ * @typedef {Object} SessionWebSocketCloseEntry
+ * @property {'ws_close'} type
+ * @property {number} t
+ * @property {number} connection
+ * @property {'client'|'server'} by - Closed on purpose by the client, or by the server (or the network)
+ */
+
+/**
+ * @typedef {SessionHTTPEntry|SessionWebSocketOpenEntry|SessionWebSocketFrameEntry|SessionWebSocketCloseEntry} SessionEntry
+ */
+
+/**
+ * @typedef {Object} SessionFile
+ * @property {typeof SESSION_FORMAT} format
+ * @property {number} version
+ * @property {string} recorded_at - ISO 8601 time the recording was started
+ * @property {string} server_url
+ * @property {SessionEntry[]} entries
+ */
+
+/**
+ * Frame data while recording, binary frames are only encoded when the session is saved
+ * @typedef {string|ArrayBuffer|null} RecordedFrame
+ */
+
+/**
+ * Size of recorded data, as counted against SessionRecorder.maxBytes
+ * @param {string|ArrayBuffer|null} data
+ * @returns {number} - bytes (characters for text)
+ */
+function recordedSize(data) {
+    if (data == null) return 0;
+    return typeof data === 'string' ? data.length : data.byteLength;
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function bufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // String.fromCharCode takes its arguments on the stack, so convert in chunks
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {ArrayBuffer}
+ */
+function base64ToBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * @param {SessionFrameData} data
+ * @returns {string|ArrayBuffer}
+ */
+export function decodeSessionFrame(data) {
+    return 'text' in data ? data.text : base64ToBuffer(data.base64);
+}
+
+/**
+ * Records the traffic of an APIClient and a WebSocketManager
+ */
+export class SessionRecorder {
+    /**
+     * @param {{maxBytes?: number}} [options] - maxBytes: size limit of a recording (see DEFAULT_SESSION_MAX_BYTES)
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes ?? DEFAULT_SESSION_MAX_BYTES;
+        /** size of the current recording (bytes, see recordedSize) */
+        this.bytes = 0;
+        /** whether the current recording was stopped because it reached maxBytes */
+        this.reachedMaxBytes = false;
+        this.isRecording = false;
+        this.startedAt = 0;
+        this.recordedAt = '';
+        this.serverUrl = '';
+        /** @type {(Omit<SessionEntry, 'data'> & {data?: SessionFrameData|RecordedFrame})[]} */
+        this.entries = [];
+        /** @type {WeakMap<object, {connection: number, name: string, endpoint: string}>} known sockets */
+        this.sockets = new WeakMap();
+        this.nextConnection = 1;
+        /** @type {Set<number>} sockets whose ws_open is part of the current recording */
+        this.recordedConnections = new Set();
+        /** @type {Set<() => void>} */
+        this.listeners = new Set();
+    }
+
+    /**
+     * Start a new recording (the previous one is discarded)
+     * @param {string} serverUrl - Url of the recorded server, for reference
+     * @returns {void}
+     */
+    start(serverUrl) {
+        this.entries = [];
+        this.bytes = 0;
+        this.reachedMaxBytes = false;
+        this.recordedConnections.clear();
+        this.serverUrl = serverUrl;
+        this.startedAt = performance.now();
+        this.recordedAt = new Date().toISOString();
+        this.isRecording = true;
+        this.notify();
+    }
+
+    /**
+     * Stop recording, the recording is kept until the next start
+     * @returns {void}
+     */
+    stop() {
+        this.isRecording = false;
+        this.notify();
+    }
+
+    /**
+     * Get notified when an entry is recorded, or recording starts or stops
+     * @param {() => void} listener
+     * @returns {() => void} - Removes the listener again
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Record a response (also error responses; requests without response are not recorded)
+     * @param {string} method
+     * @param {string} endpoint
+     * @param {string|null} requestBody
+     * @param {Response} response - Not consumed (a clone is read)
+     * @returns {Promise<void>}
+     */
+    async recordHTTP(method, endpoint, requestBody, response) {
+        if (!this.isRecording) return;
+        const responseBody = await response.clone().text();
+        this.push({
+            type: 'http',
+            method,
+            endpoint,
+            request_body: requestBody,
+            status: response.status,
+            status_text: response.statusText,
+            response_body: responseBody,
+        }, recordedSize(requestBody) + recordedSize(responseBody));
+    }
+
+    /**
+     * Record a new socket (sockets are tracked while not recording as well, so that a recording started later
+     * includes the connections open at that time)
+     * @param {WebSocket} ws
+     * @param {string} name
+     * @param {string} endpoint
+     * @returns {void}
+     */
+    recordWebSocketOpen(ws, name, endpoint) {
+        this.sockets.set(ws, { connection: this.nextConnection++, name, endpoint });
+        this.announce(ws);
+    }
+
+    /**
+     * Record a frame sent by the client
+     * @param {WebSocket} ws
+     * @param {string|ArrayBuffer|Uint8Array} data
+     * @returns {void}
+     */
+    recordWebSocketSend(ws, data) {
+        this.recordFrame('ws_send', ws, ArrayBuffer.isView(data) ? data.slice().buffer : data);
+    }
+
+    /**
+     * Record a frame received from the server
+     * @param {WebSocket} ws
+     * @param {string|ArrayBuffer|Blob} data
+     * @returns {void}
+     */
+    recordWebSocketMessage(ws, data) {
+        if (data instanceof Blob) {
+            // keep the position of the frame, the data is filled in once read
+            const entry = this.recordFrame('ws_message', ws, null, data.size);
+            data.arrayBuffer().then(buffer => {
+                if (entry) entry.data = buffer;
+            });
+            return;
+        }
+        this.recordFrame('ws_message', ws, data);
+    }
+
+    /**
+     * Record that a socket was closed
+     * @param {WebSocket} ws
+     * @param {'client'|'server'} by
+     * @returns {void}
+     */
+    recordWebSocketClose(ws, by) {
+        const connection = this.announce(ws);
+        this.sockets.delete(ws);
+        if (connection == null) return;
+        this.push({ type: 'ws_close', connection, by });
+    }
+
+    /**
+     * Serialize the recording into the session file format
+     * @returns {string}
+     */
+    encode() {
+        /** @type {SessionFile} */
+        const file = {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            recorded_at: this.recordedAt,
+            server_url: this.serverUrl,
+            entries: this.entries
+                // binary frames not read yet
+                .filter(entry => !('data' in entry) || entry.data != null)
+                .map(entry => {
+                    if (!('data' in entry)) return /** @type {SessionEntry} */ (entry);
+                    const data = entry.data;
+                    return /** @type {SessionEntry} */ ({
+                        ...entry,
+                        data: typeof data === 'string' ? { text: data }
+                            : data instanceof ArrayBuffer ? { base64: bufferToBase64(data) }
+                            : data,
+                    });
+                }),
+        };
+        return JSON.stringify(file);
+    }
+
+    /**
+     * @private
+     * @param {'ws_send'|'ws_message'} type
+     * @param {WebSocket} ws
+     * @param {RecordedFrame} data
+     * @param {number} [size] - Size of the data, if not known yet (see recordWebSocketMessage)
+     * @returns {{data?: SessionFrameData|RecordedFrame}|null} - The entry, null if not recorded
+     */
+    recordFrame(type, ws, data, size = recordedSize(data)) {
+        const connection = this.announce(ws);
+        if (connection == null) return null;
+        return this.push({ type, connection, data }, size);
+    }
+
+    /**
+     * Record the ws_open of a socket, unless already part of the recording
+     * @private
+     * @param {WebSocket} ws
+     * @returns {number|null} - Connection of the socket, null if not recording or the socket is unknown
+     */
+    announce(ws) {
+        const socket = this.sockets.get(ws);
+        if (!this.isRecording || !socket) return null;
+        if (!this.recordedConnections.has(socket.connection)) {
+            this.recordedConnections.add(socket.connection);
+            this.push({ type: 'ws_open', ...socket });
+        }
+        return socket.connection;
+    }
+
+    /**
+     * Record an entry, or stop recording if it would exceed maxBytes
+     * @private
+     * @param {*} entry - Entry without time
+     * @param {number} [size=0] - Size of the data of the entry (see recordedSize)
+     * @returns {*} - The entry, null if not recorded
+     */
+    push(entry, size = 0) {
+        if (!this.isRecording) return null;
+        if (this.bytes + size > this.maxBytes) {
+            console.warn(`session recording stopped: size limit of ${this.maxBytes} bytes reached`);
+            this.reachedMaxBytes = true;
+            this.stop();
+            return null;
+        }
+        const timed = { t: Math.round(performance.now() - this.startedAt), ...entry };
+        this.entries.push(timed);
+        this.bytes += size;
+        this.notify();
+        return timed;
+    }
+
+    /**
+     * @private
+     */
+    notify() {
+        for (const listener of this.listeners) {
+            try {
+                listener();
+            } catch (error) {
+                console.warn('session recorder listener failed:', error);
+            }
+        }
+    }
+}
+
+/** recorder of the connection to the server (see RECORD_SESSION_PARAM) */
+export const sessionRecorder = new SessionRecorder();
+
+/**
+ * Parse a session file
+ * @param {string} text
+ * @returns {SessionFile}
+ * @throws {Error} - If the file is not a (supported) session file
+ */
+export function decodeSession(text) {
+    /** @type {SessionFile} */
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`not a session file (invalid JSON: ${error instanceof Error ? error.message : error})`);
+    }
+    if (file?.format !== SESSION_FORMAT || !Array.isArray(file.entries)) {
+        throw new Error('not a session file');
+    }
+    if (file.version > SESSION_VERSION) {
+        throw new Error(`session file version ${file.version} is not supported (newest supported version is ${SESSION_VERSION})`);
+    }
+    return file;
+}
+
+/**
+ * Event of a recorded connection, in replay form
+ * @typedef {{type: 'send', t: number}|{type: 'message', t: number, data: string|ArrayBuffer}|{type: 'close', t: number}} ReplayEvent
+ */
+
+/**
+ * @typedef {Object} ReplayConnection
+ * @property {number} start - Time the connection was opened
+ * @property {ReplayEvent[]} events
+ */
+
+/**
+ * Recorded responses to image requests of one channel
+ * @typedef {Object} ReplayImageReplies
+ * @property {(string|ArrayBuffer)[]} replies
+ * @property {number} next - Index of the reply to serve next
+ */
+
+/**
+ * Serves a recorded session (used by the mock in replay mode)
+ */
+export class SessionReplay {
+    /**
+     * @param {SessionFile} session
+     */
+    constructor(session) {
+        this.session = session;
+
+        /** @type {Map<string, {entry: SessionHTTPEntry, served: boolean}[]>} responses by `${method} ${endpoint}` */
+        this.responses = new Map();
+        /** @type {Map<string, {recorded: ReplayConnection[], next: number}>} connections by endpoint */
+        this.connections = new Map();
+        /** @type {Map<string, ReplayImageReplies>} image replies by channel handle */
+        this.imageReplies = new Map();
+
+        /** @type {Map<number, ReplayConnection>} */
+        const connectionsById = new Map();
+        /** @type {Map<number, string>} */
+        const endpointByConnection = new Map();
+        /** @type {Map<string, string>} channel handle by `${connection} ${request_id}` */
+        const imageRequests = new Map();
+
+        for (const entry of session.entries) {
+            if (entry.type === 'http') {
+                const key = `${entry.method} ${entry.endpoint}`;
+                if (!this.responses.has(key)) this.responses.set(key, []);
+                this.responses.get(key)?.push({ entry, served: false });
+                continue;
+            }
+
+            if (entry.type === 'ws_open') {
+                /** @type {ReplayConnection} */
+                const connection = { start: entry.t, events: [] };
+                connectionsById.set(entry.connection, connection);
+                endpointByConnection.set(entry.connection, entry.endpoint);
+                if (!this.connections.has(entry.endpoint)) this.connections.set(entry.endpoint, { recorded: [], next: 0 });
+                this.connections.get(entry.endpoint)?.recorded.push(connection);
+                continue;
+            }
+
+            const events = connectionsById.get(entry.connection)?.events;
+            const endpoint = endpointByConnection.get(entry.connection);
+            if (!events || endpoint == null) continue;
+
+            if (endpoint === IMAGE_WS_ENDPOINT) {
+                if (entry.type === 'ws_send' && 'text' in entry.data) {
+                    const request = JSON.parse(entry.data.text);
+                    if (request.channel_handle) imageRequests.set(`${entry.connection} ${request.request_id}`, request.channel_handle);
+                } else if (entry.type === 'ws_message') {
+                    const data = decodeSessionFrame(entry.data);
+                    const requestId = imageReplyRequestId(data);
+                    const channelHandle = imageRequests.get(`${entry.connection} ${requestId}`);
+                    if (channelHandle == null) continue;
+                    if (!this.imageReplies.has(channelHandle)) this.imageReplies.set(channelHandle, { replies: [], next: 0 });
+                    this.imageReplies.get(channelHandle)?.replies.push(data);
+                }
+                continue;
+            }
+
+            if (entry.type === 'ws_send') {
+                events.push({ type: 'send', t: entry.t });
+            } else if (entry.type === 'ws_message') {
+                events.push({ type: 'message', t: entry.t, data: decodeSessionFrame(entry.data) });
+            } else if (entry.type === 'ws_close' && entry.by === 'server') {
+                events.push({ type: 'close', t: entry.t });
+            }
+        }
+    }
+
+    /**
+     * Recorded response to a request
+     * @param {string} method
+     * @param {string} endpoint
+     * @param {string|null} requestBody
+     * @returns {SessionHTTPEntry|null} - null if no response was recorded for the endpoint
+     */
+    nextResponse(method, endpoint, requestBody) {
+        const candidates = this.responses.get(`${method} ${endpoint}`);
+        if (!candidates || candidates.length === 0) return null;
+
+        const candidate = candidates.find(c => !c.served && c.entry.request_body === requestBody)
+            ?? candidates.find(c => !c.served)
+            ?? candidates[candidates.length - 1];
+        candidate.served = true;
+        return candidate.entry;
+    }
+
+    /**
+     * Events of the next recorded connection to an endpoint (not for IMAGE_WS_ENDPOINT, see nextImageReply).
+     * Times are relative to the opening of the connection. Once all connections have been replayed, the last one
+     * is replayed again.
+     * @param {string} endpoint
+     * @returns {ReplayEvent[]|null} - null if no connection to the endpoint was recorded
+     */
+    openConnection(endpoint) {
+        const connections = this.connections.get(endpoint);
+        if (!connections || connections.recorded.length === 0) return null;
+
+        const { start, events } = connections.recorded[Math.min(connections.next, connections.recorded.length - 1)];
+        connections.next++;
+        return events.map(event => ({ ...event, t: event.t - start }));
+    }
+
+    /**
+     * Recorded reply to an image request, with the request id replaced
+     * @param {import('./image-client.js').ImageRequestMessage} request
+     * @returns {string|ArrayBuffer} - A no_image reply if no image of the channel was recorded
+     */
+    nextImageReply(request) {
+        const recorded = request.channel_handle != null ? this.imageReplies.get(request.channel_handle) : undefined;
+        if (!recorded || recorded.replies.length === 0) {
+            return JSON.stringify({ request_id: request.request_id, status: 'no_image' });
+        }
+
+        const reply = recorded.replies[Math.min(recorded.next, recorded.replies.length - 1)];
+        recorded.next++;
+        if (typeof reply === 'string') {
+            return JSON.stringify({ ...JSON.parse(reply), request_id: request.request_id });
+        }
+        const { header, pixels } = decodeImageFrame(reply);
+        return encodeImageFrame({ ...header, request_id: request.request_id }, pixels);
+    }
+}
+
+/**
+ * request_id of a reply on IMAGE_WS_ENDPOINT
+ * @param {string|ArrayBuffer} data
+ * @returns {string|null} - null if the reply cannot be read
+ */
+function imageReplyRequestId(data) {
+    try {
+        const reply = typeof data === 'string' ? JSON.parse(data) : decodeImageFrame(data).header;
+        return reply.request_id != null ? `${reply.request_id}` : null;
+    } catch (error) {
+        return null;
+    }
+}
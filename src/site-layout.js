@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * Site layouts: where in a well the sites are imaged.
+ *
+ * By default, every well is imaged at the selected sites of AcquisitionConfig.grid (num_x × num_y, mask).
+ * A different layout can be set for all wells (AcquisitionConfig.grid.layout), and for single wells
+ * (PlateWellConfig.site_layout, which takes precedence):
+ * - grid: the sites of AcquisitionConfig.grid (same as no layout)
+ * - concentric: sites on concentric rings around the well center, as many as fit into the well
+ *   (the well being a rectangle of Well_size_x_mm × Well_size_y_mm with corners of radius Well_edge_radius_mm,
+ *   so a circle for round wells)
+ * - free: sites at arbitrary positions, e.g. placed on the plate view
+ *
+ * Site positions are offsets of the site center from the well center, in backend coordinates
+ * (x to the right, y down, like rows and columns of the plate).
+ * Sites of concentric and free layouts are numbered in a single row (col = index, row = 0),
+ * which is what site_x and site_y of images taken at them refer to.
+ */
+
+/** layout of wells without a layout */
+export const DEFAULT_SITE_LAYOUT = /** @type {GridSiteLayout} */ ({ kind: 'grid' });
+
+/**
+ * @typedef {Object} LayoutSite
+ * @property {number} col - Site column (index for layouts other than grid)
+ * @property {number} row - Site row (0 for layouts other than grid)
+ * @property {number} x_mm - Offset of the site center from the well center
+ * @property {number} y_mm - Offset of the site center from the well center
+ * @property {boolean} selected - Whether the site is imaged (only grid sites can be deselected, in the grid mask)
+ */
+
+/**
+ * Layout of a well
+ * @param {AcquisitionConfig} config
+ * @param {PlateWellConfig} well
+ * @returns {SiteLayout}
+ */
+export function wellSiteLayout(config, well) {
+    return well.site_layout ?? config.grid.layout ?? DEFAULT_SITE_LAYOUT;
+}
+
+/**
+ * Whether any well of a config is imaged with a layout other than the grid
+ * @param {AcquisitionConfig} config
+ * @returns {boolean}
+ */
+export function hasCustomSiteLayouts(config) {
+    return config.plate_wells.some(well => well.selected && wellSiteLayout(config, well).kind !== 'grid');
+}
+
+/**
+ * Whether a point lies in a rectangle with rounded corners, centered at the origin
+ * @param {number} x
+ * @param {number} y
+ * @param {number} halfWidth
+ * @param {number} halfHeight
+ * @param {number} cornerRadius
+ * @returns {boolean}
+ */
+function inRoundedRect(x, y, halfWidth, halfHeight, cornerRadius) {
+    const ax = Math.abs(x);
+    const ay = Math.abs(y);
+    if (ax > halfWidth || ay > halfHeight) return false;
+
+    const cx = halfWidth - cornerRadius;
+    const cy = halfHeight - cornerRadius;
+    if (ax > cx && ay > cy) {
+        return Math.hypot(ax - cx, ay - cy) <= cornerRadius;
+    }
+    return true;
+}
+
+/**
+ * Sites of a concentric layout, ordered from the center outwards (and counterclockwise on screen within a ring)
+ * @param {ConcentricSiteLayout} layout
+ * @param {Wellplate} plate
+ * @returns {{x_mm: number, y_mm: number}[]}
+ */
+function concentricSites(layout, plate) {
+    if (!(layout.spacing_mm > 0)) {
+        throw new Error(`invalid concentric site layout: spacing_mm must be > 0 (is ${layout.spacing_mm})`);
+    }
+
+    // area the site centers have to be in
+    const margin = Math.max(0, layout.margin_mm);
+    const halfWidth = plate.Well_size_x_mm / 2 - margin;
+    const halfHeight = plate.Well_size_y_mm / 2 - margin;
+    if (halfWidth < 0 || halfHeight < 0) return [];
+    const cornerRadius = Math.max(0, Math.min(plate.Well_edge_radius_mm - margin, halfWidth, halfHeight));
+
+    /** @type {{x_mm: number, y_mm: number}[]} */
+    const sites = [{ x_mm: 0, y_mm: 0 }];
+    const maxRadius = Math.hypot(halfWidth, halfHeight);
+    for (let ring = 1; ring * layout.spacing_mm <= maxRadius; ring++) {
+        const radius = ring * layout.spacing_mm;
+        // sites on a ring are (about) as far apart as the rings
+        const numSites = Math.max(1, Math.floor(2 * Math.PI * radius / layout.spacing_mm));
+        for (let i = 0; i < numSites; i++) {
+            const angle = 2 * Math.PI * i / numSites;
+            // round off floating point noise, so that positions serialize nicely
+            const x_mm = Math.round(radius * Math.cos(angle) * 1e6) / 1e6;
+            const y_mm = -Math.round(radius * Math.sin(angle) * 1e6) / 1e6;
+            if (inRoundedRect(x_mm, y_mm, halfWidth, halfHeight, cornerRadius)) {
+                sites.push({ x_mm, y_mm });
+            }
+        }
+    }
+    return sites;
+}
+
+/**
+ * Sites of a layout
+ * @param {SiteLayout} layout
+ * @param {AcquisitionWellSiteConfiguration} grid - Used by the grid layout
+ * @param {Wellplate} plate
+ * @returns {LayoutSite[]} - Includes sites deselected in the grid mask
+ * @throws {Error} - If the layout is invalid
+ */
+export function layoutSites(layout, grid, plate) {
+    switch (layout.kind) {
+        case 'grid':
+            // same as the protocol runner of the server, see calculateSitePositionPython
+            return grid.mask.map(site => ({
+                col: site.col,
+                row: site.row,
+                x_mm: (site.col - (grid.num_x - 1) / 2) * grid.delta_x_mm,
+                y_mm: (site.row - (grid.num_y - 1) / 2) * grid.delta_y_mm,
+                selected: site.selected,
+            }));
+        case 'concentric':
+            return concentricSites(layout, plate).map((site, index) => ({ col: index, row: 0, ...site, selected: true }));
+        case 'free':
+            return layout.sites.map((site, index) => ({ col: index, row: 0, x_mm: site.x_mm, y_mm: site.y_mm, selected: true }));
+        default:
+            throw new Error(`unknown site layout '${/** @type {{kind: unknown}} */ (layout).kind}'`);
+    }
+}
+
+/**
+ * Sites of a well
+ * @param {AcquisitionConfig} config
+ * @param {PlateWellConfig} well
+ * @returns {LayoutSite[]} - Includes sites deselected in the grid mask
+ * @throws {Error} - If the layout of the well is invalid
+ */
+export function wellSites(config, well) {
+    return layoutSites(wellSiteLayout(config, well), config.grid, config.wellplate_type);
+}
+
+/**
+ * Center of a well
+ * @param {Wellplate} plate
+ * @param {number} col
+ * @param {number} row
+ * @returns {{x_mm: number, y_mm: number}} - Backend coordinates
+ */
+export function wellCenterMm(plate, col, row) {
+    return {
+        x_mm: plate.Offset_A1_x_mm + col * plate.Well_distance_x_mm + plate.Well_size_x_mm / 2,
+        y_mm: plate.Offset_A1_y_mm + row * plate.Well_distance_y_mm + plate.Well_size_y_mm / 2,
+    };
+}
@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ * Status subscription protocol, spoken on STATUS_WS_ENDPOINT.
+ *
+ * Instead of requesting every status update, the client declares how often it wants updates,
+ * and which fields of CoreCurrentState it is interested in:
+ *
+ * client -> server: `{"type": "subscribe", "rate_hz": 30, "fields": ["adapter_state", "is_busy"]}`
+ * - rate_hz: maximum number of updates per second (0 pauses updates)
+ * - fields: top level fields of CoreCurrentState to include (null = all fields)
+ *
+ * server -> client:
+ * - acknowledgement: `{"type": "subscribed", "rate_hz": 30, "fields": [...]}`
+ * - status updates: the first update after a subscription contains all fields,
+ *   later updates contain (at least) the subscribed fields, and are merged into the previous state.
+ *
+ * Servers that do not know about subscriptions reply to any message with one full status update.
+ * If no acknowledgement arrives, the client falls back to requesting updates at the subscribed rate.
+ */
+export const STATUS_WS_ENDPOINT = '/ws/get_info/current_state';
+
+/**
+ * @typedef {Object} StatusSubscriptionOptions
+ * @property {number} rateHz - Maximum number of updates per second (0 = paused)
+ * @property {(keyof CoreCurrentState)[]|null} fields - Fields to receive (null = all)
+ */
+
+/**
+ * @typedef {Object} StatusSubscribeMessage
+ * @property {'subscribe'} type
+ * @property {number} rate_hz
+ * @property {(keyof CoreCurrentState)[]|null} fields
+ */
+
+/** fields required to animate stage movement */
+export const STAGE_MOVEMENT_FIELDS = /** @type {(keyof CoreCurrentState)[]} */ ([
+    'adapter_state',
+    'is_busy',
+    'is_streaming',
+    'current_acquisition_id',
+]);
+
+/** update rates (Hz) used by statusSubscriptionFor */
+export const STATUS_UPDATE_RATES = {
+    /** while the stage is moving, or images are being streamed */
+    active: 30,
+    /** visible, but nothing is happening */
+    idle: 10,
+    /** browser tab is hidden */
+    hidden: 1,
+};
+
+/**
+ * The subscription the interface needs in its current situation.
+ * @param {{hidden: boolean, state: CoreCurrentState|null}} situation
+ * @returns {StatusSubscriptionOptions}
+ */
+export function statusSubscriptionFor({ hidden, state }) {
+    if (hidden) {
+        return { rateHz: STATUS_UPDATE_RATES.hidden, fields: null };
+    }
+    if (state?.is_streaming) {
+        return { rateHz: STATUS_UPDATE_RATES.active, fields: null };
+    }
+    // only the stage is moving: skip images and errors, which do not change meanwhile
+    if (state?.is_busy && state.current_acquisition_id == null) {
+        return { rateHz: STATUS_UPDATE_RATES.active, fields: STAGE_MOVEMENT_FIELDS };
+    }
+    return { rateHz: STATUS_UPDATE_RATES.idle, fields: null };
+}
+
+/**
+ * Keeps a status subscription on a WebSocket connection, and merges partial updates into the full status.
+ */
+export class StatusSubscription {
+    /**
+     * @param {import('./api-client.js').WebSocketManager} wsManager
+     * @param {{connectionName?: string, ackTimeoutMs?: number}} [options]
+     */
+    constructor(wsManager, options = {}) {
+        this.wsManager = wsManager;
+        this.connectionName = options.connectionName ?? 'status';
+        /** time (ms) to wait for the subscription acknowledgement, before falling back to polling */
+        this.ackTimeoutMs = options.ackTimeoutMs ?? 1000;
+
+        /** @type {StatusSubscriptionOptions} */
+        this.options = { rateHz: STATUS_UPDATE_RATES.idle, fields: null };
+        /**
+         * whether the server pushes updates (null = unknown, waiting for acknowledgement)
+         * @type {boolean|null}
+         */
+        this.pushSupported = null;
+        /**
+         * last full status, partial updates are merged into this
+         * @type {CoreCurrentState|null}
+         */
+        this.state = null;
+
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this.ackTimer = null;
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this.pollTimer = null;
+    }
+
+    /**
+     * Change the subscription. Does nothing if the subscription did not change.
+     * @param {StatusSubscriptionOptions} options
+     * @returns {void}
+     */
+    update(options) {
+        if (options.rateHz === this.options.rateHz
+            && JSON.stringify(options.fields) === JSON.stringify(this.options.fields)) {
+            return;
+        }
+        this.options = { ...options };
+
+        if (this.pushSupported === false) {
+            // restart polling at the new rate
+            this.schedulePoll(0);
+        } else {
+            this.sendSubscription();
+        }
+    }
+
+    /**
+     * (Re-)start the subscription on a freshly opened connection.
+     * @param {StatusSubscriptionOptions} options
+     * @returns {void}
+     */
+    start(options) {
+        this.stop();
+        this.options = { ...options };
+        this.pushSupported = null;
+        this.state = null;
+
+        this.sendSubscription();
+        // legacy servers reply to the subscription with a full status, but never acknowledge it
+        this.ackTimer = setTimeout(() => {
+            this.ackTimer = null;
+            if (this.pushSupported !== null) return;
+            console.warn('server does not support status subscriptions, requesting status updates instead');
+            this.pushSupported = false;
+            this.schedulePoll(0);
+        }, this.ackTimeoutMs);
+    }
+
+    /**
+     * Stop polling (e.g. when the connection closes).
+     * @returns {void}
+     */
+    stop() {
+        if (this.ackTimer != null) {
+            clearTimeout(this.ackTimer);
+            this.ackTimer = null;
+        }
+        if (this.pollTimer != null) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Handle a message received on the status connection.
+     * @param {Record<string, unknown>} message - Parsed message
+     * @returns {CoreCurrentState|Record<string, unknown>|null} - The merged status, or null for control messages
+     */
+    handleMessage(message) {
+        if (message.type === 'subscribed') {
+            this.pushSupported = true;
+            if (this.ackTimer != null) {
+                clearTimeout(this.ackTimer);
+                this.ackTimer = null;
+            }
+            return null;
+        }
+
+        const state = this.state ? { ...this.state, ...message } : message;
+        this.state = /** @type {CoreCurrentState} */ (state);
+        return state;
+    }
+
+    /**
+     * @private
+     * @returns {void}
+     */
+    sendSubscription() {
+        /** @type {StatusSubscribeMessage} */
+        const message = {
+            type: 'subscribe',
+            rate_hz: this.options.rateHz,
+            fields: this.options.fields,
+        };
+        this.wsManager.sendJSON(this.connectionName, message);
+    }
+
+    /**
+     * Request a status update after delayMs, then keep requesting them at the subscribed rate.
+     * @private
+     * @param {number} delayMs
+     * @returns {void}
+     */
+    schedulePoll(delayMs) {
+        if (this.pollTimer != null) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.options.rateHz <= 0) return;
+
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            if (this.wsManager.isConnected(this.connectionName)) {
+                // send arbitrary message to receive status update
+                this.wsManager.send(this.connectionName, "info");
+            }
+            this.schedulePoll(1000 / this.options.rateHz);
+        }, delayMs);
+    }
+}
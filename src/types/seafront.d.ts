@@ -40,8 +40,9 @@ declare global {
         channel: AcquisitionChannelConfig;
         height_px: int;
         width_px: int;
-        storage_path: string | undefined;
-        position: AdapterPosition;
+        storage_path: string | null | undefined;
+        /** site position (containing the stage position) for images taken by the server */
+        position: SitePosition | AdapterPosition;
         timestamp: float;
     };
 
@@ -56,7 +57,7 @@ declare global {
         latest_imgs: {
             [channel_handle: string]: ChannelInfo;
         };
-        current_acquisition_id: string | undefined;
+        current_acquisition_id: string | null | undefined;
         is_streaming: boolean;
         is_busy: boolean;
         microscope_name: string;
@@ -73,6 +74,27 @@ declare global {
         col: int;
         selected: boolean;
     };
+    /** sites of the grid (num_x, num_y, mask), see site-layout.js */
+    type GridSiteLayout = {
+        kind: "grid";
+    };
+    /** sites on concentric rings around the well center, as many as fit into the well */
+    type ConcentricSiteLayout = {
+        kind: "concentric";
+        /** distance between rings, and between sites on a ring */
+        spacing_mm: float;
+        /** minimum distance of site centers from the well edge */
+        margin_mm: float;
+    };
+    /** sites at arbitrary positions, relative to the well center */
+    type FreeSiteLayout = {
+        kind: "free";
+        sites: {
+            x_mm: float;
+            y_mm: float;
+        }[];
+    };
+    type SiteLayout = GridSiteLayout | ConcentricSiteLayout | FreeSiteLayout;
     type AcquisitionWellSiteConfiguration = {
         num_x: int;
         delta_x_mm: float;
@@ -85,11 +107,15 @@ declare global {
             s: float;
         };
         mask: AcquisitionWellSiteConfigurationSiteSelectionItem[];
+        /** layout of all wells (grid if missing) */
+        layout?: SiteLayout | null;
     };
     type PlateWellConfig = {
         row: int;
         col: int;
         selected: boolean;
+        /** layout of this well, overrides grid.layout */
+        site_layout?: SiteLayout | null;
     };
 
     // Acquisition configuration
@@ -176,6 +202,8 @@ declare global {
     type MicroscopeCacheData = {
         interface_settings?: CachedInterfaceSettings;
         microscope_config?: CachedMicroscopeConfig;
+        /** server the microscope was last connected through */
+        server_url?: string;
     };
 
     type Wellplate = {
@@ -161,6 +161,18 @@ declare module "three" {
         constructor(geo: Geometry, mat: Material, n: number);
 
         setMatrixAt(index: number, mat: Matrix4): void;
+        /** per instance colors (multiplied with the material color), created by the first setColorAt */
+        setColorAt(index: number, color: Color): void;
+        get instanceColor(): BufferAttribute | null;
+
+        /** number of instances drawn (at most the max number of instances) */
+        count: number;
+    }
+
+    class Group extends Object3D {
+        constructor();
+
+        get children(): Object3D[];
     }
 
     class Mesh extends Object3D {
@@ -179,6 +191,8 @@ declare module "three" {
     }
     class BufferAttribute {
         constructor(data: Float32Array | Uint32Array, items_per_element: number);
+
+        set needsUpdate(flag: boolean);
     }
     class BufferGeometry extends Geometry {
         constructor();
@@ -210,11 +224,14 @@ declare module "three" {
     class ShaderMaterial extends Material {
         constructor(args: {
             uniforms?: {
-                uTexture?: { value: Texture }
+                [name: string]: { value: Texture | number }
             },
             vertexShader: string,
             fragmentShader: string,
+            transparent?: boolean,
         });
+
+        uniforms: { [name: string]: { value: Texture | number } };
     }
 
     // 5. Create a simple quad (a PlaneGeometry) on which the texture is drawn.
@@ -274,6 +291,8 @@ declare module "three" {
 
         /** compose model matrix in place */
         compose(translate: Vector3, rotate: Quaternion, scale: Vector3): void;
+        /** set to a translation matrix, in place */
+        makeTranslation(x: number, y: number, z: number): this;
     }
     class Quaternion extends Matrix {
         constructor();
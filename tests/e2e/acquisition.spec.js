@@ -0,0 +1,37 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, setUpSmallAcquisition } from "./interface.js";
+
+test('an acquisition runs to completion', async ({ page }) => {
+    // three time points, 30 s apart on the microscope, take a few seconds
+    const state = await openInterface(page, { mock_speedup: '10' });
+    await setUpSmallAcquisition(state, { num_t: 3, delta_t_s: 30 });
+    const progress = page.locator('#acquisition-progress-bar > span');
+    await expect(progress).toContainText('not running');
+
+    await page.getByRole('button', { name: 'Start', exact: true }).click();
+    await expect(progress).toHaveText(/^\s*running\b/);
+    await expect(page.getByRole('button', { name: 'Cancel', exact: true })).toBeEnabled();
+
+    // the final status is only shown for a moment, until the microscope reports that no acquisition is running
+    await expect(progress).toHaveText(/^\s*completed\b[\s\S]*100\.00%/, { timeout: 30_000 });
+    await expect(progress).toContainText('not running');
+    await expect(page.getByRole('button', { name: 'Start', exact: true })).toBeEnabled();
+    expect(await state.evaluate(s => s.centralError.show)).toBe(false);
+});
+
+test('a running acquisition can be cancelled', async ({ page }) => {
+    const state = await openInterface(page);
+    await setUpSmallAcquisition(state, { num_t: 10, delta_t_s: 60 });
+    const progress = page.locator('#acquisition-progress-bar > span');
+
+    await page.getByRole('button', { name: 'Start', exact: true }).click();
+    await expect(progress).toHaveText(/^\s*running\b/);
+
+    await page.getByRole('button', { name: 'Cancel', exact: true }).click();
+    await expect(progress).toHaveText(/^\s*cancelled\b/);
+    await expect(progress).toContainText('not running');
+    expect(await state.evaluate(s => s.centralError.show)).toBe(false);
+});
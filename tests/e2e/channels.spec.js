@@ -0,0 +1,20 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, openTab } from "./interface.js";
+
+test('channels are reordered by dragging their handle', async ({ page }) => {
+    const state = await openInterface(page);
+    await openTab(page, 'Lighting and Focus');
+    const rows = page.locator('.channel-config-row-container');
+    const names = rows.locator('.channel-config-row-name label');
+    await expect(names).toHaveText(['Brightfield', 'GFP (488nm)', 'DAPI (405nm)']);
+
+    // drop the last channel onto the first one
+    await rows.nth(2).locator('.drag-handle').dragTo(rows.nth(0));
+
+    await expect(names).toHaveText(['DAPI (405nm)', 'Brightfield', 'GFP (488nm)']);
+    const handles = await state.evaluate(s => s.microscope_config.channels.map((/** @type {any} */ channel) => channel.handle));
+    expect(handles).toEqual(['fluo405', 'bfled', 'fluo488']);
+});
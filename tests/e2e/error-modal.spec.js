@@ -0,0 +1,34 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, openTab } from "./interface.js";
+
+test('errors of the microscope are shown in the error modal', async ({ page }) => {
+    // see MOCK_FAULTS_PARAM in src/mock-faults.js
+    await openInterface(page, { mock_faults: 'server_error:/api/action/laser_autofocus_calibrate,detail=laser not found,count=1' });
+    const modal = page.locator('#error-modal');
+    await expect(modal).toBeHidden();
+
+    await openTab(page, 'Lighting and Focus');
+    await page.locator('#laser-autofocus-controls').getByRole('button', { name: 'Set here' }).click();
+
+    await expect(modal).toBeVisible();
+    await expect(page.locator('#error-modal-message')).toContainText('laser not found');
+    await page.locator('#error-modal-ok').click();
+    await expect(modal).toBeHidden();
+});
+
+test('an acquisition that cannot start is reported in the error modal', async ({ page }) => {
+    // no wells are selected in the default config
+    await openInterface(page);
+    const modal = page.locator('#error-modal');
+
+    await page.getByRole('button', { name: 'Start', exact: true }).click();
+
+    await expect(modal).toBeVisible();
+    await expect(page.locator('#error-modal-title')).toHaveText('Acquisition Start Failed');
+    await expect(page.locator('#error-modal-message')).toContainText('No wells selected');
+    await page.locator('#error-modal-close').click();
+    await expect(modal).toBeHidden();
+});
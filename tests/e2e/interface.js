@@ -0,0 +1,118 @@
+// @ts-check
+"use strict";
+
+/**
+ * Helpers to open and drive the interface in the end-to-end tests.
+ */
+
+import { expect } from "@playwright/test";
+
+/** the mock clock starts at a fixed time, so that the times the interface shows are the same in every run */
+export const MOCK_START_TIME = '2024-01-01T08:00:00Z';
+
+/**
+ * @typedef {import('@playwright/test').Page} Page
+ * @typedef {import('@playwright/test').JSHandle<any>} InterfaceState
+ */
+
+/**
+ * Open the interface in mock mode, and wait until it has loaded
+ * @param {Page} page
+ * @param {Record<string, string>} [params] - Additional url parameters, e.g. mock_speedup or mock_faults
+ * @returns {Promise<InterfaceState>} - The Alpine.js component of the interface (microscope_state in src/init.js),
+ *     e.g. to set up a config, or to check what the interface did
+ */
+export async function openInterface(page, params = {}) {
+    const search = new URLSearchParams({ mock: '', mock_seed: '1', mock_start_time: MOCK_START_TIME, ...params });
+    await page.goto(`/index.html?${search}`);
+    await expect(page.locator('#loadingscreen')).toBeHidden();
+    // Alpine.js keeps the data of a component on its element
+    return page.evaluateHandle(() => /** @type {any} */ (document.body)._x_dataStack[0]);
+}
+
+/**
+ * Show a tab (the tab bars are created by src/tabs.js)
+ * @param {Page} page
+ * @param {string} name - tabname of the tab
+ */
+export async function openTab(page, name) {
+    await page.locator('.tabheader', { hasText: new RegExp(`^${name}$`) }).click();
+}
+
+/**
+ * Well in the well selector of the acquisition config
+ * @param {Page} page
+ * @param {string} name - e.g. 'B02'
+ */
+export function wellSelectorWell(page, name) {
+    return page.locator(`#wellcontainer .well[tooltip="Well ${name}"]`);
+}
+
+/**
+ * Set up a small acquisition: the center site of well B02, with the first channel only
+ * @param {InterfaceState} state
+ * @param {{num_t?: number, delta_t_s?: number}} [timeSeries] - Number of time points, and the time between them
+ */
+export async function setUpSmallAcquisition(state, { num_t = 1, delta_t_s = 0 } = {}) {
+    await state.evaluate((s, { num_t, delta_t_s }) => {
+        const config = s.microscope_config;
+        for (const well of config.plate_wells) {
+            well.selected = well.col === 1 && well.row === 1;
+        }
+        for (const site of config.grid.mask) {
+            site.selected = site.col === 1 && site.row === 1;
+        }
+        config.channels.forEach((/** @type {any} */ channel, /** @type {number} */ index) => {
+            channel.enabled = index === 0;
+        });
+        config.grid.num_t = num_t;
+        config.grid.delta_t = { h: 0, m: Math.floor(delta_t_s / 60), s: delta_t_s % 60 };
+        config.autofocus_enabled = false;
+    }, { num_t, delta_t_s });
+}
+
+/**
+ * Status of the acquisition, as shown by the interface
+ * @param {InterfaceState} state
+ * @returns {Promise<string|null>} - e.g. 'running', 'completed' or 'cancelled', null if no acquisition was started
+ */
+export function acquisitionStatus(state) {
+    return state.evaluate(s => s.latest_acquisition_status?.acquisition_status ?? null);
+}
+
+/**
+ * Position in the page of a point on the plate view, e.g. to click there
+ * @param {InterfaceState} state
+ * @param {{x_mm: number, y_mm: number}} point - Backend coordinates
+ * @returns {Promise<{x: number, y: number}>}
+ */
+export function plateViewPosition(state, point) {
+    // inverse of PlateNavigator.mouseToPlateCoordinates
+    return state.evaluate((s, { x_mm, y_mm }) => {
+        const navigator = s.plateNavigator;
+        const rect = navigator.renderer.domElement.getBoundingClientRect();
+        const camera = navigator.camera;
+        const display_y = navigator.plate.Width_mm - y_mm;
+        return {
+            x: rect.left + (x_mm - camera.left) / (camera.right - camera.left) * rect.width,
+            y: rect.top + (1 - (display_y - camera.bottom) / (camera.top - camera.bottom)) * rect.height,
+        };
+    }, point);
+}
+
+/**
+ * Center of a well, in backend coordinates
+ * @param {InterfaceState} state
+ * @param {number} col
+ * @param {number} row
+ * @returns {Promise<{x_mm: number, y_mm: number}>}
+ */
+export function wellCenter(state, col, row) {
+    return state.evaluate((s, { col, row }) => {
+        const plate = s.microscope_config.wellplate_type;
+        return {
+            x_mm: plate.Offset_A1_x_mm + col * plate.Well_distance_x_mm + plate.Well_size_x_mm / 2,
+            y_mm: plate.Offset_A1_y_mm + row * plate.Well_distance_y_mm + plate.Well_size_y_mm / 2,
+        };
+    }, { col, row });
+}
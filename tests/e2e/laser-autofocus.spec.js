@@ -0,0 +1,26 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, openTab } from "./interface.js";
+
+test('the laser autofocus is calibrated at the current position', async ({ page }) => {
+    const state = await openInterface(page);
+    await openTab(page, 'Lighting and Focus');
+    const controls = page.locator('#laser-autofocus-controls');
+    const reference = controls.locator('span').nth(0);
+    const offset = controls.locator('span').nth(1);
+    await expect(reference).toHaveText('(none set)');
+    await expect(offset).toHaveText('(not measured)');
+
+    await controls.getByRole('button', { name: 'Set here' }).click();
+
+    const z_mm = await state.evaluate(async s => (await s.api.post('/api/get_info/current_state', {})).adapter_state.stage_position.z_pos_mm);
+    await expect(reference).toHaveText(`set at z = ${z_mm.toFixed(3)}`);
+    expect(await state.evaluate(s => s.getMachineConfigItem('laser.autofocus.calibration.is_calibrated').value)).toBe('yes');
+
+    // measuring the offset needs the calibration
+    await controls.getByRole('button', { name: 'Measure' }).click();
+    await expect(offset).not.toHaveText('(not measured)');
+    expect(await state.evaluate(s => s.centralError.show)).toBe(false);
+});
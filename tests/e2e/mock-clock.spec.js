@@ -0,0 +1,42 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, setUpSmallAcquisition } from "./interface.js";
+
+// see setMockAcquisitionSpeedup in src/mock-api-client.js and src/mock-clock.js
+test('the acquisition speedup applies on top of the rate of the mock clock', async ({ page }) => {
+    const state = await openInterface(page, { mock_clock: '10', mock_speedup: '6' });
+    // three time points, a minute apart on the microscope
+    await setUpSmallAcquisition(state, { num_t: 3, delta_t_s: 60 });
+
+    // measured in the page, so that the round trips of the test do not add to the times
+    const times = await state.evaluate(async s => {
+        const { mockClock } = await import('/src/mock-clock.js');
+        const { acquisition_id } = await s.acquisition_start();
+        const realStart = performance.now();
+        const mockStart = mockClock.now();
+        let status;
+        do {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            status = await s.api.post('/api/acquisition/status', { acquisition_id });
+        } while (status.acquisition_status === 'running');
+        return {
+            status: status.acquisition_status,
+            real_s: (performance.now() - realStart) / 1000,
+            mock_s: (mockClock.now() - mockStart) / 1000,
+            reported_s: status.acquisition_progress.time_since_start_s,
+        };
+    });
+
+    expect(times.status).toBe('completed');
+    // the microscope takes (a little more than) the two minutes between the time points
+    expect(times.reported_s).toBeGreaterThanOrEqual(120);
+    expect(times.reported_s).toBeLessThan(130);
+    // the speedup shortens them to 20 s of mock time
+    expect(times.mock_s / times.reported_s).toBeGreaterThan(1 / 6 * 0.9);
+    expect(times.mock_s / times.reported_s).toBeLessThan(1 / 6 * 1.1);
+    // which pass 10 times as fast as real time
+    expect(times.mock_s / times.real_s).toBeGreaterThan(10 * 0.9);
+    expect(times.mock_s / times.real_s).toBeLessThan(10 * 1.1);
+});
@@ -0,0 +1,40 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, openTab, wellSelectorWell } from "./interface.js";
+
+test('a protocol is stored, and loaded again', async ({ page }) => {
+    const state = await openInterface(page);
+    const projectName = page.locator('input[x-model="microscope_config.project_name"]');
+    await openTab(page, 'Acquisition Control');
+    await projectName.fill('e2e project');
+    await wellSelectorWell(page, 'D05').click();
+    await expect(wellSelectorWell(page, 'D05')).toHaveClass(/selected/);
+
+    await openTab(page, 'Protocols');
+    await page.locator('input[x-model="configStore_filename"]').fill('e2e-protocol.json');
+    await page.getByRole('button', { name: 'Save', exact: true }).click();
+    const protocolRow = page.locator('#protocol-container > div', { has: page.getByText('e2e-protocol.json', { exact: true }) });
+    await expect(protocolRow).toHaveCount(1);
+    await expect(protocolRow).toContainText('e2e project');
+
+    // change the config, loading the protocol restores it
+    await state.evaluate(s => {
+        s.microscope_config.project_name = 'changed';
+        for (const well of s.microscope_config.plate_wells) {
+            well.selected = false;
+        }
+    });
+    await openTab(page, 'Acquisition Control');
+    await expect(projectName).toHaveValue('changed');
+    await expect(wellSelectorWell(page, 'D05')).not.toHaveClass(/selected/);
+
+    await openTab(page, 'Protocols');
+    await protocolRow.getByRole('button', { name: 'Load' }).click();
+
+    await openTab(page, 'Acquisition Control');
+    await expect(projectName).toHaveValue('e2e project');
+    await expect(wellSelectorWell(page, 'D05')).toHaveClass(/selected/);
+    await expect(page.locator('#wellcontainer .well.selected')).toHaveCount(1);
+});
@@ -0,0 +1,32 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, openTab } from "./interface.js";
+
+test('streaming is started and stopped', async ({ page }) => {
+    const state = await openInterface(page);
+    await openTab(page, 'Lighting and Focus');
+    const start = page.getByRole('button', { name: 'start', exact: true });
+    const stop = page.getByRole('button', { name: 'stop', exact: true });
+    const channelHandle = await page.locator('#live-channel-selection').inputValue();
+    /** @returns {Promise<string|null>} */
+    const latestImageTimestamp = () => state.evaluate((s, handle) => s.state.latest_imgs?.[handle]?.timestamp ?? null, channelHandle);
+
+    await expect(stop).toBeDisabled();
+    await start.click();
+    await expect(stop).toBeEnabled();
+    await expect(start).toBeDisabled();
+
+    // images keep coming in while streaming
+    const firstTimestamp = await latestImageTimestamp();
+    await expect.poll(latestImageTimestamp).not.toBe(firstTimestamp);
+    const secondTimestamp = await latestImageTimestamp();
+    await expect.poll(latestImageTimestamp).not.toBe(secondTimestamp);
+
+    await stop.click();
+    await expect(start).toBeEnabled();
+    expect(await state.evaluate(s => s.isStreaming)).toBe(false);
+    const current = await state.evaluate(s => s.api.post('/api/get_info/current_state', {}));
+    expect(current.is_streaming).toBe(false);
+});
@@ -0,0 +1,94 @@
+// @ts-check
+"use strict";
+
+import { test, expect } from "@playwright/test";
+import { openInterface, openTab, plateViewPosition, wellCenter, wellSelectorWell } from "./interface.js";
+
+test('dragging over the well selector selects a range of wells', async ({ page }) => {
+    const state = await openInterface(page);
+    await openTab(page, 'Acquisition Control');
+    await expect(page.locator('#wellcontainer .well.selected')).toHaveCount(0);
+
+    await wellSelectorWell(page, 'B02').hover();
+    await page.mouse.down();
+    await wellSelectorWell(page, 'C03').hover();
+    await wellSelectorWell(page, 'C04').hover();
+    await page.mouse.up();
+
+    await expect(page.locator('#wellcontainer .well.selected')).toHaveCount(6);
+    await expect(wellSelectorWell(page, 'B02')).toHaveClass(/selected/);
+    await expect(wellSelectorWell(page, 'C04')).toHaveClass(/selected/);
+    const selectedWells = await state.evaluate(s => s.microscope_config.plate_wells
+        .filter((/** @type {any} */ well) => well.selected)
+        .map((/** @type {any} */ well) => s.wellName(well)));
+    expect(selectedWells.sort()).toEqual(['B02', 'B03', 'B04', 'C02', 'C03', 'C04']);
+
+    // dragging again from a selected well deselects
+    await wellSelectorWell(page, 'B02').hover();
+    await page.mouse.down();
+    await wellSelectorWell(page, 'B03').hover();
+    await page.mouse.up();
+    await expect(page.locator('#wellcontainer .well.selected')).toHaveCount(4);
+    await expect(wellSelectorWell(page, 'B02')).not.toHaveClass(/selected/);
+});
+
+test('sites are selected by shift+clicking them in the plate view', async ({ page }) => {
+    const state = await openInterface(page);
+    await openTab(page, 'Acquisition Control');
+    await wellSelectorWell(page, 'B02').click();
+    await openTab(page, 'Plate View');
+    await page.locator('input[name="selectionMode"][value="sites"]').check();
+
+    // the center site of the 3x3 grid, in well B02 (sites are shared by all wells)
+    /** @returns {Promise<boolean>} */
+    const centerSiteSelected = () => state.evaluate(s => s.microscope_config.grid.mask
+        .find((/** @type {any} */ site) => site.col === 1 && site.row === 1).selected);
+    const center = await plateViewPosition(state, await wellCenter(state, 1, 1));
+    expect(await centerSiteSelected()).toBe(true);
+
+    await page.keyboard.down('Shift');
+    await page.mouse.click(center.x, center.y, { button: 'right' });
+    await page.keyboard.up('Shift');
+    await expect.poll(centerSiteSelected).toBe(false);
+
+    await page.keyboard.down('Shift');
+    await page.mouse.click(center.x, center.y);
+    await page.keyboard.up('Shift');
+    await expect.poll(centerSiteSelected).toBe(true);
+});
+
+test('wells and sites can be selected with the keyboard in the plate view', async ({ page }) => {
+    const state = await openInterface(page);
+    await openTab(page, 'Plate View');
+    const plate = page.getByRole('application', { name: /Plate view/ });
+    const announcement = page.locator('#plate [role="status"]');
+
+    // the first key press may only show the well cursor, the cursor stops at the edge of the plate
+    await plate.focus();
+    await page.keyboard.press('ArrowLeft');
+    await page.keyboard.press('ArrowUp');
+    await expect(announcement).toHaveText('A01, not selected');
+
+    await page.keyboard.press('ArrowRight');
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('Space');
+    await expect(announcement).toHaveText('B02, selected');
+    expect(await state.evaluate(s => s.microscope_config.plate_wells
+        .find((/** @type {any} */ well) => s.wellName(well) === 'B02').selected)).toBe(true);
+
+    // in site selection mode, the site at the center of the well is toggled (sites are shared by all wells)
+    await page.locator('input[name="selectionMode"][value="sites"]').check();
+    /** @returns {Promise<boolean>} */
+    const centerSiteSelected = () => state.evaluate(s => s.microscope_config.grid.mask
+        .find((/** @type {any} */ site) => site.col === 1 && site.row === 1).selected);
+    expect(await centerSiteSelected()).toBe(true);
+
+    await plate.focus();
+    await page.keyboard.press('Space');
+    await expect(announcement).toHaveText('site deselected at the center of B02, selected');
+    expect(await centerSiteSelected()).toBe(false);
+
+    await page.keyboard.press('Space');
+    await expect(announcement).toHaveText('site selected at the center of B02, selected');
+    expect(await centerSiteSelected()).toBe(true);
+});
@@ -0,0 +1,38 @@
+// @ts-check
+"use strict";
+
+/**
+ * End-to-end tests of the interface, in a headless browser.
+ *
+ * The interface is served by the mock server (tools/mock-server.mjs) and opened with `?mock`, so that it runs
+ * against the mock microscope of src/mock-api-client.js, inside the page (see MOCK_MODE_PARAM).
+ * The tests are in e2e/, e2e/interface.js has the helpers they share.
+ *
+ * usage (in tests/): `npm install`, `npm run install-browser` once, then `npm test`
+ */
+
+import { defineConfig, devices } from "@playwright/test";
+
+/** port of the mock server that serves the interface */
+const PORT = 5090;
+
+export default defineConfig({
+    testDir: './e2e',
+    // the interface (webgl plate view, image decoding) is heavy, tests in parallel would slow each other down
+    workers: 1,
+    timeout: 60_000,
+    forbidOnly: !!process.env.CI,
+    reporter: 'list',
+    use: {
+        ...devices['Desktop Chrome'],
+        baseURL: `http://127.0.0.1:${PORT}`,
+        // the interface is laid out for large screens
+        viewport: { width: 1920, height: 1080 },
+        trace: 'retain-on-failure',
+    },
+    webServer: {
+        command: `node ../tools/mock-server.mjs --port ${PORT}`,
+        url: `http://127.0.0.1:${PORT}/index.html`,
+        reuseExistingServer: !process.env.CI,
+    },
+});
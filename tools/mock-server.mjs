@@ -0,0 +1,494 @@
+// @ts-check
+"use strict";
+
+/**
+ * Standalone mock microscope server.
+ *
+ * Serves the simulated microscope of src/mock-api-client.js over the same HTTP and WebSocket protocol as the
+ * real server, so that the unmodified interface (APIClient, WebSocketManager) can be tested without hardware:
+ * - POST/GET /api/... and /openapi.json: JSON request and response bodies, errors as `{"detail": ...}`
+ *   with the status code of the real server (e.g. 409 if the microscope is busy)
+ * - /ws/...: WebSocket endpoints, see STATUS_WS_ENDPOINT and IMAGE_WS_ENDPOINT for the protocols
+ * - anything else: static files of the interface (index.html, src/, ...)
+ *
+ * Only uses Node.js built-in modules (Node 20.19 or newer). To type check it: `npm install && npm run typecheck` in tools/.
+ *
+ * usage: node tools/mock-server.mjs [--host 127.0.0.1] [--port 5002] [--root <dir>] [--faults <rules>] [--speedup <factor>]
+ *     [--profile <id>] [--clock <rate|manual>] [--seed <n>] [--start-time <time>] [--session <file>]
+ * - --port 0 picks a free port, the address is printed once the server is listening
+ * - --faults injects faults, in the text form of MOCK_FAULTS_PARAM (see src/mock-faults.js)
+ * - --speedup lets acquisitions run faster than on the real microscope (see setMockAcquisitionSpeedup), on top of --clock
+ * - --profile selects the hardware profile (see src/mock-hardware.js)
+ * - --clock sets the rate of the mock clock (see src/mock-clock.js), e.g. 60 to fast-forward, manual to step it
+ *   with POST /mock/clock
+ * - --seed makes the random numbers of the mock (image noise, fault probabilities) reproducible
+ * - --start-time starts the mock clock at a fixed time (ISO 8601, or ms since epoch), so that runs report the same times
+ * - --session replays a recorded session file instead of simulating the microscope (see src/session-recording.js)
+ *
+ * POST /mock/clock controls the mock clock while the server runs: body `{"rate": <number>}` changes the rate,
+ * `{"advance_ms": <number>}` lets time pass (both optional), the reply is `{"rate": ..., "time_iso": ...}`.
+ *
+ * Then open http://127.0.0.1:5002/ (or any other copy of the interface with ?server=http://127.0.0.1:5002).
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import {
+    MockAPIClient,
+    MockWebSocketManager,
+    setMockAcquisitionSpeedup,
+    setMockClockStartTime,
+    setMockHardwareProfile,
+    setMockReplaySession,
+} from "../src/mock-api-client.js";
+import { loadMockHardwareProfiles } from "../src/mock-hardware.js";
+import { mockFaults } from "../src/mock-faults.js";
+import { mockClock, seedMockRandom, parseMockClockRate, parseMockSeed, parseMockStartTime } from "../src/mock-clock.js";
+import { decodeSession, SessionReplay } from "../src/session-recording.js";
+import { APIError } from "../src/api-client.js";
+
+/** magic value of the WebSocket handshake, see RFC 6455 section 1.3 */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** WebSocket frame opcodes, see RFC 6455 section 5.2 */
+const OPCODE = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+};
+
+/** content types of the static files of the interface */
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+};
+
+/** the interface may be served from another origin (e.g. ?server=...) */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Encode a WebSocket frame (server frames are not masked)
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * @typedef {Object} WebSocketFrame
+ * @property {boolean} fin
+ * @property {number} opcode
+ * @property {Buffer} payload - Unmasked payload
+ * @property {number} length - Number of bytes of the frame
+ */
+
+/**
+ * Decode the WebSocket frame at the start of a buffer
+ * @param {Buffer} buffer
+ * @returns {WebSocketFrame|null} - null if the buffer does not contain a complete frame yet
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < offset + 2) return null;
+        payloadLength = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (payloadLength === 127) {
+        if (buffer.length < offset + 8) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(offset));
+        offset += 8;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Connects a WebSocket client to a mock connection of MockWebSocketManager
+ */
+class MockWebSocketSession {
+    /**
+     * @param {import('node:stream').Duplex} socket
+     * @param {MockWebSocketManager} wsManager
+     * @param {string} name - Name of the mock connection
+     * @param {string} endpoint
+     */
+    constructor(socket, wsManager, name, endpoint) {
+        this.socket = socket;
+        this.wsManager = wsManager;
+        this.name = name;
+        this.closed = false;
+
+        /** received bytes that do not form a complete frame yet */
+        this.buffer = Buffer.alloc(0);
+        /** @type {{opcode: number, parts: Buffer[]}|null} */
+        this.fragmented = null;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.close());
+        socket.on('error', () => this.close());
+
+        this.wsManager.createConnection(name, endpoint, {
+            onMessage: (/** @type {{data: string|ArrayBuffer}} */ ev) => this.send(ev.data),
+            // the mock connection dropped (e.g. injected fault), the client reconnects by itself
+            onClose: () => this.close(),
+            autoReconnect: false,
+        });
+    }
+
+    /**
+     * Send a message from the mock server to the client
+     * @param {string|ArrayBuffer} data
+     */
+    send(data) {
+        if (this.closed) return;
+        if (typeof data === 'string') {
+            this.socket.write(encodeFrame(OPCODE.text, Buffer.from(data, 'utf8')));
+        } else {
+            this.socket.write(encodeFrame(OPCODE.binary, Buffer.from(data)));
+        }
+    }
+
+    /**
+     * Handle bytes received from the client
+     * @private
+     * @param {Buffer} data
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (!this.closed && (frame = decodeFrame(this.buffer))) {
+            this.buffer = this.buffer.subarray(frame.length);
+
+            switch (frame.opcode) {
+                case OPCODE.ping:
+                    this.socket.write(encodeFrame(OPCODE.pong, frame.payload));
+                    break;
+                case OPCODE.pong:
+                    break;
+                case OPCODE.close:
+                    this.close();
+                    break;
+                case OPCODE.continuation:
+                    if (!this.fragmented) break;
+                    this.fragmented.parts.push(frame.payload);
+                    if (frame.fin) {
+                        const { opcode, parts } = this.fragmented;
+                        this.fragmented = null;
+                        this.deliver(opcode, Buffer.concat(parts));
+                    }
+                    break;
+                default:
+                    if (frame.fin) {
+                        this.deliver(frame.opcode, frame.payload);
+                    } else {
+                        this.fragmented = { opcode: frame.opcode, parts: [frame.payload] };
+                    }
+            }
+        }
+    }
+
+    /**
+     * Pass a complete message from the client to the mock connection
+     * @private
+     * @param {number} opcode
+     * @param {Buffer} payload
+     */
+    deliver(opcode, payload) {
+        // the mock protocols are text based in the client -> server direction
+        const data = opcode === OPCODE.text ? payload.toString('utf8') : payload;
+        const connection = /** @type {{send: (data: string|Buffer) => void}|null} */ (this.wsManager.getConnection(this.name));
+        connection?.send(data);
+    }
+
+    /**
+     * Close the connection (idempotent)
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.wsManager.closeConnection(this.name);
+        if (this.socket.writable) {
+            this.socket.end(encodeFrame(OPCODE.close, Buffer.alloc(0)));
+        }
+    }
+}
+
+/**
+ * Create the mock microscope server (not listening yet)
+ * @param {{root: string}} options - root: directory of the static files of the interface
+ * @returns {import('node:http').Server}
+ */
+export function createMockServer({ root }) {
+    const api = new MockAPIClient('');
+    const wsManager = new MockWebSocketManager();
+    const rootDir = resolve(root);
+    let nextConnectionId = 1;
+
+    /**
+     * @param {import('node:http').ServerResponse} res
+     * @param {number} status
+     * @param {unknown} body
+     */
+    const sendJSON = (res, status, body) => {
+        res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    /**
+     * @param {import('node:http').IncomingMessage} req
+     * @returns {Promise<string>}
+     */
+    const readBody = async (req) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        return Buffer.concat(chunks).toString('utf8');
+    };
+
+    /**
+     * @param {import('node:http').IncomingMessage} req
+     * @param {import('node:http').ServerResponse} res
+     * @param {string} endpoint
+     */
+    const handleAPI = async (req, res, endpoint) => {
+        let body = null;
+        if (req.method === 'POST') {
+            const text = await readBody(req);
+            try {
+                body = text ? JSON.parse(text) : {};
+            } catch (error) {
+                sendJSON(res, 422, { detail: `invalid JSON body: ${error instanceof Error ? error.message : error}` });
+                return;
+            }
+        }
+
+        try {
+            // timeouts are up to the client
+            const options = { context: `${req.method} ${endpoint}`, showError: false, timeoutMs: null };
+            const data = req.method === 'POST'
+                ? await api.post(endpoint, body, options)
+                : await api.get(endpoint, options);
+            sendJSON(res, 200, data);
+        } catch (error) {
+            if (error instanceof APIError) {
+                sendJSON(res, error.status ?? 500, error.body ?? { detail: error.message });
+            } else {
+                sendJSON(res, 500, { detail: error instanceof Error ? error.message : String(error) });
+            }
+        }
+    };
+
+    /**
+     * Control the mock clock (see POST /mock/clock above)
+     * @param {import('node:http').IncomingMessage} req
+     * @param {import('node:http').ServerResponse} res
+     */
+    const handleClock = async (req, res) => {
+        if (req.method === 'POST') {
+            try {
+                const text = await readBody(req);
+                const { rate, advance_ms } = text ? JSON.parse(text) : {};
+                if (rate !== undefined) mockClock.setRate(rate);
+                if (advance_ms !== undefined) {
+                    if (!(typeof advance_ms === 'number' && advance_ms >= 0)) {
+                        throw new Error(`invalid advance_ms '${advance_ms}' (must be a number >= 0)`);
+                    }
+                    mockClock.advance(advance_ms);
+                }
+            } catch (error) {
+                sendJSON(res, 422, { detail: error instanceof Error ? error.message : String(error) });
+                return;
+            }
+        }
+        sendJSON(res, 200, { rate: mockClock.rate, time_iso: mockClock.date().toISOString() });
+    };
+
+    /**
+     * @param {import('node:http').ServerResponse} res
+     * @param {string} pathname
+     */
+    const handleStatic = async (res, pathname) => {
+        const relativePath = normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+        const filePath = join(rootDir, relativePath);
+        if (filePath !== rootDir && !filePath.startsWith(rootDir + sep)) {
+            res.writeHead(403).end();
+            return;
+        }
+
+        try {
+            const content = await readFile(filePath);
+            const contentType = CONTENT_TYPES[/** @type {keyof CONTENT_TYPES} */ (extname(filePath))] ?? 'application/octet-stream';
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(content);
+        } catch (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('not found');
+        }
+    };
+
+    const server = createServer((req, res) => {
+        const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS).end();
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            res.writeHead(405, CORS_HEADERS).end();
+            return;
+        }
+
+        const isAPI = pathname.startsWith('/api/') || pathname === '/openapi.json';
+        const handler = isAPI ? handleAPI(req, res, pathname)
+            : pathname === '/mock/clock' ? handleClock(req, res)
+            : handleStatic(res, pathname);
+        handler.catch((error) => {
+            console.error(`[MockServer] ${req.method} ${pathname} failed:`, error);
+            if (!res.headersSent) sendJSON(res, 500, { detail: 'internal error' });
+            else res.end();
+        });
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+        const key = req.headers['sec-websocket-key'];
+        if (!pathname.startsWith('/ws/') || req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            '',
+        ].join('\r\n'));
+
+        new MockWebSocketSession(socket, wsManager, `${pathname}#${nextConnectionId++}`, pathname);
+    });
+
+    server.on('close', () => wsManager.closeAll());
+    return server;
+}
+
+/**
+ * Command line entry point
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            host: { type: 'string', default: '127.0.0.1' },
+            port: { type: 'string', default: '5002' },
+            root: { type: 'string', default: fileURLToPath(new URL('..', import.meta.url)) },
+            faults: { type: 'string' },
+            speedup: { type: 'string' },
+            profile: { type: 'string' },
+            clock: { type: 'string' },
+            seed: { type: 'string' },
+            'start-time': { type: 'string' },
+            session: { type: 'string' },
+        },
+    });
+
+    if (values.faults) {
+        mockFaults.addFromSpec(values.faults);
+    }
+    if (values.speedup) {
+        setMockAcquisitionSpeedup(Number(values.speedup));
+    }
+    if (values.profile) {
+        const profiles = await loadMockHardwareProfiles({ readText: url => readFile(url, 'utf8') });
+        const profile = profiles.find(p => p.id === values.profile);
+        if (!profile) {
+            throw new Error(`unknown hardware profile '${values.profile}' (known profiles: ${profiles.map(p => p.id).join(', ')})`);
+        }
+        setMockHardwareProfile(profile);
+    }
+    if (values.seed) {
+        seedMockRandom(parseMockSeed(values.seed));
+    }
+    if (values['start-time']) {
+        setMockClockStartTime(parseMockStartTime(values['start-time']));
+    }
+    if (values.clock) {
+        mockClock.setRate(parseMockClockRate(values.clock));
+    }
+    if (values.session) {
+        setMockReplaySession(new SessionReplay(decodeSession(await readFile(values.session, 'utf8'))));
+    }
+
+    const server = createMockServer({ root: values.root });
+    server.listen(Number(values.port), values.host, () => {
+        const address = /** @type {import('node:net').AddressInfo} */ (server.address());
+        console.log(`[MockServer] listening on http://${values.host}:${address.port}/`);
+    });
+
+    const shutdown = () => {
+        server.close();
+        server.closeAllConnections();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error(`[MockServer] ${error instanceof Error ? error.message : error}`);
+        process.exit(1);
+    });
+}